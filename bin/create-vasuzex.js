@@ -150,6 +150,7 @@ async function createProjectStructure(targetDir, spinner) {
   await fs.ensureDir(path.join(targetDir, 'database/models'));
   await fs.ensureDir(path.join(targetDir, 'database/migrations'));
   await fs.ensureDir(path.join(targetDir, 'database/seeders'));
+  await fs.ensureDir(path.join(targetDir, 'database/factories'));
   await fs.ensureDir(path.join(targetDir, 'apps'));
 }
 
@@ -194,7 +195,8 @@ async function copyDatabaseFiles(targetDir, spinner, projectName) {
     main: './index.js',
     exports: {
       '.': './index.js',
-      './models/*': './models/*.js'
+      './models/*': './models/*.js',
+      './factories/*': './factories/*.js'
     }
   };
   await fs.writeFile(
@@ -554,7 +556,7 @@ function displaySuccessMessage(projectName, answers) {
   console.log(chalk.bold.white('📁 Project Structure:'));
   console.log(chalk.white(`  ${projectName}/`));
   console.log(chalk.white(`    ├── config/          ${chalk.gray('All framework configurations')}`));
-  console.log(chalk.white(`    ├── database/        ${chalk.gray('Models, migrations, seeders')}`));
+  console.log(chalk.white(`    ├── database/        ${chalk.gray('Models, migrations, seeders, factories')}`));
   console.log(chalk.white(`    ├── apps/            ${chalk.gray('Your applications')}`));
   if (answers.template === 'fullstack') {
     console.log(chalk.white(`    │   └── ${answers.appName || 'blog'}/`));
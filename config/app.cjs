@@ -59,9 +59,32 @@ module.exports = {
   |--------------------------------------------------------------------------
   | Encryption Key
   |--------------------------------------------------------------------------
+  |
+  | Values encrypted with the previous keys (comma separated) still decrypt,
+  | so "vasuzex key:rotate" can replace the key without breaking cookies,
+  | sessions and encrypted columns. Supported ciphers: aes-128-cbc,
+  | aes-256-cbc, aes-128-gcm and aes-256-gcm.
+  |
   */
   key: env('APP_KEY', ''),
 
+  previous_keys: env('APP_PREVIOUS_KEYS', '').split(',').map(key => key.trim()).filter(Boolean),
+
+  cipher: env('APP_CIPHER', 'aes-256-cbc'),
+
+  /*
+  |--------------------------------------------------------------------------
+  | Encrypted Columns
+  |--------------------------------------------------------------------------
+  |
+  | Columns re-encrypted by "vasuzex key:rotate", by model name. Models not
+  | listed here are re-encrypted on their 'encrypted' casts.
+  |
+  */
+  encrypted_columns: {
+    // User: ['two_factor_secret'],
+  },
+
   /*
   |--------------------------------------------------------------------------
   | API Prefix
@@ -36,6 +36,9 @@ module.exports = {
   |
   | Supported: "session", "token"
   |
+  | Token guards with personal_access_tokens also accept the '<id>|<secret>'
+  | tokens created with user.createToken() (see HasApiTokens).
+  |
   */
 
   guards: {
@@ -50,9 +53,25 @@ module.exports = {
       hash: false,
       input_key: 'api_token',
       storage_key: 'api_token',
+      personal_access_tokens: true,
     },
   },
 
+  /*
+  |--------------------------------------------------------------------------
+  | Personal Access Tokens
+  |--------------------------------------------------------------------------
+  |
+  | The number of minutes personal access tokens are valid after they are
+  | created, or null to keep them until their own expires_at (if any).
+  | Run "vasuzex token:prune" on a schedule to delete expired tokens.
+  |
+  */
+
+  tokens: {
+    expiration: env.AUTH_TOKEN_EXPIRATION ? Number(env.AUTH_TOKEN_EXPIRATION) : null,
+  },
+
   /*
   |--------------------------------------------------------------------------
   | User Providers
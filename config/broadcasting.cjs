@@ -14,7 +14,7 @@ module.exports = {
   | framework when an event needs to be broadcast. You may set this to
   | any of the connections defined in the "connections" array below.
   |
-  | Supported: "pusher", "redis", "log", "null"
+  | Supported: "pusher", "redis", "websocket", "log", "null"
   |
   */
 
@@ -50,6 +50,25 @@ module.exports = {
       connection: 'default',
     },
 
+    // Built-in Pusher-protocol server, started with `vasuzex broadcast:serve`.
+    // Set `redis` to a Redis connection to run several server nodes.
+    websocket: {
+      driver: 'websocket',
+      app_id: env.BROADCAST_APP_ID || 'vasuzex',
+      key: env.BROADCAST_APP_KEY,
+      secret: env.BROADCAST_APP_SECRET,
+      host: env.BROADCAST_HOST || '127.0.0.1',
+      port: Number(env.BROADCAST_PORT || 6001),
+      scheme: env.BROADCAST_SCHEME || 'http',
+      redis: env.BROADCAST_REDIS_CONNECTION || null,
+      redis_prefix: 'broadcasting:',
+      guards: null,
+      activity_timeout: 30,
+      client_events: true,
+      allowed_origins: ['*'],
+      auth_endpoint: '/broadcasting/auth',
+    },
+
     log: {
       driver: 'log',
     },
@@ -58,4 +77,16 @@ module.exports = {
       driver: 'null',
     },
   },
+
+  /*
+  |--------------------------------------------------------------------------
+  | Channel Authorization
+  |--------------------------------------------------------------------------
+  |
+  | The default export of this module receives the broadcast manager and
+  | registers the callbacks authorizing private and presence channels.
+  |
+  */
+
+  channels_path: 'routes/channels.js',
 };
@@ -62,6 +62,19 @@ module.exports = {
     }
   },
 
+  /*
+  |--------------------------------------------------------------------------
+  | Rate Limiter Store
+  |--------------------------------------------------------------------------
+  |
+  | The store the rate limiter counts attempts in. Use a store shared by
+  | every server (redis) so limits apply across processes. Defaults to the
+  | default cache store.
+  |
+  */
+
+  limiter: env('CACHE_LIMITER', null),
+
   /*
   |--------------------------------------------------------------------------
   | Cache Key Prefix
@@ -15,6 +15,11 @@ module.exports = {
   | passwords for your application. By default, the bcrypt algorithm is
   | used; however, you remain free to modify this option if you wish.
   |
+  | Hashes made by the other drivers still verify, so existing passwords
+  | keep working after the driver is changed.
+  |
+  | Supported: "bcrypt", "argon2id", "scrypt"
+  |
   */
 
   driver: env('HASH_DRIVER', 'bcrypt'),
@@ -42,12 +47,43 @@ module.exports = {
   | Here you may specify the configuration options that should be used when
   | passwords are hashed using the Argon algorithm. These will allow you
   | to control the amount of time it takes to hash the given password.
+  | The argon2id driver needs the argon2 package.
   |
   */
 
   argon: {
-    memory: 1024,
-    threads: 2,
-    time: 2
-  }
+    memory: env('ARGON_MEMORY', 65536),
+    threads: env('ARGON_THREADS', 1),
+    time: env('ARGON_TIME', 4)
+  },
+
+  /*
+  |--------------------------------------------------------------------------
+  | Scrypt Options
+  |--------------------------------------------------------------------------
+  |
+  | Here you may specify the configuration options that should be used when
+  | passwords are hashed using the scrypt algorithm. The cost must be a
+  | power of two; each hash uses about 128 * cost * block_size bytes.
+  |
+  */
+
+  scrypt: {
+    cost: env('SCRYPT_COST', 65536),
+    block_size: 8,
+    parallelization: 1
+  },
+
+  /*
+  |--------------------------------------------------------------------------
+  | Rehash On Login
+  |--------------------------------------------------------------------------
+  |
+  | When enabled, the session guard rehashes the password of a user after a
+  | successful login when its hash was made by another driver or with other
+  | options, upgrading stored hashes as users sign in.
+  |
+  */
+
+  rehash_on_login: env('HASH_REHASH_ON_LOGIN', 'true') !== 'false'
 };
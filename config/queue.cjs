@@ -51,6 +51,45 @@ module.exports = {
     }
   },
 
+  /*
+  |--------------------------------------------------------------------------
+  | Queue Worker
+  |--------------------------------------------------------------------------
+  |
+  | Defaults for `vasuzex queue:work`. A numeric backoff doubles on every
+  | attempt up to max_backoff; an array gives the delay for each attempt.
+  | A memory limit (megabytes of heap) stops the worker once it is reached;
+  | 0 never stops it.
+  | Jobs are registered from every module in jobs_path.
+  |
+  */
+
+  jobs_path: env('QUEUE_JOBS_PATH', 'jobs'),
+
+  worker: {
+    sleep: 3,
+    tries: 3,
+    backoff: 10,
+    max_backoff: 3600,
+    timeout: 60,
+    memory: 0
+  },
+
+  /*
+  |--------------------------------------------------------------------------
+  | Job Batching
+  |--------------------------------------------------------------------------
+  |
+  | Batches pushed to a database connection are stored in this table, and
+  | batches pushed to a Redis connection in hashes under this key prefix.
+  |
+  */
+
+  batching: {
+    table: 'job_batches',
+    prefix: 'batches'
+  },
+
   /*
   |--------------------------------------------------------------------------
   | Failed Queue Jobs
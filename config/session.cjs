@@ -47,6 +47,19 @@ module.exports = {
 
   encrypt: false,
 
+  /*
+  |--------------------------------------------------------------------------
+  | Session Sweeping Lottery
+  |--------------------------------------------------------------------------
+  |
+  | Some session drivers must manually sweep their storage location to get
+  | rid of old sessions from storage. Here are the chances that it will
+  | happen on a given request. By default, the odds are 2 out of 100.
+  |
+  */
+
+  lottery: [2, 100],
+
   /*
   |--------------------------------------------------------------------------
   | Session Cookie Configuration
@@ -87,6 +100,10 @@ module.exports = {
   */
 
   drivers: {
+    array: {
+      driver: 'array'
+    },
+
     cookie: {
       driver: 'cookie'
     },
@@ -96,6 +113,7 @@ module.exports = {
       path: 'storage/framework/sessions'
     },
 
+    // Create the table with: vasuzex session:table && vasuzex migrate
     database: {
       driver: 'database',
       table: 'sessions',
@@ -104,7 +122,8 @@ module.exports = {
 
     redis: {
       driver: 'redis',
-      connection: 'session'
+      connection: 'session',
+      prefix: 'session:'
     }
   }
 };
@@ -0,0 +1,19 @@
+import { Schema } from 'vasuzex/Database';
+
+export default class CreateJobsTable {
+  async up() {
+    await Schema.create('jobs', (table) => {
+      table.id();
+      table.string('queue').index();
+      table.longText('payload');
+      table.integer('attempts').defaultTo(0);
+      table.timestamp('reserved_at').nullable();
+      table.timestamp('available_at');
+      table.timestamp('created_at');
+    });
+  }
+
+  async down() {
+    await Schema.dropIfExists('jobs');
+  }
+}
@@ -0,0 +1,19 @@
+import { Schema } from 'vasuzex/Database';
+
+export default class CreateFailedJobsTable {
+  async up() {
+    await Schema.create('failed_jobs', (table) => {
+      table.id();
+      table.string('uuid').unique();
+      table.string('connection');
+      table.string('queue');
+      table.longText('payload');
+      table.longText('exception');
+      table.timestamp('failed_at');
+    });
+  }
+
+  async down() {
+    await Schema.dropIfExists('failed_jobs');
+  }
+}
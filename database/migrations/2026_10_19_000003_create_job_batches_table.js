@@ -0,0 +1,22 @@
+import { Schema } from 'vasuzex/Database';
+
+export default class CreateJobBatchesTable {
+  async up() {
+    await Schema.create('job_batches', (table) => {
+      table.string('id').primary();
+      table.string('name');
+      table.integer('total_jobs');
+      table.integer('pending_jobs');
+      table.integer('failed_jobs');
+      table.longText('failed_job_ids');
+      table.longText('options').nullable();
+      table.timestamp('created_at');
+      table.timestamp('cancelled_at').nullable();
+      table.timestamp('finished_at').nullable();
+    });
+  }
+
+  async down() {
+    await Schema.dropIfExists('job_batches');
+  }
+}
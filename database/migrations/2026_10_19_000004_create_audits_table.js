@@ -0,0 +1,26 @@
+import { Schema } from 'vasuzex/Database';
+
+export default class CreateAuditsTable {
+  async up() {
+    await Schema.create('audits', (table) => {
+      table.id();
+      table.string('auditable_type');
+      table.string('auditable_id');
+      table.string('event');
+      table.text('old_values').nullable();
+      table.text('new_values').nullable();
+      table.string('user_type').nullable();
+      table.string('user_id').nullable();
+      table.string('ip_address', 45).nullable();
+      table.string('user_agent', 1023).nullable();
+      table.text('url').nullable();
+      table.timestamp('created_at');
+      table.index(['auditable_type', 'auditable_id']);
+      table.index(['user_type', 'user_id']);
+    });
+  }
+
+  async down() {
+    await Schema.dropIfExists('audits');
+  }
+}
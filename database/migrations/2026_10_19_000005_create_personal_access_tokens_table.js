@@ -0,0 +1,22 @@
+import { Schema } from 'vasuzex/Database';
+
+export default class CreatePersonalAccessTokensTable {
+  async up() {
+    await Schema.create('personal_access_tokens', (table) => {
+      table.id();
+      table.string('tokenable_type');
+      table.string('tokenable_id');
+      table.string('name');
+      table.string('token', 64).unique();
+      table.text('abilities').nullable();
+      table.timestamp('last_used_at').nullable();
+      table.timestamp('expires_at').nullable().index();
+      table.timestamps();
+      table.index(['tokenable_type', 'tokenable_id']);
+    });
+  }
+
+  async down() {
+    await Schema.dropIfExists('personal_access_tokens');
+  }
+}
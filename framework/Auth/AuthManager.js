@@ -3,6 +3,12 @@
  * Laravel-inspired authentication manager
  */
 
+import { SessionGuard } from './Guards/SessionGuard.js';
+import { TokenGuard } from './Guards/TokenGuard.js';
+import { DatabaseUserProvider } from './UserProviders/DatabaseUserProvider.js';
+import { ModelUserProvider } from './UserProviders/ModelUserProvider.js';
+import { PersonalAccessToken } from './Tokens/PersonalAccessToken.js';
+
 export class AuthManager {
   constructor(app) {
     this.app = app;
@@ -51,8 +57,6 @@ export class AuthManager {
    * Create session guard
    */
   createSessionDriver(name, config) {
-    const { SessionGuard } = require('./Guards/SessionGuard.js');
-    
     const provider = this.createUserProvider(config.provider || null);
     const session = this.app.make('session');
     
@@ -60,6 +64,7 @@ export class AuthManager {
 
     guard.setCookieJar(this.app.make('cookie'));
     guard.setDispatcher(this.app.make('events'));
+    guard.setRehashOnLogin(this.app.make('config').get('hashing.rehash_on_login', true));
 
     return guard;
   }
@@ -68,8 +73,6 @@ export class AuthManager {
    * Create token guard
    */
   createTokenDriver(name, config) {
-    const { TokenGuard } = require('./Guards/TokenGuard.js');
-    
     const provider = this.createUserProvider(config.provider || null);
     
     const guard = new TokenGuard(
@@ -79,6 +82,10 @@ export class AuthManager {
       config.hash || false
     );
 
+    if (config.personal_access_tokens) {
+      guard.usePersonalAccessTokens(PersonalAccessToken, this.app.make('config').get('auth.tokens.expiration', null));
+    }
+
     return guard;
   }
 
@@ -109,7 +116,6 @@ export class AuthManager {
    * Create database user provider
    */
   createDatabaseProvider(config) {
-    const { DatabaseUserProvider } = require('./UserProviders/DatabaseUserProvider.js');
     const hash = this.app.make('hash');
     
     return new DatabaseUserProvider(hash, config.model);
@@ -119,7 +125,6 @@ export class AuthManager {
    * Create model user provider (for GuruORM)
    */
   createModelProvider(config) {
-    const { ModelUserProvider } = require('./UserProviders/ModelUserProvider.js');
     const hash = this.app.make('hash');
     
     return new ModelUserProvider(hash, config.model);
@@ -3,6 +3,8 @@
  * Laravel-inspired session-based authentication guard
  */
 
+import crypto from 'crypto';
+
 export class SessionGuard {
   constructor(name, provider, session, request = null) {
     this.name = name;
@@ -16,6 +18,7 @@ export class SessionGuard {
     this.recallAttempted = false;
     this.cookie = null;
     this.events = null;
+    this.rehashOnLogin = true;
   }
 
   /**
@@ -147,6 +150,7 @@ export class SessionGuard {
     this.lastAttempted = await this.provider.retrieveByCredentials(credentials);
 
     if (await this.hasValidCredentials(this.lastAttempted, credentials)) {
+      await this.rehashPasswordIfRequired(this.lastAttempted, credentials);
       await this.login(this.lastAttempted, remember);
       return true;
     }
@@ -165,6 +169,15 @@ export class SessionGuard {
     return user !== null && await this.provider.validateCredentials(user, credentials);
   }
 
+  /**
+   * Upgrade the user's password hash after a successful login
+   */
+  async rehashPasswordIfRequired(user, credentials) {
+    if (this.rehashOnLogin && typeof this.provider.rehashPasswordIfRequired === 'function') {
+      await this.provider.rehashPasswordIfRequired(user, credentials);
+    }
+  }
+
   /**
    * Login user
    */
@@ -347,6 +360,14 @@ export class SessionGuard {
     return this;
   }
 
+  /**
+   * Enable or disable rehashing passwords on login
+   */
+  setRehashOnLogin(rehashOnLogin) {
+    this.rehashOnLogin = rehashOnLogin;
+    return this;
+  }
+
   /**
    * Set request
    */
@@ -1,8 +1,14 @@
 /**
  * Token Guard
  * Laravel-inspired token-based authentication guard
+ *
+ * Authenticates requests by the token of a column of the users table
+ * (storageKey), or by personal access tokens ('<id>|<secret>') when
+ * usePersonalAccessTokens() is called.
  */
 
+import crypto from 'crypto';
+
 export class TokenGuard {
   constructor(provider, inputKey = 'api_token', storageKey = 'api_token', hash = false) {
     this.provider = provider;
@@ -10,28 +16,71 @@ export class TokenGuard {
     this.storageKey = storageKey;
     this.hash = hash;
     this.request = null;
-    this.user = null;
+    this.currentUser = null;
+    this.tokenModel = null;
+    this.expiration = null;
   }
 
   /**
    * Get authenticated user
    */
   async user() {
-    if (this.user) {
-      return this.user;
+    if (this.currentUser) {
+      return this.currentUser;
     }
 
+    const request = this.request;
     const token = this.getTokenForRequest();
 
     if (!token) {
       return null;
     }
 
-    this.user = await this.provider.retrieveByCredentials({
-      [this.storageKey]: this.hash ? crypto.createHash('sha256').update(token).digest('hex') : token
-    });
+    const user = this.tokenModel && token.includes('|')
+      ? await this.userFromAccessToken(token)
+      : await this.provider.retrieveByCredentials({
+        [this.storageKey]: this.hash ? crypto.createHash('sha256').update(token).digest('hex') : token
+      });
+
+    // Another request may have been set while the user was retrieved
+    if (this.request === request) {
+      this.currentUser = user;
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the owner of a valid personal access token, with the token attached
+   */
+  async userFromAccessToken(plainTextToken) {
+    const accessToken = await this.tokenModel.findToken(plainTextToken);
+
+    if (!accessToken || accessToken.isExpired(this.expiration)) {
+      return null;
+    }
 
-    return this.user;
+    const user = await this.provider.retrieveById(accessToken.getAttribute('tokenable_id'));
+
+    if (!user || !accessToken.isOwnedBy(user)) {
+      return null;
+    }
+
+    await accessToken.touchLastUsed();
+
+    return typeof user.withAccessToken === 'function' ? user.withAccessToken(accessToken) : user;
+  }
+
+  /**
+   * Authenticate personal access tokens
+   *
+   * @param {Function} model - PersonalAccessToken model class
+   * @param {number|null} expiration - Minutes tokens are valid after their creation (null: until expires_at)
+   */
+  usePersonalAccessTokens(model, expiration = null) {
+    this.tokenModel = model;
+    this.expiration = expiration;
+    return this;
   }
 
   /**
@@ -92,14 +141,18 @@ export class TokenGuard {
    * Set the user
    */
   setUser(user) {
-    this.user = user;
+    this.currentUser = user;
     return this;
   }
 
   /**
-   * Set request
+   * Set request, forgetting the user of the previous one
    */
   setRequest(request) {
+    if (request !== this.request) {
+      this.currentUser = null;
+    }
+
     this.request = request;
     return this;
   }
@@ -123,7 +176,7 @@ export class TokenGuard {
    */
   async id() {
     const user = await this.user();
-    return user ? user.getAuthIdentifier() : null;
+    return user?.getAuthIdentifier?.() ?? null;
   }
 }
 
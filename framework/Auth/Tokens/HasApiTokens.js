@@ -0,0 +1,117 @@
+/**
+ * Has API Tokens
+ * Laravel-inspired personal access tokens for user models
+ *
+ * @example
+ * class User extends HasApiTokens(Model) {
+ *   static table = 'users';
+ * }
+ *
+ * const { plainTextToken } = await user.createToken('cli', ['orders:read']);
+ *
+ * // In a request authenticated with the token
+ * req.user.tokenCan('orders:read'); // true
+ */
+
+import crypto from 'crypto';
+import { Relations } from '../../Database/Relations.js';
+import { PersonalAccessToken } from './PersonalAccessToken.js';
+import { NewAccessToken } from './NewAccessToken.js';
+
+/**
+ * Access token each model was authenticated with (kept out of the model's attributes)
+ */
+const accessTokens = new WeakMap();
+
+/**
+ * Add personal access tokens to a model class
+ *
+ * @param {Function} Base - Model class
+ * @param {Function} tokenModel - PersonalAccessToken model class
+ * @returns {Function}
+ */
+export function HasApiTokens(Base, tokenModel = PersonalAccessToken) {
+  return class extends Base {
+    /**
+     * The personal access tokens of the model
+     */
+    tokens() {
+      return Relations.morphMany(this, tokenModel, 'tokenable', null, null, this.constructor.primaryKey || 'id');
+    }
+
+    /**
+     * Create a personal access token
+     *
+     * @param {string} name - e.g. the device or integration using the token
+     * @param {string[]} abilities - ['*'] allows every ability
+     * @param {Date|null} expiresAt
+     * @returns {Promise<NewAccessToken>} The token, with its plain text value shown only now
+     */
+    async createToken(name, abilities = ['*'], expiresAt = null) {
+      const secret = crypto.randomBytes(32).toString('base64url');
+
+      const token = await this.tokens().create({
+        name,
+        token: tokenModel.hashToken(secret),
+        abilities,
+        expires_at: expiresAt,
+      });
+
+      return new NewAccessToken(token, `${token.getKey()}|${secret}`);
+    }
+
+    /**
+     * Determine if the current access token has an ability
+     */
+    tokenCan(ability) {
+      return this.currentAccessToken()?.can(ability) ?? false;
+    }
+
+    /**
+     * Determine if the current access token is missing an ability
+     */
+    tokenCant(ability) {
+      return !this.tokenCan(ability);
+    }
+
+    /**
+     * Get the access token the model was authenticated with
+     */
+    currentAccessToken() {
+      return accessTokens.get(this) || null;
+    }
+
+    /**
+     * Set the access token the model was authenticated with
+     */
+    withAccessToken(accessToken) {
+      accessTokens.set(this, accessToken);
+      return this;
+    }
+
+    /**
+     * Revoke one of the model's tokens
+     *
+     * @returns {Promise<boolean>} false when the model has no such token
+     */
+    async revokeToken(id) {
+      const token = await this.tokens().getQuery().where('id', id).first();
+
+      if (!token) {
+        return false;
+      }
+
+      await token.delete();
+      return true;
+    }
+
+    /**
+     * Revoke all of the model's tokens (e.g. signing out of every device)
+     */
+    async revokeAllTokens() {
+      return await this.tokens().getQuery().delete();
+    }
+  };
+}
+
+export default HasApiTokens;
@@ -0,0 +1,24 @@
+/**
+ * New Access Token
+ * A just created personal access token with its plain text value
+ */
+
+export class NewAccessToken {
+  /**
+   * @param {PersonalAccessToken} accessToken
+   * @param {string} plainTextToken - '<id>|<secret>', only available now
+   */
+  constructor(accessToken, plainTextToken) {
+    this.accessToken = accessToken;
+    this.plainTextToken = plainTextToken;
+  }
+
+  toJSON() {
+    return {
+      accessToken: this.accessToken,
+      plainTextToken: this.plainTextToken,
+    };
+  }
+}
+
+export default NewAccessToken;
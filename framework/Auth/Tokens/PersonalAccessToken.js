@@ -0,0 +1,114 @@
+/**
+ * Personal Access Token
+ * A named API token of a user, stored hashed in the personal_access_tokens table
+ *
+ * Plain text tokens look like '<id>|<secret>'. Only the SHA-256 hash of the
+ * secret is stored, so a token can only be shown once, when it is created.
+ */
+
+import crypto from 'crypto';
+import { Model } from '../../Database/Model.js';
+import { Relations } from '../../Database/Relations.js';
+
+export class PersonalAccessToken extends Model {
+  static table = 'personal_access_tokens';
+  static guarded = [];
+  static hidden = ['token'];
+
+  static casts = {
+    abilities: 'json',
+    last_used_at: 'datetime',
+    expires_at: 'datetime',
+  };
+
+  /**
+   * The model the token belongs to
+   */
+  tokenable() {
+    return Relations.morphTo(this, 'tokenable');
+  }
+
+  /**
+   * Hash the secret of a plain text token
+   */
+  static hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Find the token matching a plain text token
+   *
+   * @param {string} plainTextToken - '<id>|<secret>'
+   * @returns {Promise<PersonalAccessToken|null>}
+   */
+  static async findToken(plainTextToken) {
+    const [id, secret] = String(plainTextToken).split(/\|(.*)/s);
+
+    // The id is looked up in an integer column, which errors on other input
+    if (!/^\d+$/.test(id) || !secret) {
+      return null;
+    }
+
+    const token = await this.find(id);
+
+    if (!token) {
+      return null;
+    }
+
+    const expected = Buffer.from(String(token.getAttribute('token')));
+    const given = Buffer.from(this.hashToken(secret));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? token : null;
+  }
+
+  /**
+   * Determine if the token has an ability
+   */
+  can(ability) {
+    const abilities = this.getAttribute('abilities') || [];
+    return abilities.includes('*') || abilities.includes(ability);
+  }
+
+  /**
+   * Determine if the token is missing an ability
+   */
+  cant(ability) {
+    return !this.can(ability);
+  }
+
+  /**
+   * Determine if the token has expired
+   *
+   * @param {number|null} expiration - Minutes tokens are valid after their creation
+   */
+  isExpired(expiration = null) {
+    const expiresAt = this.getAttribute('expires_at');
+
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      return true;
+    }
+
+    const createdAt = this.getAttribute('created_at');
+
+    return Boolean(expiration && createdAt && new Date(createdAt).getTime() + expiration * 60 * 1000 <= Date.now());
+  }
+
+  /**
+   * Determine if the token belongs to a model
+   */
+  isOwnedBy(model) {
+    return Relations.getMorphClass(model.constructor) === this.getAttribute('tokenable_type')
+      && String(model.getKey()) === String(this.getAttribute('tokenable_id'));
+  }
+
+  /**
+   * Record that the token was used now
+   */
+  async touchLastUsed() {
+    this.setAttribute('last_used_at', new Date());
+    await this.save();
+    return this;
+  }
+}
+
+export default PersonalAccessToken;
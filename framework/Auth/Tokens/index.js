@@ -0,0 +1,7 @@
+/**
+ * Personal Access Token Exports
+ */
+
+export { PersonalAccessToken } from './PersonalAccessToken.js';
+export { NewAccessToken } from './NewAccessToken.js';
+export { HasApiTokens } from './HasApiTokens.js';
@@ -95,6 +95,24 @@ export class DatabaseUserProvider {
     return await this.hasher.check(plain, hashed);
   }
 
+  /**
+   * Rehash the user's password when its hash is outdated
+   */
+  async rehashPasswordIfRequired(user, credentials, force = false) {
+    if (!force && !this.hasher.needsRehash(user.getAuthPassword())) {
+      return;
+    }
+
+    const db = require('../../../database').default;
+    const password = await this.hasher.make(credentials.password);
+
+    await db(this.table)
+      .where('id', user.getAuthIdentifier())
+      .update({ password });
+
+    user.password = password;
+  }
+
   /**
    * Get generic user instance
    */
@@ -93,6 +93,22 @@ export class ModelUserProvider {
     return await this.hasher.check(plain, hashed);
   }
 
+  /**
+   * Rehash the user's password when its hash is outdated
+   */
+  async rehashPasswordIfRequired(user, credentials, force = false) {
+    const hashed = user.getAuthPassword?.() || user.password;
+
+    if (!force && !this.hasher.needsRehash(hashed)) {
+      return;
+    }
+
+    const column = user.getAuthPasswordName?.() || 'password';
+
+    user[column] = await this.hasher.make(credentials.password);
+    await user.save();
+  }
+
   /**
    * Create model instance
    */
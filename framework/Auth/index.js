@@ -7,3 +7,4 @@ export { SessionGuard } from './Guards/SessionGuard.js';
 export { TokenGuard } from './Guards/TokenGuard.js';
 export { ModelUserProvider } from './UserProviders/ModelUserProvider.js';
 export { DatabaseUserProvider } from './UserProviders/DatabaseUserProvider.js';
+export { PersonalAccessToken, NewAccessToken, HasApiTokens } from './Tokens/index.js';
@@ -0,0 +1,41 @@
+/**
+ * Broadcast Event
+ * Job that broadcasts an event on a queue worker
+ *
+ * The channels, name and payload are resolved when the event is dispatched,
+ * so the worker does not need the event class. The event's tries, backoff
+ * and timeout apply to the job.
+ */
+
+import { Job } from '../Services/Queue/Job.js';
+import Broadcast from '../Support/Facades/Broadcast.js';
+
+export class BroadcastEvent extends Job {
+  /**
+   * @param {Object} message - { channels, event, payload, socket, broadcaster }
+   * @param {Object} options - The event's tries, backoff and timeout
+   */
+  constructor(message = {}, options = {}) {
+    super();
+    this.channels = message.channels || [];
+    this.event = message.event;
+    this.payload = message.payload || {};
+    this.socket = message.socket || null;
+    this.broadcaster = message.broadcaster || null;
+
+    for (const key of ['tries', 'backoff', 'timeout']) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * Send the event to its channels
+   */
+  async handle() {
+    await Broadcast.connection(this.broadcaster).broadcast(this.channels, this.event, this.payload, this.socket);
+  }
+}
+
+export default BroadcastEvent;
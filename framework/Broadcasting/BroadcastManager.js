@@ -3,11 +3,19 @@
  * Laravel-inspired broadcasting for real-time events
  */
 
+import { PusherBroadcaster } from './Broadcasters/PusherBroadcaster.js';
+import { RedisBroadcaster } from './Broadcasters/RedisBroadcaster.js';
+import { LogBroadcaster } from './Broadcasters/LogBroadcaster.js';
+import { NullBroadcaster } from './Broadcasters/NullBroadcaster.js';
+import { WebSocketBroadcaster } from './Broadcasters/WebSocketBroadcaster.js';
+import { BroadcastEvent } from './BroadcastEvent.js';
+
 export class BroadcastManager {
   constructor(app) {
     this.app = app;
     this.drivers = new Map();
     this.customCreators = new Map();
+    this.channels = new Map();
   }
 
   /**
@@ -36,24 +44,39 @@ export class BroadcastManager {
   resolve(name) {
     const config = this.getConfig(name);
 
-    if (this.customCreators.has(config.driver)) {
-      return this.customCreators.get(config.driver)(this.app, config);
+    if (!config) {
+      throw new Error(`Broadcast connection [${name}] is not defined.`);
     }
 
-    const method = `create${this.studly(config.driver)}Driver`;
+    let broadcaster;
+
+    if (this.customCreators.has(config.driver)) {
+      broadcaster = this.customCreators.get(config.driver)(this.app, config);
+    } else {
+      const method = `create${this.studly(config.driver)}Driver`;
+
+      if (typeof this[method] !== 'function') {
+        throw new Error(`Driver [${config.driver}] is not supported.`);
+      }
+
+      broadcaster = this[method](config);
+    }
 
-    if (typeof this[method] !== 'function') {
-      throw new Error(`Driver [${config.driver}] is not supported.`);
+    // Every broadcaster authorizes against the same channel callbacks
+    if (typeof broadcaster.setChannels === 'function') {
+      broadcaster.setChannels(this.channels);
+      broadcaster.resolveAuthenticatedUserUsing((request, guards) =>
+        this.retrieveUser(request, guards || config.guards)
+      );
     }
 
-    return this[method](config);
+    return broadcaster;
   }
 
   /**
    * Create Pusher driver
    */
   createPusherDriver(config) {
-    const { PusherBroadcaster } = require('./Broadcasters/PusherBroadcaster.js');
     return new PusherBroadcaster(config);
   }
 
@@ -61,7 +84,6 @@ export class BroadcastManager {
    * Create Redis driver
    */
   createRedisDriver(config) {
-    const { RedisBroadcaster } = require('./Broadcasters/RedisBroadcaster.js');
     const redis = this.app.make('redis');
     return new RedisBroadcaster(redis, config);
   }
@@ -70,7 +92,6 @@ export class BroadcastManager {
    * Create Log driver
    */
   createLogDriver(config) {
-    const { LogBroadcaster } = require('./Broadcasters/LogBroadcaster.js');
     const logger = this.app.make('log');
     return new LogBroadcaster(logger);
   }
@@ -79,35 +100,145 @@ export class BroadcastManager {
    * Create Null driver
    */
   createNullDriver(config) {
-    const { NullBroadcaster } = require('./Broadcasters/NullBroadcaster.js');
     return new NullBroadcaster();
   }
 
+  /**
+   * Create WebSocket driver for the built-in server
+   */
+  createWebsocketDriver(config) {
+    const redis = config.redis ? this.app.make('redis') : null;
+    return new WebSocketBroadcaster(config, redis);
+  }
+
+  /**
+   * Register a channel authorization callback
+   *
+   * @example
+   * Broadcast.channel('orders.{orderId}', (user, orderId) => user.id === Number(orderId));
+   * Broadcast.channel('chat.{roomId}', (user) => ({ id: user.id, name: user.name }));
+   */
+  channel(pattern, callback, options = {}) {
+    this.channels.set(pattern, { callback, options });
+    return this;
+  }
+
+  /**
+   * Authorize a channel subscription request with the default broadcaster
+   */
+  async auth(request) {
+    return await this.driver().auth(request);
+  }
+
+  /**
+   * Get the user of a channel authorization request
+   *
+   * Uses request.user when the authenticate middleware ran, otherwise asks
+   * the given guards (default: the default guard) in turn.
+   */
+  async retrieveUser(request, guards = null) {
+    if (request.user) {
+      return request.user;
+    }
+
+    if (!this.app.has('auth')) {
+      return null;
+    }
+
+    const auth = this.app.make('auth');
+
+    for (const name of [].concat(guards || [null])) {
+      const guard = auth.guard(name);
+
+      if (typeof guard.setRequest === 'function') {
+        guard.setRequest(request);
+      }
+
+      const user = await guard.user();
+
+      if (user) {
+        return user;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Queue an event for broadcast
+   *
+   * Events are broadcast at once when no queue is registered or their class
+   * declares `static broadcastNow = true`. Otherwise a BroadcastEvent job is
+   * pushed on the event's connection and broadcastQueue (or queue).
    */
   async queue(event) {
-    const queue = this.app.make('queue');
-    
-    const queueName = event.broadcastQueue || event.queue || null;
-    const connection = event.connection || null;
+    if (event.constructor.broadcastNow || !this.app.has('queue')) {
+      return await this.broadcast(event);
+    }
 
-    await queue.connection(connection).push('BroadcastEvent', {
-      event: event.constructor.name,
-      data: event
-    }, queueName);
+    const channels = this.channelNames(event.broadcastOn());
+
+    if (channels.length === 0) {
+      return;
+    }
+
+    const job = new BroadcastEvent({
+      channels,
+      event: this.eventName(event),
+      payload: this.eventPayload(event),
+      socket: event.socket || null,
+      broadcaster: event.broadcastConnection || null,
+    }, event);
+
+    await this.app.make('queue')
+      .connection(event.connection || null)
+      .push(job, {}, event.broadcastQueue || event.queue || null);
   }
 
   /**
    * Broadcast event immediately
    */
   async broadcast(event, channels = null) {
-    channels = channels || event.broadcastOn();
-    const data = event.broadcastWith ? event.broadcastWith() : event;
-    const eventName = event.broadcastAs ? event.broadcastAs() : event.constructor.name;
+    channels = this.channelNames(channels || event.broadcastOn());
+
+    if (channels.length === 0) {
+      return;
+    }
+
+    const driver = this.driver(event.broadcastConnection || null);
+    await driver.broadcast(channels, this.eventName(event), this.eventPayload(event), event.socket || null);
+  }
+
+  /**
+   * Get the name an event is broadcast as
+   */
+  eventName(event) {
+    return typeof event.broadcastAs === 'function' ? event.broadcastAs() : event.constructor.name;
+  }
+
+  /**
+   * Get the JSON payload of an event: broadcastWith(), or its properties
+   *
+   * Models are serialized with toJSON().
+   */
+  eventPayload(event) {
+    let payload = typeof event.broadcastWith === 'function' ? event.broadcastWith() : null;
+
+    if (!payload) {
+      const control = ['socket', 'connection', 'queue', 'broadcastQueue', 'broadcastConnection', 'tries', 'backoff', 'timeout'];
+      payload = Object.fromEntries(Object.entries(event).filter(([key]) => !control.includes(key)));
+    }
 
-    const driver = this.driver();
-    await driver.broadcast(this.formatChannels(channels), eventName, data);
+    return JSON.parse(JSON.stringify(payload));
+  }
+
+  /**
+   * Get the names of channel objects and strings
+   */
+  channelNames(channels) {
+    return this.formatChannels(channels || [])
+      .map(channel => (typeof channel === 'object' && channel.name ? channel.name : channel))
+      .filter(Boolean);
   }
 
   /**
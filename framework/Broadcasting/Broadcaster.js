@@ -1,9 +1,25 @@
 /**
  * Broadcaster Interface
  * Base class for all broadcasters
+ *
+ * Holds the channel authorization callbacks. A callback receives the
+ * authenticated user and the parameters of the channel pattern, and returns
+ * true (or the member's info, for presence channels) to grant access.
+ *
+ * @example
+ * broadcaster.channel('orders.{orderId}', async (user, orderId) => {
+ *   return (await Order.find(orderId))?.user_id === user.id;
+ * });
  */
 
+import { ForbiddenError } from '../Exceptions/index.js';
+
 export class Broadcaster {
+  constructor() {
+    this.channels = new Map();
+    this.authenticatedUserCallback = null;
+  }
+
   /**
    * Broadcast event to channels
    */
@@ -24,6 +40,110 @@ export class Broadcaster {
   async validAuthenticationResponse(request, result) {
     throw new Error('Method validAuthenticationResponse() must be implemented');
   }
+
+  /**
+   * Register a channel authorization callback
+   *
+   * @param {string} pattern - Channel name without its private-/presence- prefix; {name} matches a segment
+   * @param {Function} callback - (user, ...parameters) => boolean | object
+   * @param {Object} options - { guards } passed to the user resolver
+   */
+  channel(pattern, callback, options = {}) {
+    this.channels.set(pattern, { callback, options });
+    return this;
+  }
+
+  /**
+   * Share a registry of channel callbacks with other broadcasters
+   */
+  setChannels(channels) {
+    this.channels = channels;
+    return this;
+  }
+
+  /**
+   * Resolve the authenticated user of a request with the given callback
+   *
+   * The callback receives the request and the channel's guards; without
+   * one, request.user set by the authenticate middleware is used.
+   */
+  resolveAuthenticatedUserUsing(callback) {
+    this.authenticatedUserCallback = callback;
+    return this;
+  }
+
+  /**
+   * Get the authenticated user of a request
+   */
+  async retrieveUser(request, options = {}) {
+    if (this.authenticatedUserCallback) {
+      return await this.authenticatedUserCallback(request, options.guards || null);
+    }
+
+    return request.user || null;
+  }
+
+  /**
+   * Run the callback of the channel a user asks to join
+   *
+   * @returns {Promise<{ user: Object, result: boolean|Object }>}
+   * @throws {ForbiddenError} When the user is not authenticated or not allowed
+   */
+  async verifyUserCanAccessChannel(request, channel) {
+    const name = this.normalizeChannelName(channel);
+
+    for (const [pattern, { callback, options }] of this.channels) {
+      const parameters = this.extractChannelParameters(pattern, name);
+
+      if (!parameters) {
+        continue;
+      }
+
+      const user = await this.retrieveUser(request, options);
+
+      if (!user) {
+        throw new ForbiddenError(`Unauthenticated request for channel [${channel}].`);
+      }
+
+      const result = await callback(user, ...parameters);
+
+      if (!result) {
+        break;
+      }
+
+      return { user, result };
+    }
+
+    throw new ForbiddenError(`Access to channel [${channel}] denied.`);
+  }
+
+  /**
+   * Get the parameters of a channel name matching a pattern, or null
+   */
+  extractChannelParameters(pattern, channel) {
+    const expression = pattern
+      .split(/(\{\w+\})/)
+      .map(part => (/^\{\w+\}$/.test(part) ? '([^.]+)' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('');
+
+    const match = channel.match(new RegExp(`^${expression}$`));
+
+    return match ? match.slice(1) : null;
+  }
+
+  /**
+   * Strip the private-, private-encrypted- and presence- prefixes
+   */
+  normalizeChannelName(channel) {
+    return String(channel).replace(/^(private-encrypted-|private-|presence-)/, '');
+  }
+
+  /**
+   * Determine if a channel requires authorization
+   */
+  isGuardedChannel(channel) {
+    return /^(private-|presence-)/.test(String(channel));
+  }
 }
 
 export default Broadcaster;
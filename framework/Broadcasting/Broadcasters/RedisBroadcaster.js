@@ -14,14 +14,17 @@ export class RedisBroadcaster extends Broadcaster {
 
   /**
    * Broadcast event to channels
+   *
+   * @param {string|null} socket - Socket id of the sender, who does not receive the event
    */
-  async broadcast(channels, event, payload = {}) {
+  async broadcast(channels, event, payload = {}, socket = null) {
     const connection = this.redis.connection(this.config.connection || null);
+    const prefix = this.config.prefix || '';
 
     const message = JSON.stringify({
       event,
       data: payload,
-      socket: null
+      socket
     });
 
     for (const channel of channels) {
@@ -29,7 +32,7 @@ export class RedisBroadcaster extends Broadcaster {
         ? channel.name
         : channel;
 
-      await connection.publish(channelName, message);
+      await connection.publish(prefix + channelName, message);
     }
   }
 
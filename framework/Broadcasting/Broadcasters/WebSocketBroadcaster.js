@@ -0,0 +1,110 @@
+/**
+ * WebSocket Broadcaster
+ * Broadcast through the built-in Pusher-protocol server (`vasuzex broadcast:serve`)
+ *
+ * Events are published on Redis when a `redis` connection is configured, so
+ * every server node receives them; otherwise they are posted to the server's
+ * Pusher HTTP API. Channel subscriptions are signed with the app secret after
+ * the channel's authorization callback grants access.
+ */
+
+import Broadcaster from '../Broadcaster.js';
+import { RedisBroadcaster } from './RedisBroadcaster.js';
+import { PusherSignature } from '../PusherSignature.js';
+import { BadRequestError } from '../../Exceptions/index.js';
+
+export class WebSocketBroadcaster extends Broadcaster {
+  constructor(config, redis = null) {
+    super();
+    this.config = config;
+    this.redis = config.redis && redis
+      ? new RedisBroadcaster(redis, { connection: config.redis, prefix: config.redis_prefix })
+      : null;
+  }
+
+  /**
+   * Broadcast event to channels
+   *
+   * @param {string|null} socket - Socket id of the sender, who does not receive the event
+   */
+  async broadcast(channels, event, payload = {}, socket = null) {
+    const names = channels.map(channel => (typeof channel === 'object' && channel.name ? channel.name : channel));
+
+    if (this.redis) {
+      return await this.redis.broadcast(names, event, payload, socket);
+    }
+
+    // The HTTP API takes up to 100 channels per event
+    for (let i = 0; i < names.length; i += 100) {
+      await this.post('events', {
+        name: event,
+        channels: names.slice(i, i + 100),
+        data: JSON.stringify(payload),
+        ...(socket ? { socket_id: socket } : {}),
+      });
+    }
+  }
+
+  /**
+   * Post a signed request to the server's HTTP API
+   */
+  async post(resource, body) {
+    const { app_id: appId, key, secret, scheme = 'http', host = '127.0.0.1', port = 6001 } = this.config;
+    const path = `/apps/${appId}/${resource}`;
+    const json = JSON.stringify(body);
+    const query = new URLSearchParams(PusherSignature.signRequest(key, secret, 'POST', path, json));
+
+    const response = await fetch(`${scheme}://${host}:${port}${path}?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: json,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Broadcast to [${host}:${port}] failed with status ${response.status}: ${await response.text()}`);
+    }
+  }
+
+  /**
+   * Authorize a subscription to a private or presence channel
+   */
+  async auth(request) {
+    const { socket_id: socketId, channel_name: channel } = request.body || {};
+
+    if (!socketId || !channel) {
+      throw new BadRequestError('The socket_id and channel_name fields are required.');
+    }
+
+    if (!/^\d+\.\d+$/.test(socketId)) {
+      throw new BadRequestError(`Invalid socket id [${socketId}].`);
+    }
+
+    const result = await this.verifyUserCanAccessChannel(request, channel);
+
+    return this.validAuthenticationResponse(request, result);
+  }
+
+  /**
+   * Sign the subscription, with the member's data for presence channels
+   */
+  async validAuthenticationResponse(request, { user, result }) {
+    const { socket_id: socketId, channel_name: channel } = request.body;
+    const { key, secret } = this.config;
+
+    if (!channel.startsWith('presence-')) {
+      return { auth: PusherSignature.channelAuth(key, secret, socketId, channel) };
+    }
+
+    const channelData = JSON.stringify({
+      user_id: String(user.getAuthIdentifierForBroadcasting?.() ?? user.getAuthIdentifier?.() ?? user.id),
+      user_info: result && typeof result === 'object' ? result : {},
+    });
+
+    return {
+      auth: PusherSignature.channelAuth(key, secret, socketId, channel, channelData),
+      channel_data: channelData,
+    };
+  }
+}
+
+export default WebSocketBroadcaster;
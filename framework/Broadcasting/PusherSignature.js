@@ -0,0 +1,108 @@
+/**
+ * Pusher Signature
+ * HMAC-SHA256 signatures of the Pusher protocol
+ *
+ * Channel subscriptions carry `key:signature` of "socket_id:channel"
+ * (plus ":channel_data" for presence channels). HTTP API requests are
+ * signed over "METHOD\npath\nsorted query".
+ */
+
+import crypto from 'crypto';
+
+export class PusherSignature {
+  /**
+   * Sign a string with the app secret
+   */
+  static sign(secret, value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+  }
+
+  /**
+   * Get the auth string of a channel subscription
+   */
+  static channelAuth(key, secret, socketId, channel, channelData = null) {
+    const value = channelData === null
+      ? `${socketId}:${channel}`
+      : `${socketId}:${channel}:${channelData}`;
+
+    return `${key}:${PusherSignature.sign(secret, value)}`;
+  }
+
+  /**
+   * Check the auth string a client sent with a subscription
+   */
+  static verifyChannelAuth(key, secret, auth, socketId, channel, channelData = null) {
+    const expected = PusherSignature.channelAuth(key, secret, socketId, channel, channelData);
+    return PusherSignature.equals(expected, auth);
+  }
+
+  /**
+   * Get the query parameters of a signed HTTP API request
+   */
+  static signRequest(key, secret, method, path, body = '', timestamp = Math.floor(Date.now() / 1000)) {
+    const params = {
+      auth_key: key,
+      auth_timestamp: String(timestamp),
+      auth_version: '1.0',
+    };
+
+    if (body) {
+      params.body_md5 = crypto.createHash('md5').update(body).digest('hex');
+    }
+
+    params.auth_signature = PusherSignature.sign(
+      secret,
+      [method.toUpperCase(), path, PusherSignature.query(params)].join('\n')
+    );
+
+    return params;
+  }
+
+  /**
+   * Check the signature, body hash and age of an HTTP API request
+   */
+  static verifyRequest(key, secret, method, path, params = {}, body = '', maxAge = 600) {
+    if (params.auth_key !== key || !params.auth_signature) {
+      return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(params.auth_timestamp)) > maxAge) {
+      return false;
+    }
+
+    if (body && params.body_md5 !== crypto.createHash('md5').update(body).digest('hex')) {
+      return false;
+    }
+
+    const { auth_signature: signature, ...signed } = params;
+    const expected = PusherSignature.sign(
+      secret,
+      [method.toUpperCase(), path, PusherSignature.query(signed)].join('\n')
+    );
+
+    return PusherSignature.equals(expected, signature);
+  }
+
+  /**
+   * Build the query string of signed parameters, sorted by lowercase key
+   */
+  static query(params) {
+    return Object.keys(params)
+      .map(name => [name.toLowerCase(), params[name]])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+  }
+
+  /**
+   * Compare two strings in constant time
+   */
+  static equals(expected, actual) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual ?? ''));
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+export default PusherSignature;
@@ -0,0 +1,144 @@
+/**
+ * Channel Manager
+ * Channel subscriptions and presence membership of the broadcast server
+ *
+ * Subscriptions are local to a node. Presence members are kept in a Redis
+ * hash per channel (field: socket id) when a Redis connection is given, so
+ * every node sees the members connected to the others.
+ */
+
+export class ChannelManager {
+  /**
+   * @param {Object|null} redis - ioredis connection shared by the nodes
+   * @param {string} prefix - Prefix of the presence hash keys
+   */
+  constructor(redis = null, prefix = '') {
+    this.redis = redis;
+    this.prefix = prefix;
+    this.subscriptions = new Map(); // channel => Set<Connection>
+    this.presence = new Map(); // channel => Map<socket id, member>
+  }
+
+  /**
+   * Subscribe a connection to a channel
+   */
+  subscribe(channel, connection) {
+    if (!this.subscriptions.has(channel)) {
+      this.subscriptions.set(channel, new Set());
+    }
+
+    this.subscriptions.get(channel).add(connection);
+    connection.channels.add(channel);
+  }
+
+  /**
+   * Unsubscribe a connection; returns false when it was not subscribed
+   */
+  unsubscribe(channel, connection) {
+    const connections = this.subscriptions.get(channel);
+
+    if (!connections?.delete(connection)) {
+      return false;
+    }
+
+    if (connections.size === 0) {
+      this.subscriptions.delete(channel);
+    }
+
+    connection.channels.delete(channel);
+
+    return true;
+  }
+
+  /**
+   * Get the connections of this node subscribed to a channel
+   */
+  connections(channel) {
+    return [...(this.subscriptions.get(channel) || [])];
+  }
+
+  /**
+   * Add a member to a presence channel
+   *
+   * @returns {Promise<boolean>} Whether the user was not a member already
+   */
+  async join(channel, socketId, member) {
+    if (!this.presence.has(channel)) {
+      this.presence.set(channel, new Map());
+    }
+
+    this.presence.get(channel).set(socketId, member);
+
+    if (this.redis) {
+      await this.redis.hset(this.key(channel), socketId, JSON.stringify(member));
+    }
+
+    const members = await this.members(channel);
+
+    return members.filter(other => other.user_id === member.user_id).length === 1;
+  }
+
+  /**
+   * Remove a socket's member from a presence channel
+   *
+   * @returns {Promise<Object|null>} The member when the user has no other socket left in the channel
+   */
+  async leave(channel, socketId) {
+    const local = this.presence.get(channel);
+    const member = local?.get(socketId);
+
+    if (!member) {
+      return null;
+    }
+
+    local.delete(socketId);
+
+    if (local.size === 0) {
+      this.presence.delete(channel);
+    }
+
+    if (this.redis) {
+      await this.redis.hdel(this.key(channel), socketId);
+    }
+
+    const members = await this.members(channel);
+
+    return members.some(other => other.user_id === member.user_id) ? null : member;
+  }
+
+  /**
+   * Get the member of every socket in a presence channel
+   */
+  async members(channel) {
+    if (this.redis) {
+      const hash = await this.redis.hgetall(this.key(channel));
+      return Object.values(hash || {}).map(value => JSON.parse(value));
+    }
+
+    return [...(this.presence.get(channel)?.values() || [])];
+  }
+
+  /**
+   * Get the presence data sent with a subscription, one entry per user
+   */
+  async presenceData(channel) {
+    const hash = {};
+
+    for (const member of await this.members(channel)) {
+      hash[member.user_id] = member.user_info ?? {};
+    }
+
+    const ids = Object.keys(hash);
+
+    return { presence: { ids, hash, count: ids.length } };
+  }
+
+  /**
+   * Get the Redis key of a presence channel's members
+   */
+  key(channel) {
+    return `${this.prefix}presence:${channel}`;
+  }
+}
+
+export default ChannelManager;
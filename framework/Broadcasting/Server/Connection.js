@@ -0,0 +1,51 @@
+/**
+ * Connection
+ * A client socket of the broadcast server
+ */
+
+import crypto from 'crypto';
+
+export class Connection {
+  /**
+   * @param {Object} socket - faye-websocket socket
+   */
+  constructor(socket) {
+    this.socket = socket;
+    this.id = `${crypto.randomInt(1, 2 ** 31)}.${crypto.randomInt(1, 2 ** 31)}`;
+    this.channels = new Set();
+    this.members = new Map(); // presence channel => { user_id, user_info }
+    this.lastActivity = Date.now();
+    this.pinged = false;
+  }
+
+  /**
+   * Send a Pusher protocol message
+   */
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * Send a pusher:error message
+   */
+  error(message, code = null) {
+    this.send({ event: 'pusher:error', data: { message, code } });
+  }
+
+  /**
+   * Record activity, which postpones the next ping
+   */
+  touch() {
+    this.lastActivity = Date.now();
+    this.pinged = false;
+  }
+
+  /**
+   * Close the socket with a Pusher close code
+   */
+  close(code = 4200, reason = '') {
+    this.socket.close(code, reason);
+  }
+}
+
+export default Connection;
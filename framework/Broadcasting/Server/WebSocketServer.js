@@ -0,0 +1,517 @@
+/**
+ * WebSocket Server
+ * Self-hosted broadcast server speaking the Pusher protocol (version 7)
+ *
+ * Pusher clients (pusher-js, Laravel Echo) connect to ws://host:port/app/{key}.
+ * Private and presence subscriptions must carry a signature from the
+ * broadcaster's auth endpoint, which this server also serves. Events arrive
+ * through the Pusher HTTP API (POST /apps/{app_id}/events) or, when Redis is
+ * configured, from the Redis broadcaster on every node.
+ *
+ * @example
+ * const server = new WebSocketServer(config.broadcasting.connections.websocket, {
+ *   broadcaster: Broadcast.driver('websocket'),
+ * });
+ * await server.start();
+ */
+
+import http from 'http';
+import WebSocket from 'faye-websocket';
+import { Connection } from './Connection.js';
+import { ChannelManager } from './ChannelManager.js';
+import { PusherSignature } from '../PusherSignature.js';
+
+const MAX_REQUEST_SIZE = 1024 * 1024;
+
+export class WebSocketServer {
+  /**
+   * @param {Object} config - The websocket broadcast connection
+   * @param {Object} options
+   * @param {Object} [options.broadcaster] - Broadcaster authorizing the auth endpoint's requests
+   * @param {Object} [options.redis] - ioredis connection for fan-out between nodes
+   * @param {Object} [options.subscriber] - ioredis connection for pattern subscriptions (default: redis.duplicate())
+   * @param {Object} [options.logger] - Logger for errors (default: console)
+   */
+  constructor(config, options = {}) {
+    this.config = {
+      host: '0.0.0.0',
+      port: 6001,
+      activity_timeout: 30,
+      pong_timeout: 30,
+      client_events: true,
+      allowed_origins: ['*'],
+      auth_endpoint: '/broadcasting/auth',
+      max_message_size: 10 * 1024,
+      redis_prefix: '',
+      ...config,
+    };
+    this.broadcaster = options.broadcaster || null;
+    this.redis = options.redis || null;
+    this.subscriber = options.subscriber || null;
+    this.logger = options.logger || console;
+    this.channels = new ChannelManager(this.redis, this.config.redis_prefix);
+    this.connections = new Set();
+    this.server = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start listening for connections
+   */
+  async start() {
+    if (this.redis) {
+      this.subscriber = this.subscriber || this.redis.duplicate();
+      this.subscriber.on('pmessage', (pattern, channel, message) => this.receive(channel, message));
+      await this.subscriber.psubscribe(`${this.config.redis_prefix}*`);
+    }
+
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.on('upgrade', (request, socket, body) => this.handleUpgrade(request, socket, body));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    this.timer = setInterval(() => this.checkActivity(), 1000);
+
+    return this;
+  }
+
+  /**
+   * Disconnect every client and stop listening
+   */
+  async stop() {
+    clearInterval(this.timer);
+
+    for (const connection of [...this.connections]) {
+      await this.disconnect(connection);
+      connection.close(4200, 'Server shutting down');
+    }
+
+    if (this.subscriber) {
+      await this.subscriber.punsubscribe(`${this.config.redis_prefix}*`);
+      this.subscriber.disconnect?.();
+    }
+
+    if (this.server) {
+      this.server.closeAllConnections?.();
+      await new Promise(resolve => this.server.close(resolve));
+    }
+  }
+
+  /**
+   * Get the address the server listens on
+   */
+  address() {
+    return this.server?.address() || null;
+  }
+
+  /**
+   * Accept a WebSocket connection to /app/{key}
+   */
+  handleUpgrade(request, socket, body) {
+    const url = new URL(request.url, 'http://localhost');
+    const key = url.pathname.match(/^\/app\/([^/]+)$/)?.[1];
+
+    if (!WebSocket.isWebSocket(request) || !key || !this.isAllowedOrigin(request.headers.origin)) {
+      socket.destroy();
+      return;
+    }
+
+    const connection = new Connection(
+      new WebSocket(request, socket, body, [], { maxLength: this.config.max_message_size })
+    );
+
+    if (key !== this.config.key) {
+      return this.refuse(connection, `Application key [${key}] does not exist.`, 4001);
+    }
+
+    if (Number(url.searchParams.get('protocol') || 7) < 5) {
+      return this.refuse(connection, 'Unsupported protocol version.', 4007);
+    }
+
+    this.connections.add(connection);
+
+    connection.socket.on('message', event => this.handleMessage(connection, event.data));
+    connection.socket.on('close', () => this.disconnect(connection));
+
+    connection.send({
+      event: 'pusher:connection_established',
+      data: JSON.stringify({ socket_id: connection.id, activity_timeout: this.config.activity_timeout }),
+    });
+  }
+
+  /**
+   * Send a pusher:error and close the connection once its handshake completes
+   */
+  refuse(connection, message, code) {
+    connection.socket.on('open', () => {
+      connection.error(message, code);
+      connection.close(code, message);
+    });
+  }
+
+  /**
+   * Handle a message from a client
+   */
+  async handleMessage(connection, raw) {
+    connection.touch();
+
+    let message;
+
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return connection.error('Invalid JSON message.');
+    }
+
+    const data = typeof message.data === 'string' && message.event?.startsWith('pusher:')
+      ? this.parse(message.data)
+      : message.data;
+
+    try {
+      switch (message.event) {
+        case 'pusher:ping':
+          return connection.send({ event: 'pusher:pong', data: {} });
+        case 'pusher:pong':
+          return;
+        case 'pusher:subscribe':
+          return await this.subscribe(connection, data || {});
+        case 'pusher:unsubscribe':
+          return await this.unsubscribe(connection, data?.channel);
+        default:
+          if (String(message.event).startsWith('client-')) {
+            return await this.clientEvent(connection, message);
+          }
+      }
+    } catch (error) {
+      this.logger.error(`Broadcast server error: ${error.message}`);
+      connection.error('Internal server error.');
+    }
+  }
+
+  /**
+   * Subscribe a connection, checking the signature of private and presence channels
+   */
+  async subscribe(connection, { channel, auth, channel_data: channelData }) {
+    if (!channel || !/^[A-Za-z0-9_\-=@,.;]{1,200}$/.test(channel)) {
+      return connection.error(`Invalid channel name [${channel}].`);
+    }
+
+    if (connection.channels.has(channel)) {
+      return;
+    }
+
+    const presence = channel.startsWith('presence-');
+
+    if (channel.startsWith('private-') || presence) {
+      const valid = PusherSignature.verifyChannelAuth(
+        this.config.key, this.config.secret, auth, connection.id, channel, presence ? channelData ?? '' : null
+      );
+
+      if (!valid) {
+        return connection.send({
+          event: 'pusher:subscription_error',
+          channel,
+          data: { type: 'AuthError', error: `Invalid signature for channel [${channel}].`, status: 401 },
+        });
+      }
+    }
+
+    if (!presence) {
+      this.channels.subscribe(channel, connection);
+      return connection.send({ event: 'pusher_internal:subscription_succeeded', channel, data: '{}' });
+    }
+
+    const member = this.parse(channelData);
+
+    if (member?.user_id === undefined) {
+      return connection.error(`Presence channel [${channel}] requires channel_data with a user_id.`);
+    }
+
+    member.user_id = String(member.user_id);
+    connection.members.set(channel, member);
+    this.channels.subscribe(channel, connection);
+
+    const added = await this.channels.join(channel, connection.id, member);
+
+    connection.send({
+      event: 'pusher_internal:subscription_succeeded',
+      channel,
+      data: JSON.stringify(await this.channels.presenceData(channel)),
+    });
+
+    if (added) {
+      await this.publish(channel, 'pusher_internal:member_added', member, connection.id);
+    }
+  }
+
+  /**
+   * Unsubscribe a connection, announcing presence members that left
+   */
+  async unsubscribe(connection, channel) {
+    if (!this.channels.unsubscribe(channel, connection)) {
+      return;
+    }
+
+    connection.members.delete(channel);
+
+    const member = await this.channels.leave(channel, connection.id);
+
+    if (member) {
+      await this.publish(channel, 'pusher_internal:member_removed', { user_id: member.user_id }, connection.id);
+    }
+  }
+
+  /**
+   * Relay a client-* event to the other subscribers of a private or presence channel
+   */
+  async clientEvent(connection, { event, channel, data }) {
+    if (!this.config.client_events) {
+      return connection.error('Client events are not enabled.');
+    }
+
+    if (!/^(private-|presence-)/.test(channel || '')) {
+      return connection.error('Client events are only allowed on private and presence channels.');
+    }
+
+    if (!connection.channels.has(channel)) {
+      return connection.error(`Not subscribed to channel [${channel}].`);
+    }
+
+    // Presence channel events carry the sender's user_id
+    await this.publish(channel, event, data, connection.id, connection.members.get(channel)?.user_id);
+  }
+
+  /**
+   * Remove a closed connection from its channels
+   */
+  async disconnect(connection) {
+    if (!this.connections.delete(connection)) {
+      return;
+    }
+
+    for (const channel of [...connection.channels]) {
+      await this.unsubscribe(connection, channel);
+    }
+  }
+
+  /**
+   * Publish an event on every node, or locally without Redis
+   */
+  async publish(channel, event, data, socket = null, userId = undefined) {
+    if (this.redis) {
+      const message = { event, data, socket, ...(userId !== undefined ? { user_id: userId } : {}) };
+      await this.redis.publish(this.config.redis_prefix + channel, JSON.stringify(message));
+      return;
+    }
+
+    this.deliver(channel, event, data, socket, userId);
+  }
+
+  /**
+   * Handle a message the Redis broadcaster published
+   */
+  receive(redisChannel, raw) {
+    const message = this.parse(raw);
+
+    if (!message?.event) {
+      return;
+    }
+
+    this.deliver(
+      redisChannel.slice(this.config.redis_prefix.length),
+      message.event,
+      message.data,
+      message.socket,
+      message.user_id
+    );
+  }
+
+  /**
+   * Send an event to this node's subscribers of a channel, except the sender
+   */
+  deliver(channel, event, data, socket = null, userId = undefined) {
+    const message = {
+      event,
+      channel,
+      data: typeof data === 'string' ? data : JSON.stringify(data ?? {}),
+      ...(userId !== undefined ? { user_id: userId } : {}),
+    };
+
+    for (const connection of this.channels.connections(channel)) {
+      if (connection.id !== socket) {
+        connection.send(message);
+      }
+    }
+  }
+
+  /**
+   * Ping idle connections and close those that did not answer
+   */
+  checkActivity() {
+    const now = Date.now();
+
+    for (const connection of this.connections) {
+      const idle = (now - connection.lastActivity) / 1000;
+
+      if (connection.pinged && idle > this.config.activity_timeout + this.config.pong_timeout) {
+        this.disconnect(connection);
+        connection.close(4201, 'Pong reply not received');
+      } else if (!connection.pinged && idle > this.config.activity_timeout) {
+        connection.pinged = true;
+        connection.send({ event: 'pusher:ping', data: {} });
+      }
+    }
+  }
+
+  /**
+   * Serve the Pusher HTTP API and the channel auth endpoint
+   */
+  async handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const cors = this.corsHeaders(request.headers.origin);
+
+    try {
+      if (request.method === 'OPTIONS') {
+        return this.respond(response, 204, null, cors);
+      }
+
+      const body = await this.readBody(request);
+      const api = url.pathname.match(/^\/apps\/([^/]+)\/(events|batch_events)$/);
+
+      if (request.method === 'POST' && api) {
+        return this.respond(response, ...await this.handleApiRequest(api[1], api[2], url, body));
+      }
+
+      if (request.method === 'POST' && this.broadcaster && url.pathname === this.config.auth_endpoint) {
+        const result = await this.broadcaster.auth({
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          query: Object.fromEntries(url.searchParams),
+          body: this.parseBody(request.headers['content-type'], body),
+        });
+
+        return this.respond(response, 200, result, cors);
+      }
+
+      this.respond(response, 404, { error: 'Not found' });
+    } catch (error) {
+      const status = error.statusCode || 500;
+
+      if (status >= 500) {
+        this.logger.error(`Broadcast server error: ${error.message}`);
+      }
+
+      this.respond(response, status, { error: status >= 500 ? 'Internal server error' : error.message }, cors);
+    }
+  }
+
+  /**
+   * Publish the events of a signed HTTP API request
+   *
+   * @returns {Array} Status and body of the response
+   */
+  async handleApiRequest(appId, resource, url, body) {
+    if (appId !== String(this.config.app_id)) {
+      return [404, { error: `Unknown app [${appId}]` }];
+    }
+
+    const params = Object.fromEntries(url.searchParams);
+
+    if (!PusherSignature.verifyRequest(this.config.key, this.config.secret, 'POST', url.pathname, params, body)) {
+      return [401, { error: 'Invalid signature' }];
+    }
+
+    const payload = this.parse(body) || {};
+    const events = resource === 'batch_events' ? payload.batch || [] : [payload];
+
+    for (const { name, channel, channels, data, socket_id: socket } of events) {
+      for (const target of channels || [channel]) {
+        await this.publish(target, name, data, socket || null);
+      }
+    }
+
+    return [200, {}];
+  }
+
+  /**
+   * Check the Origin header of a connection against allowed_origins
+   */
+  isAllowedOrigin(origin) {
+    const allowed = [].concat(this.config.allowed_origins);
+    return allowed.includes('*') || !origin || allowed.includes(origin);
+  }
+
+  /**
+   * Get the CORS headers for a browser request to the auth endpoint
+   */
+  corsHeaders(origin) {
+    if (!origin || !this.isAllowedOrigin(origin)) {
+      return {};
+    }
+
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Requested-With, X-Socket-ID',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Vary': 'Origin',
+    };
+  }
+
+  /**
+   * Read a request body up to 1 MB
+   */
+  readBody(request) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      request.setEncoding('utf8');
+      request.on('data', chunk => {
+        body += chunk;
+
+        if (body.length > MAX_REQUEST_SIZE) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          request.destroy();
+        }
+      });
+      request.on('end', () => resolve(body));
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Parse a JSON or form encoded request body
+   */
+  parseBody(contentType = '', body = '') {
+    if (contentType.includes('application/json')) {
+      return this.parse(body) || {};
+    }
+
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  /**
+   * Parse JSON, or return null
+   */
+  parse(value) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Send a JSON response
+   */
+  respond(response, status, body, headers = {}) {
+    response.writeHead(status, body === null ? headers : { 'Content-Type': 'application/json', ...headers });
+    response.end(body === null ? undefined : JSON.stringify(body));
+  }
+}
+
+export default WebSocketServer;
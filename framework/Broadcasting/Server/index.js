@@ -0,0 +1,7 @@
+/**
+ * Broadcast Server Exports
+ */
+
+export { WebSocketServer } from './WebSocketServer.js';
+export { ChannelManager } from './ChannelManager.js';
+export { Connection } from './Connection.js';
@@ -4,4 +4,8 @@
 
 export { BroadcastManager } from './BroadcastManager.js';
 export { Broadcaster } from './Broadcaster.js';
+export { BroadcastEvent } from './BroadcastEvent.js';
+export { PusherSignature } from './PusherSignature.js';
+export { WebSocketBroadcaster } from './Broadcasters/WebSocketBroadcaster.js';
+export { WebSocketServer, ChannelManager, Connection } from './Server/index.js';
 export { Channel, PrivateChannel, PresenceChannel, EncryptedPrivateChannel } from './Channels.js';
@@ -0,0 +1,68 @@
+/**
+ * Broadcast Commands
+ * Run the built-in WebSocket broadcast server
+ */
+
+import { AuthServiceProvider } from '../../Foundation/Providers/AuthServiceProvider.js';
+import { BroadcastServiceProvider } from '../../Foundation/Providers/BroadcastServiceProvider.js';
+import { WebSocketServer } from '../../Broadcasting/Server/WebSocketServer.js';
+import { bootConsoleApplication } from './utils/index.js';
+
+/**
+ * Broadcast serve command
+ *
+ * Serves Pusher clients on the given websocket connection (default: the
+ * default broadcaster when it is a websocket one, else "websocket").
+ */
+export async function broadcastServe(connection, options = {}) {
+  try {
+    const app = await bootConsoleApplication(
+      [AuthServiceProvider, BroadcastServiceProvider],
+      { bootstrap: options.bootstrap }
+    );
+
+    const defaultName = app.config('broadcasting.default');
+    const name = connection
+      || (app.config(`broadcasting.connections.${defaultName}.driver`) === 'websocket' ? defaultName : 'websocket');
+    const config = app.config(`broadcasting.connections.${name}`);
+
+    if (config?.driver !== 'websocket') {
+      throw new Error(`Broadcast connection [${name}] does not use the websocket driver.`);
+    }
+
+    if (!config.key || !config.secret) {
+      throw new Error(`Broadcast connection [${name}] needs a key and secret (BROADCAST_APP_KEY, BROADCAST_APP_SECRET).`);
+    }
+
+    const server = new WebSocketServer(
+      {
+        ...config,
+        host: options.host || config.host,
+        port: Number(options.port || config.port || 6001),
+      },
+      {
+        broadcaster: app.make('broadcast').driver(name),
+        redis: config.redis ? app.make('redis').connection(config.redis) : null,
+      }
+    );
+
+    await server.start();
+
+    const stop = async () => {
+      console.log('\n⏹️  Stopping broadcast server...');
+      await server.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    const { address, port } = server.address();
+    console.log(`📡 Broadcasting [${name}] on ws://${address}:${port}/app/${config.key}`);
+    console.log(config.redis
+      ? `🔁 Fanning out through Redis connection [${config.redis}]`
+      : '   Single node: set the connection\'s redis option to run several');
+  } catch (error) {
+    console.error('\n❌ Broadcast server failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -219,6 +219,8 @@ export async function dbSeed(options = {}) {
     const args = [];
     if (seeder) args.push('--class', seeder);
     if (options.force) args.push('--force');
+    // Factories in the seeder process read their Faker seed from the environment
+    if (options.factorySeed !== undefined) process.env.FACTORY_SEED = options.factorySeed;
     await runGuruORMCommand('db:seed', args);
     console.log('\n✅ Database seeded successfully!');
   } catch (error) {
@@ -0,0 +1,62 @@
+/**
+ * Event Commands
+ * List the project's events and their listeners
+ */
+
+import { EventServiceProvider } from '../../Foundation/Providers/EventServiceProvider.js';
+import { bootConsoleApplication } from './utils/index.js';
+import { resolve } from 'path';
+
+/**
+ * Describe a registered listener: its class or binding name, or Closure
+ */
+function describeListener(listener) {
+  if (typeof listener === 'string') {
+    return listener;
+  }
+
+  if (typeof listener?.prototype?.handle === 'function') {
+    return listener.shouldQueue ? `${listener.name} (queued)` : listener.name;
+  }
+
+  return 'Closure';
+}
+
+/**
+ * Event list command
+ *
+ * Shows the listeners discovered in events.listeners_path (default
+ * app/Listeners) and those registered by the bootstrap module.
+ */
+export async function eventList(options = {}) {
+  try {
+    const app = await bootConsoleApplication([EventServiceProvider], { bootstrap: options.bootstrap });
+    const events = app.make('events');
+    const configured = resolve(process.cwd(), app.config('events.listeners_path', 'app/Listeners'));
+
+    if (options.listeners && resolve(process.cwd(), options.listeners) !== configured) {
+      await events.discover(options.listeners);
+    }
+
+    const rows = Object.entries(events.getRawListeners())
+      .filter(([event]) => !options.event || event.toLowerCase().includes(options.event.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([event, listeners]) => ({ event, listeners: listeners.map(describeListener) }));
+
+    if (options.json) {
+      console.log(JSON.stringify(rows, null, 2));
+      process.exit(0);
+    }
+
+    if (rows.length === 0) {
+      console.log('✅ No events match the given criteria.');
+      process.exit(0);
+    }
+
+    console.table(rows.flatMap(({ event, listeners }) => listeners.map(listener => ({ event, listener }))));
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to list events:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Key Commands
+ * Rotate the application encryption key
+ */
+
+import { Model } from '../../Database/Model.js';
+import { Encrypter } from '../../Services/Encryption/Encrypter.js';
+import { KeyRotator } from '../../Services/Encryption/KeyRotator.js';
+import { bootConsoleApplication } from './utils/index.js';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Short fingerprint identifying a key without revealing it
+ */
+function fingerprint(key) {
+  return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Set variables in the .env file, replacing existing lines
+ */
+function writeEnvironment(path, values) {
+  let content = existsSync(path) ? readFileSync(path, 'utf8') : '';
+
+  for (const [name, value] of Object.entries(values)) {
+    const line = `${name}=${value}`;
+    const pattern = new RegExp(`^${name}=.*$`, 'm');
+
+    content = pattern.test(content)
+      ? content.replace(pattern, () => line)
+      : `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`;
+  }
+
+  writeFileSync(path, content);
+}
+
+/**
+ * Read the state of an unfinished rotation, or null
+ */
+function readState(path) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+}
+
+/**
+ * Save the state of the rotation
+ */
+function writeState(path, state) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Get the models exported by database/index.js and their encrypted columns
+ *
+ * Columns come from app.encrypted_columns, or from the models' 'encrypted' casts.
+ */
+async function encryptedModels(app) {
+  const databasePath = resolve(process.cwd(), 'database', 'index.js');
+
+  if (!existsSync(databasePath)) {
+    return [];
+  }
+
+  const database = await import(pathToFileURL(databasePath).href);
+  const configured = app.config('app.encrypted_columns', {}) || {};
+
+  return Object.values(database)
+    .filter(value => value?.prototype instanceof Model)
+    .map(model => ({
+      name: model.name,
+      table: model.table || new model().getTable(),
+      primaryKey: model.primaryKey || 'id',
+      columns: configured[model.name] || Object.entries(model.casts || {})
+        .filter(([, cast]) => typeof cast === 'string' && cast.startsWith('encrypted'))
+        .map(([column]) => column),
+    }))
+    .filter(model => model.columns.length > 0);
+}
+
+/**
+ * Key rotate command
+ *
+ * Writes a new APP_KEY to .env, moves the old key to APP_PREVIOUS_KEYS and
+ * re-encrypts the encrypted model columns in batches. The progress is kept
+ * in storage/framework/key-rotation.json, so an interrupted rotation can
+ * be finished with --resume.
+ */
+export async function keyRotate(options = {}) {
+  try {
+    const app = await bootConsoleApplication([], { bootstrap: options.bootstrap });
+    const statePath = resolve(process.cwd(), 'storage', 'framework', 'key-rotation.json');
+    const cipher = app.config('app.cipher', 'aes-256-cbc');
+    const batch = Number(options.batch) || 500;
+    let state = readState(statePath);
+    let key = app.config('app.key');
+    let previousKeys = app.config('app.previous_keys', []) || [];
+
+    if (state && !options.resume) {
+      throw new Error('A key rotation is unfinished. Run "vasuzex key:rotate --resume" to finish it.');
+    }
+
+    if (options.resume) {
+      if (!state) {
+        throw new Error('There is no unfinished key rotation to resume.');
+      }
+
+      if (!key || fingerprint(key) !== state.key) {
+        throw new Error('APP_KEY is not the key the unfinished rotation started with.');
+      }
+
+      console.log(`🔁 Resuming the key rotation started at ${state.started_at}...\n`);
+    } else {
+      if (!key) {
+        throw new Error('No application encryption key has been specified. Set APP_KEY first.');
+      }
+
+      previousKeys = [key, ...previousKeys.filter(previous => previous !== key)];
+      key = Encrypter.generateKey(cipher);
+
+      writeEnvironment(resolve(process.cwd(), '.env'), {
+        APP_KEY: key,
+        APP_PREVIOUS_KEYS: previousKeys.join(','),
+      });
+
+      state = { key: fingerprint(key), started_at: new Date().toISOString(), models: {} };
+      writeState(statePath, state);
+
+      console.log('🔑 New APP_KEY written to .env, the old key moved to APP_PREVIOUS_KEYS.\n');
+    }
+
+    const models = await encryptedModels(app);
+    const rotator = models.length > 0 ? new KeyRotator(app.make('db'), new Encrypter(key, cipher, previousKeys)) : null;
+
+    for (const { name, table, primaryKey, columns } of models) {
+      const progress = state.models[name] || { last: null, rows: 0, done: false };
+
+      if (progress.done) {
+        console.log(`✅ ${name}: already re-encrypted`);
+        continue;
+      }
+
+      const total = await app.make('db').table(table).count();
+      console.log(`🔄 ${name} (${table}): ${columns.join(', ')}`);
+
+      await rotator.rotate(table, columns, {
+        primaryKey,
+        batch,
+        after: progress.last,
+        onBatch: ({ rows, updated, last }) => {
+          progress.rows += rows;
+          progress.last = last;
+          state.models[name] = progress;
+          writeState(statePath, state);
+
+          console.log(`   ${Math.min(progress.rows, total)}/${total} rows (${updated} re-encrypted)`);
+        },
+      });
+
+      state.models[name] = { ...progress, done: true };
+      writeState(statePath, state);
+    }
+
+    rmSync(statePath, { force: true });
+
+    console.log(`\n✅ Key rotated${models.length > 0 ? ` and ${models.length} model(s) re-encrypted` : ''}.`);
+    console.log('   Restart the servers to use the new key. Remove the old key from APP_PREVIOUS_KEYS');
+    console.log('   once the sessions, cookies and tokens encrypted with it have expired.');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Key rotation failed:', error.message);
+    process.exit(1);
+  }
+}
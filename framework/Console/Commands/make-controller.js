@@ -0,0 +1,57 @@
+/**
+ * Make Controller Command
+ * Generate a resource controller and its BaseService
+ */
+
+import { join } from 'path';
+import {
+  createDirectory,
+  writeFileContent,
+  pathExists,
+  getAppPath,
+  readProjectName,
+  generateResourceControllerTemplate,
+  generateResourceServiceTemplate,
+} from './utils/index.js';
+
+/**
+ * Main make controller function
+ */
+export async function makeController(name, options = {}) {
+  const className = name.replace(/Controller$/, '');
+  const resource = options.resource || `${className.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase()}s`;
+  const srcDir = options.app ? join(getAppPath(options.app, 'api'), 'src') : join(process.cwd(), 'src');
+  const controllerPath = join(srcDir, 'controllers', `${className}Controller.js`);
+  const servicePath = join(srcDir, 'services', `${className}Service.js`);
+
+  if (pathExists(controllerPath)) {
+    console.error(`❌ Controller already exists: ${controllerPath}`);
+    process.exit(1);
+  }
+
+  try {
+    const projectName = options.app ? await readProjectName() : null;
+
+    await createDirectory(join(srcDir, 'controllers'));
+    await writeFileContent(controllerPath, generateResourceControllerTemplate(className, {
+      api: options.api,
+      resource,
+    }));
+    console.log(`✅ Controller created: ${controllerPath}`);
+
+    if (!pathExists(servicePath)) {
+      await createDirectory(join(srcDir, 'services'));
+      await writeFileContent(servicePath, generateResourceServiceTemplate(className, {
+        model: options.model,
+        projectName,
+      }));
+      console.log(`✅ Service created: ${servicePath}`);
+    }
+
+    const register = options.api ? 'apiResource' : 'resource';
+    console.log(`\nRegister it with: router.${register}('${resource}', ${className}Controller);`);
+  } catch (error) {
+    console.error('\n❌ Failed to create controller:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Make Factory Command
+ * Generate a model factory in database/factories
+ */
+
+import { join } from 'path';
+import {
+  createDirectory,
+  writeFileContent,
+  pathExists,
+  generateFactoryTemplate,
+} from './utils/index.js';
+
+/**
+ * Main make factory function
+ */
+export async function makeFactory(name, options = {}) {
+  const className = name.replace(/Factory$/, '');
+  const factoriesDir = join(process.cwd(), 'database', 'factories');
+  const factoryPath = join(factoriesDir, `${className}Factory.js`);
+
+  if (pathExists(factoryPath)) {
+    console.error(`❌ Factory already exists: ${factoryPath}`);
+    process.exit(1);
+  }
+
+  try {
+    await createDirectory(factoriesDir);
+    await writeFileContent(factoryPath, generateFactoryTemplate(className, { model: options.model }));
+    console.log(`✅ Factory created: ${factoryPath}`);
+  } catch (error) {
+    console.error('\n❌ Failed to create factory:', error.message);
+    process.exit(1);
+  }
+}
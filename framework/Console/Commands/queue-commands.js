@@ -0,0 +1,189 @@
+/**
+ * Queue Commands
+ * Run the queue worker and manage failed jobs
+ */
+
+import { QueueServiceProvider } from '../../Foundation/Providers/QueueServiceProvider.js';
+import { EventServiceProvider } from '../../Foundation/Providers/EventServiceProvider.js';
+import { BroadcastServiceProvider } from '../../Foundation/Providers/BroadcastServiceProvider.js';
+import { Model } from '../../Database/Model.js';
+import { bootConsoleApplication, importModules } from './utils/index.js';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Boot the application with the queue services and the project's jobs
+ */
+async function bootQueue(options = {}) {
+  const app = await bootConsoleApplication(
+    [EventServiceProvider, QueueServiceProvider, BroadcastServiceProvider],
+    { bootstrap: options.bootstrap }
+  );
+
+  const queue = app.make('queue');
+  const jobs = await importModules(options.jobs || app.config('queue.jobs_path', 'jobs'));
+
+  for (const [name, job] of Object.entries(jobs)) {
+    queue.registerJob(name, job);
+  }
+
+  // Models exported by the centralized database package can be re-fetched
+  // for jobs that were serialized with model properties
+  const databasePath = resolve(process.cwd(), 'database', 'index.js');
+  if (existsSync(databasePath)) {
+    const database = await import(pathToFileURL(databasePath).href);
+    queue.registerModel(
+      Object.values(database).filter(value => value?.prototype instanceof Model)
+    );
+  }
+
+  return app;
+}
+
+/**
+ * Read the worker options from the CLI, falling back to queue.worker config
+ */
+function workerOptions(app, options) {
+  const config = app.config('queue.worker', {}) || {};
+  const number = (value) => (value === undefined ? undefined : Number(value));
+
+  return {
+    sleep: number(options.sleep) ?? config.sleep,
+    tries: number(options.tries) ?? config.tries,
+    backoff: options.backoff !== undefined ? parseBackoff(options.backoff) : config.backoff,
+    maxBackoff: config.max_backoff,
+    timeout: number(options.timeout) ?? config.timeout,
+    maxJobs: number(options.maxJobs) ?? config.max_jobs,
+    maxTime: number(options.maxTime) ?? config.max_time,
+    memory: number(options.memory) ?? config.memory,
+    stopWhenEmpty: options.stopWhenEmpty || false,
+  };
+}
+
+/**
+ * A single value is an exponential base, a list is used per attempt
+ */
+function parseBackoff(value) {
+  const delays = String(value).split(',').map(Number);
+  return delays.length === 1 ? delays[0] : delays;
+}
+
+/**
+ * Queue work command
+ */
+export async function queueWork(connection, options = {}) {
+  try {
+    const app = await bootQueue(options);
+    const worker = app.make('queue.worker');
+    const connectionName = connection || app.make('queue').getDefaultDriver();
+    const queue = options.queue || app.config(`queue.connections.${connectionName}.queue`, 'default');
+    const settings = workerOptions(app, options);
+
+    app.make('events').listen('JobProcessed', ({ job }) => {
+      console.log(`✅ Processed: ${job.payload.job}`);
+    });
+    app.make('events').listen('JobReleased', ({ job, error }) => {
+      console.log(`🔁 Released: ${job.payload.job} (attempt ${job.attempts}) - ${error.message}`);
+    });
+    app.make('events').listen('JobFailed', ({ job, error }) => {
+      console.error(`❌ Failed: ${job.payload.job} - ${error.message}`);
+    });
+
+    if (options.once) {
+      await worker.runNextJob(connectionName, queue, settings);
+      process.exit(0);
+    }
+
+    const stop = () => {
+      console.log('\n⏹️  Stopping worker after the current job...');
+      worker.stop();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    console.log(`👷 Processing jobs from [${connectionName}] queue [${queue}]...\n`);
+
+    await worker.daemon(connectionName, queue, settings);
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Queue worker failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * List failed jobs command
+ */
+export async function queueFailed(options = {}) {
+  try {
+    const app = await bootQueue(options);
+    const jobs = await app.make('queue.failer').all();
+
+    if (jobs.length === 0) {
+      console.log('✅ No failed jobs!');
+      process.exit(0);
+    }
+
+    console.table(jobs.map(job => ({
+      id: job.id,
+      uuid: job.uuid,
+      connection: job.connection,
+      queue: job.queue,
+      job: job.payload.job,
+      failed_at: new Date(job.failed_at).toISOString(),
+    })));
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to list failed jobs:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Retry failed jobs command (accepts ids, uuids or "all")
+ */
+export async function queueRetry(ids = [], options = {}) {
+  try {
+    const app = await bootQueue(options);
+    const queue = app.make('queue');
+    const failer = app.make('queue.failer');
+
+    const jobs = ids.includes('all')
+      ? await failer.all()
+      : await Promise.all(ids.map(id => failer.find(id)));
+
+    for (const [index, job] of jobs.entries()) {
+      if (!job) {
+        console.error(`❌ Unable to find failed job with ID [${ids[index]}].`);
+        continue;
+      }
+
+      await queue.connection(job.connection).pushRaw({ ...job.payload, attempts: 0 }, job.queue);
+      await failer.forget(job.id);
+
+      console.log(`🔁 Failed job [${job.id}] has been pushed back onto the queue.`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to retry jobs:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Flush failed jobs command
+ */
+export async function queueFlush(options = {}) {
+  try {
+    const app = await bootQueue(options);
+    await app.make('queue.failer').flush();
+
+    console.log('✅ All failed jobs deleted successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to flush failed jobs:', error.message);
+    process.exit(1);
+  }
+}
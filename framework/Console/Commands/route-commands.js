@@ -0,0 +1,143 @@
+/**
+ * Route Commands
+ * Inspect and cache the routes of an API app without starting its server
+ */
+
+import { RouteInspector } from '../../Routing/RouteInspector.js';
+import { RouteCache } from '../../Routing/RouteCache.js';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Create the app of an API app without building or listening
+ *
+ * The entry module exports createApp(projectRoot) (as generated apps do) or
+ * a default export returning the app.
+ */
+async function loadApp(options = {}) {
+  const entry = options.entry
+    || (options.app ? `apps/${options.app}/api/src/app.js` : 'src/app.js');
+  const entryPath = resolve(process.cwd(), entry);
+
+  if (!existsSync(entryPath)) {
+    throw new Error(`App entry not found at ${entryPath}`);
+  }
+
+  // Mount paths are only recorded for routes registered after this call
+  RouteInspector.instrument();
+
+  const module = await import(pathToFileURL(entryPath).href);
+  const factory = module.createApp || module.default;
+
+  if (!factory) {
+    throw new Error('The app entry must export createApp() or a default app.');
+  }
+
+  return typeof factory === 'function' && !factory.router
+    ? factory(process.cwd())
+    : factory;
+}
+
+/**
+ * Build the Express app of an API app (BaseApp instances are built first)
+ */
+export async function loadExpressApp(options = {}) {
+  const app = await loadApp(options);
+  return typeof app.build === 'function' ? app.build() : app;
+}
+
+/**
+ * Get the route cache file of an app
+ */
+function cachePath(app) {
+  return app.routeCachePath || resolve(process.cwd(), 'bootstrap/cache/routes.json');
+}
+
+/**
+ * Route list command
+ */
+export async function routeList(options = {}) {
+  try {
+    const app = await loadExpressApp(options);
+    const routes = RouteInspector.filter(RouteInspector.routes(app), options);
+
+    if (options.json) {
+      console.log(JSON.stringify(routes, null, 2));
+      process.exit(0);
+    }
+
+    if (routes.length === 0) {
+      console.log('✅ No routes match the given criteria.');
+      process.exit(0);
+    }
+
+    console.table(routes.map(route => ({
+      method: route.methods.join('|'),
+      uri: route.path,
+      name: route.name || '',
+      middleware: route.middleware.join(', '),
+      action: route.handler,
+    })));
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to list routes:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Route cache command
+ *
+ * Every route must be registered through Router with middleware aliases and
+ * a 'Controller@action' string, otherwise caching fails.
+ */
+export async function routeCache(options = {}) {
+  try {
+    const app = await loadApp(options);
+    const file = cachePath(app);
+
+    // Build from the route files rather than a stale cache
+    RouteCache.clear(file);
+
+    const express = typeof app.build === 'function' ? app.build() : app;
+    const entries = RouteCache.compile();
+    const cached = new Set(entries.flatMap(entry =>
+      entry.methods.map(method => `${method === 'all' ? 'ANY' : method.toUpperCase()} ${entry.path}`)
+    ));
+
+    for (const route of RouteInspector.routes(express)) {
+      for (const method of route.methods) {
+        if (!cached.has(`${method} ${route.path}`)) {
+          throw new Error(`Unable to cache route [${method} ${route.path}]: it is not registered through Router.`);
+        }
+      }
+    }
+
+    RouteCache.write(file, entries);
+    console.log(`✅ ${entries.length} routes cached to ${file}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to cache routes:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Route clear command
+ */
+export async function routeClear(options = {}) {
+  try {
+    const file = options.app || options.entry
+      ? cachePath(await loadApp(options))
+      : resolve(process.cwd(), 'bootstrap/cache/routes.json');
+
+    console.log(RouteCache.clear(file)
+      ? `✅ Route cache cleared (${file})`
+      : '✅ No route cache to clear.');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to clear the route cache:', error.message);
+    process.exit(1);
+  }
+}
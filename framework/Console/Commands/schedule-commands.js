@@ -0,0 +1,116 @@
+/**
+ * Schedule Commands
+ * Run, work and list the project's scheduled tasks
+ */
+
+import { CacheServiceProvider } from '../../Foundation/Providers/CacheServiceProvider.js';
+import { EventServiceProvider } from '../../Foundation/Providers/EventServiceProvider.js';
+import { Schedule } from '../Schedule.js';
+import { bootConsoleApplication } from './utils/index.js';
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Boot the application and build the schedule from the project's definition
+ *
+ * The schedule module's default export receives the schedule and the app.
+ */
+async function loadSchedule(options = {}) {
+  const app = await bootConsoleApplication(
+    [EventServiceProvider, CacheServiceProvider],
+    { bootstrap: options.bootstrap }
+  );
+
+  const schedulePath = resolve(process.cwd(), options.schedule || 'schedule.js');
+  if (!existsSync(schedulePath)) {
+    throw new Error(`Schedule file not found at ${schedulePath}`);
+  }
+
+  const schedule = new Schedule({ timezone: app.config('app.timezone') });
+  const definition = await import(pathToFileURL(schedulePath).href);
+
+  if (typeof definition.default !== 'function') {
+    throw new Error('The schedule file must export a default function.');
+  }
+
+  await definition.default(schedule, app);
+
+  schedule.useCache(app.make('cache').store(options.store || null));
+
+  schedule.on('starting', event => console.log(`⏰ Running: ${event.getSummary()}`));
+  schedule.on('skipped', event => console.log(`⏭️  Skipped: ${event.getSummary()}`));
+  schedule.on('failed', (event, error) => console.error(`❌ Failed: ${event.getSummary()} - ${error.message}`));
+
+  return schedule;
+}
+
+/**
+ * Schedule run command (call it every minute from cron)
+ */
+export async function scheduleRun(options = {}) {
+  try {
+    const schedule = await loadSchedule(options);
+    const count = await schedule.run();
+
+    if (count === 0) {
+      console.log('✅ No scheduled commands are ready to run.');
+    }
+
+    await schedule.waitForBackgroundEvents();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Schedule run failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Schedule work command (runs the scheduler every minute in the foreground)
+ */
+export async function scheduleWork(options = {}) {
+  try {
+    const schedule = await loadSchedule(options);
+
+    const stop = async () => {
+      console.log('\n⏹️  Stopping scheduler after running tasks finish...');
+      schedule.stop();
+      await schedule.waitForBackgroundEvents();
+      process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    console.log('🕐 Running scheduled tasks every minute...\n');
+
+    schedule.start();
+  } catch (error) {
+    console.error('\n❌ Scheduler failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Schedule list command
+ */
+export async function scheduleList(options = {}) {
+  try {
+    const schedule = await loadSchedule(options);
+
+    if (schedule.events.length === 0) {
+      console.log('✅ No scheduled tasks have been defined.');
+      process.exit(0);
+    }
+
+    console.table(schedule.events.map(event => ({
+      expression: event.expression,
+      task: event.getSummary(),
+      timezone: event.getTimezone() || 'local',
+      next_due: event.nextRunDate().toISOString(),
+    })));
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to list scheduled tasks:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Session Commands
+ * Create the table of the database session driver
+ */
+
+import { join } from 'path';
+import { readdirSync } from 'fs';
+import {
+  createDirectory,
+  writeFileContent,
+  pathExists,
+  generateSessionTableMigrationTemplate,
+} from './utils/index.js';
+
+/**
+ * Get a migration file name prefix for the current time (YYYY_MM_DD_HHMMSS)
+ */
+function migrationTimestamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${date.getFullYear()}_${pad(date.getMonth() + 1)}_${pad(date.getDate())}_`
+    + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Session table command
+ *
+ * Writes a migration creating the sessions table to database/migrations.
+ */
+export async function sessionTable(options = {}) {
+  const table = options.table || 'sessions';
+  const migrationsDir = join(process.cwd(), 'database', 'migrations');
+  const name = `create_${table}_table`;
+
+  if (pathExists(migrationsDir) && readdirSync(migrationsDir).some(file => file.endsWith(`_${name}.js`))) {
+    console.error(`❌ A ${name} migration already exists in ${migrationsDir}`);
+    process.exit(1);
+  }
+
+  try {
+    const migrationPath = join(migrationsDir, `${migrationTimestamp()}_${name}.js`);
+
+    await createDirectory(migrationsDir);
+    await writeFileContent(migrationPath, generateSessionTableMigrationTemplate(table));
+
+    console.log(`✅ Migration created: ${migrationPath}`);
+    console.log('   Run "vasuzex migrate" to create the table.');
+  } catch (error) {
+    console.error('\n❌ Failed to create migration:', error.message);
+    process.exit(1);
+  }
+}
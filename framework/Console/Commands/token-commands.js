@@ -0,0 +1,37 @@
+/**
+ * Token Commands
+ * Prune expired personal access tokens
+ */
+
+import { PersonalAccessToken } from '../../Auth/Tokens/PersonalAccessToken.js';
+import { bootConsoleApplication } from './utils/index.js';
+
+/**
+ * Token prune command
+ *
+ * Deletes the personal access tokens that expired more than --hours ago:
+ * past their expires_at, or past auth.tokens.expiration minutes after
+ * their creation.
+ */
+export async function tokenPrune(options = {}) {
+  try {
+    const app = await bootConsoleApplication([], { bootstrap: options.bootstrap });
+    const db = app.make('db');
+    const table = PersonalAccessToken.table;
+    const hours = Number(options.hours ?? 24);
+    const expiration = app.config('auth.tokens.expiration', null);
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+
+    let deleted = await db.table(table).where('expires_at', '<', new Date(cutoff)).delete();
+
+    if (expiration) {
+      deleted += await db.table(table).where('created_at', '<', new Date(cutoff - expiration * 60 * 1000)).delete();
+    }
+
+    console.log(`✅ Pruned ${deleted} token(s) expired for more than ${hours} hour(s).`);
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Failed to prune tokens:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Console Application Utilities
+ * Boot the framework container for long-running CLI commands
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { resolve, extname, basename } from 'path';
+import { pathToFileURL } from 'url';
+import { Application } from '../../../Foundation/Application.js';
+
+/**
+ * Boot an application from the project in the current directory
+ *
+ * Binds the centralized database connection when the project has one and
+ * runs the optional bootstrap module (default export receives the app) so
+ * projects can bind redis or other services before providers boot.
+ */
+export async function bootConsoleApplication(providers = [], options = {}) {
+  const rootDir = process.cwd();
+  const app = new Application(rootDir);
+
+  await app.bootstrap();
+
+  const databasePath = resolve(rootDir, 'database', 'index.js');
+  if (existsSync(databasePath)) {
+    const database = await import(pathToFileURL(databasePath).href);
+    app.instance('db', database.DB || database.default);
+  }
+
+  const bootstrapPath = options.bootstrap ? resolve(rootDir, options.bootstrap) : null;
+  if (bootstrapPath) {
+    if (!existsSync(bootstrapPath)) {
+      throw new Error(`Bootstrap file not found at ${bootstrapPath}`);
+    }
+
+    const bootstrap = await import(pathToFileURL(bootstrapPath).href);
+    if (typeof bootstrap.default === 'function') {
+      await bootstrap.default(app);
+    }
+  }
+
+  for (const provider of providers) {
+    app.register(provider);
+  }
+
+  await app.boot();
+
+  return app;
+}
+
+/**
+ * Import every module in a directory and return its default exports by name
+ */
+export async function importModules(directory) {
+  const path = resolve(process.cwd(), directory);
+  const modules = {};
+
+  if (!existsSync(path)) {
+    return modules;
+  }
+
+  const files = readdirSync(path).filter(file => ['.js', '.mjs'].includes(extname(file)));
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(resolve(path, file)).href);
+    const exported = module.default;
+
+    if (exported) {
+      modules[exported.name || basename(file, extname(file))] = exported;
+    }
+  }
+
+  return modules;
+}
@@ -14,7 +14,8 @@ export function generateDatabasePackageJson(projectName) {
     main: './index.js',
     exports: {
       '.': './index.js',
-      './models/*': './models/*.js'
+      './models/*': './models/*.js',
+      './factories/*': './factories/*.js'
     }
   };
 }
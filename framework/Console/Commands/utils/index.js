@@ -32,3 +32,6 @@ export * from './consoleDisplay.js';
 
 // Plop Generator (for API templates)
 export * from './plopGenerator.js';
+
+// Console Application (boots the container for worker commands)
+export * from './consoleApplication.js';
@@ -244,6 +244,7 @@ export function generateGitignoreTemplate() {
 dist
 .turbo
 *.log
+bootstrap/cache
 `;
 }
 
@@ -1339,3 +1340,227 @@ export default app;`,
 </style>`
   };
 }
+
+/**
+ * Class name of a resource (order-items, OrderItem and OrderItemController -> OrderItem)
+ */
+function resourceClassName(name) {
+  const base = name.replace(/(Controller|Service)$/, '');
+  return /[-_]/.test(base) ? toPascalCase(base) : capitalize(base);
+}
+
+/**
+ * Generate a resource controller for router.resource() / router.apiResource()
+ *
+ * Actions follow the resource convention (index, store, show, update,
+ * destroy, plus create/edit unless api) and delegate to a BaseService.
+ */
+export function generateResourceControllerTemplate(name, options = {}) {
+  const className = resourceClassName(name);
+  const serviceClass = `${className}Service`;
+  const serviceProperty = serviceClass.charAt(0).toLowerCase() + serviceClass.slice(1);
+  const resource = options.resource || `${className.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase()}s`;
+  const parameter = className.charAt(0).toLowerCase() + className.slice(1);
+  const register = options.api ? 'apiResource' : 'resource';
+
+  const formActions = options.api ? '' : `
+  /**
+   * GET /${resource}/create
+   * Data needed by the create form
+   */
+  create = async (req, res) => {
+    return this.success(res, {});
+  };
+
+  /**
+   * GET /${resource}/:${parameter}/edit
+   * Data needed by the edit form
+   */
+  edit = async (req, res) => {
+    try {
+      const ${parameter} = await this.find(req.params.${parameter});
+      return this.success(res, ${parameter});
+    } catch (error) {
+      return this.error(res, error);
+    }
+  };
+`;
+
+  return `/**
+ * ${className} Controller
+ * Resource controller: router.${register}('${resource}', ${className}Controller)
+ */
+
+import { BaseController } from './BaseController.js';
+import { ${serviceClass} } from '../services/${serviceClass}.js';
+
+// Route-model binding may have resolved the route parameter to its model
+const isModel = (value) => typeof value?.getKey === 'function';
+const keyOf = (value) => (isModel(value) ? value.getKey() : value);
+
+export class ${className}Controller extends BaseController {
+  constructor() {
+    super();
+    this.${serviceProperty} = new ${serviceClass}();
+  }
+
+  /**
+   * The bound ${parameter}, or the ${parameter} with the id of the route
+   */
+  async find(${parameter}) {
+    return isModel(${parameter}) ? ${parameter} : await this.${serviceProperty}.findById(${parameter});
+  }
+
+  /**
+   * GET /${resource}
+   * List ${resource}
+   */
+  index = async (req, res) => {
+    try {
+      const result = await this.${serviceProperty}.findAll(req.query);
+      return this.success(res, result);
+    } catch (error) {
+      return this.error(res, error);
+    }
+  };
+${formActions}
+  /**
+   * POST /${resource}
+   * Create a ${parameter}
+   */
+  store = async (req, res) => {
+    try {
+      const ${parameter} = await this.${serviceProperty}.create(req.body);
+      return this.created(res, ${parameter});
+    } catch (error) {
+      return this.error(res, error);
+    }
+  };
+
+  /**
+   * GET /${resource}/:${parameter}
+   * Show a ${parameter}
+   */
+  show = async (req, res) => {
+    try {
+      const ${parameter} = await this.find(req.params.${parameter});
+      return this.success(res, ${parameter});
+    } catch (error) {
+      return this.error(res, error);
+    }
+  };
+
+  /**
+   * PUT/PATCH /${resource}/:${parameter}
+   * Update a ${parameter}
+   */
+  update = async (req, res) => {
+    try {
+      const ${parameter} = await this.${serviceProperty}.update(keyOf(req.params.${parameter}), req.body);
+      return this.success(res, ${parameter}, 'Updated successfully');
+    } catch (error) {
+      return this.error(res, error);
+    }
+  };
+
+  /**
+   * DELETE /${resource}/:${parameter}
+   * Delete a ${parameter}
+   */
+  destroy = async (req, res) => {
+    try {
+      await this.${serviceProperty}.delete(keyOf(req.params.${parameter}));
+      return this.success(res, null, 'Deleted successfully');
+    } catch (error) {
+      return this.error(res, error);
+    }
+  };
+}
+`;
+}
+
+/**
+ * Generate the BaseService used by a resource controller
+ */
+export function generateResourceServiceTemplate(name, options = {}) {
+  const className = resourceClassName(name);
+  const model = options.model || className;
+  const database = options.projectName ? `@${options.projectName}/database` : '#database';
+
+  return `/**
+ * ${className} Service
+ * CRUD operations for ${className}Controller
+ */
+
+import { BaseService } from 'vasuzex/Foundation';
+import { ${model} } from '${database}';
+
+export class ${className}Service extends BaseService {
+  constructor() {
+    super(${model});
+    this.searchableFields = [];
+    this.filterableFields = [];
+  }
+}
+`;
+}
+
+/**
+ * Generate a model factory for database/factories
+ */
+export function generateFactoryTemplate(name, options = {}) {
+  const className = capitalize(name.replace(/Factory$/, ''));
+  const model = options.model || className;
+
+  return `/**
+ * ${className} Factory
+ * Builds ${model} models for seeders and tests
+ */
+
+import { Factory } from 'vasuzex/Database';
+import { ${model} } from '../models/${model}.js';
+
+export class ${className}Factory extends Factory {
+  static model = ${model};
+
+  /**
+   * Define the model's default attributes
+   */
+  definition() {
+    return {
+      // name: this.faker.person.fullName(),
+      // email: this.faker.internet.email(),
+    };
+  }
+}
+
+export default ${className}Factory;
+`;
+}
+
+/**
+ * Generate the migration creating the table of the database session driver
+ */
+export function generateSessionTableMigrationTemplate(table = 'sessions') {
+  const className = `Create${table.split(/[_-]/).map(capitalize).join('')}Table`;
+
+  return `import { Schema } from 'vasuzex/Database';
+
+export default class ${className} {
+  async up() {
+    await Schema.create('${table}', (table) => {
+      table.string('id').primary();
+      table.string('user_id').nullable().index();
+      table.string('ip_address', 45).nullable();
+      table.text('user_agent').nullable();
+      table.longText('payload');
+      table.integer('last_activity').index();
+    });
+  }
+
+  async down() {
+    await Schema.dropIfExists('${table}');
+  }
+}
+`;
+}
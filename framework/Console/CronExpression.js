@@ -0,0 +1,189 @@
+/**
+ * Cron Expression
+ * Five-field cron expressions evaluated in a given timezone
+ *
+ * Supports lists, ranges, steps, month and day names and the @hourly style
+ * macros. When both day-of-month and day-of-week are restricted, a date
+ * matches if either field matches (standard cron behaviour).
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'weekday', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+export class CronExpression {
+  constructor(expression) {
+    this.expression = expression;
+
+    const fields = (MACROS[expression] || String(expression)).trim().split(/\s+/);
+
+    if (fields.length !== 5) {
+      throw new Error(`Invalid cron expression [${expression}].`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] = fields.map(
+      (field, index) => CronExpression.parseField(field, FIELDS[index], expression)
+    );
+
+    // 7 is an alias for Sunday
+    if (this.weekdays.has(7)) {
+      this.weekdays.add(0);
+    }
+
+    this.restrictsDay = fields[2] !== '*';
+    this.restrictsWeekday = fields[4] !== '*';
+  }
+
+  /**
+   * Determine if the expression matches the minute of the given date
+   */
+  isDue(date = new Date(), timezone = null) {
+    const parts = CronExpression.dateParts(date, timezone);
+
+    return this.matchesDay(parts)
+      && this.hours.has(parts.hour)
+      && this.minutes.has(parts.minute);
+  }
+
+  /**
+   * Get the first matching minute after the given date
+   */
+  nextRunDate(from = new Date(), timezone = null) {
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    // Four years covers every valid day/month combination, including Feb 29
+    const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      const parts = CronExpression.dateParts(date, timezone);
+
+      if (!this.matchesDay(parts) || !this.hours.has(parts.hour)) {
+        // Jump to the start of the next hour
+        date.setUTCMinutes(date.getUTCMinutes() + 60 - parts.minute);
+        continue;
+      }
+
+      if (this.minutes.has(parts.minute)) {
+        return date;
+      }
+
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    }
+
+    throw new Error(`Cron expression [${this.expression}] never matches.`);
+  }
+
+  /**
+   * Determine if the month, day of month and day of week match
+   */
+  matchesDay(parts) {
+    if (!this.months.has(parts.month)) {
+      return false;
+    }
+
+    if (this.restrictsDay && this.restrictsWeekday) {
+      return this.days.has(parts.day) || this.weekdays.has(parts.weekday);
+    }
+
+    return this.days.has(parts.day) && this.weekdays.has(parts.weekday);
+  }
+
+  /**
+   * Get the wall-clock parts of a date in the given timezone
+   */
+  static dateParts(date, timezone = null) {
+    const key = timezone || '';
+
+    if (!formatters.has(key)) {
+      formatters.set(key, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || undefined,
+        hourCycle: 'h23',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      }));
+    }
+
+    const parts = {};
+    for (const { type, value } of formatters.get(key).formatToParts(date)) {
+      parts[type] = value;
+    }
+
+    return {
+      minute: Number(parts.minute),
+      hour: Number(parts.hour),
+      day: Number(parts.day),
+      month: Number(parts.month),
+      weekday: WEEKDAYS[parts.weekday]
+    };
+  }
+
+  /**
+   * Expand a single field into the set of values it allows
+   */
+  static parseField(field, { min, max, names = [] }, expression) {
+    const values = new Set();
+    const value = (token) => {
+      const index = names.indexOf(token.toUpperCase());
+      const number = index !== -1 ? index + (min === 1 ? 1 : 0) : Number(token);
+
+      if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Invalid cron expression [${expression}].`);
+      }
+
+      return number;
+    };
+
+    for (const part of field.split(',')) {
+      const [range, stepToken] = part.split('/');
+      const step = stepToken === undefined ? 1 : Number(stepToken);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid cron expression [${expression}].`);
+      }
+
+      let start = min;
+      let end = max;
+
+      if (range !== '*') {
+        const [from, to] = range.split('-');
+        start = value(from);
+        end = to === undefined ? (stepToken === undefined ? start : max) : value(to);
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid cron expression [${expression}].`);
+      }
+
+      for (let current = start; current <= end; current += step) {
+        values.add(current);
+      }
+    }
+
+    return values;
+  }
+}
+
+export default CronExpression;
@@ -1,94 +1,203 @@
 /**
  * Schedule
  * Laravel-inspired task scheduling
+ *
+ * Events are evaluated in their own timezone (or the schedule's default).
+ * withoutOverlapping() and onOneServer() take atomic locks in the cache
+ * store given to useCache(), so every server can run `schedule:run`.
  */
 
 import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { execFile, exec } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { CronExpression } from './CronExpression.js';
+
+const execFileAsync = promisify(execFile);
+const execAsync = promisify(exec);
 
 export class Schedule extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.events = [];
+    this.timezone = options.timezone || null;
+    this.cache = options.cache || null;
+    this.background = new Set();
+    this.timer = null;
   }
 
   /**
    * Schedule a command
    */
   command(command, args = []) {
-    const event = new ScheduledEvent(command, args);
-    this.events.push(event);
-    return event;
+    return this.addEvent(new ScheduledEvent(command, args));
   }
 
   /**
    * Schedule a callback
    */
   call(callback, args = []) {
-    const event = new ScheduledCallback(callback, args);
-    this.events.push(event);
-    return event;
+    return this.addEvent(new ScheduledCallback(callback, args));
   }
 
   /**
    * Schedule an exec command
    */
   exec(command) {
-    const event = new ScheduledExec(command);
+    return this.addEvent(new ScheduledExec(command));
+  }
+
+  /**
+   * Add an event to the schedule
+   */
+  addEvent(event) {
+    event.schedule = this;
     this.events.push(event);
     return event;
   }
 
+  /**
+   * Set the cache repository used for overlap and single-server locks
+   */
+  useCache(cache) {
+    this.cache = cache;
+    return this;
+  }
+
   /**
    * Get all scheduled events that are due
    */
-  dueEvents() {
-    return this.events.filter(event => event.isDue());
+  dueEvents(date = new Date()) {
+    return this.events.filter(event => event.isDue(date));
   }
 
   /**
    * Run all due events
+   *
+   * A failing event, or a failing lock, does not stop the others; listen
+   * for the 'failed' event to report it.
    */
-  async run() {
-    const dueEvents = this.dueEvents();
+  async run(date = new Date()) {
+    const dueEvents = this.dueEvents(date);
 
     for (const event of dueEvents) {
-      await event.run();
+      if (event.runsOnOneServer) {
+        let shouldRun;
+
+        try {
+          shouldRun = await this.serverShouldRun(event, date);
+        } catch (error) {
+          this.emit('failed', event, error);
+          continue;
+        }
+
+        if (!shouldRun) {
+          this.emit('skipped', event);
+          continue;
+        }
+      }
+
+      this.emit('starting', event);
+
+      const task = Promise.resolve()
+        .then(() => event.run())
+        .then(ran => this.emit(ran === false ? 'skipped' : 'finished', event))
+        .catch(error => this.emit('failed', event, error));
+
+      if (event.runsInBackground) {
+        this.background.add(task);
+        task.finally(() => this.background.delete(task));
+      } else {
+        await task;
+      }
     }
 
     return dueEvents.length;
   }
 
   /**
-   * Start the scheduler (runs every minute)
+   * Determine if this server should run the event for the given minute
+   */
+  async serverShouldRun(event, date) {
+    const minute = new Date(date.getTime());
+    minute.setUTCSeconds(0, 0);
+
+    return await this.lockStore().add(`${event.mutexName()}:${minute.getTime()}`, true, 3600);
+  }
+
+  /**
+   * Wait for events started in the background to finish
+   */
+  async waitForBackgroundEvents() {
+    await Promise.all([...this.background]);
+  }
+
+  /**
+   * Get the cache repository that holds the scheduler locks
+   */
+  lockStore() {
+    if (!this.cache) {
+      throw new Error('A cache store is required for withoutOverlapping() and onOneServer(). Call useCache() first.');
+    }
+
+    return this.cache;
+  }
+
+  /**
+   * Start the scheduler (runs at the start of every minute)
    */
   start() {
-    // Run immediately
+    const tick = () => {
+      const now = new Date();
+      this.timer = setTimeout(async () => {
+        tick();
+        await this.run(new Date(Math.ceil(now.getTime() / 60000) * 60000));
+      }, 60000 - (now.getTime() % 60000));
+    };
+
+    // Run immediately, then on every minute boundary
     this.run();
+    tick();
+
+    return this;
+  }
 
-    // Then run every minute
-    setInterval(() => {
-      this.run();
-    }, 60000);
+  /**
+   * Stop the scheduler started with start()
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
   }
 }
 
 /**
  * Scheduled Event
+ *
+ * Runs a vasuzex CLI command in a child process.
  */
-class ScheduledEvent {
+export class ScheduledEvent {
   constructor(command, args = []) {
     this.command = command;
     this.args = args;
     this.expression = '* * * * *'; // Default: every minute
-    this.timezone = null;
+    this.cronExpression = new CronExpression(this.expression);
+    this.timezoneName = null;
     this.description = null;
-    this.runInBackground = false;
+    this.runsInBackground = false;
+    this.preventsOverlapping = false;
+    this.expiresAt = 1440;
+    this.runsOnOneServer = false;
+    this.schedule = null;
+    this.hooks = { before: [], after: [], success: [], failure: [] };
   }
 
   /**
    * Set cron expression
    */
   cron(expression) {
+    this.cronExpression = new CronExpression(expression);
     this.expression = expression;
     return this;
   }
@@ -235,10 +344,10 @@ class ScheduledEvent {
   }
 
   /**
-   * Set timezone
+   * Set the timezone the expression is evaluated in
    */
   timezone(tz) {
-    this.timezone = tz;
+    this.timezoneName = tz;
     return this;
   }
 
@@ -254,75 +363,196 @@ class ScheduledEvent {
    * Run in background
    */
   runInBackground() {
-    this.runInBackground = true;
+    this.runsInBackground = true;
+    return this;
+  }
+
+  /**
+   * Skip the event while a previous run still holds its lock
+   *
+   * The lock expires after the given number of minutes in case a run dies.
+   */
+  withoutOverlapping(expiresAt = 1440) {
+    this.ensureNamed('withoutOverlapping');
+    this.preventsOverlapping = true;
+    this.expiresAt = expiresAt;
     return this;
   }
 
+  /**
+   * Only run the event on one server per minute
+   */
+  onOneServer() {
+    this.ensureNamed('onOneServer');
+    this.runsOnOneServer = true;
+    return this;
+  }
+
+  /**
+   * Register a callback to run before the event
+   */
+  before(callback) {
+    this.hooks.before.push(callback);
+    return this;
+  }
+
+  /**
+   * Register a callback to run after the event, whatever the outcome
+   */
+  after(callback) {
+    this.hooks.after.push(callback);
+    return this;
+  }
+
+  /**
+   * Register a callback to run when the event succeeds
+   */
+  onSuccess(callback) {
+    this.hooks.success.push(callback);
+    return this;
+  }
+
+  /**
+   * Register a callback to run when the event fails (receives the error)
+   */
+  onFailure(callback) {
+    this.hooks.failure.push(callback);
+    return this;
+  }
+
+  /**
+   * Get the timezone the event is evaluated in
+   */
+  getTimezone() {
+    return this.timezoneName || this.schedule?.timezone || null;
+  }
+
   /**
    * Check if event is due
    */
-  isDue() {
-    const cronParser = require('cron-parser');
-    
-    try {
-      const interval = cronParser.parseExpression(this.expression, {
-        currentDate: new Date(),
-        tz: this.timezone
-      });
+  isDue(date = new Date()) {
+    return this.cronExpression.isDue(date, this.getTimezone());
+  }
 
-      const next = interval.next().toDate();
-      const now = new Date();
+  /**
+   * Get the next time the event is due
+   */
+  nextRunDate(date = new Date()) {
+    return this.cronExpression.nextRunDate(date, this.getTimezone());
+  }
+
+  /**
+   * Run the event with its hooks, holding the overlap lock if required
+   *
+   * Returns false when the event was skipped because it is still running.
+   */
+  async run() {
+    const lock = this.preventsOverlapping ? this.schedule.lockStore() : null;
 
-      // Check if we're within the same minute
-      return (
-        next.getFullYear() === now.getFullYear() &&
-        next.getMonth() === now.getMonth() &&
-        next.getDate() === now.getDate() &&
-        next.getHours() === now.getHours() &&
-        next.getMinutes() === now.getMinutes()
-      );
-    } catch (error) {
+    if (lock && !(await lock.add(this.mutexName(), true, this.expiresAt * 60))) {
       return false;
     }
+
+    try {
+      await this.callHooks('before');
+
+      let failure = null;
+      try {
+        this.output = await this.execute();
+      } catch (error) {
+        failure = error;
+      }
+
+      await this.callHooks('after');
+
+      if (failure) {
+        await this.callHooks('failure', failure);
+        throw failure;
+      }
+
+      await this.callHooks('success');
+      return true;
+    } finally {
+      if (lock) {
+        await lock.forget(this.mutexName());
+      }
+    }
   }
 
   /**
-   * Run the event
+   * Execute the command
    */
-  async run() {
-    throw new Error('run() must be implemented');
+  async execute() {
+    const cli = fileURLToPath(new URL('./cli.js', import.meta.url));
+    const { stdout } = await execFileAsync(process.execPath, [cli, this.command, ...this.args]);
+
+    return stdout;
+  }
+
+  /**
+   * Call the registered hooks of the given type
+   */
+  async callHooks(type, error = null) {
+    for (const callback of this.hooks[type]) {
+      await (type === 'failure' ? callback(error, this) : callback(this));
+    }
+  }
+
+  /**
+   * Get the cache key of the event's locks
+   */
+  mutexName() {
+    const hash = createHash('sha1').update(`${this.expression}${this.getSummary()}`).digest('hex');
+    return `framework/schedule-${hash}`;
+  }
+
+  /**
+   * Get the description shown in listings
+   */
+  getSummary() {
+    return this.description || [this.command, ...this.args].join(' ');
+  }
+
+  /**
+   * Locks need a stable identity, which callbacks only get from name()
+   */
+  ensureNamed(method) {
+    if (this instanceof ScheduledCallback && !this.description) {
+      throw new Error(`A scheduled event name is required to use ${method}(). Use the 'name' method first.`);
+    }
   }
 }
 
 /**
  * Scheduled Callback
  */
-class ScheduledCallback extends ScheduledEvent {
+export class ScheduledCallback extends ScheduledEvent {
   constructor(callback, args = []) {
     super(callback, args);
     this.callback = callback;
   }
 
-  async run() {
-    await this.callback(...this.args);
+  async execute() {
+    return await this.callback(...this.args);
+  }
+
+  getSummary() {
+    return this.description || 'Callback';
   }
 }
 
 /**
  * Scheduled Exec
  */
-class ScheduledExec extends ScheduledEvent {
+export class ScheduledExec extends ScheduledEvent {
   constructor(command) {
     super(command);
     this.execCommand = command;
   }
 
-  async run() {
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execPromise = promisify(exec);
-
-    await execPromise(this.execCommand);
+  async execute() {
+    const { stdout } = await execAsync(this.execCommand);
+    return stdout;
   }
 }
 
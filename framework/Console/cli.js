@@ -10,6 +10,8 @@ import { generateMediaServer } from './Commands/generate-media-server.js';
 import { generateApp } from './Commands/generate-app.js';
 import { deleteApp } from './Commands/delete-app.js';
 import { addDependency } from './Commands/add-dependency.js';
+import { makeController } from './Commands/make-controller.js';
+import { makeFactory } from './Commands/make-factory.js';
 import {
   dbMigrate,
   dbMigrateStatus,
@@ -21,6 +23,23 @@ import {
   makeModel,
   createDatabase,
 } from './Commands/db-commands.js';
+import {
+  queueWork,
+  queueFailed,
+  queueRetry,
+  queueFlush,
+} from './Commands/queue-commands.js';
+import {
+  scheduleRun,
+  scheduleWork,
+  scheduleList,
+} from './Commands/schedule-commands.js';
+import { routeList, routeCache, routeClear } from './Commands/route-commands.js';
+import { eventList } from './Commands/event-commands.js';
+import { broadcastServe } from './Commands/broadcast-commands.js';
+import { sessionTable } from './Commands/session-commands.js';
+import { keyRotate } from './Commands/key-commands.js';
+import { tokenPrune } from './Commands/token-commands.js';
 
 const program = new Command();
 
@@ -124,6 +143,7 @@ program
   .description('Seed the database')
   .option('-c, --class <class>', 'Specific seeder class to run')
   .option('--force', 'Force the operation to run in production')
+  .option('--factory-seed <seed>', 'Seed for the fake data of model factories (default: FACTORY_SEED or 1)')
   .action(dbSeed);
 
 program
@@ -143,12 +163,156 @@ program
   .description('Create a new seeder file')
   .action(makeSeeder);
 
+program
+  .command('make:factory <name>')
+  .description('Create a new model factory in database/factories')
+  .option('--model <model>', 'Model the factory builds (default: the factory name)')
+  .action(makeFactory);
+
 program
   .command('make:model <name>')
   .description('Create a new model file')
   .option('-m, --migration', 'Create migration file along with model')
   .action(makeModel);
 
+program
+  .command('make:controller <name>')
+  .description('Create a resource controller and its service')
+  .option('--api', 'Exclude the create and edit form actions')
+  .option('--resource <name>', 'Resource name used in the route comments (default: plural of the name)')
+  .option('--model <model>', 'Model the service manages (default: the controller name)')
+  .option('--app <name>', 'API app to create the controller in (default: ./src)')
+  .action(makeController);
+
+// Session commands
+program
+  .command('session:table')
+  .description('Create a migration for the session database table')
+  .option('--table <table>', 'Name of the sessions table', 'sessions')
+  .action(sessionTable);
+
+// Key commands
+program
+  .command('key:rotate')
+  .description('Generate a new encryption key and re-encrypt the encrypted model columns')
+  .option('--batch <size>', 'Rows re-encrypted per batch', '500')
+  .option('--resume', 'Finish an interrupted rotation')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(keyRotate);
+
+// Token commands
+program
+  .command('token:prune')
+  .description('Delete expired personal access tokens')
+  .option('--hours <hours>', 'Hours since the tokens expired', '24')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(tokenPrune);
+
+// Queue commands
+program
+  .command('queue:work [connection]')
+  .description('Start processing jobs on the queue as a daemon')
+  .option('-q, --queue <queues>', 'Comma separated queues to work, in priority order')
+  .option('--once', 'Only process the next job on the queue')
+  .option('--stop-when-empty', 'Stop when the queue is empty')
+  .option('--tries <tries>', 'Number of times to attempt a job before logging it failed')
+  .option('--backoff <seconds>', 'Seconds to wait before retrying (base, or comma separated per attempt)')
+  .option('--timeout <seconds>', 'Seconds a job may run before it is failed')
+  .option('--sleep <seconds>', 'Seconds to sleep when no job is available')
+  .option('--max-jobs <count>', 'Number of jobs to process before stopping')
+  .option('--max-time <seconds>', 'Maximum seconds the worker should run')
+  .option('--memory <megabytes>', 'Heap limit in megabytes to stop after (0 for none)')
+  .option('--jobs <dir>', 'Directory of job modules to register')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(queueWork);
+
+program
+  .command('queue:failed')
+  .description('List all of the failed queue jobs')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(queueFailed);
+
+program
+  .command('queue:retry <ids...>')
+  .description('Retry failed queue jobs by id, uuid or "all"')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(queueRetry);
+
+program
+  .command('queue:flush')
+  .description('Flush all of the failed queue jobs')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(queueFlush);
+
+// Schedule commands
+program
+  .command('schedule:run')
+  .description('Run the scheduled tasks that are due')
+  .option('--schedule <file>', 'Module that defines the schedule', 'schedule.js')
+  .option('--store <store>', 'Cache store that holds the scheduler locks')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(scheduleRun);
+
+program
+  .command('schedule:work')
+  .description('Start the scheduler in the foreground, running due tasks every minute')
+  .option('--schedule <file>', 'Module that defines the schedule', 'schedule.js')
+  .option('--store <store>', 'Cache store that holds the scheduler locks')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(scheduleWork);
+
+program
+  .command('schedule:list')
+  .description('List the scheduled tasks and when they are next due')
+  .option('--schedule <file>', 'Module that defines the schedule', 'schedule.js')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(scheduleList);
+
+// Route commands
+program
+  .command('route:list')
+  .description('List the routes of an API app')
+  .option('--app <name>', 'App whose routes to list (apps/<name>/api/src/app.js)')
+  .option('--entry <file>', 'Module that exports createApp() (default: src/app.js)')
+  .option('--method <method>', 'Only show routes for an HTTP method')
+  .option('--path <path>', 'Only show routes whose path contains the given text')
+  .option('--name <name>', 'Only show routes whose name contains the given text')
+  .option('--json', 'Output the routes as JSON')
+  .action(routeList);
+
+program
+  .command('route:cache')
+  .description('Cache the route table of an API app for faster boots')
+  .option('--app <name>', 'App whose routes to cache (apps/<name>/api/src/app.js)')
+  .option('--entry <file>', 'Module that exports createApp() (default: src/app.js)')
+  .action(routeCache);
+
+program
+  .command('route:clear')
+  .description('Remove the route cache file')
+  .option('--app <name>', 'App whose route cache to clear (apps/<name>/api/src/app.js)')
+  .option('--entry <file>', 'Module that exports createApp() (default: src/app.js)')
+  .action(routeClear);
+
+// Event commands
+program
+  .command('event:list')
+  .description('List the events and their listeners')
+  .option('--event <name>', 'Only show events whose name contains the given text')
+  .option('--listeners <dir>', 'Directory of listeners to discover (default: app/Listeners)')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .option('--json', 'Output the events as JSON')
+  .action(eventList);
+
+// Broadcast commands
+program
+  .command('broadcast:serve [connection]')
+  .description('Start the WebSocket broadcast server (Pusher protocol)')
+  .option('--host <host>', 'Address to listen on (default: the connection\'s host)')
+  .option('--port <port>', 'Port to listen on (default: the connection\'s port)')
+  .option('--bootstrap <file>', 'Module that receives the app before providers boot')
+  .action(broadcastServe);
+
 // Add dependency
 program
   .command('add:dep <packages...>')
@@ -5,3 +5,5 @@
 export { Command } from './Command.js';
 export { Application } from './Application.js';
 export { GeneratorCommand } from './GeneratorCommand.js';
+export { Schedule, ScheduledEvent, ScheduledCallback, ScheduledExec } from './Schedule.js';
+export { CronExpression } from './CronExpression.js';
@@ -0,0 +1,45 @@
+/**
+ * Audit
+ * A recorded change of an auditable model, stored in the audits table
+ */
+
+import { Model } from '../Model.js';
+import { Relations } from '../Relations.js';
+
+export class Audit extends Model {
+  static table = 'audits';
+  static guarded = [];
+  static updatedAt = null;
+
+  static casts = {
+    old_values: 'json',
+    new_values: 'json',
+    created_at: 'datetime',
+  };
+
+  /**
+   * The audited model
+   */
+  auditable() {
+    return Relations.morphTo(this, 'auditable');
+  }
+
+  /**
+   * Get the changed attributes with their old and new values
+   *
+   * @returns {Object} e.g. { status: { old: 'pending', new: 'paid' } }
+   */
+  getModified() {
+    const oldValues = this.getAttribute('old_values') || {};
+    const newValues = this.getAttribute('new_values') || {};
+    const modified = {};
+
+    for (const key of new Set([...Object.keys(oldValues), ...Object.keys(newValues)])) {
+      modified[key] = { old: oldValues[key] ?? null, new: newValues[key] ?? null };
+    }
+
+    return modified;
+  }
+}
+
+export default Audit;
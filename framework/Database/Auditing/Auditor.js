@@ -0,0 +1,269 @@
+/**
+ * Auditor
+ * Records the changes of models declaring `static auditable` in the audits table
+ *
+ * Old and new values come from getOriginal()/getDirty(); the acting user, IP
+ * address, user agent and URL from the request the change happens in. Hidden
+ * and encrypted attributes, and those listed in `static auditRedact`, are
+ * recorded as changed without their values.
+ *
+ * @example
+ * class Order extends Model {
+ *   static auditable = true;             // or ['updated', 'deleted']
+ *   static auditExclude = ['views'];     // not audited
+ *   static auditRedact = ['card_last4']; // audited without values
+ * }
+ *
+ * app.use(auditor.middleware()); // request context for the audits
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { Audit } from './Audit.js';
+import { Relations } from '../Relations.js';
+import { EncryptedCast } from '../Casts/EncryptedCast.js';
+
+/**
+ * Instance state GuruORM keeps among the attributes
+ */
+const INTERNAL_ATTRIBUTES = ['isDirtyFlag', 'pendingMutators', 'isHydrating', 'exists', 'wasRecentlyCreated', 'original', 'relations'];
+
+export class Auditor {
+  /**
+   * Value recorded for redacted attributes
+   */
+  static REDACTED = '[redacted]';
+
+  /**
+   * Events audited by `static auditable = true`
+   */
+  static events = ['created', 'updated', 'deleted', 'restored'];
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.model - Audit model class (default: Audit)
+   * @param {Function} options.user - Resolves the acting user when the context has none
+   */
+  constructor(options = {}) {
+    this.model = options.model || Audit;
+    this.userResolver = options.user || null;
+    this.context = new AsyncLocalStorage();
+    this.pending = new WeakMap(); // model => changes captured before an update
+    this.restoring = new WeakSet();
+  }
+
+  /**
+   * Resolve the acting user with a callback when the context has none
+   *
+   * @param {Function} resolver - async () => user
+   */
+  resolveUserUsing(resolver) {
+    this.userResolver = resolver;
+    return this;
+  }
+
+  /**
+   * Express middleware running the request in the audit context
+   *
+   * The user is read when a change is recorded, so authentication
+   * middleware may run after this one.
+   */
+  middleware() {
+    return (req, res, next) => this.context.run({ request: req }, next);
+  }
+
+  /**
+   * Run a callback with the audit context of jobs, commands or tests
+   *
+   * @param {Object} context - { user, ip, userAgent, url }
+   * @param {Function} callback
+   */
+  withContext(context, callback) {
+    return this.context.run({ ...this.context.getStore(), ...context }, callback);
+  }
+
+  /**
+   * Handle a model event of an auditable model
+   *
+   * Changes are captured before the update, while getOriginal() still holds
+   * the old values, and recorded after it.
+   */
+  async handle(model, event) {
+    switch (event) {
+      case 'updating':
+        this.pending.set(model, this.changes(model));
+        break;
+      case 'restoring':
+        this.restoring.add(model);
+        break;
+      case 'restored':
+        this.restoring.delete(model);
+        break;
+      case 'created':
+        await this.audit(model, 'created', {}, this.attributes(model));
+        break;
+      case 'updated': {
+        const { oldValues, newValues } = this.pending.get(model) || this.changes(model);
+        this.pending.delete(model);
+        await this.audit(model, this.restoring.has(model) ? 'restored' : 'updated', oldValues, newValues);
+        break;
+      }
+      case 'deleted':
+      case 'forceDeleted':
+        await this.audit(model, event, this.attributes(model), {});
+        break;
+    }
+  }
+
+  /**
+   * Record an audit when the model audits the event and something changed
+   */
+  async audit(model, event, oldValues, newValues) {
+    if (!this.auditsEvent(model, event)) {
+      return null;
+    }
+
+    if (!Object.keys(oldValues).length && !Object.keys(newValues).length) {
+      return null;
+    }
+
+    const audit = new this.model();
+
+    audit.forceFill({
+      auditable_type: Relations.getMorphClass(model.constructor),
+      auditable_id: String(model.getKey()),
+      event,
+      ...await this.resolveContext(),
+    });
+    audit.setAttribute('old_values', this.redact(model, oldValues));
+    audit.setAttribute('new_values', this.redact(model, newValues));
+
+    await audit.save();
+
+    return audit;
+  }
+
+  /**
+   * Determine if the model audits the event
+   */
+  auditsEvent(model, event) {
+    const events = model.constructor.auditable === true
+      ? this.constructor.events
+      : model.constructor.auditable || [];
+
+    return events.includes(event);
+  }
+
+  /**
+   * Get the audited old and new values of the model's dirty attributes
+   */
+  changes(model) {
+    const dirty = this.filter(model, model.getDirty());
+    const original = model.getOriginal();
+
+    return {
+      oldValues: Object.fromEntries(Object.keys(dirty).map(key => [key, original[key] ?? null])),
+      newValues: dirty,
+    };
+  }
+
+  /**
+   * Get the audited attributes of the model
+   */
+  attributes(model) {
+    return this.filter(model, model.attributes);
+  }
+
+  /**
+   * Remove internal state, timestamps and excluded attributes
+   */
+  filter(model, attributes) {
+    const { createdAt, updatedAt, auditExclude = [] } = model.constructor;
+    const excluded = [...INTERNAL_ATTRIBUTES, createdAt, updatedAt, ...auditExclude];
+
+    return Object.fromEntries(Object.entries(attributes).filter(([key]) => !excluded.includes(key)));
+  }
+
+  /**
+   * Get the attributes recorded without their values
+   */
+  redacted(model) {
+    const { hidden = [], casts = {}, auditRedact = [] } = model.constructor;
+    const encrypted = Object.keys(casts).filter(key => model.getCaster(key) instanceof EncryptedCast);
+
+    return new Set([...hidden, ...(model.hidden || []), ...encrypted, ...auditRedact]);
+  }
+
+  /**
+   * Replace the values of redacted attributes
+   */
+  redact(model, values) {
+    const redacted = this.redacted(model);
+
+    return Object.fromEntries(Object.entries(values).map(([key, value]) =>
+      [key, redacted.has(key) && value !== null && value !== undefined ? this.constructor.REDACTED : value]
+    ));
+  }
+
+  /**
+   * Get the user, IP address, user agent and URL of the current context
+   */
+  async resolveContext() {
+    const { request, ...context } = this.context.getStore() || {};
+    const user = context.user ?? request?.user ?? await request?.auth?.user?.() ?? await this.userResolver?.() ?? null;
+
+    const isModel = typeof user?.getKey === 'function';
+
+    return {
+      user_type: isModel ? Relations.getMorphClass(user.constructor) : null,
+      user_id: user ? String(isModel ? user.getKey() : user.id) : null,
+      ip_address: context.ip ?? request?.ip ?? null,
+      user_agent: context.userAgent ?? request?.headers?.['user-agent'] ?? null,
+      url: context.url ?? request?.originalUrl ?? null,
+    };
+  }
+
+  /**
+   * Get the audits of a model, latest first
+   */
+  auditsOf(model) {
+    const relation = Relations.morphMany(model, this.model, 'auditable', null, null, model.constructor.primaryKey || 'id');
+    relation.getQuery().orderBy('id', 'desc');
+
+    return relation;
+  }
+
+  /**
+   * Restore a model to its state right after an audit
+   *
+   * The audits recorded since are reverted, latest first. Redacted
+   * attributes keep their current values.
+   *
+   * @param {Model} model
+   * @param {number|string} id - Audit id
+   * @returns {Promise<Model>} The saved model
+   */
+  async restore(model, id) {
+    const target = await this.auditsOf(model).getQuery().where('id', id).first();
+
+    if (!target) {
+      throw new Error(`Audit [${id}] does not belong to ${model.constructor.name} [${model.getKey()}].`);
+    }
+
+    const later = await this.auditsOf(model).getQuery().where('id', '>', target.getKey()).get();
+    const redacted = this.redacted(model);
+
+    for (const audit of later) {
+      for (const [key, value] of Object.entries(audit.getAttribute('old_values') || {})) {
+        if (!redacted.has(key)) {
+          model.attributes[key] = value;
+        }
+      }
+    }
+
+    await model.save();
+
+    return model;
+  }
+}
+
+export default Auditor;
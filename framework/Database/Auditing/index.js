@@ -0,0 +1,6 @@
+/**
+ * Model Auditing Exports
+ */
+
+export { Audit } from './Audit.js';
+export { Auditor } from './Auditor.js';
@@ -0,0 +1,58 @@
+/**
+ * Broadcastable Model Event Occurred
+ * Event broadcasting a model's created, updated or deleted event
+ *
+ * Dispatched for models declaring `static broadcastsEvents`. The model may
+ * define broadcastOn(event), broadcastAs(event) and broadcastWith(event);
+ * by default the event "OrderCreated" is sent on the private channel
+ * "Order.{key}" with `{ model }`.
+ */
+
+import { PrivateChannel } from '../Broadcasting/Channels.js';
+
+export class BroadcastableModelEventOccurred {
+  /**
+   * Wait for the open database transaction, so clients never see rolled back data
+   */
+  static afterCommit = true;
+
+  /**
+   * @param {Model} model
+   * @param {string} event - created, updated or deleted
+   */
+  constructor(model, event) {
+    this.model = model;
+    this.event = event;
+  }
+
+  /**
+   * Get the channels of the model event
+   */
+  broadcastOn() {
+    if (typeof this.model.broadcastOn === 'function') {
+      return this.model.broadcastOn(this.event);
+    }
+
+    return [new PrivateChannel(this.model.broadcastChannel())];
+  }
+
+  /**
+   * Get the event name, e.g. "OrderUpdated"
+   */
+  broadcastAs() {
+    const name = typeof this.model.broadcastAs === 'function' ? this.model.broadcastAs(this.event) : null;
+
+    return name || `${this.model.constructor.name}${this.event.charAt(0).toUpperCase()}${this.event.slice(1)}`;
+  }
+
+  /**
+   * Get the payload of the model event
+   */
+  broadcastWith() {
+    const payload = typeof this.model.broadcastWith === 'function' ? this.model.broadcastWith(this.event) : null;
+
+    return payload || { model: this.model.toJSON() };
+  }
+}
+
+export default BroadcastableModelEventOccurred;
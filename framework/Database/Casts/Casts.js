@@ -0,0 +1,67 @@
+/**
+ * Casts
+ * Resolves the class-based casts of a model's static casts
+ *
+ * A cast is a CastsAttributes class or instance, 'encrypted', 'encrypted:json',
+ * 'enum:<Name>' or the name of a registered cast with optional arguments
+ * ('money:INR' constructs the registered class with 'INR').
+ * Primitive casts ('integer', 'decimal:2', 'json', ...) are handled by the model.
+ */
+
+import { EncryptedCast } from './EncryptedCast.js';
+import { EnumCast } from './EnumCast.js';
+
+export class Casts {
+  /**
+   * Registered cast classes and enums by name
+   */
+  static registered = new Map();
+
+  /**
+   * Register a cast class or an enum under a name usable in cast strings
+   *
+   * @example
+   * Casts.register('OrderStatus', OrderStatus); // static casts = { status: 'enum:OrderStatus' }
+   * Casts.register('money', MoneyCast);         // static casts = { total: 'money:INR' }
+   */
+  static register(name, target) {
+    Casts.registered.set(name, target);
+  }
+
+  /**
+   * Get the caster for a cast definition, or null for primitive casts
+   */
+  static resolve(definition) {
+    if (!definition) {
+      return null;
+    }
+
+    if (typeof definition !== 'string') {
+      return typeof definition === 'function' ? new definition() : definition;
+    }
+
+    const [type, ...parameters] = definition.split(':');
+    const argument = parameters.join(':');
+
+    if (type === 'encrypted') {
+      return new EncryptedCast(['json', 'array', 'object'].includes(argument));
+    }
+
+    if (type === 'enum') {
+      if (!Casts.registered.has(argument)) {
+        throw new Error(`Enum [${argument}] is not registered. Add it with Casts.register().`);
+      }
+
+      return new EnumCast(Casts.registered.get(argument));
+    }
+
+    if (Casts.registered.has(type)) {
+      const CastClass = Casts.registered.get(type);
+      return new CastClass(...(argument ? argument.split(',') : []));
+    }
+
+    return null;
+  }
+}
+
+export default Casts;
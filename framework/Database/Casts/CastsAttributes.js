@@ -0,0 +1,45 @@
+/**
+ * Casts Attributes
+ * Base class for custom attribute casts, used in a model's static casts
+ *
+ * @example
+ * class Paise extends CastsAttributes {
+ *   get(model, key, value) { return value / 100; }
+ *   set(model, key, value) { return Math.round(value * 100); }
+ * }
+ *
+ * class Order extends Model {
+ *   static casts = { total: Paise };
+ * }
+ */
+
+export class CastsAttributes {
+  /**
+   * Transform the stored value into the value returned by getAttribute()
+   *
+   * `attributes` holds all stored columns, so a value object can be built
+   * from several of them.
+   */
+  get(model, key, value, attributes) {
+    return value;
+  }
+
+  /**
+   * Transform a value into its stored form
+   *
+   * Return a plain object to store several columns at once:
+   * { address_line1: value.line1, address_city: value.city }
+   */
+  set(model, key, value, attributes) {
+    return value;
+  }
+
+  /**
+   * Transform the cast value for toArray() / toJSON()
+   */
+  serialize(model, key, value, attributes) {
+    return value;
+  }
+}
+
+export default CastsAttributes;
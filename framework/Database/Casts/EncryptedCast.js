@@ -0,0 +1,40 @@
+/**
+ * Encrypted Cast
+ * Stores attributes encrypted with the model's Encrypter ('encrypted', 'encrypted:json')
+ */
+
+import { CastsAttributes } from './CastsAttributes.js';
+
+export class EncryptedCast extends CastsAttributes {
+  /**
+   * @param {boolean} json - Serialize the value as JSON before encrypting
+   */
+  constructor(json = false) {
+    super();
+    this.json = json;
+  }
+
+  /**
+   * Decrypt the stored payload
+   */
+  get(model, key, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    return model.constructor.getEncrypter().decrypt(value, this.json);
+  }
+
+  /**
+   * Encrypt the value for storage
+   */
+  set(model, key, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    return model.constructor.getEncrypter().encrypt(this.json ? value : String(value), this.json);
+  }
+}
+
+export default EncryptedCast;
@@ -0,0 +1,75 @@
+/**
+ * Enum Cast
+ * Restricts an attribute to the cases of an enum ('enum:<Name>')
+ *
+ * The enum is either a plain object of cases or a class with static
+ * from(value) / tryFrom(value) returning case objects with a `value`:
+ *
+ * const OrderStatus = Object.freeze({ PENDING: 'pending', PAID: 'paid' });
+ */
+
+import { CastsAttributes } from './CastsAttributes.js';
+
+export class EnumCast extends CastsAttributes {
+  constructor(enumType) {
+    super();
+    this.enumType = enumType;
+  }
+
+  /**
+   * Get the case for a stored value
+   */
+  get(model, key, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (typeof this.enumType.from === 'function') {
+      return this.enumType.from(value);
+    }
+
+    return this.ensureCase(value);
+  }
+
+  /**
+   * Get the stored value of a case
+   */
+  set(model, key, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    return this.ensureCase(this.rawValue(value));
+  }
+
+  /**
+   * Serialize a case to its stored value
+   */
+  serialize(model, key, value) {
+    return value === null || value === undefined ? value : this.rawValue(value);
+  }
+
+  /**
+   * Get the backing value of a case object
+   */
+  rawValue(value) {
+    return typeof value === 'object' && 'value' in value ? value.value : value;
+  }
+
+  /**
+   * Throw unless the value is a case of the enum
+   */
+  ensureCase(value) {
+    const valid = typeof this.enumType.tryFrom === 'function'
+      ? (this.enumType.tryFrom(value) ?? null) !== null
+      : Object.values(this.enumType).includes(value);
+
+    if (!valid) {
+      throw new Error(`Value [${value}] is not a valid case of enum [${this.enumType.name || 'enum'}].`);
+    }
+
+    return value;
+  }
+}
+
+export default EnumCast;
@@ -0,0 +1,8 @@
+/**
+ * Attribute Casts Exports
+ */
+
+export { Casts } from './Casts.js';
+export { CastsAttributes } from './CastsAttributes.js';
+export { EncryptedCast } from './EncryptedCast.js';
+export { EnumCast } from './EnumCast.js';
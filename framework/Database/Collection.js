@@ -0,0 +1,30 @@
+/**
+ * Model Collection
+ * Laravel Eloquent-style collection of models returned by queries
+ */
+
+import { EloquentCollection } from 'guruorm';
+import { EagerLoader } from './EagerLoader.js';
+
+export class ModelCollection extends EloquentCollection {
+  /**
+   * Eager load relations onto every model in the collection
+   *
+   * @example
+   * await orders.load(['items.product', { customer: q => q.select('id', 'name') }]);
+   */
+  async load(relations) {
+    await EagerLoader.load(this, relations);
+    return this;
+  }
+
+  /**
+   * Eager load the relations that are not loaded yet
+   */
+  async loadMissing(relations) {
+    await EagerLoader.load(this, relations, { missing: true });
+    return this;
+  }
+}
+
+export default ModelCollection;
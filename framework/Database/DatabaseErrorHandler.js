@@ -4,6 +4,8 @@
  * Integrates with vasuzex logging system based on LOG_LEVEL configuration
  */
 
+import { ApiError } from '../Exceptions/ApiError.js';
+
 /**
  * Parse and format database errors
  * @param {Error} error - The database error
@@ -125,6 +127,11 @@ export function parseDatabaseError(error) {
  * @returns {boolean}
  */
 export function isDatabaseError(error) {
+  // Errors with an HTTP status (ModelNotFoundError, StaleModelError) pass through as they are
+  if (error instanceof ApiError) {
+    return false;
+  }
+
   return !!(
     error.code ||  // PostgreSQL/MySQL error codes
     (error.message && (
@@ -198,6 +205,31 @@ export function logDatabaseError(error, logger) {
   }
 }
 
+/**
+ * SQLSTATE and driver codes of deadlocks and serialization failures
+ */
+const CONCURRENCY_ERROR_CODES = ['40001', '40P01', 'ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT', 'SQLITE_BUSY'];
+
+/**
+ * Check if an error is a deadlock or serialization failure, after which
+ * the whole transaction may be tried again
+ * @param {Error} error - The error to check (wrapped errors are unwrapped)
+ * @returns {boolean}
+ */
+export function causedByConcurrencyError(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.originalError || current.cause, depth++) {
+    if (CONCURRENCY_ERROR_CODES.includes(current.code)) {
+      return true;
+    }
+
+    if (/deadlock|could not serialize access|lock wait timeout exceeded|database is locked/i.test(current.message || '')) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
 /**
  * Enhance error with database-specific information
  * This creates a user-friendly error that can be thrown/returned
@@ -5,6 +5,8 @@
 
 import ServiceProvider from '../Foundation/ServiceProvider.js';
 import Model from './Model.js';
+import { DatabaseTransactionsManager } from './DatabaseTransactionsManager.js';
+import { Auditor } from './Auditing/Auditor.js';
 
 export class DatabaseServiceProvider extends ServiceProvider {
   /**
@@ -12,6 +14,12 @@ export class DatabaseServiceProvider extends ServiceProvider {
    */
   register() {
     // Database connection is registered by GuruORM
+
+    // Open transactions, for callbacks that wait for the commit
+    this.app.singleton('db.transactions', () => new DatabaseTransactionsManager());
+
+    // Records the changes of auditable models
+    this.app.singleton('auditor', () => new Auditor());
   }
 
   /**
@@ -24,12 +32,23 @@ export class DatabaseServiceProvider extends ServiceProvider {
       Model.setEventDispatcher(dispatcher);
     }
 
-    // Set database connection on Model
+    // Models resolve the connection through GuruORM; track its transactions
+    // and add DB.transaction() and DB.afterCommit()
     if (this.app.has('db')) {
-      const connection = this.app.make('db');
-      Model.setConnection(connection);
+      this.app.make('db.transactions').watch(this.app.make('db'));
+    }
+
+    // Model.transaction() watches the connections resolved some other way
+    Model.transactionsUsing(() => this.app.make('db.transactions'));
+
+    // Resolve the encrypter for encrypted casts when first used
+    if (this.app.has('encrypter')) {
+      Model.encryptUsing(() => this.app.make('encrypter'));
     }
 
+    // Resolve the auditor when an auditable model first changes
+    Model.auditUsing(() => this.app.make('auditor'));
+
     // Set logger on Model for automatic database error logging
     if (this.app.has('log')) {
       const logger = this.app.make('log');
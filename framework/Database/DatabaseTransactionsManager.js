@@ -0,0 +1,335 @@
+/**
+ * Database Transactions Manager
+ * Laravel-inspired transactions with savepoints, deadlock retries and
+ * callbacks that run once the outermost transaction commits
+ *
+ * guruorm fires no transaction events and keeps one transaction per
+ * connection, so watch() wraps the connections it resolves: transaction()
+ * runs each outermost transaction on its own copy of the connection, and
+ * the queries made on the connection inside the callback (models, DB.table,
+ * raw queries) are routed to that copy through async-local context.
+ *
+ * @example
+ * const transactions = new DatabaseTransactionsManager().watch(DB);
+ *
+ * await DB.transaction(async (trx) => {
+ *   await order.save();
+ *   DB.afterCommit(() => Event.dispatch(new OrderPlaced(order)));
+ * }); // OrderPlaced fires here, and never if the transaction rolls back
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { causedByConcurrencyError } from './DatabaseErrorHandler.js';
+
+/**
+ * Connection methods that run on the transaction of the async context
+ */
+const ROUTED_METHODS = [
+  'query', 'table', 'select', 'selectOne', 'scalar', 'insert', 'update', 'delete',
+  'statement', 'affectingStatement', 'unprepared', 'transactionLevel',
+];
+
+export class DatabaseTransactionsManager {
+  constructor() {
+    this.transactions = []; // { connection, level, callbacks }
+    this.watched = new WeakSet();
+    this.isolated = new WeakMap(); // transaction connection => connection it copies
+    this.context = new AsyncLocalStorage(); // Map of connection => its transaction connection
+  }
+
+  /**
+   * Run a callback in a transaction, passing it the transaction connection
+   *
+   * Inside another transaction of the connection the callback runs in a
+   * savepoint, or joins the transaction where guruorm creates none. An
+   * outermost transaction that fails on a deadlock or serialization failure
+   * is tried again.
+   *
+   * @param {Object} connection - guruorm connection
+   * @param {Function} callback - async (trx) => result
+   * @param {Object|number} options - { attempts: 3, backoff: 50 } or the attempts
+   */
+  async transaction(connection, callback, options = {}) {
+    const { attempts = 3, backoff = 50 } = typeof options === 'number' ? { attempts: options } : options;
+    const active = this.activeConnection(connection);
+
+    if (active) {
+      return this.supportsSavepoints(active) ? await this.attempt(active, callback) : await callback(active);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const trx = this.isolate(this.baseOf(connection));
+
+      try {
+        return await this.using(trx, () => this.attempt(trx, callback));
+      } catch (error) {
+        if (attempt >= attempts || !causedByConcurrencyError(error)) {
+          throw error;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, backoff * attempt));
+      } finally {
+        this.rollback(trx, 0);
+      }
+    }
+  }
+
+  /**
+   * Run a callback between begin and commit, rolling back when it throws
+   */
+  async attempt(trx, callback) {
+    await trx.beginTransaction();
+
+    let result;
+
+    try {
+      result = await callback(trx);
+    } catch (error) {
+      await trx.rollback();
+      throw error;
+    }
+
+    await trx.commit();
+
+    return result;
+  }
+
+  /**
+   * Determine whether guruorm nests transactions of the connection in savepoints
+   */
+  supportsSavepoints(connection) {
+    return connection.getDriverName?.() === 'pgsql';
+  }
+
+  /**
+   * Run a callback with the connection's queries routed to a transaction connection
+   */
+  using(trx, callback) {
+    const store = new Map(this.context.getStore());
+    store.set(this.baseOf(trx), trx);
+
+    return this.context.run(store, callback);
+  }
+
+  /**
+   * Get the connection a query should run on: the transaction of the async
+   * context, or the connection itself
+   */
+  connectionFor(connection) {
+    if (this.isolated.has(connection)) {
+      return connection;
+    }
+
+    return this.context.getStore()?.get(connection) ?? connection;
+  }
+
+  /**
+   * Get the transaction connection of the async context with an open transaction
+   */
+  activeConnection(connection) {
+    const trx = this.context.getStore()?.get(this.baseOf(connection));
+
+    return trx && trx.transactionLevel() > 0 ? trx : null;
+  }
+
+  /**
+   * Copy a connection for one transaction; the copy shares the pool
+   */
+  isolate(connection) {
+    const trx = Object.create(connection);
+    trx.transactions = 0;
+    trx._txClient = null; // PostgreSQL: pooled client holding the transaction
+    this.isolated.set(trx, connection);
+
+    return trx;
+  }
+
+  /**
+   * Get the connection a transaction connection copies
+   */
+  baseOf(connection) {
+    return this.isolated.get(connection) ?? connection;
+  }
+
+  /**
+   * Record a transaction that began at the given level
+   */
+  begin(connection, level) {
+    this.transactions.push({ connection, level, callbacks: [] });
+  }
+
+  /**
+   * Commit the transaction at the given level
+   *
+   * The callbacks of a nested transaction move to its parent; those of the
+   * outermost transaction run.
+   */
+  async commit(connection, level) {
+    const index = this.transactions.findIndex(transaction =>
+      transaction.connection === connection && transaction.level === level
+    );
+
+    if (index === -1) {
+      return;
+    }
+
+    const [transaction] = this.transactions.splice(index, 1);
+    const parent = this.current(connection);
+
+    if (parent) {
+      parent.callbacks.push(...transaction.callbacks);
+      return;
+    }
+
+    for (const callback of transaction.callbacks) {
+      await callback();
+    }
+  }
+
+  /**
+   * Discard the transactions above the level rolled back to, with their callbacks
+   */
+  rollback(connection, level) {
+    this.transactions = this.transactions.filter(transaction =>
+      transaction.connection !== connection || transaction.level <= level
+    );
+  }
+
+  /**
+   * Run a callback after the current transaction commits, or now when there is none
+   *
+   * @param {Function} callback
+   * @param {Object} connection - Wait for this connection's transaction (default: any)
+   */
+  async addCallback(callback, connection = null) {
+    const transaction = connection ? this.current(this.connectionFor(connection)) : this.latest();
+
+    if (!transaction) {
+      return await callback();
+    }
+
+    transaction.callbacks.push(callback);
+  }
+
+  /**
+   * Get the innermost open transaction of a connection
+   */
+  current(connection) {
+    return [...this.transactions].reverse().find(transaction => transaction.connection === connection) || null;
+  }
+
+  /**
+   * Get the latest open transaction of the async context, or, outside one,
+   * of a connection shared by the whole process
+   */
+  latest() {
+    const connections = [...(this.context.getStore()?.values() || [])];
+
+    return [...this.transactions].reverse().find(({ connection }) =>
+      connections.length ? connections.includes(connection) : !this.isolated.has(connection)
+    ) || null;
+  }
+
+  /**
+   * Track the transactions of a guruorm connection, or of every connection
+   * a database manager resolves
+   */
+  watch(db) {
+    if (typeof db?.transactionLevel === 'function') {
+      return this.observe(db);
+    }
+
+    const target = typeof db?.manager?.connection === 'function' ? db.manager : db;
+
+    if (typeof target?.connection === 'function') {
+      const resolve = target.connection.bind(target);
+
+      // Connections resolved before now
+      for (const connection of target.connections?.values?.() || []) {
+        if (typeof connection?.transactionLevel === 'function') {
+          this.observe(connection);
+        }
+      }
+
+      target.connection = (...args) => {
+        const connection = resolve(...args);
+        this.observe(connection);
+        return connection;
+      };
+    }
+
+    return this;
+  }
+
+  /**
+   * Wrap a connection's transaction methods to record its transactions, and
+   * add transaction() and afterCommit()
+   */
+  observe(connection) {
+    if (!connection || this.watched.has(connection)) {
+      return this;
+    }
+
+    const { beginTransaction, commit, rollback } = connection;
+    const manager = this;
+
+    for (const method of ROUTED_METHODS) {
+      const original = connection[method];
+
+      if (typeof original === 'function') {
+        connection[method] = function (...args) {
+          const target = manager.connectionFor(this);
+          return target === this ? original.apply(this, args) : target[method](...args);
+        };
+      }
+    }
+
+    connection.beginTransaction = async function (...args) {
+      const target = manager.connectionFor(this);
+
+      if (target !== this) {
+        return await target.beginTransaction(...args);
+      }
+
+      await beginTransaction.apply(this, args);
+      manager.begin(this, this.transactionLevel());
+    };
+
+    connection.commit = async function (...args) {
+      const target = manager.connectionFor(this);
+
+      if (target !== this) {
+        return await target.commit(...args);
+      }
+
+      const level = this.transactionLevel();
+      await commit.apply(this, args);
+      await manager.commit(this, level);
+    };
+
+    connection.rollback = async function (...args) {
+      const target = manager.connectionFor(this);
+
+      if (target !== this) {
+        return await target.rollback(...args);
+      }
+
+      await rollback.apply(this, args);
+      manager.rollback(this, this.transactionLevel());
+    };
+
+    connection.transaction = function (callback, options) {
+      return manager.transaction(this, callback, options);
+    };
+
+    connection.afterCommit = function (callback) {
+      return manager.addCallback(callback, this);
+    };
+
+    this.watched.add(connection);
+
+    return this;
+  }
+}
+
+export default DatabaseTransactionsManager;
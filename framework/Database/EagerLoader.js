@@ -0,0 +1,151 @@
+/**
+ * Eager Loader
+ * Loads relations onto many models at once: one query per relation and
+ * nesting level instead of one per model
+ */
+
+export class EagerLoader {
+  /**
+   * Load relations onto models
+   *
+   * Relations are names, dot paths ('items.product.brand'), arrays of them
+   * or objects mapping paths to constraint callbacks:
+   * { items: q => q.where('qty', '>', 1), 'items.product': null }
+   *
+   * With { missing: true } relations already loaded on a model are skipped.
+   */
+  static async load(models, relations, options = {}) {
+    const list = Array.from(models || []).filter(Boolean);
+
+    if (list.length > 0) {
+      await EagerLoader.loadTree(list, EagerLoader.parse(relations), options.missing === true);
+    }
+
+    return models;
+  }
+
+  /**
+   * Parse relations into a tree of { constraints, children } nodes by name
+   */
+  static parse(relations) {
+    const tree = new Map();
+    const entries = [].concat(relations || []).flatMap(relation =>
+      typeof relation === 'string' ? [[relation, null]] : Object.entries(relation)
+    );
+
+    for (const [path, constraints] of entries) {
+      let level = tree;
+      let node = null;
+
+      for (const segment of path.split('.')) {
+        if (!level.has(segment)) {
+          level.set(segment, { constraints: null, children: new Map() });
+        }
+
+        node = level.get(segment);
+        level = node.children;
+      }
+
+      if (typeof constraints === 'function') {
+        node.constraints = constraints;
+      }
+    }
+
+    return tree;
+  }
+
+  /**
+   * Load a level of the tree, then the levels below it on the related models
+   */
+  static async loadTree(models, tree, missing) {
+    for (const [name, node] of tree) {
+      const pending = missing ? models.filter(model => !EagerLoader.isLoaded(model, name)) : models;
+
+      // Models below a morphTo can be of several classes, each with its own relation
+      for (const group of EagerLoader.groupByClass(pending)) {
+        await EagerLoader.eagerLoadRelation(EagerLoader.relation(group[0], name), group, name, node.constraints);
+      }
+
+      if (node.children.size > 0) {
+        const related = models.flatMap(model => EagerLoader.related(model, name));
+
+        if (related.length > 0) {
+          await EagerLoader.loadTree(related, node.children, missing);
+        }
+      }
+    }
+  }
+
+  /**
+   * Split models into groups of the same class
+   */
+  static groupByClass(models) {
+    const groups = new Map();
+
+    for (const model of models) {
+      if (!groups.has(model.constructor)) {
+        groups.set(model.constructor, []);
+      }
+      groups.get(model.constructor).push(model);
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Get a relation instance from a model's relationship method
+   *
+   * The method is called on a new instance so per-parent constraints
+   * are not applied.
+   */
+  static relation(model, name) {
+    if (typeof model[name] !== 'function') {
+      throw new Error(`Call to undefined relationship [${name}] on model [${model.constructor.name}].`);
+    }
+
+    return model[name].call(new model.constructor());
+  }
+
+  /**
+   * Eager load a framework relation or a GuruORM relation
+   */
+  static async eagerLoadRelation(relation, models, name, constraints) {
+    if (typeof relation?.eagerLoad === 'function') {
+      return relation.eagerLoad(models, name, constraints);
+    }
+
+    if (typeof relation?.addEagerConstraints !== 'function') {
+      throw new Error(`Relationship [${name}] on model [${models[0].constructor.name}] cannot be eager loaded.`);
+    }
+
+    relation.initRelation?.(models, name);
+    relation.addEagerConstraints(models);
+    constraints?.(relation.getQuery(), relation);
+
+    return relation.match(models, await relation.getQuery().get(), name);
+  }
+
+  /**
+   * Determine if a relation is loaded on a model
+   */
+  static isLoaded(model, name) {
+    return typeof model.relationLoaded === 'function'
+      ? model.relationLoaded(name)
+      : model.relations?.[name] !== undefined;
+  }
+
+  /**
+   * Get the loaded related models of a model as an array
+   */
+  static related(model, name) {
+    const value = model.relations?.[name];
+
+    if (!value) {
+      return [];
+    }
+
+    return typeof value[Symbol.iterator] === 'function' ? [...value].filter(Boolean) : [value];
+  }
+}
+
+export default EagerLoader;
@@ -0,0 +1,375 @@
+/**
+ * Model Factory
+ * Laravel-inspired factories building models from a definition, states and
+ * relationships, with fake data from a seeded Faker so runs are reproducible
+ *
+ * @example
+ * class UserFactory extends Factory {
+ *   static model = User;
+ *
+ *   definition() {
+ *     return { name: this.faker.person.fullName(), email: this.faker.internet.email() };
+ *   }
+ *
+ *   admin() {
+ *     return this.state({ role: 'admin' });
+ *   }
+ * }
+ *
+ * const users = await UserFactory.times(3).admin().has(PostFactory.times(2)).create();
+ */
+
+import { Faker, en } from '@faker-js/faker';
+import { Sequence } from './Sequence.js';
+import { ModelCollection } from '../Collection.js';
+
+/**
+ * Lower-case the first letter of a class name: BlogPost -> blogPost
+ */
+function lcfirst(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Guess the plural relationship name of a class name: Category -> categories
+ */
+function plural(name) {
+  const word = lcfirst(name);
+
+  if (/[^aeiou]y$/.test(word)) {
+    return `${word.slice(0, -1)}ies`;
+  }
+
+  return /(s|x|z|ch|sh)$/.test(word) ? `${word}es` : `${word}s`;
+}
+
+export class Factory {
+  /**
+   * Model class the factory builds
+   */
+  static model = null;
+
+  /**
+   * Shared Faker instance
+   */
+  static fakerInstance = null;
+
+  constructor() {
+    this.amount = null;
+    this.states = [];
+    this.parents = [];
+    this.children = [];
+    this.afterMakingCallbacks = [];
+    this.afterCreatingCallbacks = [];
+  }
+
+  /**
+   * Create a factory, optionally with attributes overriding the definition
+   */
+  static new(attributes = {}) {
+    return new this().configure().state(attributes);
+  }
+
+  /**
+   * Create a factory building several models
+   */
+  static times(count) {
+    return this.new().count(count);
+  }
+
+  /**
+   * Get the shared Faker, seeded with FACTORY_SEED (default 1) on first use
+   */
+  static getFaker() {
+    if (!Factory.fakerInstance) {
+      Factory.fakerInstance = new Faker({ locale: [en] });
+      Factory.fakerInstance.seed(Number(process.env.FACTORY_SEED ?? 1));
+    }
+
+    return Factory.fakerInstance;
+  }
+
+  /**
+   * Reseed the shared Faker
+   */
+  static seed(value) {
+    Factory.getFaker().seed(value);
+  }
+
+  /**
+   * Faker for definitions and states
+   */
+  get faker() {
+    return Factory.getFaker();
+  }
+
+  /**
+   * Define the model's default attributes
+   */
+  definition() {
+    return {};
+  }
+
+  /**
+   * Configure the factory (override to register afterMaking / afterCreating callbacks)
+   */
+  configure() {
+    return this;
+  }
+
+  /**
+   * Copy the factory with changes, leaving this one untouched
+   */
+  newInstance(changes = {}) {
+    return Object.assign(new this.constructor(), this, changes);
+  }
+
+  /**
+   * Set how many models to build (a collection is returned instead of one model)
+   */
+  count(amount) {
+    return this.newInstance({ amount });
+  }
+
+  /**
+   * Add a state: attributes, a function of the attributes built so far, or a Sequence
+   */
+  state(state) {
+    return this.newInstance({ states: [...this.states, state] });
+  }
+
+  /**
+   * Add a state cycling through the given states
+   */
+  sequence(...states) {
+    return this.state(new Sequence(...states));
+  }
+
+  /**
+   * Build the models for a parent: a model, or a factory creating one shared parent
+   *
+   * The relationship defaults to the parent class name (User -> user) and must
+   * be a belongsTo or morphTo of the model.
+   */
+  for(parent, relationship = null) {
+    const related = parent instanceof Factory ? parent.modelClass() : parent.constructor;
+
+    return this.newInstance({
+      parents: [...this.parents, { parent, relationship: relationship || lcfirst(related.name) }],
+    });
+  }
+
+  /**
+   * Create children with each model
+   *
+   * The relationship defaults to the plural child class name (Post -> posts)
+   * and may be a hasOne, hasMany, morphOne, morphMany or belongsToMany.
+   */
+  has(factory, relationship = null) {
+    return this.newInstance({
+      children: [...this.children, { factory, relationship: relationship || plural(factory.modelClass().name) }],
+    });
+  }
+
+  /**
+   * Add a callback run after each model is made
+   */
+  afterMaking(callback) {
+    return this.newInstance({ afterMakingCallbacks: [...this.afterMakingCallbacks, callback] });
+  }
+
+  /**
+   * Add a callback run after each model is created
+   */
+  afterCreating(callback) {
+    return this.newInstance({ afterCreatingCallbacks: [...this.afterCreatingCallbacks, callback] });
+  }
+
+  /**
+   * Get the model class
+   */
+  modelClass() {
+    if (!this.constructor.model) {
+      throw new Error(`Factory [${this.constructor.name}] has no model. Set its static model.`);
+    }
+
+    return this.constructor.model;
+  }
+
+  /**
+   * Build the attributes without making models
+   */
+  async raw(attributes = {}) {
+    const build = () => this.getRawAttributes(attributes);
+
+    return this.amount === null ? build() : this.repeat(build);
+  }
+
+  /**
+   * Make models without saving them
+   */
+  async make(attributes = {}) {
+    const parents = await this.resolveParents();
+
+    return this.amount === null
+      ? this.makeInstance(attributes, parents)
+      : ModelCollection.from(await this.repeat(() => this.makeInstance(attributes, parents)));
+  }
+
+  /**
+   * Make and save models with their children
+   */
+  async create(attributes = {}) {
+    const parents = await this.resolveParents();
+    const createOne = async () => {
+      const model = await this.makeInstance(attributes, parents);
+
+      await model.save();
+      await this.createChildren(model);
+      await this.callAfter(this.afterCreatingCallbacks, model);
+
+      return model;
+    };
+
+    return this.amount === null ? createOne() : ModelCollection.from(await this.repeat(createOne));
+  }
+
+  /**
+   * Run a builder once per model, in order
+   */
+  async repeat(build) {
+    const results = [];
+
+    for (let i = 0; i < this.amount; i++) {
+      results.push(await build());
+    }
+
+    return results;
+  }
+
+  /**
+   * Make one model; the given attributes win over the keys of for() parents
+   */
+  async makeInstance(attributes, parents) {
+    const raw = await this.getRawAttributes(attributes);
+    const model = this.fill(new (this.modelClass())(), raw);
+
+    for (const { relationship, owner } of parents) {
+      this.relation(model, relationship).associate(owner);
+      model.setRelation(relationship, owner);
+    }
+
+    for (const key of Object.keys(attributes)) {
+      model.setAttribute(key, raw[key]);
+    }
+
+    await this.callAfter(this.afterMakingCallbacks, model);
+
+    return model;
+  }
+
+  /**
+   * Build the definition with the states and the given attributes applied
+   */
+  async getRawAttributes(overrides = {}) {
+    let attributes = this.definition();
+
+    for (const state of this.states) {
+      const changes = state instanceof Sequence
+        ? state.next(attributes)
+        : typeof state === 'function' ? state.call(this, attributes) : state;
+
+      attributes = { ...attributes, ...changes };
+    }
+
+    return this.expand({ ...attributes, ...overrides });
+  }
+
+  /**
+   * Resolve attribute values: factories are created and replaced by their key,
+   * functions are called with the other attributes
+   */
+  async expand(attributes) {
+    const expanded = { ...attributes };
+
+    for (const [key, value] of Object.entries(expanded)) {
+      if (value instanceof Factory) {
+        expanded[key] = (await value.create()).getKey();
+      } else if (typeof value === 'function') {
+        expanded[key] = await value(expanded);
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Set attributes on a model, bypassing fillable but applying mutators and casts
+   */
+  fill(model, attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      model.setAttribute(key, value);
+    }
+
+    return model;
+  }
+
+  /**
+   * Resolve the parents given to for(), creating those given as factories
+   */
+  async resolveParents() {
+    const parents = [];
+
+    for (const { parent, relationship } of this.parents) {
+      parents.push({ relationship, owner: parent instanceof Factory ? await parent.create() : parent });
+    }
+
+    return parents;
+  }
+
+  /**
+   * Create the children given to has() for a saved model
+   */
+  async createChildren(model) {
+    for (const { factory, relationship } of this.children) {
+      const relation = this.relation(model, relationship);
+
+      if (typeof relation.attach === 'function') {
+        const related = await factory.create();
+        await relation.attach([].concat(related).map(child => child.getKey()));
+        model.setRelation(relationship, related);
+        continue;
+      }
+
+      const keys = { [relation.foreignKey]: model.getAttribute(relation.localKey) };
+
+      if (relation.morphType) {
+        keys[relation.morphType] = relation.morphClass;
+      }
+
+      model.setRelation(relationship, await factory.create(keys));
+    }
+  }
+
+  /**
+   * Get a relation of a model by method name
+   */
+  relation(model, name) {
+    if (typeof model[name] !== 'function') {
+      throw new Error(`Call to undefined relationship [${name}] on model [${model.constructor.name}].`);
+    }
+
+    return model[name]();
+  }
+
+  /**
+   * Run callbacks for a model
+   */
+  async callAfter(callbacks, model) {
+    for (const callback of callbacks) {
+      await callback.call(this, model);
+    }
+  }
+}
+
+export default Factory;
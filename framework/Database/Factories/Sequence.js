@@ -0,0 +1,33 @@
+/**
+ * Sequence
+ * Cycles through states for each model a factory builds
+ *
+ * @example
+ * UserFactory.times(4).state(new Sequence({ role: 'admin' }, { role: 'member' }));
+ * UserFactory.times(3).state(new Sequence(sequence => ({ name: `User ${sequence.index}` })));
+ */
+
+export class Sequence {
+  constructor(...states) {
+    this.states = states;
+    this.count = states.length;
+    this.index = 0;
+  }
+
+  /**
+   * Get the next state
+   *
+   * Function states receive the sequence (with the current `index`) and the
+   * attributes built so far.
+   */
+  next(attributes = {}) {
+    const state = this.states[this.index % this.count];
+    const result = typeof state === 'function' ? state(this, attributes) : state;
+
+    this.index++;
+
+    return result;
+  }
+}
+
+export default Sequence;
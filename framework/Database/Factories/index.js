@@ -0,0 +1,6 @@
+/**
+ * Model Factory Exports
+ */
+
+export { Factory } from './Factory.js';
+export { Sequence } from './Sequence.js';
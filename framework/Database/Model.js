@@ -3,8 +3,72 @@
  * Laravel Eloquent-inspired base model extending GuruORM
  */
 
-import { Model as GuruORMModel } from 'guruorm';
+import { Model as GuruORMModel, EloquentBuilder } from 'guruorm';
 import { logDatabaseError, enhanceDatabaseError } from './DatabaseErrorHandler.js';
+import { ModelNotFoundError, StaleModelError } from '../Exceptions/ErrorTypes.js';
+import { EagerLoader } from './EagerLoader.js';
+import { ModelCollection } from './Collection.js';
+import { Casts } from './Casts/Casts.js';
+import { BroadcastableModelEventOccurred } from './BroadcastableModelEventOccurred.js';
+import { DatabaseTransactionsManager } from './DatabaseTransactionsManager.js';
+
+/**
+ * Resolved casters by casts object, so reassigning static casts is picked up
+ */
+const casters = new WeakMap();
+
+/**
+ * Compare two cast values (dates by time, objects by content)
+ */
+function sameCastValue(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  return a === b;
+}
+
+/**
+ * Builder get() returning a ModelCollection
+ */
+async function getModels(columns = ['*']) {
+  return ModelCollection.from(await EloquentBuilder.prototype.get.call(this, columns));
+}
+
+/**
+ * Builder with() that also accepts arrays mixing names and constraint objects
+ */
+function withRelations(relations) {
+  const normalized = [].concat(relations).map(relation =>
+    typeof relation === 'string' ? { [relation]: null } : relation
+  );
+
+  return EloquentBuilder.prototype.with.call(this, Object.assign({}, ...normalized));
+}
+
+/**
+ * Builder eager loading through EagerLoader (batched nested and constrained loads)
+ */
+async function eagerLoadRelations(models) {
+  return EagerLoader.load(models, this.eagerLoad);
+}
+
+/**
+ * Builder row locks, which GuruORM's Eloquent builder does not forward
+ */
+function lockForUpdate() {
+  this.query.lockForUpdate();
+  return this;
+}
+
+function sharedLock() {
+  this.query.sharedLock();
+  return this;
+}
 
 export class Model extends GuruORMModel {
   // Laravel-style properties
@@ -21,9 +85,11 @@ export class Model extends GuruORMModel {
   static casts = {};
 
   // Relationships
-  static with = [];
   static withCount = [];
 
+  // Route model binding (defaults to the primary key)
+  static routeKeyName = null;
+
   // Soft deletes
   static softDeletes = false;
   static deletedAt = 'deleted_at';
@@ -32,6 +98,12 @@ export class Model extends GuruORMModel {
   static createdAt = 'created_at';
   static updatedAt = 'updated_at';
 
+  /**
+   * Optimistic locking: integer column incremented by each save, which fails
+   * with StaleModelError when the row was saved since the model was read
+   */
+  static versionColumn = null;
+
   // Boot tracking
   static booted = false;
   // NOTE: Do NOT re-declare globalScopes here.
@@ -42,9 +114,36 @@ export class Model extends GuruORMModel {
   // Event dispatcher
   static dispatcher = null;
 
+  /**
+   * Broadcast model events: true for created, updated and deleted, or a list of events
+   */
+  static broadcastsEvents = false;
+
+  /**
+   * Audit changes: true for created, updated, deleted and restored, or a list of events
+   */
+  static auditable = false;
+  static auditExclude = [];
+  static auditRedact = [];
+
+  /**
+   * Auditor recording the changes of auditable models, or a function resolving it
+   */
+  static auditor = null;
+
   // Logger instance (set by application)
   static logger = null;
 
+  /**
+   * Encrypter used by 'encrypted' casts, or a function resolving it
+   */
+  static encrypter = null;
+
+  /**
+   * Transactions manager for connections nothing watches, or a function resolving it
+   */
+  static transactions = null;
+
   // Instance properties  
   // NOTE: Do NOT initialize object/array properties here as class fields!
   // Class field initialization creates SHARED references between all instances.
@@ -97,6 +196,67 @@ export class Model extends GuruORMModel {
     return this.dispatcher;
   }
 
+  /**
+   * Set the encrypter used by encrypted casts (an instance or a resolver function)
+   */
+  static encryptUsing(encrypter) {
+    this.encrypter = encrypter;
+  }
+
+  /**
+   * Get the encrypter used by encrypted casts
+   */
+  static getEncrypter() {
+    const encrypter = typeof this.encrypter === 'function' ? this.encrypter() : this.encrypter;
+
+    if (!encrypter) {
+      throw new Error('No encrypter is set for encrypted casts. Register the EncryptionServiceProvider or call Model.encryptUsing().');
+    }
+
+    return encrypter;
+  }
+
+  /**
+   * Set the auditor of auditable models (an instance or a resolver function)
+   */
+  static auditUsing(auditor) {
+    this.auditor = auditor;
+  }
+
+  /**
+   * Get the auditor of auditable models
+   */
+  static getAuditor() {
+    const auditor = typeof this.auditor === 'function' ? this.auditor() : this.auditor;
+
+    if (!auditor) {
+      throw new Error('No auditor is set for auditable models. Register the DatabaseServiceProvider or call Model.auditUsing().');
+    }
+
+    return auditor;
+  }
+
+  /**
+   * Set the transactions manager of unwatched connections (an instance or a resolver function)
+   */
+  static transactionsUsing(transactions) {
+    this.transactions = transactions;
+  }
+
+  /**
+   * Get the transactions manager of unwatched connections
+   */
+  static getTransactions() {
+    const transactions = typeof this.transactions === 'function' ? this.transactions() : this.transactions;
+
+    if (!transactions) {
+      Model.transactions = new DatabaseTransactionsManager();
+      return Model.transactions;
+    }
+
+    return transactions;
+  }
+
   /**
    * Fill model attributes
    */
@@ -164,6 +324,13 @@ export class Model extends GuruORMModel {
     // Cast value for storage if casts defined
     if (this.constructor.casts[key]) {
       value = this.castAttributeForStorage(key, value);
+
+      // Casts spanning several columns return them as a plain object
+      if (this.getCaster(key) && value?.constructor === Object) {
+        Object.assign(this.attributes, value);
+        this.isDirtyFlag = true;
+        return this;
+      }
     }
 
     this.attributes[key] = value;
@@ -186,6 +353,11 @@ export class Model extends GuruORMModel {
       return null;
     }
 
+    // Class casts may be built from other columns, so the key itself can be unset
+    if (this.getCaster(key)) {
+      return this.castAttribute(key, this.attributes[key]);
+    }
+
     // Delegate to GuruORM's getAttribute for lazy loading, relations, and casts
     return super.getAttribute(key);
   }
@@ -194,11 +366,17 @@ export class Model extends GuruORMModel {
    * Cast attribute for retrieval
    */
   castAttribute(key, value) {
+    const caster = this.getCaster(key);
+
+    if (caster) {
+      return caster.get(this, key, value, this.attributes);
+    }
+
     if (value === null || value === undefined) {
       return value;
     }
 
-    const castType = this.constructor.casts[key];
+    const [castType, argument] = String(this.constructor.casts[key]).split(':');
 
     switch (castType) {
       case 'int':
@@ -208,6 +386,8 @@ export class Model extends GuruORMModel {
       case 'float':
       case 'double':
         return parseFloat(value);
+      case 'decimal':
+        return Number(value).toFixed(parseInt(argument ?? 2));
       case 'string':
         return String(value);
       case 'bool':
@@ -233,6 +413,12 @@ export class Model extends GuruORMModel {
    * Cast attribute for storage
    */
   castAttributeForStorage(key, value) {
+    const caster = this.getCaster(key);
+
+    if (caster) {
+      return caster.set(this, key, value, this.attributes);
+    }
+
     if (value === null || value === undefined) {
       return value;
     }
@@ -254,6 +440,49 @@ export class Model extends GuruORMModel {
     }
   }
 
+  /**
+   * Get the class-based caster of an attribute, or null for primitive casts
+   */
+  getCaster(key) {
+    const casts = this.constructor.casts;
+
+    if (!casters.has(casts)) {
+      casters.set(casts, new Map());
+    }
+
+    const resolved = casters.get(casts);
+
+    if (!resolved.has(key)) {
+      resolved.set(key, Casts.resolve(casts[key]));
+    }
+
+    return resolved.get(key);
+  }
+
+  /**
+   * Determine if a stored value is equivalent to the original one
+   *
+   * Cast attributes are compared by their cast values, so '10.50' equals 10.5
+   * under 'decimal:2' and two encryptions of the same value are equal.
+   */
+  originalIsEquivalent(key, current) {
+    const original = this.original[key];
+
+    if (current === original) {
+      return true;
+    }
+
+    if (current === null || current === undefined || original === null || original === undefined) {
+      return false;
+    }
+
+    if (!this.constructor.casts[key]) {
+      return false;
+    }
+
+    return sameCastValue(this.castAttribute(key, current), this.castAttribute(key, original));
+  }
+
   /**
    * Sync original attributes
    */
@@ -284,7 +513,7 @@ export class Model extends GuruORMModel {
     const attrs = Array.isArray(attributes) ? attributes : [attributes];
     
     for (const attr of attrs) {
-      if (this.attributes[attr] !== this.original[attr]) {
+      if (!this.originalIsEquivalent(attr, this.attributes[attr])) {
         return true;
       }
     }
@@ -299,7 +528,7 @@ export class Model extends GuruORMModel {
     const dirty = {};
 
     for (const [key, value] of Object.entries(this.attributes)) {
-      if (value !== this.original[key]) {
+      if (!this.originalIsEquivalent(key, value)) {
         dirty[key] = value;
       }
     }
@@ -374,6 +603,12 @@ export class Model extends GuruORMModel {
       this.updateTimestamps();
     }
 
+    // First version
+    const versionColumn = this.constructor.versionColumn;
+    if (versionColumn && (this.attributes[versionColumn] === undefined || this.attributes[versionColumn] === null)) {
+      this.attributes[versionColumn] = 1;
+    }
+
     // Filter out internal tracking properties before insert
     const attributes = { ...this.attributes };
     delete attributes.isDirtyFlag;  // Remove internal tracking fields
@@ -432,9 +667,28 @@ export class Model extends GuruORMModel {
     delete dirty.relations;  // Remove relations (handled separately)
 
     const pk = this.constructor.primaryKey || 'id';
-    
+    let query = this.constructor.where(pk, this.getKey());
+
+    // Optimistic locking: only update the version that was read
+    const versionColumn = this.constructor.versionColumn;
+    if (versionColumn) {
+      const version = this.original[versionColumn];
+      dirty[versionColumn] = (Number(version) || 0) + 1;
+      query = version === null || version === undefined
+        ? query.whereNull(versionColumn)
+        : query.where(versionColumn, version);
+    }
+
     // Use GuruORM's update
-    await this.constructor.where(pk, this.getKey()).update(dirty);
+    const affected = await query.update(dirty);
+
+    if (versionColumn) {
+      if (!affected) {
+        throw new StaleModelError(this.constructor.name, this.getKey());
+      }
+
+      this.attributes[versionColumn] = dirty[versionColumn];
+    }
 
     this.syncOriginal();
     return true;
@@ -561,6 +815,13 @@ export class Model extends GuruORMModel {
     return this.getAttribute(pk);
   }
 
+  /**
+   * Get the value used for the model in route URLs
+   */
+  getRouteKey() {
+    return this.getAttribute(this.constructor.getRouteKeyName());
+  }
+
   /**
    * Set primary key value
    */
@@ -569,27 +830,98 @@ export class Model extends GuruORMModel {
     return this.setAttribute(pk, value);
   }
 
+  /**
+   * Get a new query builder for the model
+   *
+   * get() returns a ModelCollection and with() eager loads in batches.
+   */
+  newQuery() {
+    const query = super.newQuery();
+    query.get = getModels;
+    query.with = withRelations;
+    query.eagerLoadRelations = eagerLoadRelations;
+    query.lockForUpdate = lockForUpdate;
+    query.sharedLock = sharedLock;
+    return query;
+  }
+
+  /**
+   * Eager load relations onto the model
+   */
+  async load(relations) {
+    await EagerLoader.load([this], relations);
+    return this;
+  }
+
+  /**
+   * Eager load the relations that are not loaded yet
+   */
+  async loadMissing(relations) {
+    await EagerLoader.load([this], relations, { missing: true });
+    return this;
+  }
+
   /**
    * Fire model event
    */
   async fireModelEvent(event, halt = true) {
-    if (!this.constructor.dispatcher) {
-      return true;
-    }
+    const dispatcher = this.constructor.dispatcher;
+
+    if (dispatcher) {
+      // Event name: eloquent.{event}: {ModelName}
+      const eventName = `eloquent.${event}: ${this.constructor.name}`;
+
+      const method = halt ? 'until' : 'dispatch';
+      const result = await dispatcher[method](eventName, this);
 
-    // Event name: eloquent.{event}: {ModelName}
-    const eventName = `eloquent.${event}: ${this.constructor.name}`;
+      if (halt && result === false) {
+        return false;
+      }
+    }
 
-    const method = halt ? 'until' : 'dispatch';
-    const result = await this.constructor.dispatcher[method](eventName, this);
+    if (this.constructor.auditable) {
+      await this.constructor.getAuditor().handle(this, event);
+    }
 
-    if (halt) {
-      return result !== false;
+    if (dispatcher && !halt && this.shouldBroadcastModelEvent(event)) {
+      await dispatcher.dispatch(new BroadcastableModelEventOccurred(this, event));
     }
 
     return true;
   }
 
+  /**
+   * Determine if the model broadcasts the given event
+   */
+  shouldBroadcastModelEvent(event) {
+    const events = this.constructor.broadcastsEvents === true
+      ? ['created', 'updated', 'deleted']
+      : this.constructor.broadcastsEvents || [];
+
+    return events.includes(event);
+  }
+
+  /**
+   * Get the channel name model events are broadcast on, e.g. "Order.42"
+   */
+  broadcastChannel() {
+    return `${this.constructor.name}.${this.getKey()}`;
+  }
+
+  /**
+   * The recorded changes of an auditable model, latest first
+   */
+  audits() {
+    return this.constructor.getAuditor().auditsOf(this);
+  }
+
+  /**
+   * Restore the model to its state right after an audit, and save it
+   */
+  async restoreToAudit(id) {
+    return await this.constructor.getAuditor().restore(this, id);
+  }
+
   /**
    * Convert to array
    */
@@ -602,6 +934,18 @@ export class Model extends GuruORMModel {
     delete array.pendingMutators;
     delete array.isHydrating;
 
+    // Class casts serialize their cast value (decrypted, enum value, value object)
+    for (const key of Object.keys(this.constructor.casts)) {
+      const caster = this.getCaster(key);
+      const value = caster ? this.castAttribute(key, this.attributes[key]) : undefined;
+
+      if (value !== undefined) {
+        array[key] = typeof caster.serialize === 'function'
+          ? caster.serialize(this, key, value, this.attributes)
+          : value;
+      }
+    }
+
     // Add relations
     for (const [key, value] of Object.entries(this.relations)) {
       if (value && typeof value.toArray === 'function') {
@@ -776,7 +1120,59 @@ export class Model extends GuruORMModel {
 
     if (!model) {
       const pk = this.primaryKey || 'id';
-      throw new Error(`Model not found with ${pk} = ${id}`);
+      throw new ModelNotFoundError(this.name, id, `Model not found with ${pk} = ${id}`);
+    }
+
+    return model;
+  }
+
+  /**
+   * Get a factory for the model
+   *
+   * @example
+   * await User.factory(3, { role: 'admin' }).create();
+   */
+  static factory(count = null, state = {}) {
+    const factory = this.newFactory();
+
+    if (!factory) {
+      throw new Error(`Model [${this.name}] has no factory. Define a static newFactory() returning one.`);
+    }
+
+    return (count === null ? factory : factory.count(count)).state(state);
+  }
+
+  /**
+   * Create the model's factory (override: return UserFactory.new())
+   */
+  static newFactory() {
+    return null;
+  }
+
+  /**
+   * Get the column used to resolve route parameters
+   */
+  static getRouteKeyName() {
+    return this.routeKeyName || this.primaryKey || 'id';
+  }
+
+  /**
+   * Resolve a route parameter into a model, or throw ModelNotFoundError
+   *
+   * Soft deleted models are only resolved when the route allows them.
+   */
+  static async resolveRouteBinding(value, withTrashed = false) {
+    const field = this.getRouteKeyName();
+
+    if (!withTrashed && field === (this.primaryKey || 'id')) {
+      return await this.findOrFail(value);
+    }
+
+    const query = withTrashed ? this.withTrashed() : this.query();
+    const model = await query.where(field, value).first();
+
+    if (!model) {
+      throw new ModelNotFoundError(this.name, value);
     }
 
     return model;
@@ -838,6 +1234,26 @@ export class Model extends GuruORMModel {
     return instance;
   }
 
+  /**
+   * Run a callback in a transaction on the model's connection
+   *
+   * Model queries inside the callback join the transaction.
+   *
+   * @param {Function} callback - async (trx) => result
+   * @param {Object|number} options - { attempts, backoff } or the attempts
+   */
+  static async transaction(callback, options = {}) {
+    const connection = new this().getConnection();
+
+    // guruorm's own transaction() only takes a number of attempts, so watch
+    // connections the DatabaseServiceProvider did not
+    if (typeof connection.afterCommit !== 'function') {
+      this.getTransactions().observe(connection);
+    }
+
+    return await connection.transaction(callback, options);
+  }
+
   /**
    * Query builder with soft deletes
    */
@@ -883,6 +1299,38 @@ export class Model extends GuruORMModel {
     return query;
   }
 
+  /**
+   * Query builder that eager loads relations
+   *
+   * @example
+   * await Order.with(['items.product.brand', { customer: q => q.select('id', 'name') }]).get();
+   * await Order.with({ items: q => q.where('qty', '>', 1) }).get();
+   */
+  static with(relations) {
+    return this.query().with(relations);
+  }
+
+  /**
+   * Query that locks the selected rows until the transaction ends (SELECT ... FOR UPDATE)
+   *
+   * @example
+   * await DB.transaction(async () => {
+   *   const product = await Product.lockForUpdate().where('id', id).first();
+   *   product.stock -= quantity;
+   *   await product.save();
+   * });
+   */
+  static lockForUpdate() {
+    return this.query().lockForUpdate();
+  }
+
+  /**
+   * Query that keeps the selected rows from changing until the transaction ends (SELECT ... FOR SHARE)
+   */
+  static sharedLock() {
+    return this.query().sharedLock();
+  }
+
   /**
    * Override where() to pass through model context
    */
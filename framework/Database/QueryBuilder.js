@@ -132,6 +132,22 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Lock the selected rows for update until the transaction ends
+   */
+  lockForUpdate() {
+    this.query = this.query.lockForUpdate();
+    return this;
+  }
+
+  /**
+   * Lock the selected rows against changes until the transaction ends
+   */
+  sharedLock() {
+    this.query = this.query.sharedLock();
+    return this;
+  }
+
   /**
    * Get all results
    */
@@ -1,8 +1,21 @@
 /**
  * Relationships
  * Laravel Eloquent-style relationships for models
+ *
+ * Each relationship resolves lazily for one parent through getResults(), or
+ * for many parents at once through eagerLoad(), which runs one query (plus
+ * one pivot/intermediate query) and matches the results to their parents.
  */
 
+import { ModelCollection } from './Collection.js';
+
+/**
+ * Get an attribute of a model or plain row
+ */
+function attribute(model, key) {
+  return typeof model.getAttribute === 'function' ? model.getAttribute(key) : model[key];
+}
+
 export class Relationship {
   constructor(query, parent, foreignKey, localKey) {
     this.query = query;
@@ -24,6 +37,96 @@ export class Relationship {
   async first() {
     return await this.query.first();
   }
+
+  /**
+   * Get the query of the related model
+   */
+  getQuery() {
+    return this.query;
+  }
+
+  /**
+   * Get the related model class (the query holds an instance of it)
+   */
+  relatedModel() {
+    const model = this.query.model;
+    return typeof model === 'function' ? model : model.constructor;
+  }
+
+  /**
+   * Eager load the relationship onto models
+   *
+   * Constraints receive the related query: (query, relation) => {}.
+   */
+  async eagerLoad(models, name, constraints = null) {
+    const results = await this.getEager(models, constraints);
+    return this.match(models, results, name);
+  }
+
+  /**
+   * Run the related query for the given keys (none runs no query)
+   */
+  async getRelated(column, keys, constraints) {
+    if (keys.length === 0) {
+      return [];
+    }
+
+    this.query.whereIn(column, keys);
+    constraints?.(this.query, this);
+
+    return Array.from(await this.query.get() || []);
+  }
+
+  /**
+   * Get the unique, non-null values of a key on models
+   */
+  getKeys(models, key) {
+    return [...new Set(models.map(model => attribute(model, key)).filter(value => value !== null && value !== undefined))];
+  }
+
+  /**
+   * Set the related model (or null) whose key matches each parent's key
+   */
+  matchOne(models, results, name, parentKey, relatedKey) {
+    const dictionary = this.buildDictionary(results, relatedKey);
+
+    for (const model of models) {
+      model.setRelation(name, dictionary.get(String(attribute(model, parentKey)))?.[0] || null);
+    }
+
+    return models;
+  }
+
+  /**
+   * Set the related models whose key matches each parent's key
+   */
+  matchMany(models, results, name, parentKey, relatedKey) {
+    const dictionary = this.buildDictionary(results, relatedKey);
+
+    for (const model of models) {
+      model.setRelation(name, ModelCollection.from(dictionary.get(String(attribute(model, parentKey))) || []));
+    }
+
+    return models;
+  }
+
+  /**
+   * Group models by the value of a key
+   */
+  buildDictionary(models, key) {
+    const dictionary = new Map();
+
+    for (const model of models) {
+      const value = String(attribute(model, key));
+
+      if (!dictionary.has(value)) {
+        dictionary.set(value, []);
+      }
+      dictionary.get(value).push(model);
+    }
+
+    return dictionary;
+  }
 }
 
 /**
@@ -50,6 +153,20 @@ export class HasOne extends Relationship {
   async getResults() {
     return await this.first();
   }
+
+  /**
+   * Get the related models of every parent
+   */
+  async getEager(models, constraints) {
+    return this.getRelated(this.foreignKey, this.getKeys(models, this.localKey), constraints);
+  }
+
+  /**
+   * Set the first matching related model (or null) on each parent
+   */
+  match(models, results, name) {
+    return this.matchOne(models, results, name, this.localKey, this.foreignKey);
+  }
 }
 
 /**
@@ -77,11 +194,25 @@ export class HasMany extends Relationship {
     return await this.get();
   }
 
+  /**
+   * Get the related models of every parent
+   */
+  async getEager(models, constraints) {
+    return this.getRelated(this.foreignKey, this.getKeys(models, this.localKey), constraints);
+  }
+
+  /**
+   * Set the matching related models on each parent
+   */
+  match(models, results, name) {
+    return this.matchMany(models, results, name, this.localKey, this.foreignKey);
+  }
+
   /**
    * Create new related model
    */
   async create(attributes = {}) {
-    const relatedModel = this.query.model;
+    const relatedModel = this.relatedModel();
     const instance = new relatedModel({
       ...attributes,
       [this.foreignKey]: this.parent.getAttribute(this.localKey)
@@ -119,6 +250,20 @@ export class BelongsTo extends Relationship {
     return await this.first();
   }
 
+  /**
+   * Get the owners of every child
+   */
+  async getEager(models, constraints) {
+    return this.getRelated(this.localKey, this.getKeys(models, this.foreignKey), constraints);
+  }
+
+  /**
+   * Set the matching owner (or null) on each child
+   */
+  match(models, results, name) {
+    return this.matchOne(models, results, name, this.foreignKey, this.localKey);
+  }
+
   /**
    * Associate model
    */
@@ -156,8 +301,7 @@ export class BelongsToMany extends Relationship {
     const parentId = this.parent.getAttribute(this.parentKey);
     
     // Get pivot records
-    const pivots = await this.parent.constructor.connection
-      .table(this.table)
+    const pivots = await this.newPivotQuery()
       .where(this.foreignPivotKey, parentId)
       .get();
 
@@ -176,6 +320,52 @@ export class BelongsToMany extends Relationship {
     return results;
   }
 
+  /**
+   * Get a query on the pivot table
+   */
+  newPivotQuery() {
+    return this.parent.getConnection().table(this.table);
+  }
+
+  /**
+   * Get the attributes every new pivot record has
+   */
+  pivotAttributes() {
+    return {};
+  }
+
+  /**
+   * Get the related models of every parent through the pivot table
+   */
+  async getEager(models, constraints) {
+    const parentIds = this.getKeys(models, this.parentKey);
+
+    this.eagerPivots = parentIds.length === 0 ? [] : Array.from(
+      await this.newPivotQuery()
+        .whereIn(this.foreignPivotKey, parentIds)
+        .get() || []
+    );
+
+    return this.getRelated(this.relatedKey, this.getKeys(this.eagerPivots, this.relatedPivotKey), constraints);
+  }
+
+  /**
+   * Set the related models attached to each parent
+   */
+  match(models, results, name) {
+    const related = this.buildDictionary(results, this.relatedKey);
+    const pivots = this.buildDictionary(this.eagerPivots || [], this.foreignPivotKey);
+
+    for (const model of models) {
+      const attached = (pivots.get(String(attribute(model, this.parentKey))) || [])
+        .flatMap(pivot => related.get(String(pivot[this.relatedPivotKey])) || []);
+
+      model.setRelation(name, ModelCollection.from(attached));
+    }
+
+    return models;
+  }
+
   /**
    * Attach model(s)
    */
@@ -186,12 +376,11 @@ export class BelongsToMany extends Relationship {
     const records = ids.map(relatedId => ({
       [this.foreignPivotKey]: parentId,
       [this.relatedPivotKey]: relatedId,
+      ...this.pivotAttributes(),
       ...attributes
     }));
 
-    await this.parent.constructor.connection
-      .table(this.table)
-      .insert(records);
+    await this.newPivotQuery().insert(records);
 
     return this;
   }
@@ -202,8 +391,7 @@ export class BelongsToMany extends Relationship {
   async detach(id = null) {
     const parentId = this.parent.getAttribute(this.parentKey);
     
-    let query = this.parent.constructor.connection
-      .table(this.table)
+    let query = this.newPivotQuery()
       .where(this.foreignPivotKey, parentId);
 
     if (id !== null) {
@@ -224,8 +412,7 @@ export class BelongsToMany extends Relationship {
 
     // Get current IDs
     const parentId = this.parent.getAttribute(this.parentKey);
-    const current = await this.parent.constructor.connection
-      .table(this.table)
+    const current = await this.newPivotQuery()
       .where(this.foreignPivotKey, parentId)
       .get();
 
@@ -259,8 +446,7 @@ export class BelongsToMany extends Relationship {
     const parentId = this.parent.getAttribute(this.parentKey);
 
     // Get current IDs
-    const current = await this.parent.constructor.connection
-      .table(this.table)
+    const current = await this.newPivotQuery()
       .where(this.foreignPivotKey, parentId)
       .get();
 
@@ -297,6 +483,13 @@ export class HasManyThrough extends Relationship {
     this.secondLocalKey = secondLocalKey;
   }
 
+  /**
+   * Get the table of the intermediate model
+   */
+  throughTable() {
+    return this.through.table || new this.through().getTable();
+  }
+
   /**
    * Get results
    */
@@ -304,8 +497,8 @@ export class HasManyThrough extends Relationship {
     const parentId = this.parent.getAttribute(this.localKey);
 
     // Get intermediate records
-    const throughTable = this.through.getTableName();
-    const intermediates = await this.parent.constructor.connection
+    const throughTable = this.throughTable();
+    const intermediates = await this.parent.getConnection()
       .table(throughTable)
       .where(this.firstKey, parentId)
       .get();
@@ -326,22 +519,304 @@ export class HasManyThrough extends Relationship {
 
     return results;
   }
+
+  /**
+   * Get the related models of every parent through the intermediate table
+   */
+  async getEager(models, constraints) {
+    const parentIds = this.getKeys(models, this.localKey);
+
+    this.eagerIntermediates = parentIds.length === 0 ? [] : Array.from(
+      await this.parent.getConnection()
+        .table(this.throughTable())
+        .whereIn(this.firstKey, parentIds)
+        .get() || []
+    );
+
+    return this.getRelated(this.secondKey, this.getKeys(this.eagerIntermediates, this.secondLocalKey), constraints);
+  }
+
+  /**
+   * Set the related models reached through each parent's intermediates
+   */
+  match(models, results, name) {
+    const related = this.buildDictionary(results, this.secondKey);
+    const intermediates = this.buildDictionary(this.eagerIntermediates || [], this.firstKey);
+
+    for (const model of models) {
+      const reached = (intermediates.get(String(attribute(model, this.localKey))) || [])
+        .flatMap(intermediate => related.get(String(intermediate[this.secondLocalKey])) || []);
+
+      model.setRelation(name, ModelCollection.from(reached));
+    }
+
+    return models;
+  }
+}
+
+/**
+ * Morph One / Morph Many base: a has-one/has-many keyed by id and type columns
+ */
+export class MorphOneOrMany extends Relationship {
+  constructor(query, parent, morphType, foreignKey, localKey, morphClass) {
+    super(query, parent, foreignKey, localKey);
+    this.morphType = morphType;
+    this.morphClass = morphClass;
+    this.addConstraints();
+  }
+
+  /**
+   * Add constraints
+   */
+  addConstraints() {
+    if (this.parent.exists) {
+      this.query
+        .where(this.foreignKey, this.parent.getAttribute(this.localKey))
+        .where(this.morphType, this.morphClass);
+    }
+  }
+
+  /**
+   * Get the related models of every parent
+   */
+  async getEager(models, constraints) {
+    const keys = this.getKeys(models, this.localKey);
+
+    if (keys.length > 0) {
+      this.query.where(this.morphType, this.morphClass);
+    }
+
+    return this.getRelated(this.foreignKey, keys, constraints);
+  }
+
+  /**
+   * Create new related model
+   */
+  async create(attributes = {}) {
+    const relatedModel = this.relatedModel();
+    const instance = new relatedModel({
+      ...attributes,
+      [this.foreignKey]: this.parent.getAttribute(this.localKey),
+      [this.morphType]: this.morphClass
+    });
+    await instance.save();
+    return instance;
+  }
+}
+
+/**
+ * Morph One Relationship
+ */
+export class MorphOne extends MorphOneOrMany {
+  /**
+   * Get results
+   */
+  async getResults() {
+    return await this.first();
+  }
+
+  /**
+   * Set the first matching related model (or null) on each parent
+   */
+  match(models, results, name) {
+    return this.matchOne(models, results, name, this.localKey, this.foreignKey);
+  }
+}
+
+/**
+ * Morph Many Relationship
+ */
+export class MorphMany extends MorphOneOrMany {
+  /**
+   * Get results
+   */
+  async getResults() {
+    return await this.get();
+  }
+
+  /**
+   * Set the matching related models on each parent
+   */
+  match(models, results, name) {
+    return this.matchMany(models, results, name, this.localKey, this.foreignKey);
+  }
+}
+
+/**
+ * Morph To Relationship
+ * The inverse of morphOne/morphMany: the owner's model depends on the type column
+ */
+export class MorphTo extends Relationship {
+  constructor(parent, foreignKey, morphType, ownerKey = null) {
+    super(null, parent, foreignKey, ownerKey);
+    this.morphType = morphType;
+    this.ownerKey = ownerKey;
+  }
+
+  /**
+   * Get results
+   */
+  async getResults() {
+    const type = this.parent.getAttribute(this.morphType);
+    const id = this.parent.getAttribute(this.foreignKey);
+
+    if (!type || id === null || id === undefined) {
+      return null;
+    }
+
+    const related = Relations.getMorphedModel(type);
+    return await related.query().where(this.ownerKeyFor(related), id).first();
+  }
+
+  /**
+   * Eager load the owners, one query per type
+   *
+   * Constraints receive each type's query and model: (query, relation, Model) => {}.
+   */
+  async eagerLoad(models, name, constraints = null) {
+    const byType = this.buildDictionary(models.filter(model => attribute(model, this.morphType)), this.morphType);
+    const owners = new Map();
+
+    for (const [type, children] of byType) {
+      const related = Relations.getMorphedModel(type);
+      const ownerKey = this.ownerKeyFor(related);
+      const keys = this.getKeys(children, this.foreignKey);
+      const query = related.query().whereIn(ownerKey, keys);
+
+      constraints?.(query, this, related);
+
+      owners.set(type, this.buildDictionary(Array.from(await query.get() || []), ownerKey));
+    }
+
+    for (const model of models) {
+      const dictionary = owners.get(attribute(model, this.morphType));
+      model.setRelation(name, dictionary?.get(String(attribute(model, this.foreignKey)))?.[0] || null);
+    }
+
+    return models;
+  }
+
+  /**
+   * Get the key of the owner model the foreign key references
+   */
+  ownerKeyFor(related) {
+    return this.ownerKey || related.primaryKey || 'id';
+  }
+
+  /**
+   * Associate model
+   */
+  associate(model) {
+    this.parent.setAttribute(this.foreignKey, model.getAttribute(this.ownerKeyFor(model.constructor)));
+    this.parent.setAttribute(this.morphType, Relations.getMorphClass(model.constructor));
+    return this.parent;
+  }
+
+  /**
+   * Dissociate model
+   */
+  dissociate() {
+    this.parent.setAttribute(this.foreignKey, null);
+    this.parent.setAttribute(this.morphType, null);
+    return this.parent;
+  }
+}
+
+/**
+ * Morph To Many Relationship
+ * A belongs-to-many whose pivot table also stores the parent's type
+ * (morphToMany) or the related model's type (morphedByMany)
+ */
+export class MorphToMany extends BelongsToMany {
+  constructor(query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, morphType, morphClass) {
+    super(query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey);
+    this.morphType = morphType;
+    this.morphClass = morphClass;
+  }
+
+  /**
+   * Get a query on the pivot table rows of the morph type
+   */
+  newPivotQuery() {
+    return super.newPivotQuery().where(this.morphType, this.morphClass);
+  }
+
+  /**
+   * Get the attributes every new pivot record has
+   */
+  pivotAttributes() {
+    return { [this.morphType]: this.morphClass };
+  }
 }
 
 /**
  * Relationship helper methods
  */
 export class Relations {
+  /**
+   * Model classes by the type string stored in morph type columns
+   */
+  static morphs = new Map();
+
+  /**
+   * Register the type strings stored for models in morph type columns
+   *
+   * morphTo() resolves models through this map, so every model that can be
+   * a morph owner must be registered (models stored under their class name
+   * can be listed as an array).
+   *
+   * @example
+   * Relations.morphMap({ post: Post, video: Video });
+   */
+  static morphMap(map, merge = true) {
+    if (!merge) {
+      Relations.morphs = new Map();
+    }
+
+    const entries = Array.isArray(map) ? map.map(model => [model.name, model]) : Object.entries(map);
+
+    for (const [type, model] of entries) {
+      Relations.morphs.set(type, model);
+    }
+
+    return Relations.morphs;
+  }
+
+  /**
+   * Get the type string stored for a model class
+   */
+  static getMorphClass(model) {
+    for (const [type, registered] of Relations.morphs) {
+      if (registered === model) {
+        return type;
+      }
+    }
+
+    return model.name;
+  }
+
+  /**
+   * Get the model class of a stored type string
+   */
+  static getMorphedModel(type) {
+    const model = Relations.morphs.get(type);
+
+    if (!model) {
+      throw new Error(`No model is registered for morph type [${type}]. Add it with Relations.morphMap().`);
+    }
+
+    return model;
+  }
+
   /**
    * Has One relationship
    */
   static hasOne(parent, related, foreignKey = null, localKey = null) {
     const instance = new related();
     foreignKey = foreignKey || parent.constructor.name.toLowerCase() + '_id';
-    localKey = localKey || parent.constructor.primaryKey;
+    localKey = localKey || parent.constructor.primaryKey || 'id';
 
     const query = related.query();
-    query.model = related;
 
     return new HasOne(query, parent, foreignKey, localKey);
   }
@@ -352,10 +827,9 @@ export class Relations {
   static hasMany(parent, related, foreignKey = null, localKey = null) {
     const instance = new related();
     foreignKey = foreignKey || parent.constructor.name.toLowerCase() + '_id';
-    localKey = localKey || parent.constructor.primaryKey;
+    localKey = localKey || parent.constructor.primaryKey || 'id';
 
     const query = related.query();
-    query.model = related;
 
     return new HasMany(query, parent, foreignKey, localKey);
   }
@@ -366,10 +840,9 @@ export class Relations {
   static belongsTo(parent, related, foreignKey = null, ownerKey = null) {
     const instance = new related();
     foreignKey = foreignKey || related.name.toLowerCase() + '_id';
-    ownerKey = ownerKey || related.primaryKey;
+    ownerKey = ownerKey || related.primaryKey || 'id';
 
     const query = related.query();
-    query.model = related;
 
     return new BelongsTo(query, parent, foreignKey, ownerKey);
   }
@@ -383,11 +856,10 @@ export class Relations {
     table = table || [parent.constructor.name, related.name].sort().join('_').toLowerCase();
     foreignPivotKey = foreignPivotKey || parent.constructor.name.toLowerCase() + '_id';
     relatedPivotKey = relatedPivotKey || related.name.toLowerCase() + '_id';
-    parentKey = parentKey || parent.constructor.primaryKey;
-    relatedKey = relatedKey || related.primaryKey;
+    parentKey = parentKey || parent.constructor.primaryKey || 'id';
+    relatedKey = relatedKey || related.primaryKey || 'id';
 
     const query = related.query();
-    query.model = related;
 
     return new BelongsToMany(query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey);
   }
@@ -398,14 +870,85 @@ export class Relations {
   static hasManyThrough(parent, related, through, firstKey = null, secondKey = null, localKey = null, secondLocalKey = null) {
     firstKey = firstKey || parent.constructor.name.toLowerCase() + '_id';
     secondKey = secondKey || through.name.toLowerCase() + '_id';
-    localKey = localKey || parent.constructor.primaryKey;
-    secondLocalKey = secondLocalKey || through.primaryKey;
+    localKey = localKey || parent.constructor.primaryKey || 'id';
+    secondLocalKey = secondLocalKey || through.primaryKey || 'id';
 
     const query = related.query();
-    query.model = related;
 
     return new HasManyThrough(query, parent, through, firstKey, secondKey, localKey, secondLocalKey);
   }
+
+  /**
+   * Morph One relationship (name 'imageable' uses imageable_type and imageable_id)
+   */
+  static morphOne(parent, related, name, type = null, id = null, localKey = null) {
+    type = type || `${name}_type`;
+    id = id || `${name}_id`;
+    localKey = localKey || parent.constructor.primaryKey || 'id';
+
+    const query = related.query();
+
+    return new MorphOne(query, parent, type, id, localKey, Relations.getMorphClass(parent.constructor));
+  }
+
+  /**
+   * Morph Many relationship (name 'commentable' uses commentable_type and commentable_id)
+   */
+  static morphMany(parent, related, name, type = null, id = null, localKey = null) {
+    type = type || `${name}_type`;
+    id = id || `${name}_id`;
+    localKey = localKey || parent.constructor.primaryKey || 'id';
+
+    const query = related.query();
+
+    return new MorphMany(query, parent, type, id, localKey, Relations.getMorphClass(parent.constructor));
+  }
+
+  /**
+   * Morph To relationship, the inverse of morphOne/morphMany
+   */
+  static morphTo(parent, name, type = null, id = null, ownerKey = null) {
+    type = type || `${name}_type`;
+    id = id || `${name}_id`;
+
+    return new MorphTo(parent, id, type, ownerKey);
+  }
+
+  /**
+   * Morph To Many relationship (name 'taggable' uses the taggables table)
+   */
+  static morphToMany(parent, related, name, table = null, foreignPivotKey = null, relatedPivotKey = null, parentKey = null, relatedKey = null) {
+    table = table || `${name}s`;
+    foreignPivotKey = foreignPivotKey || `${name}_id`;
+    relatedPivotKey = relatedPivotKey || related.name.toLowerCase() + '_id';
+    parentKey = parentKey || parent.constructor.primaryKey || 'id';
+    relatedKey = relatedKey || related.primaryKey || 'id';
+
+    const query = related.query();
+
+    return new MorphToMany(
+      query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey,
+      `${name}_type`, Relations.getMorphClass(parent.constructor)
+    );
+  }
+
+  /**
+   * Morphed By Many relationship, the inverse of morphToMany
+   */
+  static morphedByMany(parent, related, name, table = null, foreignPivotKey = null, relatedPivotKey = null, parentKey = null, relatedKey = null) {
+    table = table || `${name}s`;
+    foreignPivotKey = foreignPivotKey || parent.constructor.name.toLowerCase() + '_id';
+    relatedPivotKey = relatedPivotKey || `${name}_id`;
+    parentKey = parentKey || parent.constructor.primaryKey || 'id';
+    relatedKey = relatedKey || related.primaryKey || 'id';
+
+    const query = related.query();
+
+    return new MorphToMany(
+      query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey,
+      `${name}_type`, Relations.getMorphClass(related)
+    );
+  }
 }
 
 export default Relations;
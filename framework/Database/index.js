@@ -5,6 +5,13 @@
 
 export { Model } from './Model.js';
 export { QueryBuilder } from './QueryBuilder.js';
+export { ModelCollection } from './Collection.js';
+export { EagerLoader } from './EagerLoader.js';
+export { Casts, CastsAttributes, EncryptedCast, EnumCast } from './Casts/index.js';
+export { Factory, Sequence } from './Factories/index.js';
+export { DatabaseTransactionsManager } from './DatabaseTransactionsManager.js';
+export { BroadcastableModelEventOccurred } from './BroadcastableModelEventOccurred.js';
+export { Audit, Auditor } from './Auditing/index.js';
 export { 
   parseDatabaseError, 
   isDatabaseError, 
@@ -55,6 +55,19 @@ export class NotFoundError extends ApiError {
   }
 }
 
+/**
+ * ModelNotFoundError - 404 Not Found
+ * 
+ * Thrown when a model lookup by key (findOrFail, route model binding) finds nothing.
+ */
+export class ModelNotFoundError extends NotFoundError {
+  constructor(model, ids, message = null) {
+    super(message || `No query results for model [${model}] ${[].concat(ids).join(', ')}`);
+    this.model = model;
+    this.ids = [].concat(ids);
+  }
+}
+
 /**
  * ConflictError - 409 Conflict
  * 
@@ -66,6 +79,20 @@ export class ConflictError extends ApiError {
   }
 }
 
+/**
+ * StaleModelError - 409 Conflict
+ * 
+ * Thrown when saving a model with a versionColumn that was changed since it was read.
+ */
+export class StaleModelError extends ConflictError {
+  constructor(model, id, message = null) {
+    super(message || `The model [${model}] ${id} was changed by another request. Reload it and try again.`);
+    this.code = 'STALE_MODEL';
+    this.model = model;
+    this.id = id;
+  }
+}
+
 /**
  * TooManyRequestsError - 429 Too Many Requests
  * 
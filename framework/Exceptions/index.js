@@ -11,7 +11,9 @@ export {
   UnauthorizedError,
   ForbiddenError,
   NotFoundError,
+  ModelNotFoundError,
   ConflictError,
+  StaleModelError,
   TooManyRequestsError,
   InternalServerError,
   ServiceUnavailableError,
@@ -1,4 +1,5 @@
 import express from 'express';
+import path from 'path';
 import { Application } from './Application.js';
 import { applySecurityMiddleware } from '../Http/Middleware/SecurityMiddleware.js';
 import { LogServiceProvider } from '../Services/Log/LogServiceProvider.js';
@@ -6,6 +7,9 @@ import { HashServiceProvider } from './Providers/HashServiceProvider.js';
 import { ValidationServiceProvider } from './Providers/ValidationServiceProvider.js';
 import { EncryptionServiceProvider } from './Providers/EncryptionServiceProvider.js';
 import { StorageServiceProvider } from '../Services/Storage/StorageServiceProvider.js';
+import { RoutingServiceProvider } from './Providers/RoutingServiceProvider.js';
+import { Router } from '../Routing/Router.js';
+import { RouteCache } from '../Routing/RouteCache.js';
 
 /**
  * BaseApp - Base class for application-level apps (Express apps)
@@ -24,6 +28,12 @@ export class BaseApp extends Application {
     this.middlewareSetup = false;
     this.routesSetup = false;
     this.securitySetup = false;
+
+    // Route cache written by route:cache; controllers for 'Controller@action' routes
+    this.routeCachePath = options.routeCachePath || path.resolve(process.cwd(), 'bootstrap/cache/routes.json');
+    if (options.controllersPath) {
+      Router.controllersPath = options.controllersPath;
+    }
     
     // Register core service providers automatically
     this.registerCoreServiceProviders();
@@ -40,6 +50,7 @@ export class BaseApp extends Application {
     this.register(ValidationServiceProvider);
     this.register(EncryptionServiceProvider);
     this.register(StorageServiceProvider);
+    this.register(RoutingServiceProvider);
   }
 
   /**
@@ -65,15 +76,24 @@ export class BaseApp extends Application {
     // Setup core body parsing middleware (required for API)
     this.setupBodyParsing();
 
+    // Run requests in the audit context (acting user, IP, user agent)
+    if (this.has('auditor')) {
+      this.express.use(this.make('auditor').middleware());
+    }
+
     // Setup custom middleware
     if (!this.middlewareSetup) {
       this.setupCustomMiddleware();
       this.middlewareSetup = true;
     }
 
-    // Setup routes
+    // Setup routes (from the route cache when one exists)
     if (!this.routesSetup) {
-      this.setupRoutes();
+      if (this.routesAreCached()) {
+        this.loadCachedRoutes();
+      } else {
+        this.setupRoutes();
+      }
       this.routesSetup = true;
     }
 
@@ -153,9 +173,30 @@ export class BaseApp extends Application {
 
   /**
    * Register a route
+   *
+   * Accepts a Router or an Express router; a Router takes the path as its
+   * prefix so its named routes generate full URLs.
    */
   registerRoute(path, router) {
-    this.express.use(path, router);
+    const owner = router instanceof Router ? router : Router.owners.get(router);
+
+    owner?.mount(path);
+    this.express.use(path, owner ? owner.getRouter() : router);
+  }
+
+  /**
+   * Determine if the routes are cached
+   */
+  routesAreCached() {
+    return RouteCache.exists(this.routeCachePath);
+  }
+
+  /**
+   * Register the cached routes instead of running setupRoutes()
+   */
+  loadCachedRoutes() {
+    const router = RouteCache.register(RouteCache.read(this.routeCachePath));
+    this.express.use(router.getRouter());
   }
 
   /**
@@ -519,21 +519,43 @@ export class BaseService {
     return result;
   }
 
+  /**
+   * Run a callback in a database transaction
+   *
+   * Service and model calls inside the callback join the transaction
+   * automatically; a nested call runs in a savepoint. Models without
+   * transactions run the callback directly.
+   *
+   * @param {Function} callback - async (trx) => result
+   * @param {object|number} options - { attempts, backoff } or the attempts
+   * @returns {Promise<any>} Callback result
+   */
+  async transaction(callback, options = {}) {
+    if (typeof this.model.transaction !== 'function') {
+      return await callback(null);
+    }
+
+    return await this.model.transaction(callback, options);
+  }
+
   /**
    * Bulk create records
+   * All records are created, or none
    * 
    * @param {array} records - Array of record data
    * @returns {Promise<array>} Created records
    */
   async bulkCreate(records) {
-    const created = [];
+    return await this.transaction(async () => {
+      const created = [];
 
-    for (const data of records) {
-      const record = await this.create(data);
-      created.push(record);
-    }
+      for (const data of records) {
+        const record = await this.create(data);
+        created.push(record);
+      }
 
-    return created;
+      return created;
+    });
   }
 
   /**
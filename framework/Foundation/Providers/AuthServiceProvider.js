@@ -4,6 +4,8 @@
  */
 
 import { AuthManager } from '#framework/Auth/AuthManager.js';
+import { Router } from '#framework/Routing/Router.js';
+import { abilities, ability } from '#framework/Http/Middleware/CheckAbilities.js';
 
 export class AuthServiceProvider {
   constructor(app) {
@@ -15,11 +17,13 @@ export class AuthServiceProvider {
       return new AuthManager(app);
     });
 
-    this.app.alias('auth', 'AuthManager');
+    this.app.alias('AuthManager', 'auth');
   }
 
   boot() {
-    // Boot logic if needed
+    // abilities:a,b requires every ability of the access token, ability:a,b any of them
+    Router.aliasMiddleware('abilities', abilities);
+    Router.aliasMiddleware('ability', ability);
   }
 }
 
@@ -3,7 +3,11 @@
  * Register Broadcasting service
  */
 
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
 import { BroadcastManager } from '#framework/Broadcasting/BroadcastManager.js';
+import { BroadcastEvent } from '#framework/Broadcasting/BroadcastEvent.js';
 
 export class BroadcastServiceProvider {
   constructor(app) {
@@ -15,11 +19,29 @@ export class BroadcastServiceProvider {
       return new BroadcastManager(app);
     });
 
-    this.app.alias('broadcast', 'BroadcastManager');
+    this.app.alias('BroadcastManager', 'broadcast');
   }
 
-  boot() {
-    // Boot logic if needed
+  /**
+   * Register the broadcast job and load the channel authorization callbacks
+   *
+   * The default export of broadcasting.channels_path (default
+   * routes/channels.js) receives the broadcast manager and the app.
+   */
+  async boot() {
+    if (this.app.has('queue')) {
+      this.app.make('queue').registerJob(BroadcastEvent);
+    }
+
+    const path = resolve(process.cwd(), this.app.config('broadcasting.channels_path', 'routes/channels.js'));
+
+    if (existsSync(path)) {
+      const channels = await import(pathToFileURL(path).href);
+
+      if (typeof channels.default === 'function') {
+        await channels.default(this.app.make('broadcast'), this.app);
+      }
+    }
   }
 }
 
@@ -19,7 +19,7 @@ export class CacheServiceProvider {
     });
 
     // Alias for convenience
-    this.app.alias('cache', 'CacheManager');
+    this.app.alias('CacheManager', 'cache');
   }
 
   /**
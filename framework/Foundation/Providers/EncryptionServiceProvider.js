@@ -17,16 +17,17 @@ export class EncryptionServiceProvider {
     this.app.singleton('encrypter', () => {
       const key = this.app.config('app.key');
       const cipher = this.app.config('app.cipher', 'aes-256-cbc');
+      const previousKeys = this.app.config('app.previous_keys', []) || [];
 
       if (!key) {
         throw new Error('No application encryption key has been specified.');
       }
 
-      return new Encrypter(key, cipher);
+      return new Encrypter(key, cipher, previousKeys);
     });
 
     // Alias for convenience
-    this.app.alias('encrypter', 'Encrypter');
+    this.app.alias('Encrypter', 'encrypter');
   }
 
   /**
@@ -4,6 +4,7 @@
  */
 
 import { EventDispatcher } from '#framework/Services/Events/EventDispatcher.js';
+import { CallQueuedListener } from '#framework/Services/Events/CallQueuedListener.js';
 
 export class EventServiceProvider {
   constructor(app) {
@@ -19,14 +20,33 @@ export class EventServiceProvider {
     });
 
     // Alias for convenience
-    this.app.alias('events', 'EventDispatcher');
+    this.app.alias('EventDispatcher', 'events');
   }
 
   /**
    * Bootstrap the service provider
    */
   async boot() {
-    // Events is ready to use
+    const events = this.app.make('events');
+
+    // Queued listeners are pushed through the queue manager and run by
+    // workers as CallQueuedListener jobs
+    events.setQueueResolver(() => this.app.make('queue'));
+
+    if (this.app.has('queue')) {
+      this.app.make('queue').registerJob(CallQueuedListener);
+    }
+
+    // Events implementing broadcastOn() are sent through the broadcast manager
+    events.setBroadcasterResolver(() => this.app.make('broadcast'));
+
+    events.setTransactionManagerResolver(() => {
+      return this.app.has('db.transactions') ? this.app.make('db.transactions') : null;
+    });
+
+    if (this.app.config('events.discover', true)) {
+      await events.discover(this.app.config('events.listeners_path', 'app/Listeners'));
+    }
   }
 }
 
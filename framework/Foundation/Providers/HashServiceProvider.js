@@ -19,7 +19,7 @@ export class HashServiceProvider {
     });
 
     // Alias for convenience
-    this.app.alias('hash', 'HashManager');
+    this.app.alias('HashManager', 'hash');
   }
 
   /**
@@ -4,6 +4,9 @@
  */
 
 import { QueueManager } from '#framework/Services/Queue/QueueManager.js';
+import { Worker } from '#framework/Services/Queue/Worker.js';
+import { DatabaseFailedJobProvider } from '#framework/Services/Queue/Failed/DatabaseFailedJobProvider.js';
+import { NullFailedJobProvider } from '#framework/Services/Queue/Failed/NullFailedJobProvider.js';
 
 export class QueueServiceProvider {
   constructor(app) {
@@ -19,7 +22,35 @@ export class QueueServiceProvider {
     });
 
     // Alias for convenience
-    this.app.alias('queue', 'QueueManager');
+    this.app.alias('QueueManager', 'queue');
+
+    this.app.singleton('queue.failer', () => {
+      return this.createFailedJobProvider();
+    });
+
+    this.app.singleton('queue.worker', () => {
+      return new Worker(
+        this.app.make('queue'),
+        this.app.has('events') ? this.app.make('events') : null,
+        this.app.make('queue.failer')
+      );
+    });
+  }
+
+  /**
+   * Create the failed job provider from the queue.failed config
+   */
+  createFailedJobProvider() {
+    const config = this.app.config('queue.failed', {}) || {};
+
+    if (!config.driver || config.driver === 'null' || !this.app.has('db')) {
+      return new NullFailedJobProvider();
+    }
+
+    return new DatabaseFailedJobProvider(
+      this.app.make('db'),
+      config.table || 'failed_jobs'
+    );
   }
 
   /**
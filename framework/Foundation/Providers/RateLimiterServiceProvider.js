@@ -4,6 +4,7 @@
  */
 
 import { RateLimiter } from '#framework/Support/RateLimiter.js';
+import { Router } from '#framework/Routing/Router.js';
 
 export class RateLimiterServiceProvider {
   constructor(app) {
@@ -12,15 +13,17 @@ export class RateLimiterServiceProvider {
 
   register() {
     this.app.singleton('rate-limiter', (app) => {
-      const cache = app.make('cache');
+      const cache = app.make('cache').store(app.config('cache.limiter') || null);
       return new RateLimiter(cache);
     });
 
-    this.app.alias('rate-limiter', 'RateLimiter');
+    this.app.alias('RateLimiter', 'rate-limiter');
+    this.app.alias('rateLimiter', 'rate-limiter');
   }
 
   boot() {
-    // Boot logic if needed
+    // throttle:<name> applies a named limiter, throttle:60,1 allows 60 attempts per minute
+    Router.aliasMiddleware('throttle', (...parameters) => this.app.make('rate-limiter').throttle(...parameters));
   }
 }
 
@@ -0,0 +1,36 @@
+/**
+ * Routing Service Provider
+ * Laravel-inspired URL generator registration
+ */
+
+import { Router } from '#framework/Routing/Router.js';
+import { UrlGenerator } from '#framework/Routing/UrlGenerator.js';
+
+export class RoutingServiceProvider {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * Register the service provider
+   */
+  async register() {
+    this.app.singleton('url', () => {
+      return new UrlGenerator(Router.routes, {
+        baseUrl: this.app.config('app.url', '')
+      });
+    });
+
+    // Alias for convenience
+    this.app.alias('UrlGenerator', 'url');
+  }
+
+  /**
+   * Bootstrap the service provider
+   */
+  async boot() {
+    // URL generator is ready to use
+  }
+}
+
+export default RoutingServiceProvider;
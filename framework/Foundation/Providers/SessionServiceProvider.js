@@ -19,7 +19,7 @@ export class SessionServiceProvider {
     });
 
     // Alias for convenience
-    this.app.alias('session', 'SessionManager');
+    this.app.alias('SessionManager', 'session');
   }
 
   /**
@@ -11,3 +11,4 @@ export { RateLimiterServiceProvider } from './RateLimiterServiceProvider.js';
 export { BroadcastServiceProvider } from './BroadcastServiceProvider.js';
 export { AuthServiceProvider } from './AuthServiceProvider.js';
 export { TranslationServiceProvider } from './TranslationServiceProvider.js';
+export { RoutingServiceProvider } from './RoutingServiceProvider.js';
@@ -34,8 +34,9 @@ export class Authenticate {
         throw new Error('Auth service not available');
       }
 
-      // Get the guard
+      // Get the guard (token guards read the token from the request)
       const guard = Auth.guard(this.guard);
+      guard.setRequest?.(req);
 
       // Check if user is authenticated
       const user = await guard.user();
@@ -109,6 +110,7 @@ export function optionalAuth(guard = null) {
       }
 
       const authGuard = Auth.guard(guard);
+      authGuard.setRequest?.(req);
       const user = await authGuard.user();
 
       if (user) {
@@ -0,0 +1,84 @@
+import { UnauthorizedError, ForbiddenError } from '../../Exceptions/index.js';
+
+/**
+ * CheckAbilities Middleware
+ * 
+ * Checks the abilities of the personal access token the request was
+ * authenticated with (see HasApiTokens). Use after the authenticate middleware.
+ */
+export class CheckAbilities {
+  /**
+   * Create check abilities middleware
+   * 
+   * @param {string|array} abilities - Ability or array of abilities to check
+   * @param {object} options - Additional options
+   * @param {boolean} options.requireAll - Require every ability (default), or any of them
+   */
+  constructor(abilities, options = {}) {
+    this.abilities = Array.isArray(abilities) ? abilities : [abilities];
+    this.options = options;
+  }
+
+  /**
+   * Handle the request
+   * 
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {function} next - Next middleware
+   */
+  async handle(req, res, next) {
+    try {
+      if (!req.user?.currentAccessToken?.()) {
+        throw new UnauthorizedError('Unauthenticated');
+      }
+
+      const allowed = this.options.requireAll !== false
+        ? this.abilities.every(ability => req.user.tokenCan(ability))
+        : this.abilities.some(ability => req.user.tokenCan(ability));
+
+      if (!allowed) {
+        throw new ForbiddenError(this.options.message || 'Invalid ability provided.');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create middleware function
+   * 
+   * @returns {function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => this.handle(req, res, next);
+  }
+}
+
+/**
+ * Require every ability on the request's access token
+ * 
+ * @param {...string} abilities - Abilities to check
+ * @returns {function} Express middleware
+ * 
+ * @example
+ * router.post('/orders', authenticate('api'), abilities('orders:read', 'orders:write'), createOrder);
+ * router.post('/orders', 'abilities:orders:read,orders:write', createOrder);
+ */
+export function abilities(...abilities) {
+  return new CheckAbilities(abilities.flat()).middleware();
+}
+
+/**
+ * Require any of the abilities on the request's access token
+ * 
+ * @param {...string} abilities - Abilities to check
+ * @returns {function} Express middleware
+ * 
+ * @example
+ * router.get('/orders', authenticate('api'), ability('orders:read', 'admin'), listOrders);
+ */
+export function ability(...abilities) {
+  return new CheckAbilities(abilities.flat(), { requireAll: false }).middleware();
+}
@@ -5,7 +5,8 @@ import { TooManyRequestsError } from '../../Exceptions/index.js';
  * RateLimiter Middleware
  * 
  * Rate limiting middleware to prevent abuse.
- * Uses express-rate-limit package.
+ * Uses express-rate-limit package, which counts requests in the memory
+ * of each process. Use throttleRequests() to share limits between servers.
  */
 
 /**
@@ -131,3 +132,29 @@ export function rateLimiterByUser(options = {}) {
     ...options,
   });
 }
+
+/**
+ * Create rate limiter middleware counting in the cache (shared by every server)
+ * 
+ * Applies a limiter registered with RateLimiter.for(), or maxAttempts per
+ * decayMinutes. Same as the 'throttle:...' route middleware alias.
+ * 
+ * @param {...string|number} parameters - Limiter name, or maxAttempts and decayMinutes
+ * @returns {function} Express middleware
+ * 
+ * @example
+ * router.use('/api', throttleRequests('api'));
+ * router.post('/login', throttleRequests(5, 1), loginController);
+ */
+export function throttleRequests(...parameters) {
+  let middleware = null;
+
+  return async (req, res, next) => {
+    if (!middleware) {
+      const { RateLimiter } = await import('../../Support/Facades/index.js');
+      middleware = RateLimiter.throttle(...parameters);
+    }
+
+    return middleware(req, res, next);
+  };
+}
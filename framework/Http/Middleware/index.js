@@ -18,6 +18,12 @@ export {
   requirePermission,
 } from './Authorize.js';
 
+export {
+  CheckAbilities,
+  abilities,
+  ability,
+} from './CheckAbilities.js';
+
 // Validation
 export {
   ValidateRequest,
@@ -43,6 +49,7 @@ export {
   bruteForceLimiter,
   rateLimiterByIP,
   rateLimiterByUser,
+  throttleRequests,
 } from './RateLimiter.js';
 
 // Request/Response Wrapping
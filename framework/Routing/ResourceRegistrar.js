@@ -0,0 +1,122 @@
+/**
+ * Resource Registrar
+ * Laravel-inspired resource routes: index, create, store, show, edit,
+ * update and destroy mapped onto controller methods
+ */
+
+import { Str } from '../Support/Str.js';
+
+export class ResourceRegistrar {
+  /**
+   * Actions in registration order (create before show so /create wins)
+   */
+  static actions = ['index', 'create', 'store', 'show', 'edit', 'update', 'destroy'];
+
+  /**
+   * Actions registered by apiResource()
+   */
+  static apiActions = ['index', 'store', 'show', 'update', 'destroy'];
+
+  /**
+   * Actions that target a single existing resource
+   */
+  static memberActions = ['show', 'edit', 'update', 'destroy'];
+
+  constructor(router) {
+    this.router = router;
+  }
+
+  /**
+   * Register the routes of a resource
+   *
+   * The controller is a class, an instance or a controller name that is
+   * imported on the first request ('OrderController').
+   * Options: only, except, names, parameters, shallow, middleware.
+   * Nested resources use dot notation: 'users.orders' registers
+   * /users/:user/orders and /users/:user/orders/:order.
+   */
+  register(name, controller, options = {}, defaults = ResourceRegistrar.actions) {
+    const lazy = typeof controller === 'string';
+    const instance = typeof controller === 'function' ? new controller() : controller;
+    const segments = name.split('.');
+    const resource = segments[segments.length - 1];
+    const parameter = this.parameterName(resource, options);
+
+    const parents = segments.slice(0, -1)
+      .map(segment => `/${segment}/:${this.parameterName(segment, options)}`)
+      .join('');
+
+    const collectionPath = `${parents}/${resource}`;
+    const memberPath = options.shallow ? `/${resource}/:${parameter}` : `${collectionPath}/:${parameter}`;
+
+    for (const action of this.resourceActions(defaults, options)) {
+      const member = ResourceRegistrar.memberActions.includes(action);
+      const routeName = options.names?.[action]
+        || `${member && options.shallow ? resource : name}.${action}`;
+
+      if (!lazy && typeof instance[action] !== 'function') {
+        throw new Error(`Controller [${instance.constructor.name}] is missing the [${action}] action for resource [${name}].`);
+      }
+
+      const handler = lazy ? `${controller}@${action}` : instance[action].bind(instance);
+      const handlers = [...(options.middleware || []), handler];
+      const [methods, path] = this.route(action, collectionPath, memberPath);
+
+      this.router.addRoute(methods, path, handlers);
+      this.router.name(routeName);
+      this.router.lastRoute.action = lazy ? handler : `${instance.constructor.name}@${action}`;
+    }
+
+    return this.router;
+  }
+
+  /**
+   * Get the actions to register after applying only/except
+   */
+  resourceActions(defaults, options) {
+    let actions = [...defaults];
+
+    if (options.only) {
+      actions = actions.filter(action => [].concat(options.only).includes(action));
+    }
+
+    if (options.except) {
+      actions = actions.filter(action => ![].concat(options.except).includes(action));
+    }
+
+    return actions;
+  }
+
+  /**
+   * Get the methods and path of an action
+   */
+  route(action, collectionPath, memberPath) {
+    switch (action) {
+      case 'index':
+        return [['get'], collectionPath];
+      case 'create':
+        return [['get'], `${collectionPath}/create`];
+      case 'store':
+        return [['post'], collectionPath];
+      case 'show':
+        return [['get'], memberPath];
+      case 'edit':
+        return [['get'], `${memberPath}/edit`];
+      case 'update':
+        return [['put', 'patch'], memberPath];
+      case 'destroy':
+        return [['delete'], memberPath];
+      default:
+        throw new Error(`Unknown resource action [${action}].`);
+    }
+  }
+
+  /**
+   * Get the route parameter of a resource segment (orders -> order)
+   */
+  parameterName(resource, options) {
+    return options.parameters?.[resource] || Str.camel(Str.singular(resource));
+  }
+}
+
+export default ResourceRegistrar;
@@ -0,0 +1,51 @@
+/**
+ * Route
+ * A registered route: its methods, path, name and handlers
+ *
+ * The path is stored relative to the router that registered it; the full
+ * path is resolved through the router's group prefixes and mount path, so
+ * routers can be mounted after their routes are defined.
+ */
+
+export class Route {
+  constructor(methods, uri, handlers, router) {
+    this.methods = methods;
+    this.uri = uri;
+    this.handlers = handlers;
+    this.router = router;
+    this.name = null;
+    this.action = null;
+    this.middleware = [];
+    this.withTrashed = false;
+    this.expressRoute = null;
+  }
+
+  /**
+   * Get the full path of the route
+   */
+  path() {
+    return Route.join(this.router.getPrefix(), this.uri);
+  }
+
+  /**
+   * Get the names of the route's path parameters
+   */
+  parameterNames() {
+    return [...this.path().matchAll(/[:*]([A-Za-z_$][\w$]*)/g)].map(match => match[1]);
+  }
+
+  /**
+   * Join path segments with single slashes
+   */
+  static join(...segments) {
+    const path = segments
+      .filter(segment => segment && segment !== '/')
+      .map(segment => segment.replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean)
+      .join('/');
+
+    return `/${path}`;
+  }
+}
+
+export default Route;
@@ -0,0 +1,107 @@
+/**
+ * Route Cache
+ * Laravel-inspired route caching: the resolved route table is written to a
+ * JSON file and registered from it on boot, without running the route files
+ *
+ * Only routes whose middleware are aliases and whose action is a
+ * 'Controller@action' string can be cached; closures cannot be serialized.
+ */
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { Router } from './Router.js';
+
+export class RouteCache {
+  /**
+   * Version of the cache file format
+   */
+  static version = 1;
+
+  /**
+   * Serialize routes to plain cache entries
+   */
+  static compile(routes = Router.routes.all()) {
+    return routes.map(route => {
+      const label = `${route.methods.join('|').toUpperCase()} ${route.path()}`;
+      const closure = route.middleware.find(middleware => typeof middleware !== 'string');
+
+      if (closure) {
+        throw new Error(`Unable to cache route [${label}]: middleware [${closure.name || 'Closure'}] is not an alias.`);
+      }
+
+      const action = route.handlers[route.handlers.length - 1];
+
+      if (typeof action !== 'string') {
+        throw new Error(`Unable to cache route [${label}]: it uses a Closure instead of a 'Controller@action' string.`);
+      }
+
+      return {
+        methods: route.methods,
+        path: route.path(),
+        name: route.name,
+        middleware: route.middleware,
+        action,
+        withTrashed: route.withTrashed,
+      };
+    });
+  }
+
+  /**
+   * Write cache entries to a file
+   */
+  static write(file, entries) {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify({ version: RouteCache.version, routes: entries }, null, 2));
+  }
+
+  /**
+   * Read cache entries from a file
+   */
+  static read(file) {
+    const cache = JSON.parse(readFileSync(file, 'utf8'));
+
+    if (cache.version !== RouteCache.version) {
+      throw new Error(`Route cache [${file}] is outdated. Run route:cache again.`);
+    }
+
+    return cache.routes;
+  }
+
+  /**
+   * Determine if a cache file exists
+   */
+  static exists(file) {
+    return existsSync(file);
+  }
+
+  /**
+   * Delete a cache file, returning whether it existed
+   */
+  static clear(file) {
+    if (!existsSync(file)) {
+      return false;
+    }
+
+    rmSync(file);
+    return true;
+  }
+
+  /**
+   * Register cache entries on a new router
+   *
+   * Controllers are imported on the first request to each of their routes.
+   */
+  static register(entries) {
+    const router = new Router();
+
+    for (const entry of entries) {
+      router.addRoute(entry.methods, entry.path, [...entry.middleware, entry.action]);
+      router.lastRoute.name = entry.name;
+      router.lastRoute.withTrashed = entry.withTrashed;
+    }
+
+    return router;
+  }
+}
+
+export default RouteCache;
@@ -0,0 +1,54 @@
+/**
+ * Route Collection
+ * Every route registered through the Router, with a lookup by name
+ */
+
+export class RouteCollection {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Add a route to the collection
+   */
+  add(route) {
+    this.routes.push(route);
+    return route;
+  }
+
+  /**
+   * Get a route by its name (the last route registered with a name wins)
+   */
+  getByName(name) {
+    for (let index = this.routes.length - 1; index >= 0; index--) {
+      if (this.routes[index].name === name) {
+        return this.routes[index];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Determine if a named route exists
+   */
+  has(name) {
+    return this.getByName(name) !== null;
+  }
+
+  /**
+   * Get all routes
+   */
+  all() {
+    return [...this.routes];
+  }
+
+  /**
+   * Remove all routes
+   */
+  flush() {
+    this.routes = [];
+  }
+}
+
+export default RouteCollection;
@@ -0,0 +1,150 @@
+/**
+ * Route Inspector
+ * Lists the routes of an Express app by walking its router stack
+ *
+ * Express does not keep the path a router or middleware was mounted at, so
+ * instrument() must run before the app's routes are registered; it records
+ * the mount path on every layer added through use().
+ */
+
+import express from 'express';
+import { Router } from './Router.js';
+import { Route } from './Route.js';
+
+export class RouteInspector {
+  /**
+   * Whether Router.prototype.use has been instrumented
+   */
+  static instrumented = false;
+
+  /**
+   * Record the mount path of layers added through use()
+   */
+  static instrument() {
+    if (RouteInspector.instrumented) {
+      return;
+    }
+
+    const use = express.Router.prototype.use;
+
+    express.Router.prototype.use = function instrumentedUse(handler, ...rest) {
+      const start = this.stack.length;
+      const result = use.call(this, handler, ...rest);
+
+      for (const layer of this.stack.slice(start)) {
+        layer.mountPath = RouteInspector.mountPathOf(handler);
+      }
+
+      return result;
+    };
+
+    RouteInspector.instrumented = true;
+  }
+
+  /**
+   * Get the path argument of a use() call (Express defaults it to '/')
+   */
+  static mountPathOf(handler) {
+    let arg = handler;
+
+    while (Array.isArray(arg) && arg.length !== 0) {
+      arg = arg[0];
+    }
+
+    if (typeof arg === 'function') {
+      return '/';
+    }
+
+    return Array.isArray(handler) ? handler.join('|') : String(handler);
+  }
+
+  /**
+   * Get every route of an Express app or router
+   *
+   * Each entry has methods, path, name, middleware and handler. Middleware
+   * registered on the app itself without a path (body parsers, security
+   * headers) runs for every request and is left out.
+   */
+  static routes(app) {
+    const stack = app.router?.stack || app.stack || [];
+    const routes = [];
+
+    RouteInspector.walk(stack, '', [], true, routes);
+
+    return routes;
+  }
+
+  /**
+   * Collect the routes of a router stack and the routers mounted in it
+   */
+  static walk(stack, prefix, inherited, top, routes) {
+    const middleware = [...inherited];
+
+    for (const layer of stack) {
+      const mountPath = Route.join(prefix, layer.mountPath || '/');
+
+      if (layer.route) {
+        routes.push(RouteInspector.describe(layer.route, Route.join(prefix, layer.route.path), middleware));
+      } else if (Array.isArray(layer.handle?.stack)) {
+        RouteInspector.walk(layer.handle.stack, mountPath, middleware, false, routes);
+      } else if (layer.handle.length < 4 && (!top || (layer.mountPath && layer.mountPath !== '/'))) {
+        middleware.push({ path: mountPath, name: RouteInspector.functionName(layer.handle) });
+      }
+    }
+  }
+
+  /**
+   * Describe an Express route
+   */
+  static describe(expressRoute, path, middleware) {
+    const route = Router.routes.all().find(candidate => candidate.expressRoute === expressRoute);
+    const handlers = (route ? route.handlers : expressRoute.stack.map(layer => layer.handle))
+      .map(handler => RouteInspector.functionName(handler));
+    const methods = expressRoute.methods._all
+      ? ['ANY']
+      : Object.keys(expressRoute.methods).map(method => method.toUpperCase());
+
+    return {
+      methods,
+      path,
+      name: route?.name || null,
+      middleware: [
+        ...middleware.filter(entry => RouteInspector.covers(entry.path, path)).map(entry => entry.name),
+        ...handlers.slice(0, -1),
+      ],
+      handler: route?.action || handlers[handlers.length - 1],
+    };
+  }
+
+  /**
+   * Determine if middleware mounted at a path runs for a route path
+   */
+  static covers(mountPath, path) {
+    return mountPath === '/' || path === mountPath || path.startsWith(`${mountPath}/`);
+  }
+
+  /**
+   * Get a readable name for a handler function (aliases are kept as given)
+   */
+  static functionName(fn) {
+    if (typeof fn === 'string') {
+      return fn;
+    }
+
+    const name = (fn?.name || '').replace(/^bound /, '');
+    return name || 'Closure';
+  }
+
+  /**
+   * Filter routes by method, path and name (path and name match substrings)
+   */
+  static filter(routes, options = {}) {
+    return routes.filter(route =>
+      (!options.method || route.methods.includes(options.method.toUpperCase()) || route.methods.includes('ANY'))
+      && (!options.path || route.path.includes(options.path))
+      && (!options.name || (route.name || '').includes(options.name))
+    );
+  }
+}
+
+export default RouteInspector;
@@ -1,70 +1,184 @@
 import { Router as ExpressRouter } from 'express';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { Route } from './Route.js';
+import { RouteCollection } from './RouteCollection.js';
+import { ResourceRegistrar } from './ResourceRegistrar.js';
 
 /**
  * Router - Express-based routing with Laravel-like syntax
+ *
+ * Routes can be named (for URL generation) and bound parameters are
+ * replaced with the resolved model before the handlers run. Handlers may be
+ * middleware aliases ('auth', 'throttle:60,1') and 'Controller@action'
+ * strings, which import the controller on the first request; routes built
+ * only from those can be cached with route:cache.
  */
 export class Router {
+  /**
+   * Routes registered by every router, used for URL generation
+   */
+  static routes = new RouteCollection();
+
+  /**
+   * Route parameter bindings by parameter name
+   */
+  static bindings = new Map();
+
+  /**
+   * Routers by the Express router they wrap, used to find mounted routers
+   */
+  static owners = new WeakMap();
+
+  /**
+   * Middleware by alias name
+   */
+  static middlewareAliases = new Map();
+
+  /**
+   * Directory of the controllers referenced by 'Controller@action' strings
+   * (defaults to src/controllers in the working directory)
+   */
+  static controllersPath = null;
+
+  /**
+   * Controller instances (promises) by controller name
+   */
+  static controllers = new Map();
+
   constructor() {
     this.router = ExpressRouter();
+    this.parent = null;
+    this.prefix = '';
+    this.namePrefix = '';
+    this.middleware = [];
+    this.lastRoute = null;
+
+    Router.owners.set(this.router, this);
   }
 
   /**
    * Register a GET route
    */
   get(path, ...handlers) {
-    this.router.get(path, ...handlers);
-    return this;
+    return this.addRoute(['get'], path, handlers);
   }
 
   /**
    * Register a POST route
    */
   post(path, ...handlers) {
-    this.router.post(path, ...handlers);
-    return this;
+    return this.addRoute(['post'], path, handlers);
   }
 
   /**
    * Register a PUT route
    */
   put(path, ...handlers) {
-    this.router.put(path, ...handlers);
-    return this;
+    return this.addRoute(['put'], path, handlers);
   }
 
   /**
    * Register a PATCH route
    */
   patch(path, ...handlers) {
-    this.router.patch(path, ...handlers);
-    return this;
+    return this.addRoute(['patch'], path, handlers);
   }
 
   /**
    * Register a DELETE route
    */
   delete(path, ...handlers) {
-    this.router.delete(path, ...handlers);
-    return this;
+    return this.addRoute(['delete'], path, handlers);
   }
 
   /**
    * Register routes for all HTTP methods
    */
   any(path, ...handlers) {
-    this.router.all(path, ...handlers);
+    return this.addRoute(['all'], path, handlers);
+  }
+
+  /**
+   * Register index, create, store, show, edit, update and destroy routes
+   *
+   * @example
+   * router.resource('orders', OrderController, { except: ['destroy'] });
+   * router.resource('users.orders', OrderController, { shallow: true });
+   */
+  resource(name, controller, options = {}) {
+    return new ResourceRegistrar(this).register(name, controller, options);
+  }
+
+  /**
+   * Register resource routes without the create and edit form routes
+   */
+  apiResource(name, controller, options = {}) {
+    return new ResourceRegistrar(this).register(name, controller, options, ResourceRegistrar.apiActions);
+  }
+
+  /**
+   * Register a route with the Express router and the route collection
+   */
+  addRoute(methods, path, handlers) {
+    const route = new Route(methods, path, handlers, this);
+    const action = handlers[handlers.length - 1];
+
+    if (typeof action === 'string' && action.includes('@')) {
+      route.action = action;
+    }
+
+    route.middleware = [...this.getMiddleware(), ...handlers.slice(0, -1)];
+    route.expressRoute = this.router.route(path);
+
+    const resolved = [
+      ...Router.resolveMiddleware(handlers.slice(0, -1)),
+      route.action === action ? Router.controllerAction(action) : action,
+    ];
+
+    for (const method of methods) {
+      route.expressRoute[method](Router.substituteBindings(route), ...resolved);
+    }
+
+    Router.routes.add(route);
+    this.lastRoute = route;
+
+    return this;
+  }
+
+  /**
+   * Name the most recently registered route
+   */
+  name(name) {
+    this.ensureLastRoute('name');
+    this.lastRoute.name = `${this.getNamePrefix()}${name}`;
+    return this;
+  }
+
+  /**
+   * Let the most recently registered route bind soft deleted models
+   */
+  withTrashed() {
+    this.ensureLastRoute('withTrashed');
+    this.lastRoute.withTrashed = true;
     return this;
   }
 
   /**
    * Group routes with common prefix/middleware
+   *
+   * Options: prefix, middleware and as (a prefix for route names).
    */
   group(options, callback) {
     const groupRouter = new Router();
+    groupRouter.parent = this;
+    groupRouter.prefix = options.prefix || '';
+    groupRouter.namePrefix = options.as || '';
+    groupRouter.middleware = [].concat(options.middleware || []);
     callback(groupRouter);
 
     if (options.middleware) {
-      this.router.use(options.prefix || '/', options.middleware, groupRouter.getRouter());
+      this.router.use(options.prefix || '/', Router.resolveMiddleware(options.middleware), groupRouter.getRouter());
     } else {
       this.router.use(options.prefix || '/', groupRouter.getRouter());
     }
@@ -74,18 +188,198 @@ export class Router {
 
   /**
    * Apply middleware to router
+   *
+   * Routers mounted at a path take it as their prefix for URL generation.
    */
   use(...middleware) {
-    this.router.use(...middleware);
+    if (typeof middleware[0] === 'string' && middleware.length > 1) {
+      for (const handler of middleware.slice(1)) {
+        Router.owners.get(handler)?.mount(middleware[0], this);
+      }
+
+      this.router.use(middleware[0], ...Router.resolveMiddleware(middleware.slice(1)));
+      return this;
+    }
+
+    this.middleware.push(...middleware.flat());
+    this.router.use(...Router.resolveMiddleware(middleware));
+    return this;
+  }
+
+  /**
+   * Set the path (and parent router) this router is mounted at
+   */
+  mount(path, parent = null) {
+    this.prefix = path;
+    this.parent = parent;
     return this;
   }
 
+  /**
+   * Get the full path prefix of the router
+   */
+  getPrefix() {
+    return Route.join(this.parent ? this.parent.getPrefix() : '', this.prefix);
+  }
+
+  /**
+   * Get the middleware applied to every route of the router and its parents
+   */
+  getMiddleware() {
+    return [...(this.parent ? this.parent.getMiddleware() : []), ...this.middleware];
+  }
+
+  /**
+   * Get the route name prefix of the router and its groups
+   */
+  getNamePrefix() {
+    return `${this.parent ? this.parent.getNamePrefix() : ''}${this.namePrefix}`;
+  }
+
+  /**
+   * Bind a route parameter to a model class
+   */
+  model(parameter, ModelClass) {
+    Router.bindings.set(parameter, (value, route) => ModelClass.resolveRouteBinding(value, route.withTrashed));
+    return this;
+  }
+
+  /**
+   * Bind a route parameter to a custom resolver: (value, route, req) => resolved
+   */
+  bind(parameter, resolver) {
+    Router.bindings.set(parameter, resolver);
+    return this;
+  }
+
+  /**
+   * Bind models implicitly: a parameter named after the model (Order -> :order)
+   * is resolved through the model
+   */
+  static registerModel(...models) {
+    for (const ModelClass of models.flat()) {
+      const parameter = ModelClass.name.charAt(0).toLowerCase() + ModelClass.name.slice(1);
+      Router.bindings.set(parameter, (value, route) => ModelClass.resolveRouteBinding(value, route.withTrashed));
+    }
+  }
+
+  /**
+   * Register a middleware alias
+   *
+   * Aliases with parameters ('throttle:60,1') call the middleware as a
+   * factory with the parameters.
+   *
+   * @example
+   * Router.aliasMiddleware('auth', authMiddleware);
+   * Router.aliasMiddleware('throttle', (max, minutes) => rateLimit({ max, minutes }));
+   */
+  static aliasMiddleware(name, middleware) {
+    Router.middlewareAliases.set(name, middleware);
+  }
+
+  /**
+   * Replace middleware aliases with the middleware they name
+   */
+  static resolveMiddleware(middleware) {
+    return [].concat(middleware).flat().map(handler => {
+      if (typeof handler !== 'string') {
+        return handler;
+      }
+
+      const [name, parameters] = handler.split(/:(.*)/s);
+      const resolved = Router.middlewareAliases.get(name);
+
+      if (!resolved) {
+        throw new Error(`Middleware [${name}] is not defined.`);
+      }
+
+      return parameters === undefined ? resolved : resolved(...parameters.split(','));
+    });
+  }
+
+  /**
+   * Create a handler that imports a controller on its first request
+   * and calls the action ('Admin/OrderController@index')
+   */
+  static controllerAction(action) {
+    const [controller, method] = action.split('@');
+
+    return async function controllerAction(req, res, next) {
+      const instance = await Router.resolveController(controller);
+
+      if (typeof instance[method] !== 'function') {
+        throw new Error(`Controller [${controller}] is missing the [${method}] action.`);
+      }
+
+      return instance[method](req, res, next);
+    };
+  }
+
+  /**
+   * Import and instantiate a controller once
+   *
+   * The module exports the class under its file name or as default.
+   */
+  static resolveController(controller) {
+    if (!Router.controllers.has(controller)) {
+      const directory = Router.controllersPath || resolve(process.cwd(), 'src/controllers');
+      const file = resolve(directory, `${controller}.js`);
+      const className = controller.split('/').pop();
+
+      const instance = import(pathToFileURL(file).href).then(module => {
+        const Controller = module[className] || module.default;
+
+        if (!Controller) {
+          throw new Error(`Controller [${controller}] is not exported from ${file}.`);
+        }
+
+        return typeof Controller === 'function' ? new Controller() : Controller;
+      });
+
+      instance.catch(() => Router.controllers.delete(controller));
+      Router.controllers.set(controller, instance);
+    }
+
+    return Router.controllers.get(controller);
+  }
+
+  /**
+   * Middleware that replaces bound parameters with their resolved values
+   *
+   * Errors (e.g. ModelNotFoundError) are passed to the exception handler.
+   */
+  static substituteBindings(route) {
+    return async function substituteBindings(req, res, next) {
+      try {
+        for (const [parameter, value] of Object.entries(req.params || {})) {
+          const resolver = Router.bindings.get(parameter);
+
+          if (resolver && typeof value === 'string') {
+            req.params[parameter] = await resolver(value, route, req);
+          }
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
   /**
    * Get underlying Express router
    */
   getRouter() {
     return this.router;
   }
+
+  /**
+   * Route modifiers apply to the route registered just before them
+   */
+  ensureLastRoute(method) {
+    if (!this.lastRoute) {
+      throw new Error(`Register a route before calling ${method}().`);
+    }
+  }
 }
 
 export default Router;
@@ -0,0 +1,116 @@
+/**
+ * URL Generator
+ * Laravel-inspired URL generation for named routes
+ */
+
+export class UrlGenerator {
+  constructor(routes, options = {}) {
+    this.routes = routes;
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Generate the URL of a named route
+   *
+   * Parameters may be an object keyed by name, an array in path order or a
+   * single value. Models are replaced by their route key; parameters the
+   * path does not use are appended as the query string.
+   */
+  route(name, parameters = {}, absolute = true) {
+    const route = this.routes.getByName(name);
+
+    if (!route) {
+      throw new Error(`Route [${name}] not defined.`);
+    }
+
+    const names = route.parameterNames();
+    const values = this.normalizeParameters(parameters, names);
+    const used = new Set();
+
+    const fill = (path, optional) => path.replace(/([:*])([A-Za-z_$][\w$]*)/g, (match, type, key) => {
+      const value = values[key];
+
+      if (value === undefined || value === null || value === '') {
+        if (optional) {
+          throw new MissingOptionalParameter();
+        }
+        throw new Error(`Missing required parameter [${key}] for route [${name}].`);
+      }
+
+      used.add(key);
+
+      return type === '*'
+        ? [].concat(value).map(segment => encodeURIComponent(segment)).join('/')
+        : encodeURIComponent(value);
+    });
+
+    // Optional groups ({/:format}) are dropped when any of their parameters is missing
+    const path = fill(route.path().replace(/\{([^{}]*)\}/g, (match, group) => {
+      try {
+        return fill(group, true);
+      } catch (error) {
+        if (error instanceof MissingOptionalParameter) {
+          return '';
+        }
+        throw error;
+      }
+    }), false);
+
+    const query = Object.fromEntries(
+      Object.entries(values).filter(([key, value]) => !used.has(key) && value !== undefined && value !== null)
+    );
+
+    return this.to(path, query, absolute);
+  }
+
+  /**
+   * Generate a URL for the given path
+   */
+  to(path, query = {}, absolute = true) {
+    const search = new URLSearchParams(
+      Object.entries(query).map(([key, value]) => [key, this.routeKey(value)])
+    ).toString();
+    const url = `${path.startsWith('/') ? path : `/${path}`}${search ? `?${search}` : ''}`;
+
+    return absolute ? `${this.baseUrl}${url}` : url;
+  }
+
+  /**
+   * Determine if a named route exists
+   */
+  has(name) {
+    return this.routes.has(name);
+  }
+
+  /**
+   * Key the given parameters by name
+   */
+  normalizeParameters(parameters, names) {
+    if (parameters === null || parameters === undefined) {
+      return {};
+    }
+
+    if (Array.isArray(parameters)) {
+      return Object.fromEntries(parameters.map((value, index) => [names[index], this.routeKey(value)]));
+    }
+
+    if (typeof parameters !== 'object' || typeof parameters.getRouteKey === 'function') {
+      return names.length > 0 ? { [names[0]]: this.routeKey(parameters) } : {};
+    }
+
+    return Object.fromEntries(
+      Object.entries(parameters).map(([key, value]) => [key, Array.isArray(value) ? value : this.routeKey(value)])
+    );
+  }
+
+  /**
+   * Get the value used for a parameter in the URL
+   */
+  routeKey(value) {
+    return value && typeof value.getRouteKey === 'function' ? value.getRouteKey() : value;
+  }
+}
+
+class MissingOptionalParameter extends Error {}
+
+export default UrlGenerator;
@@ -0,0 +1,24 @@
+/**
+ * Routing Helpers
+ * route() and url() for controllers, resources and mail templates
+ */
+
+import URL from '../Support/Facades/URL.js';
+
+/**
+ * Generate the URL of a named route
+ *
+ * @example
+ * route('orders.show', { order });        // http://localhost/orders/5
+ * route('orders.index', { page: 2 }, false); // /orders?page=2
+ */
+export function route(name, parameters = {}, absolute = true) {
+  return URL.route(name, parameters, absolute);
+}
+
+/**
+ * Generate a URL for the given path
+ */
+export function url(path, query = {}, absolute = true) {
+  return URL.to(path, query, absolute);
+}
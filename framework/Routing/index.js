@@ -1 +1,8 @@
 export { Router } from './Router.js';
+export { Route } from './Route.js';
+export { RouteCollection } from './RouteCollection.js';
+export { ResourceRegistrar } from './ResourceRegistrar.js';
+export { UrlGenerator } from './UrlGenerator.js';
+export { RouteInspector } from './RouteInspector.js';
+export { RouteCache } from './RouteCache.js';
+export { route, url } from './helpers.js';
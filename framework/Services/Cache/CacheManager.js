@@ -203,6 +203,22 @@ export class CacheManager {
   async rememberForever(key, callback) {
     return await this.store().rememberForever(key, callback);
   }
+
+  async flexible(key, ttl, callback, lock = {}) {
+    return await this.store().flexible(key, ttl, callback, lock);
+  }
+
+  lock(name, seconds = 0, owner = null) {
+    return this.store().lock(name, seconds, owner);
+  }
+
+  restoreLock(name, owner) {
+    return this.store().restoreLock(name, owner);
+  }
+
+  tags(names) {
+    return this.store().tags(Array.isArray(names) ? names : [...arguments]);
+  }
 }
 
 export default CacheManager;
@@ -0,0 +1,51 @@
+/**
+ * Cache Lock
+ * Lock kept as an ordinary cache item through the store's atomic add()
+ *
+ * Used by the array, memory and file stores.
+ */
+
+import { Lock } from './Lock.js';
+
+export class CacheLock extends Lock {
+  constructor(store, name, seconds = 0, owner = null) {
+    super(name, seconds, owner);
+    this.store = store;
+  }
+
+  /**
+   * Attempt to acquire the lock
+   */
+  async acquire() {
+    return await this.store.add(this.name, this.ownerToken, this.seconds);
+  }
+
+  /**
+   * Release the lock if this owner holds it
+   */
+  async release() {
+    if (!(await this.isOwnedByCurrentProcess())) {
+      return false;
+    }
+
+    await this.store.forget(this.name);
+
+    return true;
+  }
+
+  /**
+   * Release the lock regardless of its owner
+   */
+  async forceRelease() {
+    await this.store.forget(this.name);
+  }
+
+  /**
+   * Get the owner token currently holding the lock
+   */
+  async getCurrentOwner() {
+    return await this.store.get(this.name);
+  }
+}
+
+export default CacheLock;
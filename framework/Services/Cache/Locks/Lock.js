@@ -0,0 +1,136 @@
+/**
+ * Cache Lock
+ * Laravel-inspired atomic lock held by an owner token
+ *
+ * Only the owner that acquired a lock can release it, so a process whose
+ * lock expired cannot release the lock another process acquired since.
+ *
+ * @example
+ * const lock = Cache.lock('reports:daily', 60);
+ *
+ * if (await lock.get()) {
+ *   try { ... } finally { await lock.release(); }
+ * }
+ *
+ * await Cache.lock('invoice:5', 10).block(5, async () => { ... });
+ */
+
+import crypto from 'crypto';
+import { LockTimeoutException } from './LockTimeoutException.js';
+
+export class Lock {
+  /**
+   * @param {string} name
+   * @param {number} seconds - Seconds until the lock expires (0 = never)
+   * @param {string|null} owner - Owner token (a random one by default)
+   */
+  constructor(name, seconds = 0, owner = null) {
+    this.name = name;
+    this.seconds = seconds;
+    this.ownerToken = owner || crypto.randomUUID();
+    this.sleepMilliseconds = 250;
+  }
+
+  /**
+   * Attempt to acquire the lock
+   * @returns {Promise<boolean>}
+   */
+  async acquire() {
+    throw new Error('Method acquire() must be implemented');
+  }
+
+  /**
+   * Release the lock if this owner holds it
+   * @returns {Promise<boolean>}
+   */
+  async release() {
+    throw new Error('Method release() must be implemented');
+  }
+
+  /**
+   * Release the lock regardless of its owner
+   * @returns {Promise<void>}
+   */
+  async forceRelease() {
+    throw new Error('Method forceRelease() must be implemented');
+  }
+
+  /**
+   * Get the owner token currently holding the lock
+   * @returns {Promise<string|null>}
+   */
+  async getCurrentOwner() {
+    throw new Error('Method getCurrentOwner() must be implemented');
+  }
+
+  /**
+   * Attempt to acquire the lock
+   *
+   * With a callback, the callback runs while the lock is held, the lock is
+   * released afterwards and the callback's result is returned (false when
+   * the lock was not acquired).
+   */
+  async get(callback = null) {
+    const acquired = await this.acquire();
+
+    if (!acquired || !callback) {
+      return acquired;
+    }
+
+    try {
+      return await callback();
+    } finally {
+      await this.release();
+    }
+  }
+
+  /**
+   * Wait up to the given seconds for the lock, then behave like get()
+   * @throws {LockTimeoutException}
+   */
+  async block(seconds, callback = null) {
+    const deadline = Date.now() + seconds * 1000;
+
+    while (!(await this.acquire())) {
+      if (Date.now() + this.sleepMilliseconds > deadline) {
+        throw new LockTimeoutException(this.name, seconds);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.sleepMilliseconds));
+    }
+
+    if (!callback) {
+      return true;
+    }
+
+    try {
+      return await callback();
+    } finally {
+      await this.release();
+    }
+  }
+
+  /**
+   * Set the milliseconds to wait between attempts in block()
+   */
+  betweenBlockedAttemptsSleepFor(milliseconds) {
+    this.sleepMilliseconds = milliseconds;
+    return this;
+  }
+
+  /**
+   * Get this lock's owner token (pass it to restoreLock() in another process)
+   */
+  owner() {
+    return this.ownerToken;
+  }
+
+  /**
+   * Determine if this owner currently holds the lock
+   */
+  async isOwnedByCurrentProcess() {
+    return (await this.getCurrentOwner()) === this.ownerToken;
+  }
+}
+
+export default Lock;
@@ -0,0 +1,14 @@
+/**
+ * Lock Timeout Exception
+ * Thrown when a lock could not be acquired before block() timed out
+ */
+
+export class LockTimeoutException extends Error {
+  constructor(name, seconds) {
+    super(`Could not acquire lock [${name}] within ${seconds} seconds.`);
+    this.name = 'LockTimeoutException';
+    this.lockName = name;
+  }
+}
+
+export default LockTimeoutException;
@@ -0,0 +1,56 @@
+/**
+ * Redis Lock
+ * Lock acquired with SET NX and released with a compare-and-delete script,
+ * so checking the owner and deleting the key happen in one step
+ */
+
+import { Lock } from './Lock.js';
+
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+else
+  return 0
+end
+`;
+
+export class RedisLock extends Lock {
+  constructor(redis, name, seconds = 0, owner = null) {
+    super(name, seconds, owner);
+    this.redis = redis;
+  }
+
+  /**
+   * Attempt to acquire the lock
+   */
+  async acquire() {
+    const result = this.seconds > 0
+      ? await this.redis.set(this.name, this.ownerToken, 'EX', this.seconds, 'NX')
+      : await this.redis.set(this.name, this.ownerToken, 'NX');
+
+    return result === 'OK';
+  }
+
+  /**
+   * Release the lock if this owner holds it
+   */
+  async release() {
+    return Number(await this.redis.eval(RELEASE_SCRIPT, 1, this.name, this.ownerToken)) === 1;
+  }
+
+  /**
+   * Release the lock regardless of its owner
+   */
+  async forceRelease() {
+    await this.redis.del(this.name);
+  }
+
+  /**
+   * Get the owner token currently holding the lock
+   */
+  async getCurrentOwner() {
+    return await this.redis.get(this.name);
+  }
+}
+
+export default RedisLock;
@@ -0,0 +1,4 @@
+export { Lock } from './Lock.js';
+export { CacheLock } from './CacheLock.js';
+export { RedisLock } from './RedisLock.js';
+export { LockTimeoutException } from './LockTimeoutException.js';
@@ -3,10 +3,15 @@
  * Laravel-inspired cache repository
  */
 
+import crypto from 'crypto';
+import { TagSet } from './TagSet.js';
+
 export class Repository {
-  constructor(store) {
+  constructor(store, tagSet = null) {
     this.store = store;
+    this.tagSet = tagSet; // set on tagged caches, see tags()
     this.default = 3600; // 1 hour default
+    this.refreshing = new Map(); // key => pending flexible() refresh
   }
 
   /**
@@ -31,7 +36,7 @@ export class Repository {
       return await this.many(key);
     }
 
-    const value = await this.store.get(key);
+    const value = await this.store.get(await this.itemKey(key));
 
     return value !== null ? value : (typeof defaultValue === 'function' ? defaultValue() : defaultValue);
   }
@@ -40,7 +45,10 @@ export class Repository {
    * Retrieve multiple items from the cache by key
    */
   async many(keys) {
-    return await this.store.many(keys);
+    const itemKeys = await Promise.all(keys.map(key => this.itemKey(key)));
+    const values = await this.store.many(itemKeys);
+
+    return Object.fromEntries(keys.map((key, index) => [key, values[itemKeys[index]] ?? null]));
   }
 
   /**
@@ -57,7 +65,7 @@ export class Repository {
    */
   async put(key, value, ttl = null) {
     const seconds = this.getSeconds(ttl);
-    return await this.store.put(key, value, seconds);
+    return await this.store.put(await this.itemKey(key), value, seconds);
   }
 
   /**
@@ -65,44 +73,54 @@ export class Repository {
    */
   async putMany(values, ttl = null) {
     const seconds = this.getSeconds(ttl);
-    return await this.store.putMany(values, seconds);
+    const items = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      items[await this.itemKey(key)] = value;
+    }
+
+    return await this.store.putMany(items, seconds);
   }
 
   /**
    * Store an item in the cache if the key does not exist
    */
   async add(key, value, ttl = null) {
-    if (await this.missing(key)) {
-      return await this.put(key, value, ttl);
-    }
-    return false;
+    return await this.store.add(await this.itemKey(key), value, this.getSeconds(ttl));
   }
 
   /**
    * Increment the value of an item in the cache
    */
   async increment(key, value = 1) {
-    return await this.store.increment(key, value);
+    return await this.store.increment(await this.itemKey(key), value);
   }
 
   /**
    * Decrement the value of an item in the cache
    */
   async decrement(key, value = 1) {
-    return await this.store.decrement(key, value);
+    return await this.store.decrement(await this.itemKey(key), value);
   }
 
   /**
    * Store an item in the cache indefinitely
    */
   async forever(key, value) {
-    return await this.store.forever(key, value);
+    return await this.store.forever(await this.itemKey(key), value);
   }
 
   /**
    * Get an item from the cache, or execute the given Closure and store the result
+   *
+   * A [fresh, stale] pair of seconds serves the value stale-while-revalidate,
+   * see flexible().
    */
   async remember(key, ttl, callback) {
+    if (Array.isArray(ttl)) {
+      return await this.flexible(key, ttl, callback);
+    }
+
     const value = await this.get(key);
 
     if (value !== null) {
@@ -131,17 +149,118 @@ export class Repository {
     return result;
   }
 
+  /**
+   * Get an item, serving it stale while it is refreshed in the background
+   *
+   * For the first `fresh` seconds the cached value is returned as is. Until
+   * `stale` seconds it is still returned, but one caller (across processes,
+   * guarded by a lock) recomputes it in the background, so a hot key expiring
+   * does not send every request to the database at once. After `stale`
+   * seconds the value is gone and the callback runs in the request.
+   *
+   * @param {string} key
+   * @param {Array<number>} ttl - [fresh, stale] seconds
+   * @param {Function} callback
+   * @param {Object} lock - Options of the refresh lock: { seconds, owner }
+   */
+  async flexible(key, [fresh, stale], callback, lock = {}) {
+    const createdKey = `flexible:created:${key}`;
+    const value = await this.get(key);
+    const created = await this.get(createdKey);
+
+    if (value === null || created === null) {
+      const result = await callback();
+      await this.putFlexible(key, result, stale);
+      return result;
+    }
+
+    if (Date.now() - created > fresh * 1000 && !this.refreshing.has(key)) {
+      this.refreshing.set(key, this.refresh(key, created, stale, callback, lock)
+        .catch(error => console.error(`Failed to refresh cache key [${key}]: ${error.message}`))
+        .finally(() => this.refreshing.delete(key)));
+    }
+
+    return value;
+  }
+
+  /**
+   * Recompute a flexible() value under a lock, unless another process already has
+   */
+  async refresh(key, created, stale, callback, lock) {
+    const name = `flexible:lock:${await this.itemKey(key)}`;
+
+    await this.lock(name, lock.seconds ?? 10, lock.owner ?? null).get(async () => {
+      if ((await this.get(`flexible:created:${key}`)) === created) {
+        await this.putFlexible(key, await callback(), stale);
+      }
+    });
+  }
+
+  /**
+   * Store a flexible() value with the time it was computed
+   */
+  async putFlexible(key, value, stale) {
+    await this.putMany({ [key]: value, [`flexible:created:${key}`]: Date.now() }, stale);
+  }
+
+  /**
+   * Get a lock instance
+   */
+  lock(name, seconds = 0, owner = null) {
+    return this.store.lock(name, seconds, owner);
+  }
+
+  /**
+   * Restore a lock instance using the owner identifier
+   */
+  restoreLock(name, owner) {
+    return this.store.restoreLock(name, owner);
+  }
+
+  /**
+   * Begin a cache operation against the given tags
+   *
+   * Tagged items are stored under a namespace built from the current id of
+   * each tag. Flushing the tags gives them new ids, so every item stored
+   * under any of them is no longer found (and expires with its TTL).
+   */
+  tags(names) {
+    names = Array.isArray(names) ? names : [...arguments];
+
+    const repository = new Repository(this.store, new TagSet(this.store, [...(this.tagSet?.names || []), ...names]));
+
+    return repository.setDefaultCacheTime(this.default);
+  }
+
+  /**
+   * Get the key an item is stored under (namespaced by the tags of a tagged cache)
+   */
+  async itemKey(key) {
+    if (!this.tagSet) {
+      return key;
+    }
+
+    const namespace = crypto.createHash('sha1').update(await this.tagSet.getNamespace()).digest('hex');
+
+    return `${namespace}:${key}`;
+  }
+
   /**
    * Remove an item from the cache
    */
   async forget(key) {
-    return await this.store.forget(key);
+    return await this.store.forget(await this.itemKey(key));
   }
 
   /**
    * Remove all items from the cache
    */
   async flush() {
+    if (this.tagSet) {
+      await this.tagSet.reset();
+      return true;
+    }
+
     return await this.store.flush();
   }
 
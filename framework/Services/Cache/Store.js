@@ -3,6 +3,8 @@
  * Laravel-inspired cache store contract
  */
 
+import { CacheLock } from './Locks/CacheLock.js';
+
 export class Store {
   /**
    * Retrieve an item from the cache by key
@@ -37,6 +39,24 @@ export class Store {
     throw new Error('Method put() must be implemented');
   }
 
+  /**
+   * Store an item in the cache if the key does not exist
+   *
+   * Stores that can check and set in a single step override this so the
+   * result can be used as a lock.
+   * @param {string} key
+   * @param {any} value
+   * @param {number} seconds
+   * @returns {Promise<boolean>}
+   */
+  async add(key, value, seconds) {
+    if ((await this.get(key)) !== null) {
+      return false;
+    }
+
+    return await this.put(key, value, seconds);
+  }
+
   /**
    * Store multiple items in the cache for a given number of seconds
    * @param {Object} values
@@ -97,6 +117,30 @@ export class Store {
     throw new Error('Method flush() must be implemented');
   }
 
+  /**
+   * Get a lock instance
+   *
+   * The default lock is a cache item created with add(), so it is only as
+   * atomic as the store's add().
+   * @param {string} name
+   * @param {number} seconds
+   * @param {string|null} owner
+   * @returns {Lock}
+   */
+  lock(name, seconds = 0, owner = null) {
+    return new CacheLock(this, name, seconds, owner);
+  }
+
+  /**
+   * Restore a lock instance using the owner identifier
+   * @param {string} name
+   * @param {string} owner
+   * @returns {Lock}
+   */
+  restoreLock(name, owner) {
+    return this.lock(name, 0, owner);
+  }
+
   /**
    * Get the cache key prefix
    * @returns {string}
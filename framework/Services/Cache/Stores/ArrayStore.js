@@ -46,14 +46,28 @@ export class ArrayStore extends Store {
   }
 
   /**
-   * Increment the value of an item in the cache
+   * Store an item in the cache if the key does not exist
+   */
+  async add(key, value, seconds) {
+    const item = this.storage.get(this.prefix + key);
+
+    if (item && (!item.expiresAt || Date.now() <= item.expiresAt)) {
+      return false;
+    }
+
+    return await this.put(key, value, seconds);
+  }
+
+  /**
+   * Increment the value of an item in the cache, keeping its expiry
    */
   async increment(key, value = 1) {
     const current = await this.get(key) || 0;
     const newValue = Number(current) + value;
-    
-    await this.put(key, newValue, 0);
-    
+    const item = this.storage.get(this.prefix + key);
+
+    this.storage.set(this.prefix + key, { value: newValue, expiresAt: item?.expiresAt ?? null });
+
     return newValue;
   }
 
@@ -76,6 +76,28 @@ export class FileStore extends Store {
     }
   }
 
+  /**
+   * Store an item in the cache if the key does not exist
+   *
+   * The file is created exclusively, so only one process can win.
+   */
+  async add(key, value, seconds) {
+    const filePath = this.getFilePath(key);
+    const expiration = seconds > 0 ? Date.now() + (seconds * 1000) : null;
+
+    // Clears the file when it has expired
+    if ((await this.get(key)) !== null) {
+      return false;
+    }
+
+    try {
+      await fs.promises.writeFile(filePath, JSON.stringify({ value, expiration }), { encoding: 'utf8', flag: 'wx' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Store multiple items in the cache for a given number of seconds
    */
@@ -89,15 +111,30 @@ export class FileStore extends Store {
   }
 
   /**
-   * Increment the value of an item in the cache
+   * Increment the value of an item in the cache, keeping its expiry
    */
   async increment(key, value = 1) {
     const current = await this.get(key);
     const newValue = (parseInt(current) || 0) + value;
-    await this.forever(key, newValue);
+    const expiration = current === null ? null : await this.getExpiration(key);
+    const seconds = expiration ? Math.max(1, Math.ceil((expiration - Date.now()) / 1000)) : 0;
+
+    await this.put(key, newValue, seconds);
     return newValue;
   }
 
+  /**
+   * Get the expiry timestamp (ms) of an item, or null when it never expires
+   */
+  async getExpiration(key) {
+    try {
+      const content = await fs.promises.readFile(this.getFilePath(key), 'utf8');
+      return JSON.parse(content).expiration || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Decrement the value of an item in the cache
    */
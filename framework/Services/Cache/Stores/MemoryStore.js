@@ -64,6 +64,19 @@ export class MemoryStore extends Store {
     return true;
   }
 
+  /**
+   * Store an item in the cache if the key does not exist
+   */
+  async add(key, value, seconds) {
+    const prefixedKey = this.getPrefixedKey(key);
+
+    if (this.cache.has(prefixedKey) && !this.isExpired(prefixedKey)) {
+      return false;
+    }
+
+    return await this.put(key, value, seconds);
+  }
+
   /**
    * Store multiple items in the cache for a given number of seconds
    */
@@ -76,12 +89,12 @@ export class MemoryStore extends Store {
   }
 
   /**
-   * Increment the value of an item in the cache
+   * Increment the value of an item in the cache, keeping its expiry
    */
   async increment(key, value = 1) {
     const current = await this.get(key);
     const newValue = (parseInt(current) || 0) + value;
-    await this.forever(key, newValue);
+    this.cache.set(this.getPrefixedKey(key), newValue);
     return newValue;
   }
 
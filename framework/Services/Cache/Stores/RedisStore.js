@@ -4,6 +4,7 @@
  */
 
 import { Store } from '../Store.js';
+import { RedisLock } from '../Locks/RedisLock.js';
 
 export class RedisStore extends Store {
   constructor(redis, options = {}) {
@@ -68,6 +69,18 @@ export class RedisStore extends Store {
     return true;
   }
 
+  /**
+   * Store an item in the cache if the key does not exist (SET NX)
+   */
+  async add(key, value, seconds) {
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    const result = seconds > 0
+      ? await this.redis.set(this.prefix + key, serialized, 'EX', seconds, 'NX')
+      : await this.redis.set(this.prefix + key, serialized, 'NX');
+
+    return result === 'OK';
+  }
+
   /**
    * Store multiple items in the cache for a given number of seconds
    */
@@ -130,6 +143,13 @@ export class RedisStore extends Store {
     return true;
   }
 
+  /**
+   * Get a lock instance
+   */
+  lock(name, seconds = 0, owner = null) {
+    return new RedisLock(this.redis, this.prefix + name, seconds, owner);
+  }
+
   /**
    * Get the cache key prefix
    */
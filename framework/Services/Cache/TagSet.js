@@ -0,0 +1,72 @@
+/**
+ * Tag Set
+ * Laravel-inspired set of cache tags, each identified by an id kept in the
+ * cache, which together namespace the items of a tagged cache
+ */
+
+import crypto from 'crypto';
+
+export class TagSet {
+  constructor(store, names = []) {
+    this.store = store;
+    this.names = names;
+  }
+
+  /**
+   * Get the namespace of the tags' current ids
+   */
+  async getNamespace() {
+    const ids = [];
+
+    for (const name of this.names) {
+      ids.push(await this.tagId(name));
+    }
+
+    return ids.join('|');
+  }
+
+  /**
+   * Get the id of a tag, creating one on first use
+   */
+  async tagId(name) {
+    const id = await this.store.get(this.tagKey(name));
+
+    if (id !== null) {
+      return id;
+    }
+
+    // Another process may create the id first, so read back whichever won
+    await this.store.add(this.tagKey(name), crypto.randomUUID(), 0);
+
+    return await this.store.get(this.tagKey(name));
+  }
+
+  /**
+   * Give every tag a new id, orphaning the items stored under the old ones
+   */
+  async reset() {
+    for (const name of this.names) {
+      await this.resetTag(name);
+    }
+  }
+
+  /**
+   * Give a tag a new id
+   */
+  async resetTag(name) {
+    const id = crypto.randomUUID();
+
+    await this.store.forever(this.tagKey(name), id);
+
+    return id;
+  }
+
+  /**
+   * Get the cache key holding a tag's id
+   */
+  tagKey(name) {
+    return `tag:${name}:key`;
+  }
+}
+
+export default TagSet;
@@ -1,5 +1,7 @@
 export { CacheManager } from './CacheManager.js';
 export { Repository } from './Repository.js';
 export { Store } from './Store.js';
+export { TagSet } from './TagSet.js';
 export { ArrayStore } from './Stores/ArrayStore.js';
 export { RedisStore } from './Stores/RedisStore.js';
+export { Lock, CacheLock, RedisLock, LockTimeoutException } from './Locks/index.js';
@@ -1,55 +1,83 @@
 /**
  * Encrypter
  * Laravel-inspired encryption service using AES
+ *
+ * CBC payloads are authenticated with an HMAC, GCM payloads with the
+ * cipher's tag. Values encrypted with previous keys still decrypt, so the
+ * key can be rotated without breaking existing cookies and columns.
  */
 
 import crypto from 'crypto';
 
+const CIPHERS = {
+  'aes-128-cbc': { size: 16, aead: false },
+  'aes-256-cbc': { size: 32, aead: false },
+  'aes-128-gcm': { size: 16, aead: true },
+  'aes-256-gcm': { size: 32, aead: true }
+};
+
+/**
+ * Bytes of a GCM authentication tag
+ */
+const TAG_LENGTH = 16;
+
 export class Encrypter {
-  constructor(key, cipher = 'aes-256-cbc') {
+  constructor(key, cipher = 'aes-256-cbc', previousKeys = []) {
     this.key = key;
-    this.cipher = cipher;
+    this.cipher = cipher.toLowerCase();
+    this.keyBytes = Encrypter.parseKey(key);
+    this.previousKeys = [];
 
-    if (!this.supported(key, cipher)) {
-      throw new Error('The only supported ciphers are aes-128-cbc and aes-256-cbc with the correct key lengths.');
+    if (!this.supported(key, this.cipher)) {
+      throw new Error(`Unsupported cipher or incorrect key length. Supported ciphers are: ${Object.keys(CIPHERS).join(', ')}.`);
     }
+
+    this.setPreviousKeys(previousKeys);
+  }
+
+  /**
+   * Get the raw bytes of a key ('base64:'-prefixed keys are decoded)
+   */
+  static parseKey(key) {
+    return key.startsWith('base64:')
+      ? Buffer.from(key.slice(7), 'base64')
+      : Buffer.from(key, 'utf8');
   }
 
   /**
    * Determine if the given key and cipher combination is valid
    */
   supported(key, cipher) {
-    const length = Buffer.byteLength(key, 'utf8');
-    return (cipher === 'aes-128-cbc' && length === 16) ||
-           (cipher === 'aes-256-cbc' && length === 32);
+    const length = Encrypter.parseKey(key).length;
+    return CIPHERS[cipher?.toLowerCase()]?.size === length;
   }
 
   /**
-   * Create a new encryption key for the given cipher
+   * Create a new 'base64:'-prefixed encryption key for the given cipher
    */
   static generateKey(cipher = 'aes-256-cbc') {
-    const length = cipher === 'aes-128-cbc' ? 16 : 32;
-    return crypto.randomBytes(length).toString('base64');
+    const length = CIPHERS[cipher.toLowerCase()]?.size || 32;
+    return `base64:${crypto.randomBytes(length).toString('base64')}`;
   }
 
   /**
    * Encrypt the given value
    */
   encrypt(value, serialize = true) {
-    const iv = crypto.randomBytes(16);
+    const aead = CIPHERS[this.cipher].aead;
+    const iv = crypto.randomBytes(aead ? 12 : 16);
 
     const data = serialize ? JSON.stringify(value) : value;
 
-    const cipher = crypto.createCipheriv(this.cipher, Buffer.from(this.key, 'base64'), iv);
+    const cipher = crypto.createCipheriv(this.cipher, this.keyBytes, iv);
     let encrypted = cipher.update(data, 'utf8', 'base64');
     encrypted += cipher.final('base64');
 
-    const mac = this.hash(iv.toString('base64'), encrypted);
-
     const payload = {
       iv: iv.toString('base64'),
       value: encrypted,
-      mac
+      mac: aead ? '' : this.hash(iv.toString('base64'), encrypted),
+      tag: aead ? cipher.getAuthTag().toString('base64') : ''
     };
 
     return Buffer.from(JSON.stringify(payload)).toString('base64');
@@ -63,20 +91,34 @@ export class Encrypter {
   }
 
   /**
-   * Decrypt the given value
+   * Decrypt the given value with the current key or one of the previous keys
+   *
+   * The mode comes from the payload (GCM payloads have a tag), so values
+   * encrypted before switching between CBC and GCM still decrypt.
    */
   decrypt(payload, unserialize = true) {
-    const decoded = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
-
-    const iv = Buffer.from(decoded.iv, 'base64');
-
-    if (!this.validMac(decoded)) {
-      throw new Error('The MAC is invalid.');
+    const decoded = this.getJsonPayload(payload);
+    const aead = Boolean(decoded.tag);
+    let decrypted = null;
+
+    for (const key of this.getAllKeyBytes()) {
+      if (!aead && !this.validMacForKey(decoded, key)) {
+        continue;
+      }
+
+      try {
+        decrypted = this.decryptWithKey(decoded, key);
+        break;
+      } catch (error) {
+        if (!aead) {
+          throw new Error('Could not decrypt the data.');
+        }
+      }
     }
 
-    const decipher = crypto.createDecipheriv(this.cipher, Buffer.from(this.key, 'base64'), iv);
-    let decrypted = decipher.update(decoded.value, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
+    if (decrypted === null) {
+      throw new Error(aead ? 'Could not decrypt the data.' : 'The MAC is invalid.');
+    }
 
     return unserialize ? JSON.parse(decrypted) : decrypted;
   }
@@ -88,12 +130,52 @@ export class Encrypter {
     return this.decrypt(payload, false);
   }
 
+  /**
+   * Decrypt a payload with the given key
+   */
+  decryptWithKey(payload, key) {
+    const aead = Boolean(payload.tag);
+    const cipher = `aes-${key.length * 8}-${aead ? 'gcm' : 'cbc'}`;
+    const options = aead ? { authTagLength: TAG_LENGTH } : undefined;
+    const decipher = crypto.createDecipheriv(cipher, key, Buffer.from(payload.iv, 'base64'), options);
+
+    if (aead) {
+      decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    }
+
+    return decipher.update(payload.value, 'base64', 'utf8') + decipher.final('utf8');
+  }
+
+  /**
+   * Decode the payload and check that it has a MAC or a tag
+   */
+  getJsonPayload(payload) {
+    let decoded;
+
+    try {
+      decoded = JSON.parse(Buffer.from(String(payload), 'base64').toString('utf8'));
+    } catch (error) {
+      throw new Error('The payload is invalid.');
+    }
+
+    const valid = decoded
+      && ['iv', 'value'].every(field => typeof decoded[field] === 'string' && decoded[field])
+      && (typeof decoded.mac === 'string' && decoded.mac || typeof decoded.tag === 'string' && decoded.tag);
+
+    // Shorter GCM tags are accepted by Node but make forgeries far easier
+    if (!valid || (decoded.tag && Buffer.from(decoded.tag, 'base64').length !== TAG_LENGTH)) {
+      throw new Error('The payload is invalid.');
+    }
+
+    return decoded;
+  }
+
   /**
    * Create a MAC for the given value
    */
-  hash(iv, value) {
+  hash(iv, value, key = this.keyBytes) {
     return crypto
-      .createHmac('sha256', Buffer.from(this.key, 'base64'))
+      .createHmac('sha256', key)
       .update(iv + value)
       .digest('hex');
   }
@@ -102,11 +184,17 @@ export class Encrypter {
    * Determine if the MAC for the given payload is valid
    */
   validMac(payload) {
-    const calculated = this.hash(payload.iv, payload.value);
-    return crypto.timingSafeEqual(
-      Buffer.from(calculated, 'hex'),
-      Buffer.from(payload.mac, 'hex')
-    );
+    return this.validMacForKey(payload, this.keyBytes);
+  }
+
+  /**
+   * Determine if the MAC for the given payload is valid for the given key
+   */
+  validMacForKey(payload, key) {
+    const calculated = Buffer.from(this.hash(payload.iv, payload.value, key), 'hex');
+    const mac = Buffer.from(payload.mac, 'hex');
+
+    return mac.length === calculated.length && crypto.timingSafeEqual(calculated, mac);
   }
 
   /**
@@ -115,6 +203,48 @@ export class Encrypter {
   getKey() {
     return this.key;
   }
+
+  /**
+   * Get the cipher
+   */
+  getCipher() {
+    return this.cipher;
+  }
+
+  /**
+   * Set the keys that values may have been encrypted with before the current key
+   */
+  setPreviousKeys(keys) {
+    for (const key of keys) {
+      if (![16, 32].includes(Encrypter.parseKey(key).length)) {
+        throw new Error('Previous keys must be 16 or 32 bytes long.');
+      }
+    }
+
+    this.previousKeys = [...keys];
+    return this;
+  }
+
+  /**
+   * Get the previous encryption keys
+   */
+  getPreviousKeys() {
+    return this.previousKeys;
+  }
+
+  /**
+   * Get the current key and the previous keys
+   */
+  getAllKeys() {
+    return [this.key, ...this.previousKeys];
+  }
+
+  /**
+   * Get the raw bytes of all keys, the current key first
+   */
+  getAllKeyBytes() {
+    return [this.keyBytes, ...this.previousKeys.map(key => Encrypter.parseKey(key))];
+  }
 }
 
 export default Encrypter;
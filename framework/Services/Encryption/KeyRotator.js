@@ -0,0 +1,116 @@
+/**
+ * Key Rotator
+ * Re-encrypts table columns with the current encryption key
+ *
+ * Rows are read in batches ordered by primary key. Values that already
+ * decrypt with the current key are left alone, so a rotation that stopped
+ * halfway can be run again, or resumed after the last finished row.
+ *
+ * @example
+ * const rotator = new KeyRotator(db, new Encrypter(newKey, cipher, [oldKey]));
+ * await rotator.rotate('users', ['two_factor_secret'], { batch: 500 });
+ */
+
+import { Encrypter } from './Encrypter.js';
+
+export class KeyRotator {
+  /**
+   * @param {object} db - Database with table() query builders
+   * @param {Encrypter} encrypter - Encrypter with the new key and the previous keys
+   */
+  constructor(db, encrypter) {
+    this.db = db;
+    this.encrypter = encrypter;
+    this.current = new Encrypter(encrypter.getKey(), encrypter.getCipher());
+  }
+
+  /**
+   * Re-encrypt the columns of every row of a table
+   *
+   * @param {string} table
+   * @param {string[]} columns
+   * @param {object} options
+   * @param {string} options.primaryKey - Column the batches are ordered by
+   * @param {number} options.batch - Rows per batch
+   * @param {*} options.after - Primary key of the last row already re-encrypted
+   * @param {function} options.onBatch - Called with { rows, updated, last } after each batch
+   * @returns {Promise<{rows: number, updated: number}>}
+   */
+  async rotate(table, columns, options = {}) {
+    const primaryKey = options.primaryKey || 'id';
+    const batch = options.batch || 500;
+    let last = options.after ?? null;
+    const totals = { rows: 0, updated: 0 };
+
+    while (true) {
+      let query = this.db.table(table).select(primaryKey, ...columns).orderBy(primaryKey).limit(batch);
+
+      if (last !== null) {
+        query = query.where(primaryKey, '>', last);
+      }
+
+      const rows = await query.get();
+      let updated = 0;
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        const values = this.reencryptRow(row, columns);
+
+        if (Object.keys(values).length > 0) {
+          await this.db.table(table).where(primaryKey, row[primaryKey]).update(values);
+          updated++;
+        }
+      }
+
+      last = rows[rows.length - 1][primaryKey];
+      totals.rows += rows.length;
+      totals.updated += updated;
+
+      await options.onBatch?.({ rows: rows.length, updated, last });
+
+      if (rows.length < batch) {
+        break;
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Get the re-encrypted values of a row's columns
+   */
+  reencryptRow(row, columns) {
+    const values = {};
+
+    for (const column of columns) {
+      const value = this.reencrypt(row[column]);
+
+      if (value !== null) {
+        values[column] = value;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Re-encrypt a payload with the current key, or null when it already uses it
+   */
+  reencrypt(payload) {
+    if (payload === null || payload === undefined || payload === '') {
+      return null;
+    }
+
+    try {
+      this.current.decrypt(payload, false);
+      return null;
+    } catch (error) {
+      return this.encrypter.encrypt(this.encrypter.decrypt(payload, false), false);
+    }
+  }
+}
+
+export default KeyRotator;
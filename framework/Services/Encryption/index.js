@@ -1 +1,2 @@
 export { Encrypter } from './Encrypter.js';
+export { KeyRotator } from './KeyRotator.js';
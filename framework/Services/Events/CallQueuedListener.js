@@ -0,0 +1,139 @@
+/**
+ * Call Queued Listener
+ * Job that runs a listener declaring `static shouldQueue = true` on a worker
+ *
+ * The listener's tries, backoff and timeout apply to the job. Event objects
+ * are stored by class name with their properties (models by primary key),
+ * so the worker must know the event and listener classes: listen for events
+ * by class, or let discovery register them.
+ */
+
+import { Job } from '../Queue/Job.js';
+
+export class CallQueuedListener extends Job {
+  /**
+   * Listener classes by name
+   */
+  static listeners = new Map();
+
+  /**
+   * Event classes by name
+   */
+  static events = new Map();
+
+  /**
+   * @param {string} listener - Listener class name
+   * @param {Array} args - Arguments of the listener's handle()
+   * @param {Object} options - The listener's tries, backoff and timeout
+   */
+  constructor(listener, args = [], options = {}) {
+    super();
+    this.class = listener;
+    this.arguments = args;
+
+    for (const key of ['tries', 'backoff', 'timeout']) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * Run the listener
+   */
+  async handle() {
+    return await this.listener().handle(...this.arguments);
+  }
+
+  /**
+   * Let the listener handle the job failing
+   */
+  async failed(error) {
+    const listener = this.listener();
+
+    if (typeof listener.failed === 'function') {
+      await listener.failed(...this.arguments, error);
+    }
+  }
+
+  /**
+   * Create the listener instance
+   */
+  listener() {
+    const ListenerClass = CallQueuedListener.listeners.get(this.class);
+
+    if (!ListenerClass) {
+      throw new Error(`Event listener [${this.class}] is not registered with the event dispatcher.`);
+    }
+
+    return new ListenerClass();
+  }
+
+  /**
+   * Get the job's properties, storing event objects by class name
+   */
+  serialize() {
+    const data = super.serialize();
+
+    data.arguments = this.arguments.map(value => CallQueuedListener.serializeArgument(value));
+
+    return data;
+  }
+
+  /**
+   * Rebuild the job and its event objects
+   */
+  static async unserialize(data = {}, models = {}) {
+    const job = await super.unserialize({ ...data, arguments: [] }, models);
+
+    job.arguments = await Promise.all(
+      (data.arguments || []).map(value => CallQueuedListener.unserializeArgument(value, models))
+    );
+
+    return job;
+  }
+
+  /**
+   * Store a registered event object as its class name and properties
+   */
+  static serializeArgument(value) {
+    const name = value?.constructor?.name;
+
+    if (value && typeof value === 'object' && CallQueuedListener.events.get(name) === value.constructor) {
+      const data = {};
+
+      for (const [key, property] of Object.entries(value)) {
+        data[key] = Job.serializeValue(property);
+      }
+
+      return { __event: name, data };
+    }
+
+    return Job.serializeValue(value);
+  }
+
+  /**
+   * Rebuild an event object, re-fetching its models
+   */
+  static async unserializeArgument(value, models) {
+    if (!value || typeof value !== 'object' || !value.__event) {
+      return await Job.unserializeValue(value, models);
+    }
+
+    const EventClass = CallQueuedListener.events.get(value.__event);
+
+    if (!EventClass) {
+      throw new Error(`Event [${value.__event}] is not registered with the event dispatcher.`);
+    }
+
+    const event = Object.create(EventClass.prototype);
+
+    for (const [key, property] of Object.entries(value.data)) {
+      event[key] = await Job.unserializeValue(property, models);
+    }
+
+    return event;
+  }
+}
+
+export default CallQueuedListener;
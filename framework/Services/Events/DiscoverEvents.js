@@ -0,0 +1,130 @@
+/**
+ * Discover Events
+ * Find the listeners in a directory and the events they handle
+ *
+ * A listener is an exported class with a handle() method. Its events are
+ * read from a static `listensTo` (an event name, an event class or an
+ * array of them), or else from the type of handle()'s first JSDoc @param.
+ * A type naming a class imported by the listener module resolves to that
+ * class; `{OrderPlaced|OrderShipped}` listens for both.
+ *
+ * @example
+ * import { OrderPlaced } from '../Events/OrderPlaced.js';
+ *
+ * export class SendInvoice {
+ *   static shouldQueue = true;
+ *
+ *   /** @param {OrderPlaced} event *\/
+ *   async handle(event) { ... }
+ * }
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { resolve, extname, dirname } from 'path';
+import { pathToFileURL } from 'url';
+
+export class DiscoverEvents {
+  /**
+   * Discover the listeners in a directory (recursively)
+   *
+   * @param {string} directory
+   * @returns {Promise<Array<{ listener: Function, events: Array<string|Function> }>>}
+   */
+  static async within(directory) {
+    const discovered = [];
+
+    for (const file of DiscoverEvents.files(directory)) {
+      const module = await import(pathToFileURL(file).href);
+      const source = readFileSync(file, 'utf8');
+      const classes = new Set(Object.values(module).filter(value =>
+        typeof value === 'function' && typeof value.prototype?.handle === 'function'
+      ));
+
+      for (const listener of classes) {
+        const events = listener.listensTo !== undefined
+          ? [].concat(listener.listensTo)
+          : await DiscoverEvents.eventsFromTypeHint(source, file);
+
+        if (events.length > 0) {
+          discovered.push({ listener, events });
+        }
+      }
+    }
+
+    return discovered;
+  }
+
+  /**
+   * Read the events of handle()'s first @param type
+   *
+   * The first handle() of the module is read, so keep one listener per file
+   * when relying on type hints.
+   */
+  static async eventsFromTypeHint(source, file) {
+    const match = source.match(/\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*(?:async\s+)?handle\s*\(/);
+    const type = match?.[1].match(/@param\s+\{([^}]+)\}/)?.[1];
+
+    if (!type) {
+      return [];
+    }
+
+    const imports = DiscoverEvents.imports(source);
+    const events = [];
+
+    for (const name of type.split('|').map(part => part.trim())) {
+      if (!imports[name]) {
+        events.push(name);
+        continue;
+      }
+
+      const module = await import(pathToFileURL(resolve(dirname(file), imports[name].path)).href);
+      events.push(module[imports[name].export] || name);
+    }
+
+    return events;
+  }
+
+  /**
+   * Get the relative imports of a module source by local binding name
+   */
+  static imports(source) {
+    const imports = {};
+    const pattern = /import\s+(?:(\w+)\s*,?\s*)?(?:\{([^}]*)\})?\s*from\s+['"](\.{1,2}\/[^'"]+)['"]/g;
+
+    for (const [, defaultName, named, path] of source.matchAll(pattern)) {
+      if (defaultName) {
+        imports[defaultName] = { path, export: 'default' };
+      }
+
+      for (const specifier of (named || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [exported, local = exported] = specifier.split(/\s+as\s+/);
+        imports[local] = { path, export: exported };
+      }
+    }
+
+    return imports;
+  }
+
+  /**
+   * List the modules in a directory and its subdirectories
+   */
+  static files(directory) {
+    const path = resolve(process.cwd(), directory);
+
+    if (!existsSync(path)) {
+      return [];
+    }
+
+    return readdirSync(path).flatMap(entry => {
+      const file = resolve(path, entry);
+
+      if (statSync(file).isDirectory()) {
+        return DiscoverEvents.files(file);
+      }
+
+      return ['.js', '.mjs'].includes(extname(file)) ? [file] : [];
+    });
+  }
+}
+
+export default DiscoverEvents;
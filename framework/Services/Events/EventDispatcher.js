@@ -1,21 +1,35 @@
 /**
  * Event Dispatcher
  * Laravel-inspired event dispatcher with listener support
+ *
+ * Listeners are closures, container bindings or classes with a handle()
+ * method. A listener class declaring `static shouldQueue = true` is pushed
+ * onto the queue instead of running in the request. Event objects with a
+ * broadcastOn() method are also sent through the broadcast manager.
  */
 
+import { CallQueuedListener } from './CallQueuedListener.js';
+import { DiscoverEvents } from './DiscoverEvents.js';
+
 export class EventDispatcher {
   constructor(container = null) {
     this.container = container;
     this.listeners = {};
     this.wildcards = {};
     this.wildcardsCache = {};
+    this.queueResolver = null;
+    this.transactionManagerResolver = null;
+    this.broadcasterResolver = null;
   }
 
   /**
    * Register an event listener with the dispatcher
+   *
+   * Events are names or event classes; dispatching an instance of a class
+   * calls the listeners of the class.
    */
   listen(events, listener) {
-    const eventArray = Array.isArray(events) ? events : [events];
+    const eventArray = (Array.isArray(events) ? events : [events]).map(event => this.eventName(event));
 
     for (const event of eventArray) {
       if (event.includes('*')) {
@@ -64,15 +78,60 @@ export class EventDispatcher {
 
   /**
    * Fire an event and call the listeners
+   *
+   * Listeners of an event object receive the object. Events whose class
+   * declares `static afterCommit = true` wait for the open database
+   * transaction to commit.
    */
   async dispatch(event, payload = [], halt = false) {
-    const eventName = typeof event === 'string' ? event : event.constructor.name;
-    const listeners = this.getListeners(eventName);
+    if (!halt && typeof event === 'object' && event.constructor.afterCommit) {
+      return await this.dispatchAfterCommit(event, payload);
+    }
+
+    return await this.fire(event, payload, halt);
+  }
+
+  /**
+   * Broadcast the event if it should be, then call its listeners
+   */
+  async fire(event, payload = [], halt = false) {
+    if (this.shouldBroadcast(event)) {
+      await this.broadcastEvent(event);
+    }
+
+    return await this.invokeListeners(event, payload, halt);
+  }
+
+  /**
+   * Fire an event once the open database transaction commits
+   *
+   * The event is dropped if the transaction rolls back, and fires at once
+   * outside a transaction.
+   */
+  async dispatchAfterCommit(event, payload = []) {
+    const transactions = this.resolveTransactionManager();
+
+    if (!transactions) {
+      return await this.fire(event, payload);
+    }
+
+    return (await transactions.addCallback(() => this.fire(event, payload))) ?? null;
+  }
+
+  /**
+   * Call the listeners of an event
+   */
+  async invokeListeners(event, payload = [], halt = false) {
+    const listeners = this.getListeners(this.eventName(event));
 
     if (listeners.length === 0) {
       return null;
     }
 
+    if (typeof event === 'object' && Array.isArray(payload) && payload.length === 0) {
+      payload = [event];
+    }
+
     const responses = [];
 
     for (const listener of listeners) {
@@ -164,13 +223,19 @@ export class EventDispatcher {
    * Create a class based listener
    */
   makeListener(listener, wildcard = false) {
-    if (typeof listener === 'string') {
-      return this.createClassListener(listener, wildcard);
+    const callback = typeof listener === 'string' || this.isListenerClass(listener)
+      ? this.createClassListener(listener, wildcard)
+      : async (event, payload) => {
+        return wildcard ? await listener(event, payload) : await listener(...(Array.isArray(payload) ? payload : [payload]));
+      };
+
+    if (this.isListenerClass(listener)) {
+      CallQueuedListener.listeners.set(listener.name, listener);
     }
 
-    return async (event, payload) => {
-      return wildcard ? await listener(event, payload) : await listener(...(Array.isArray(payload) ? payload : [payload]));
-    };
+    callback.listener = listener;
+
+    return callback;
   }
 
   /**
@@ -178,20 +243,173 @@ export class EventDispatcher {
    */
   createClassListener(listener, wildcard = false) {
     return async (event, payload) => {
-      if (this.container) {
-        const instance = this.container.make(listener);
-        
-        if (typeof instance.handle === 'function') {
-          return wildcard 
-            ? await instance.handle(event, payload)
-            : await instance.handle(...(Array.isArray(payload) ? payload : [payload]));
-        }
+      const instance = this.resolveListener(listener);
+      const args = wildcard ? [event, payload] : (Array.isArray(payload) ? payload : [payload]);
+
+      if (typeof instance?.handle !== 'function') {
+        throw new Error(`Event listener [${listener.name || listener}] does not have a handle method.`);
+      }
+
+      if (instance.constructor.shouldQueue) {
+        return await this.queueHandler(instance, args);
       }
 
-      throw new Error(`Event listener [${listener}] does not have a handle method.`);
+      return await instance.handle(...args);
     };
   }
 
+  /**
+   * Create a listener instance from a container binding or a class
+   */
+  resolveListener(listener) {
+    if (typeof listener === 'string') {
+      return this.container ? this.container.make(listener) : null;
+    }
+
+    return this.container?.has(listener.name) ? this.container.make(listener.name) : new listener();
+  }
+
+  /**
+   * Determine if a listener is a class with a handle() method
+   */
+  isListenerClass(listener) {
+    return typeof listener === 'function' && typeof listener.prototype?.handle === 'function';
+  }
+
+  /**
+   * Push a queued listener onto its queue
+   *
+   * The listener's connection, queue, delay, tries, backoff and timeout
+   * properties apply; with `afterCommit = true` it is pushed once the open
+   * database transaction commits.
+   */
+  async queueHandler(listener, args) {
+    const job = new CallQueuedListener(listener.constructor.name, args, listener);
+
+    CallQueuedListener.listeners.set(listener.constructor.name, listener.constructor);
+
+    const push = () => {
+      const connection = this.resolveQueue().connection(listener.connection || null);
+      const queue = listener.queue || null;
+
+      return listener.delay
+        ? connection.later(listener.delay, job, {}, queue)
+        : connection.push(job, {}, queue);
+    };
+
+    const transactions = listener.afterCommit ? this.resolveTransactionManager() : null;
+
+    return transactions ? await transactions.addCallback(push) : await push();
+  }
+
+  /**
+   * Set the queue manager resolver used by queued listeners
+   */
+  setQueueResolver(resolver) {
+    this.queueResolver = resolver;
+    return this;
+  }
+
+  /**
+   * Get the queue manager
+   */
+  resolveQueue() {
+    if (!this.queueResolver) {
+      throw new Error('Queued event listeners need a queue. Register the QueueServiceProvider.');
+    }
+
+    return this.queueResolver();
+  }
+
+  /**
+   * Set the resolver of the database transactions manager used for after-commit events
+   */
+  setTransactionManagerResolver(resolver) {
+    this.transactionManagerResolver = resolver;
+    return this;
+  }
+
+  /**
+   * Get the database transactions manager, if any
+   */
+  resolveTransactionManager() {
+    return this.transactionManagerResolver ? this.transactionManagerResolver() : null;
+  }
+
+  /**
+   * Determine if an event object should be broadcast
+   *
+   * Events implementing broadcastOn() are broadcast unless their
+   * broadcastWhen() returns false.
+   */
+  shouldBroadcast(event) {
+    return typeof event === 'object'
+      && event !== null
+      && typeof event.broadcastOn === 'function'
+      && (typeof event.broadcastWhen !== 'function' || event.broadcastWhen() !== false);
+  }
+
+  /**
+   * Send an event through the broadcast manager, which queues it when it can
+   */
+  async broadcastEvent(event) {
+    if (!this.broadcasterResolver) {
+      throw new Error(`Event [${this.eventName(event)}] should broadcast, but there is no broadcaster. Register the BroadcastServiceProvider.`);
+    }
+
+    await this.broadcasterResolver().queue(event);
+  }
+
+  /**
+   * Set the broadcast manager resolver used by broadcast events
+   */
+  setBroadcasterResolver(resolver) {
+    this.broadcasterResolver = resolver;
+    return this;
+  }
+
+  /**
+   * Register the listeners discovered in a directory
+   */
+  async discover(directory) {
+    const discovered = await DiscoverEvents.within(directory);
+
+    for (const { listener, events } of discovered) {
+      this.listen(events, listener);
+    }
+
+    return discovered;
+  }
+
+  /**
+   * Get the registered listeners (closures, binding names or classes) by event
+   */
+  getRawListeners() {
+    const raw = {};
+
+    for (const [event, listeners] of Object.entries({ ...this.listeners, ...this.wildcards })) {
+      raw[event] = listeners.map(listener => listener.listener);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Get the name of an event given as a name, class or object
+   */
+  eventName(event) {
+    if (typeof event === 'string') {
+      return event;
+    }
+
+    if (typeof event === 'function') {
+      CallQueuedListener.events.set(event.name, event);
+      return event.name;
+    }
+
+    return event.constructor.name;
+  }
+
   /**
    * Flush a set of events
    */
@@ -1,2 +1,4 @@
 export { EventDispatcher } from './EventDispatcher.js';
 export { EventSubscriber } from './EventSubscriber.js';
+export { CallQueuedListener } from './CallQueuedListener.js';
+export { DiscoverEvents } from './DiscoverEvents.js';
@@ -0,0 +1,118 @@
+/**
+ * Argon2 Hasher
+ * Laravel-inspired Argon2id hasher implementation
+ *
+ * Uses the optional argon2 package; make() and check() throw when it is
+ * not installed (pnpm add argon2).
+ */
+
+import { Hasher } from './Hasher.js';
+
+export class Argon2Hasher extends Hasher {
+  constructor(options = {}) {
+    super();
+    this.memory = Number(options.memory) || 65536;
+    this.time = Number(options.time) || 4;
+    this.threads = Number(options.threads) || 1;
+    this.argon2 = null;
+  }
+
+  /**
+   * Get the argon2 module
+   */
+  async getArgon2() {
+    if (!this.argon2) {
+      let argon2;
+
+      try {
+        argon2 = await import('argon2');
+      } catch (error) {
+        throw new Error('The argon2 package is not installed. Run: pnpm add argon2', { cause: error });
+      }
+
+      this.argon2 = argon2.default || argon2;
+    }
+    return this.argon2;
+  }
+
+  /**
+   * Get information about the given hashed value
+   */
+  info(hashedValue) {
+    const params = this.parse(hashedValue);
+
+    return {
+      algo: params?.type || 'argon2id',
+      algoName: params?.type || 'argon2id',
+      options: params ? { memory: params.memory, time: params.time, threads: params.threads } : {}
+    };
+  }
+
+  /**
+   * Hash the given value
+   */
+  async make(value, options = {}) {
+    const argon2 = await this.getArgon2();
+
+    return await argon2.hash(String(value), {
+      type: argon2.argon2id,
+      memoryCost: Number(options.memory) || this.memory,
+      timeCost: Number(options.time) || this.time,
+      parallelism: Number(options.threads) || this.threads
+    });
+  }
+
+  /**
+   * Check the given plain value against a hash
+   */
+  async check(value, hashedValue, options = {}) {
+    if (!this.parse(hashedValue)) {
+      return false;
+    }
+
+    const argon2 = await this.getArgon2();
+
+    try {
+      return await argon2.verify(hashedValue, String(value));
+    } catch (error) {
+      // A corrupt hash fails verification instead of erroring the login
+      return false;
+    }
+  }
+
+  /**
+   * Check if the given hash has been hashed using the given options
+   */
+  needsRehash(hashedValue, options = {}) {
+    const params = this.parse(hashedValue);
+
+    if (!params) {
+      return true;
+    }
+
+    return params.type !== 'argon2id'
+      || params.memory !== (Number(options.memory) || this.memory)
+      || params.time !== (Number(options.time) || this.time)
+      || params.threads !== (Number(options.threads) || this.threads);
+  }
+
+  /**
+   * Parse the type and parameters of an Argon2 PHC string
+   */
+  parse(hashedValue) {
+    const match = /^\$(argon2(?:id|i|d))\$v=\d+\$m=(\d+),t=(\d+),p=(\d+)\$/.exec(hashedValue || '');
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      type: match[1],
+      memory: Number(match[2]),
+      time: Number(match[3]),
+      threads: Number(match[4])
+    };
+  }
+}
+
+export default Argon2Hasher;
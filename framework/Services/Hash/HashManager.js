@@ -4,12 +4,19 @@
  */
 
 import { BcryptHasher } from './BcryptHasher.js';
+import { Argon2Hasher } from './Argon2Hasher.js';
+import { ScryptHasher } from './ScryptHasher.js';
 
 export class HashManager {
   constructor(app) {
     this.app = app;
     this.drivers = {};
     this.customCreators = {};
+    this.algorithms = {
+      bcrypt: /^\$2[abxy]\$/,
+      argon2id: /^\$argon2(id|i|d)\$/,
+      scrypt: /^\$scrypt\$/
+    };
   }
 
   /**
@@ -58,6 +65,41 @@ export class HashManager {
     return new BcryptHasher(config);
   }
 
+  /**
+   * Create an instance of the Argon2id hash Driver
+   */
+  createArgon2idDriver(config = {}) {
+    return new Argon2Hasher({ ...this.getConfig('argon'), ...config });
+  }
+
+  /**
+   * Create an instance of the scrypt hash Driver
+   */
+  createScryptDriver(config = {}) {
+    return new ScryptHasher(config);
+  }
+
+  /**
+   * Get the name of the driver that made the given hash
+   */
+  driverForHash(hashedValue) {
+    for (const [name, prefix] of Object.entries(this.algorithms)) {
+      if (prefix.test(hashedValue || '')) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Register the hash prefix of a driver, for check() and needsRehash()
+   */
+  algorithm(name, prefix) {
+    this.algorithms[name] = prefix;
+    return this;
+  }
+
   /**
    * Get the hash driver configuration
    */
@@ -93,16 +135,28 @@ export class HashManager {
     return await this.driver().make(value, options);
   }
 
+  /**
+   * Check a value against a hash made by any of the drivers
+   */
   async check(value, hashedValue, options = {}) {
-    return await this.driver().check(value, hashedValue, options);
+    return await this.driver(this.driverForHash(hashedValue)).check(value, hashedValue, options);
   }
 
+  /**
+   * Check if a hash was made by another driver or with other options than the default driver's
+   */
   needsRehash(hashedValue, options = {}) {
+    const name = this.driverForHash(hashedValue);
+
+    if (name && name !== this.getDefaultDriver()) {
+      return true;
+    }
+
     return this.driver().needsRehash(hashedValue, options);
   }
 
   info(hashedValue) {
-    return this.driver().info(hashedValue);
+    return this.driver(this.driverForHash(hashedValue)).info(hashedValue);
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * Scrypt Hasher
+ * Laravel-inspired scrypt hasher implementation
+ *
+ * Uses the scrypt of Node's crypto module. Hashes are stored in the PHC
+ * string format: $scrypt$ln=16,r=8,p=1$<salt>$<hash>
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Hasher } from './Hasher.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export class ScryptHasher extends Hasher {
+  constructor(options = {}) {
+    super();
+    this.cost = Number(options.cost) || 65536;
+    this.blockSize = Number(options.block_size) || 8;
+    this.parallelization = Number(options.parallelization) || 1;
+    this.keyLength = Number(options.key_length) || 64;
+  }
+
+  /**
+   * Get information about the given hashed value
+   */
+  info(hashedValue) {
+    const params = this.parse(hashedValue);
+
+    return {
+      algo: 'scrypt',
+      algoName: 'scrypt',
+      options: params
+        ? { cost: params.cost, block_size: params.blockSize, parallelization: params.parallelization }
+        : {}
+    };
+  }
+
+  /**
+   * Hash the given value
+   */
+  async make(value, options = {}) {
+    const cost = Number(options.cost) || this.cost;
+    const blockSize = Number(options.block_size) || this.blockSize;
+    const parallelization = Number(options.parallelization) || this.parallelization;
+    const salt = crypto.randomBytes(16);
+
+    const hash = await this.derive(value, salt, this.keyLength, { cost, blockSize, parallelization });
+
+    return `$scrypt$ln=${Math.log2(cost)},r=${blockSize},p=${parallelization}$${this.encode(salt)}$${this.encode(hash)}`;
+  }
+
+  /**
+   * Check the given plain value against a hash
+   */
+  async check(value, hashedValue, options = {}) {
+    const params = this.parse(hashedValue);
+
+    if (!params) {
+      return false;
+    }
+
+    try {
+      const hash = await this.derive(value, params.salt, params.hash.length, params);
+      return crypto.timingSafeEqual(hash, params.hash);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if the given hash has been hashed using the given options
+   */
+  needsRehash(hashedValue, options = {}) {
+    const params = this.parse(hashedValue);
+
+    if (!params) {
+      return true;
+    }
+
+    return params.cost !== (Number(options.cost) || this.cost)
+      || params.blockSize !== (Number(options.block_size) || this.blockSize)
+      || params.parallelization !== (Number(options.parallelization) || this.parallelization);
+  }
+
+  /**
+   * Derive the key of a value
+   */
+  async derive(value, salt, keyLength, { cost, blockSize, parallelization }) {
+    return await scrypt(String(value), salt, keyLength, {
+      N: cost,
+      r: blockSize,
+      p: parallelization,
+      maxmem: 256 * cost * blockSize + 1024 * 1024
+    });
+  }
+
+  /**
+   * Parse the parameters, salt and hash of a PHC string
+   */
+  parse(hashedValue) {
+    const match = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(hashedValue || '');
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      cost: 2 ** Number(match[1]),
+      blockSize: Number(match[2]),
+      parallelization: Number(match[3]),
+      salt: Buffer.from(match[4], 'base64'),
+      hash: Buffer.from(match[5], 'base64')
+    };
+  }
+
+  /**
+   * Encode bytes as unpadded base64
+   */
+  encode(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '');
+  }
+}
+
+export default ScryptHasher;
@@ -1,3 +1,5 @@
 export { HashManager } from './HashManager.js';
 export { Hasher } from './Hasher.js';
 export { BcryptHasher } from './BcryptHasher.js';
+export { Argon2Hasher } from './Argon2Hasher.js';
+export { ScryptHasher } from './ScryptHasher.js';
@@ -0,0 +1,213 @@
+/**
+ * Batch
+ * A group of queued jobs with progress counters and completion callbacks
+ */
+
+import { Job } from '../Job.js';
+import { PendingDispatch } from '../PendingDispatch.js';
+
+export class Batch {
+  /**
+   * Function callbacks by batch id. Functions cannot be serialized, so they
+   * only run in the process that dispatched the batch.
+   */
+  static localCallbacks = new Map();
+
+  constructor(repository, attributes = {}) {
+    this.repository = repository;
+    this.id = attributes.id;
+    this.name = attributes.name || '';
+    this.totalJobs = attributes.totalJobs || 0;
+    this.pendingJobs = attributes.pendingJobs || 0;
+    this.failedJobs = attributes.failedJobs || 0;
+    this.failedJobIds = attributes.failedJobIds || [];
+    this.options = attributes.options || {};
+    this.createdAt = attributes.createdAt || null;
+    this.cancelledAt = attributes.cancelledAt || null;
+    this.finishedAt = attributes.finishedAt || null;
+  }
+
+  /**
+   * Get a fresh instance of the batch from storage
+   */
+  async fresh() {
+    return await this.repository.find(this.id);
+  }
+
+  /**
+   * Add jobs to the batch and push them onto the queue
+   */
+  async add(jobs) {
+    jobs = Array.isArray(jobs) ? jobs : [jobs];
+
+    // Count the jobs first: with the sync connection they finish while pushed
+    await this.repository.incrementTotalJobs(this.id, jobs.length);
+    this.totalJobs += jobs.length;
+    this.pendingJobs += jobs.length;
+
+    for (const job of jobs) {
+      job.batchId = this.id;
+      await this.dispatchJob(job);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the number of jobs that have been processed (successfully or not)
+   */
+  processedJobs() {
+    return this.totalJobs - this.pendingJobs;
+  }
+
+  /**
+   * Get the percentage of jobs that have been processed
+   */
+  progress() {
+    return this.totalJobs > 0 ? Math.round((this.processedJobs() / this.totalJobs) * 100) : 0;
+  }
+
+  /**
+   * Determine if the batch has finished executing
+   */
+  finished() {
+    return !!this.finishedAt;
+  }
+
+  /**
+   * Determine if the batch has been cancelled
+   */
+  cancelled() {
+    return !!this.cancelledAt;
+  }
+
+  /**
+   * Determine if the batch has job failures
+   */
+  hasFailures() {
+    return this.failedJobs > 0;
+  }
+
+  /**
+   * Determine if the batch keeps running when one of its jobs fails
+   */
+  allowsFailures() {
+    return !!this.options.allowFailures;
+  }
+
+  /**
+   * Cancel the batch
+   */
+  async cancel() {
+    await this.repository.cancel(this.id);
+    this.cancelledAt = new Date();
+  }
+
+  /**
+   * Delete the batch from storage
+   */
+  async delete() {
+    await this.repository.delete(this.id);
+    Batch.localCallbacks.delete(this.id);
+  }
+
+  /**
+   * Record that a job in the batch finished successfully
+   */
+  async recordSuccessfulJob(jobId) {
+    const counts = await this.repository.decrementPendingJobs(this.id, jobId);
+    this.pendingJobs = counts.pendingJobs;
+    this.failedJobs = counts.failedJobs;
+
+    if (counts.pendingJobs === 0) {
+      await this.repository.markAsFinished(this.id);
+      this.finishedAt = new Date();
+      await this.invokeCallbacks('then');
+    }
+
+    if (counts.pendingJobs - counts.failedJobs === 0) {
+      await this.invokeCallbacks('finally');
+    }
+  }
+
+  /**
+   * Record that a job in the batch failed permanently
+   *
+   * Failed jobs stay pending so the batch never counts as successfully finished.
+   */
+  async recordFailedJob(jobId, error) {
+    const counts = await this.repository.incrementFailedJobs(this.id, jobId);
+    this.pendingJobs = counts.pendingJobs;
+    this.failedJobs = counts.failedJobs;
+    this.failedJobIds.push(jobId);
+
+    if (counts.failedJobs === 1 && !this.allowsFailures()) {
+      await this.cancel();
+    }
+
+    if (counts.failedJobs === 1) {
+      await this.invokeCallbacks('catch', error);
+    }
+
+    if (counts.pendingJobs - counts.failedJobs === 0) {
+      await this.invokeCallbacks('finally');
+    }
+  }
+
+  /**
+   * Run the callbacks of the given type
+   *
+   * Job callbacks are dispatched onto the batch's queue; functions run inline.
+   */
+  async invokeCallbacks(type, error = null) {
+    const callbacks = this.options.callbacks?.[type] || [];
+    const local = Batch.localCallbacks.get(this.id)?.[type] || [];
+
+    for (const callback of callbacks) {
+      await this.dispatchJob(Job.resolveClass(callback.job).hydrate(callback.data));
+    }
+
+    for (const callback of local) {
+      await callback(this, error);
+    }
+  }
+
+  /**
+   * Push a job onto the batch's connection and queue unless it names its own
+   */
+  async dispatchJob(job) {
+    const pending = new PendingDispatch(job);
+
+    if (this.options.connection && !job.connection) {
+      pending.onConnection(this.options.connection);
+    }
+
+    if (this.options.queue && !job.queue) {
+      pending.onQueue(this.options.queue);
+    }
+
+    return await pending;
+  }
+
+  /**
+   * Convert the batch to a plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      totalJobs: this.totalJobs,
+      pendingJobs: this.pendingJobs,
+      processedJobs: this.processedJobs(),
+      progress: this.progress(),
+      failedJobs: this.failedJobs,
+      failedJobIds: this.failedJobIds,
+      options: this.options,
+      createdAt: this.createdAt,
+      cancelledAt: this.cancelledAt,
+      finishedAt: this.finishedAt
+    };
+  }
+}
+
+export default Batch;
@@ -0,0 +1,163 @@
+/**
+ * Database Batch Repository
+ * Stores job batches in the job_batches table
+ */
+
+import { randomUUID } from 'crypto';
+import { Batch } from './Batch.js';
+
+export class DatabaseBatchRepository {
+  constructor(database, table = 'job_batches') {
+    this.database = database;
+    this.table = table;
+  }
+
+  /**
+   * Store a new pending batch
+   */
+  async store(pendingBatch) {
+    const id = randomUUID();
+
+    await this.getTable().insert({
+      id,
+      name: pendingBatch.options.name,
+      total_jobs: 0,
+      pending_jobs: 0,
+      failed_jobs: 0,
+      failed_job_ids: JSON.stringify([]),
+      options: JSON.stringify(pendingBatch.options),
+      created_at: new Date(),
+      cancelled_at: null,
+      finished_at: null
+    });
+
+    return await this.find(id);
+  }
+
+  /**
+   * Retrieve a batch by its id
+   */
+  async find(id) {
+    const row = await this.getTable().where('id', id).first();
+    return row ? this.toBatch(row) : null;
+  }
+
+  /**
+   * Increment the total and pending job counts
+   */
+  async incrementTotalJobs(id, amount) {
+    amount = Number(amount);
+
+    await this.getTable().where('id', id).update({
+      total_jobs: this.database.raw(`total_jobs + ${amount}`),
+      pending_jobs: this.database.raw(`pending_jobs + ${amount}`),
+      finished_at: null
+    });
+  }
+
+  /**
+   * Decrement the pending job count
+   */
+  async decrementPendingJobs(id, jobId) {
+    return await this.updateAtomicValues(id, (batch) => ({
+      pending_jobs: batch.pending_jobs - 1,
+      failed_jobs: batch.failed_jobs,
+      failed_job_ids: this.decode(batch.failed_job_ids).filter(failedId => failedId !== jobId)
+    }));
+  }
+
+  /**
+   * Increment the failed job count
+   */
+  async incrementFailedJobs(id, jobId) {
+    return await this.updateAtomicValues(id, (batch) => ({
+      pending_jobs: batch.pending_jobs,
+      failed_jobs: batch.failed_jobs + 1,
+      failed_job_ids: [...this.decode(batch.failed_job_ids), jobId]
+    }));
+  }
+
+  /**
+   * Lock the batch row, apply the change and return the new counts
+   */
+  async updateAtomicValues(id, callback) {
+    return await this.database.transaction(async () => {
+      const batch = await this.getTable().where('id', id).lockForUpdate().first();
+
+      if (!batch) {
+        return { pendingJobs: 0, failedJobs: 0 };
+      }
+
+      const values = callback(batch);
+
+      await this.getTable().where('id', id).update({
+        ...values,
+        failed_job_ids: JSON.stringify(values.failed_job_ids)
+      });
+
+      return { pendingJobs: values.pending_jobs, failedJobs: values.failed_jobs };
+    });
+  }
+
+  /**
+   * Mark the batch as finished
+   */
+  async markAsFinished(id) {
+    await this.getTable().where('id', id).update({ finished_at: new Date() });
+  }
+
+  /**
+   * Cancel the batch
+   */
+  async cancel(id) {
+    await this.getTable().where('id', id).update({
+      cancelled_at: new Date(),
+      finished_at: new Date()
+    });
+  }
+
+  /**
+   * Delete the batch
+   */
+  async delete(id) {
+    await this.getTable().where('id', id).delete();
+  }
+
+  /**
+   * Convert a database row into a Batch instance
+   */
+  toBatch(row) {
+    return new Batch(this, {
+      id: row.id,
+      name: row.name,
+      totalJobs: Number(row.total_jobs),
+      pendingJobs: Number(row.pending_jobs),
+      failedJobs: Number(row.failed_jobs),
+      failedJobIds: this.decode(row.failed_job_ids),
+      options: this.decode(row.options, {}),
+      createdAt: row.created_at,
+      cancelledAt: row.cancelled_at,
+      finishedAt: row.finished_at
+    });
+  }
+
+  /**
+   * Decode a JSON column
+   */
+  decode(value, fallback = []) {
+    if (!value) {
+      return fallback;
+    }
+
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  /**
+   * Get a new query builder for the batches table
+   */
+  getTable() {
+    return this.database.table(this.table);
+  }
+}
+
+export default DatabaseBatchRepository;
@@ -0,0 +1,100 @@
+/**
+ * Memory Batch Repository
+ * Keeps job batches in process memory, for the sync connection and tests
+ */
+
+import { randomUUID } from 'crypto';
+import { Batch } from './Batch.js';
+
+export class MemoryBatchRepository {
+  constructor() {
+    this.batches = new Map();
+  }
+
+  /**
+   * Store a new pending batch
+   */
+  async store(pendingBatch) {
+    const id = randomUUID();
+
+    this.batches.set(id, {
+      id,
+      name: pendingBatch.options.name,
+      totalJobs: 0,
+      pendingJobs: 0,
+      failedJobs: 0,
+      failedJobIds: [],
+      options: JSON.parse(JSON.stringify(pendingBatch.options)),
+      createdAt: new Date(),
+      cancelledAt: null,
+      finishedAt: null
+    });
+
+    return await this.find(id);
+  }
+
+  /**
+   * Retrieve a batch by its id
+   */
+  async find(id) {
+    const record = this.batches.get(id);
+    return record ? new Batch(this, { ...record, failedJobIds: [...record.failedJobIds] }) : null;
+  }
+
+  /**
+   * Increment the total and pending job counts
+   */
+  async incrementTotalJobs(id, amount) {
+    const record = this.batches.get(id);
+    record.totalJobs += amount;
+    record.pendingJobs += amount;
+    record.finishedAt = null;
+  }
+
+  /**
+   * Decrement the pending job count
+   */
+  async decrementPendingJobs(id, jobId) {
+    const record = this.batches.get(id);
+    record.pendingJobs -= 1;
+    record.failedJobIds = record.failedJobIds.filter(failedId => failedId !== jobId);
+
+    return { pendingJobs: record.pendingJobs, failedJobs: record.failedJobs };
+  }
+
+  /**
+   * Increment the failed job count
+   */
+  async incrementFailedJobs(id, jobId) {
+    const record = this.batches.get(id);
+    record.failedJobs += 1;
+    record.failedJobIds.push(jobId);
+
+    return { pendingJobs: record.pendingJobs, failedJobs: record.failedJobs };
+  }
+
+  /**
+   * Mark the batch as finished
+   */
+  async markAsFinished(id) {
+    this.batches.get(id).finishedAt = new Date();
+  }
+
+  /**
+   * Cancel the batch
+   */
+  async cancel(id) {
+    const record = this.batches.get(id);
+    record.cancelledAt = new Date();
+    record.finishedAt = new Date();
+  }
+
+  /**
+   * Delete the batch
+   */
+  async delete(id) {
+    this.batches.delete(id);
+  }
+}
+
+export default MemoryBatchRepository;
@@ -0,0 +1,116 @@
+/**
+ * Pending Batch
+ * Fluent builder for a batch of jobs
+ *
+ * Unlike single dispatches this is not awaitable, because then() registers
+ * a callback: call dispatch() to store the batch and push its jobs.
+ */
+
+import Queue from '../../../Support/Facades/Queue.js';
+import { Job } from '../Job.js';
+import { Batch } from './Batch.js';
+
+export class PendingBatch {
+  constructor(jobs = []) {
+    this.jobs = jobs;
+    this.options = {
+      name: '',
+      allowFailures: false,
+      connection: null,
+      queue: null,
+      callbacks: { then: [], catch: [], finally: [] }
+    };
+    this.localCallbacks = { then: [], catch: [], finally: [] };
+  }
+
+  /**
+   * Set the name of the batch
+   */
+  name(name) {
+    this.options.name = name;
+    return this;
+  }
+
+  /**
+   * Register a callback for when every job has completed successfully
+   */
+  then(callback) {
+    return this.addCallback('then', callback);
+  }
+
+  /**
+   * Register a callback for the first job failure
+   */
+  catch(callback) {
+    return this.addCallback('catch', callback);
+  }
+
+  /**
+   * Register a callback for when every job has run, successfully or not
+   */
+  finally(callback) {
+    return this.addCallback('finally', callback);
+  }
+
+  /**
+   * Keep the batch running when jobs fail
+   */
+  allowFailures(allow = true) {
+    this.options.allowFailures = allow;
+    return this;
+  }
+
+  /**
+   * Set the connection the batch's jobs are pushed to
+   */
+  onConnection(connection) {
+    this.options.connection = connection;
+    return this;
+  }
+
+  /**
+   * Set the queue the batch's jobs are pushed to
+   */
+  onQueue(queue) {
+    this.options.queue = queue;
+    return this;
+  }
+
+  /**
+   * Store the batch and push its jobs onto the queue
+   */
+  async dispatch() {
+    const repository = Queue.batches(this.options.connection);
+    const batch = await repository.store(this);
+
+    if (this.hasLocalCallbacks()) {
+      Batch.localCallbacks.set(batch.id, this.localCallbacks);
+    }
+
+    await batch.add(this.jobs);
+
+    return batch;
+  }
+
+  /**
+   * Job callbacks are serialized with the batch, functions stay in memory
+   */
+  addCallback(type, callback) {
+    if (callback instanceof Job) {
+      this.options.callbacks[type].push(Job.serializeForChain(callback));
+    } else {
+      this.localCallbacks[type].push(callback);
+    }
+
+    return this;
+  }
+
+  /**
+   * Determine if any function callbacks were registered
+   */
+  hasLocalCallbacks() {
+    return Object.values(this.localCallbacks).some(callbacks => callbacks.length > 0);
+  }
+}
+
+export default PendingBatch;
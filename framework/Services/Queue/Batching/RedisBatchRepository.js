@@ -0,0 +1,139 @@
+/**
+ * Redis Batch Repository
+ * Stores job batches in Redis hashes, using HINCRBY for atomic counters
+ */
+
+import { randomUUID } from 'crypto';
+import { Batch } from './Batch.js';
+
+export class RedisBatchRepository {
+  constructor(redis, prefix = 'batches') {
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Store a new pending batch
+   */
+  async store(pendingBatch) {
+    const id = randomUUID();
+
+    await this.redis.hset(this.key(id), {
+      id,
+      name: pendingBatch.options.name,
+      total_jobs: 0,
+      pending_jobs: 0,
+      failed_jobs: 0,
+      options: JSON.stringify(pendingBatch.options),
+      created_at: Date.now(),
+      cancelled_at: '',
+      finished_at: ''
+    });
+
+    return await this.find(id);
+  }
+
+  /**
+   * Retrieve a batch by its id
+   */
+  async find(id) {
+    const hash = await this.redis.hgetall(this.key(id));
+
+    if (!hash || !hash.id) {
+      return null;
+    }
+
+    const failedJobIds = await this.redis.smembers(this.failedKey(id));
+
+    return new Batch(this, {
+      id: hash.id,
+      name: hash.name,
+      totalJobs: Number(hash.total_jobs),
+      pendingJobs: Number(hash.pending_jobs),
+      failedJobs: Number(hash.failed_jobs),
+      failedJobIds,
+      options: JSON.parse(hash.options || '{}'),
+      createdAt: this.toDate(hash.created_at),
+      cancelledAt: this.toDate(hash.cancelled_at),
+      finishedAt: this.toDate(hash.finished_at)
+    });
+  }
+
+  /**
+   * Increment the total and pending job counts
+   */
+  async incrementTotalJobs(id, amount) {
+    await this.redis.hincrby(this.key(id), 'total_jobs', amount);
+    await this.redis.hincrby(this.key(id), 'pending_jobs', amount);
+    await this.redis.hset(this.key(id), 'finished_at', '');
+  }
+
+  /**
+   * Decrement the pending job count
+   */
+  async decrementPendingJobs(id, jobId) {
+    const pendingJobs = await this.redis.hincrby(this.key(id), 'pending_jobs', -1);
+    await this.redis.srem(this.failedKey(id), jobId);
+
+    const failedJobs = await this.redis.hget(this.key(id), 'failed_jobs');
+
+    return { pendingJobs: Number(pendingJobs), failedJobs: Number(failedJobs) };
+  }
+
+  /**
+   * Increment the failed job count
+   */
+  async incrementFailedJobs(id, jobId) {
+    const failedJobs = await this.redis.hincrby(this.key(id), 'failed_jobs', 1);
+    await this.redis.sadd(this.failedKey(id), jobId);
+
+    const pendingJobs = await this.redis.hget(this.key(id), 'pending_jobs');
+
+    return { pendingJobs: Number(pendingJobs), failedJobs: Number(failedJobs) };
+  }
+
+  /**
+   * Mark the batch as finished
+   */
+  async markAsFinished(id) {
+    await this.redis.hset(this.key(id), 'finished_at', Date.now());
+  }
+
+  /**
+   * Cancel the batch
+   */
+  async cancel(id) {
+    const now = Date.now();
+    await this.redis.hset(this.key(id), { cancelled_at: now, finished_at: now });
+  }
+
+  /**
+   * Delete the batch
+   */
+  async delete(id) {
+    await this.redis.del(this.key(id), this.failedKey(id));
+  }
+
+  /**
+   * Convert a stored timestamp into a date
+   */
+  toDate(value) {
+    return value ? new Date(Number(value)) : null;
+  }
+
+  /**
+   * Get the hash key for a batch
+   */
+  key(id) {
+    return `${this.prefix}:${id}`;
+  }
+
+  /**
+   * Get the set key holding a batch's failed job ids
+   */
+  failedKey(id) {
+    return `${this.prefix}:${id}:failed`;
+  }
+}
+
+export default RedisBatchRepository;
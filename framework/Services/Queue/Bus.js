@@ -0,0 +1,33 @@
+/**
+ * Bus
+ * Entry point for job chains and batches
+ */
+
+import Queue from '../../Support/Facades/Queue.js';
+import { PendingChain } from './PendingChain.js';
+import { PendingBatch } from './Batching/PendingBatch.js';
+
+export class Bus {
+  /**
+   * Create a chain of jobs that run one after another
+   */
+  static chain(jobs) {
+    return new PendingChain(jobs);
+  }
+
+  /**
+   * Create a batch of jobs that run in parallel
+   */
+  static batch(jobs) {
+    return new PendingBatch(jobs);
+  }
+
+  /**
+   * Find a batch by id
+   */
+  static async findBatch(id, connection = null) {
+    return await Queue.findBatch(id, connection);
+  }
+}
+
+export default Bus;
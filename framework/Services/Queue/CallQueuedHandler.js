@@ -0,0 +1,107 @@
+/**
+ * Call Queued Handler
+ * Runs queued Job classes: rebuilds the instance and sends it through its middleware
+ */
+
+import { randomUUID } from 'crypto';
+import { Pipeline } from '../../Support/Pipeline.js';
+
+export class CallQueuedHandler {
+  constructor(jobClass, manager) {
+    this.jobClass = jobClass;
+    this.manager = manager;
+  }
+
+  /**
+   * Handle the queued job
+   */
+  async handle(data, queueJob) {
+    const command = await this.jobClass.unserialize(data, this.manager.models);
+    command.setJob(queueJob);
+
+    return await CallQueuedHandler.run(command);
+  }
+
+  /**
+   * Call the failed method on the job instance
+   */
+  async failed(data, error, queueJob) {
+    const command = await this.jobClass.unserialize(data, this.manager.models);
+    command.setJob(queueJob);
+
+    return await CallQueuedHandler.fail(command, error);
+  }
+
+  /**
+   * Run the job in the current process, calling failed() before rethrowing
+   */
+  static async dispatchNow(command) {
+    try {
+      return await CallQueuedHandler.run(command);
+    } catch (error) {
+      await CallQueuedHandler.fail(command, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the job, then continue its chain and record it on its batch
+   *
+   * Jobs of a cancelled batch are skipped but still count as processed.
+   */
+  static async run(command) {
+    const batch = await command.batch();
+    let result;
+
+    if (!batch || !batch.cancelled()) {
+      result = await CallQueuedHandler.dispatchThroughMiddleware(command);
+    }
+
+    // Released by its middleware, so the job will run again later
+    if (command.job?.released) {
+      return result;
+    }
+
+    if (!batch || !batch.cancelled()) {
+      await command.dispatchNextJobInChain();
+    }
+
+    if (batch) {
+      await batch.recordSuccessfulJob(CallQueuedHandler.jobId(command));
+    }
+
+    return result;
+  }
+
+  /**
+   * Record the failure on the job's batch and call its failed method
+   */
+  static async fail(command, error) {
+    const batch = await command.batch();
+
+    if (batch) {
+      await batch.recordFailedJob(CallQueuedHandler.jobId(command), error);
+    }
+
+    return await command.failed(error);
+  }
+
+  /**
+   * Send the job through its middleware and into handle()
+   */
+  static async dispatchThroughMiddleware(command) {
+    return await new Pipeline()
+      .send(command)
+      .through(command.middleware())
+      .then(job => job.handle());
+  }
+
+  /**
+   * Get the identifier of the queued job (jobs run inline get a fresh one)
+   */
+  static jobId(command) {
+    return command.job?.payload?.uuid || randomUUID();
+  }
+}
+
+export default CallQueuedHandler;
@@ -3,6 +3,7 @@
  * Laravel-inspired database queue implementation
  */
 
+import { randomUUID } from 'crypto';
 import { Queue } from '../Queue.js';
 
 export class DatabaseQueue extends Queue {
@@ -36,6 +37,16 @@ export class DatabaseQueue extends Queue {
     return await this.pushToDatabase(queue, this.createPayload(job, data));
   }
 
+  /**
+   * Push a raw payload onto the queue
+   */
+  async pushRaw(payload, queue = null) {
+    return await this.pushToDatabase(
+      queue,
+      typeof payload === 'string' ? JSON.parse(payload) : payload
+    );
+  }
+
   /**
    * Push a new job onto the queue after a delay
    */
@@ -69,11 +80,11 @@ export class DatabaseQueue extends Queue {
   async pop(queue = null) {
     queue = queue || this.defaultQueue;
 
-    return await this.database.transaction(async (trx) => {
-      const job = await this.getNextAvailableJob(queue, trx);
+    return await this.database.transaction(async () => {
+      const job = await this.getNextAvailableJob(queue, this.database);
 
       if (job) {
-        await this.markJobAsReserved(job.id, trx);
+        await this.markJobAsReserved(job.id, this.database);
         return this.marshalJob(job);
       }
 
@@ -86,16 +97,20 @@ export class DatabaseQueue extends Queue {
    */
   async getNextAvailableJob(queue, trx) {
     const now = Date.now();
+    const expiredAt = new Date(now - (this.retryAfter * 1000));
 
+    // Reservations older than retry_after belong to a worker that died or
+    // timed out, so those jobs become available again.
     return await trx
       .table(this.table)
       .where('queue', queue)
-      .where(function(query) {
+      .where((query) => {
         query.whereNull('reserved_at')
-          .orWhere('reserved_at', '<=', new Date(now - (this.retryAfter * 1000)));
+          .orWhere('reserved_at', '<=', expiredAt);
       })
       .where('available_at', '<=', new Date(now))
       .orderBy('id', 'asc')
+      .lockForUpdate()
       .first();
   }
 
@@ -119,7 +134,7 @@ export class DatabaseQueue extends Queue {
     return {
       id: job.id,
       payload: JSON.parse(job.payload),
-      attempts: job.attempts,
+      attempts: job.attempts + 1,
       queue: job.queue,
       delete: async () => {
         await this.database.table(this.table).where('id', job.id).delete();
@@ -138,9 +153,11 @@ export class DatabaseQueue extends Queue {
    */
   createPayload(job, data) {
     return {
+      uuid: randomUUID(),
       job: typeof job === 'string' ? job : job.constructor.name,
-      data,
+      data: typeof job?.serialize === 'function' ? job.serialize() : data,
       maxTries: job.tries || null,
+      backoff: job.backoff || null,
       timeout: job.timeout || null,
       timestamp: Date.now()
     };
@@ -3,6 +3,7 @@
  * Laravel-inspired Redis queue implementation
  */
 
+import { randomUUID } from 'crypto';
 import { Queue } from '../Queue.js';
 
 export class RedisQueue extends Queue {
@@ -33,6 +34,10 @@ export class RedisQueue extends Queue {
    * Push a raw payload onto the queue
    */
   async pushRaw(payload, queue = null) {
+    if (typeof payload !== 'string') {
+      payload = JSON.stringify(payload);
+    }
+
     queue = this.getQueue(queue);
     await this.redis.rpush(queue, payload);
     return JSON.parse(payload).id;
@@ -55,18 +60,20 @@ export class RedisQueue extends Queue {
    * Pop the next job off of the queue
    */
   async pop(queue = null) {
-    this.migrate(queue);
+    await this.migrate(queue);
 
-    queue = this.getQueue(queue);
-    const job = await this.redis.lpop(queue);
+    const job = await this.redis.lpop(this.getQueue(queue));
 
     if (job) {
       const payload = JSON.parse(job);
+      payload.attempts = (payload.attempts || 0) + 1;
+
+      const reservedJob = JSON.stringify(payload);
       const reserved = this.getQueue(queue) + ':reserved';
-      
-      await this.redis.zadd(reserved, Date.now() + (this.retryAfter * 1000), job);
 
-      return this.marshalJob(payload, job);
+      await this.redis.zadd(reserved, Date.now() + (this.retryAfter * 1000), reservedJob);
+
+      return this.marshalJob(payload, reservedJob, queue);
     }
 
     return null;
@@ -101,27 +108,29 @@ export class RedisQueue extends Queue {
   /**
    * Marshal the job into a RedisJob instance
    */
-  marshalJob(payload, raw) {
+  marshalJob(payload, raw, queue = null) {
+    queue = queue || this.defaultQueue;
+
     return {
       id: payload.id,
       payload,
       attempts: payload.attempts || 0,
-      queue: this.defaultQueue,
+      queue,
       raw,
       delete: async () => {
-        const reserved = this.getQueue(this.defaultQueue) + ':reserved';
+        const reserved = this.getQueue(queue) + ':reserved';
         await this.redis.zrem(reserved, raw);
       },
       release: async (delay = 0) => {
-        const reserved = this.getQueue(this.defaultQueue) + ':reserved';
+        const reserved = this.getQueue(queue) + ':reserved';
         await this.redis.zrem(reserved, raw);
 
         if (delay > 0) {
-          const delayedQueue = this.getQueue(this.defaultQueue) + ':delayed';
+          const delayedQueue = this.getQueue(queue) + ':delayed';
           const availableAt = Date.now() + (delay * 1000);
           await this.redis.zadd(delayedQueue, availableAt, raw);
         } else {
-          await this.redis.rpush(this.getQueue(this.defaultQueue), raw);
+          await this.redis.rpush(this.getQueue(queue), raw);
         }
       }
     };
@@ -133,10 +142,12 @@ export class RedisQueue extends Queue {
   createPayload(job, data) {
     const payload = {
       id: this.generateId(),
+      uuid: randomUUID(),
       job: typeof job === 'string' ? job : job.constructor.name,
-      data,
+      data: typeof job?.serialize === 'function' ? job.serialize() : data,
       attempts: 0,
       maxTries: job.tries || null,
+      backoff: job.backoff || null,
       timeout: job.timeout || null,
       timestamp: Date.now()
     };
@@ -4,6 +4,8 @@
  */
 
 import { Queue } from '../Queue.js';
+import { Job } from '../Job.js';
+import { CallQueuedHandler } from '../CallQueuedHandler.js';
 
 export class SyncQueue extends Queue {
   constructor() {
@@ -48,6 +50,11 @@ export class SyncQueue extends Queue {
       throw new Error(`Cannot resolve job class: ${job}. Please provide a job instance or function.`);
     }
 
+    if (job instanceof Job) {
+      // Run through the job's middleware, as a worker would
+      return await CallQueuedHandler.dispatchNow(job);
+    }
+
     if (typeof job === 'function') {
       // If job is a function, execute it
       return await job(data);
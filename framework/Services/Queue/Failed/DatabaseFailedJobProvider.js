@@ -0,0 +1,107 @@
+/**
+ * Database Failed Job Provider
+ * Laravel-inspired storage for permanently failed queue jobs
+ */
+
+import { randomUUID } from 'crypto';
+
+export class DatabaseFailedJobProvider {
+  constructor(database, table = 'failed_jobs') {
+    this.database = database;
+    this.table = table;
+  }
+
+  /**
+   * Log a failed job into storage
+   */
+  async log(connection, queue, payload, exception) {
+    const uuid = payload.uuid || randomUUID();
+
+    await this.getTable().insert({
+      uuid,
+      connection,
+      queue: queue || 'default',
+      payload: JSON.stringify(payload),
+      exception: this.formatException(exception),
+      failed_at: new Date()
+    });
+
+    return uuid;
+  }
+
+  /**
+   * Get a list of all of the failed jobs
+   */
+  async all() {
+    const jobs = await this.getTable().orderBy('id', 'desc').get();
+    return jobs.map(job => this.hydrate(job));
+  }
+
+  /**
+   * Get a single failed job by id or uuid
+   */
+  async find(id) {
+    const job = await this.getTable().where(this.keyFor(id), id).first();
+    return job ? this.hydrate(job) : null;
+  }
+
+  /**
+   * Delete a single failed job from storage
+   */
+  async forget(id) {
+    const deleted = await this.getTable().where(this.keyFor(id), id).delete();
+    return deleted > 0;
+  }
+
+  /**
+   * Flush all of the failed jobs from storage
+   */
+  async flush() {
+    await this.getTable().delete();
+  }
+
+  /**
+   * Count the failed jobs in storage
+   */
+  async count() {
+    const result = await this.getTable().count('* as count').first();
+    return Number(result?.count || 0);
+  }
+
+  /**
+   * Decode a stored failed job row
+   */
+  hydrate(job) {
+    return {
+      ...job,
+      payload: typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload
+    };
+  }
+
+  /**
+   * Numeric ids match the primary key, anything else the uuid
+   */
+  keyFor(id) {
+    return /^\d+$/.test(String(id)) ? 'id' : 'uuid';
+  }
+
+  /**
+   * Format the exception for storage
+   */
+  formatException(exception) {
+    if (!exception) {
+      return '';
+    }
+
+    return exception.stack || String(exception.message || exception);
+  }
+
+  /**
+   * Get a new query builder for the failed jobs table
+   */
+  getTable() {
+    return this.database.table(this.table);
+  }
+}
+
+export default DatabaseFailedJobProvider;
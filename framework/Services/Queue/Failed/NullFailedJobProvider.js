@@ -0,0 +1,32 @@
+/**
+ * Null Failed Job Provider
+ * Discards failed jobs when failed job storage is disabled
+ */
+
+export class NullFailedJobProvider {
+  async log(connection, queue, payload, exception) {
+    return null;
+  }
+
+  async all() {
+    return [];
+  }
+
+  async find(id) {
+    return null;
+  }
+
+  async forget(id) {
+    return true;
+  }
+
+  async flush() {
+    // Nothing is stored
+  }
+
+  async count() {
+    return 0;
+  }
+}
+
+export default NullFailedJobProvider;
@@ -0,0 +1,241 @@
+/**
+ * Job
+ * Laravel-inspired base class for queueable jobs
+ *
+ * Subclasses implement handle() and may set tries, backoff, timeout, queue,
+ * connection and delay. Own properties are serialized into the payload;
+ * Model instances are stored by primary key and re-fetched by the worker.
+ */
+
+import { Model } from '../../Database/Model.js';
+import Queue from '../../Support/Facades/Queue.js';
+import { PendingDispatch } from './PendingDispatch.js';
+import { CallQueuedHandler } from './CallQueuedHandler.js';
+
+export class Job {
+  /**
+   * Properties that are never serialized into the payload
+   */
+  static transient = ['job'];
+
+  /**
+   * Job classes by name, used to rebuild chained jobs and batch callbacks
+   */
+  static registry = new Map();
+
+  /**
+   * Execute the job
+   */
+  async handle() {
+    throw new Error('Job handle() method must be implemented');
+  }
+
+  /**
+   * Handle a job failure
+   */
+  async failed(error) {
+    // Override in subclasses
+  }
+
+  /**
+   * Get the middleware the job should pass through
+   */
+  middleware() {
+    return [];
+  }
+
+  /**
+   * Dispatch the job onto its queue
+   */
+  static dispatch(...args) {
+    return new PendingDispatch(new this(...args));
+  }
+
+  /**
+   * Dispatch the job onto its queue after the given number of seconds
+   */
+  static dispatchAfter(delay, ...args) {
+    return this.dispatch(...args).delay(delay);
+  }
+
+  /**
+   * Run the job immediately in the current process
+   */
+  static async dispatchSync(...args) {
+    return await CallQueuedHandler.dispatchNow(new this(...args));
+  }
+
+  /**
+   * Set the jobs that should run, in order, after this one succeeds
+   */
+  chain(jobs) {
+    this.chained = jobs.map(job => Job.serializeForChain(job));
+    return this;
+  }
+
+  /**
+   * Dispatch the next job in the chain, passing along the rest of the chain
+   */
+  async dispatchNextJobInChain() {
+    if (!this.chained || this.chained.length === 0) {
+      return null;
+    }
+
+    const [next, ...rest] = this.chained;
+    const job = Job.resolveClass(next.job).hydrate(next.data);
+
+    job.chained = rest;
+
+    return await new PendingDispatch(job);
+  }
+
+  /**
+   * Get the batch this job belongs to
+   */
+  async batch() {
+    if (!this.batchId) {
+      return null;
+    }
+
+    return await Queue.batches(this.connection || null).find(this.batchId);
+  }
+
+  /**
+   * Determine if the job belongs to a batch that is still running
+   */
+  async batching() {
+    const batch = await this.batch();
+    return !!batch && !batch.cancelled();
+  }
+
+  /**
+   * Get the number of times the job has been attempted
+   */
+  attempts() {
+    return this.job ? this.job.attempts : 1;
+  }
+
+  /**
+   * Release the job back onto the queue
+   */
+  async release(delay = 0) {
+    if (this.job) {
+      this.job.released = true;
+      await this.job.release(delay);
+    }
+  }
+
+  /**
+   * Delete the job from the queue
+   */
+  async delete() {
+    if (this.job) {
+      this.job.deleted = true;
+      await this.job.delete();
+    }
+  }
+
+  /**
+   * Set the underlying queue job instance
+   */
+  setJob(job) {
+    Object.defineProperty(this, 'job', { value: job, writable: true, configurable: true });
+    return this;
+  }
+
+  /**
+   * Get the job's properties as a JSON-safe object
+   */
+  serialize() {
+    const transient = this.constructor.transient;
+    const data = {};
+
+    Job.registry.set(this.constructor.name, this.constructor);
+
+    for (const [key, value] of Object.entries(this)) {
+      if (!transient.includes(key)) {
+        data[key] = Job.serializeValue(value);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Rebuild a job instance from its serialized properties
+   */
+  static async unserialize(data = {}, models = {}) {
+    const job = this.hydrate();
+
+    for (const [key, value] of Object.entries(data)) {
+      job[key] = await Job.unserializeValue(value, models);
+    }
+
+    return job;
+  }
+
+  /**
+   * Create an instance from serialized properties without re-fetching models
+   */
+  static hydrate(data = {}) {
+    return Object.assign(Object.create(this.prototype), data);
+  }
+
+  /**
+   * Resolve a registered job class by name
+   */
+  static resolveClass(name) {
+    const JobClass = Job.registry.get(name);
+
+    if (!JobClass) {
+      throw new Error(`Job class [${name}] is not registered with the queue.`);
+    }
+
+    return JobClass;
+  }
+
+  /**
+   * Serialize a job so it can be stored inside another job or a batch
+   */
+  static serializeForChain(job) {
+    return { job: job.constructor.name, data: job.serialize() };
+  }
+
+  /**
+   * Replace models with their identifiers
+   */
+  static serializeValue(value) {
+    if (value instanceof Model) {
+      return { __model: value.constructor.name, key: value.getKey() };
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => Job.serializeValue(item));
+    }
+
+    return value;
+  }
+
+  /**
+   * Re-fetch models from their identifiers
+   */
+  static async unserializeValue(value, models) {
+    if (Array.isArray(value)) {
+      return await Promise.all(value.map(item => Job.unserializeValue(item, models)));
+    }
+
+    if (value && typeof value === 'object' && value.__model) {
+      const ModelClass = models[value.__model];
+
+      if (!ModelClass) {
+        throw new Error(`Model [${value.__model}] is not registered with the queue.`);
+      }
+
+      return await ModelClass.findOrFail(value.key);
+    }
+
+    return value;
+  }
+}
+
+export default Job;
@@ -0,0 +1,53 @@
+/**
+ * Rate Limited Job Middleware
+ * Releases the job back onto the queue when the limit for its key is reached
+ */
+
+import Cache from '../../../Support/Facades/Cache.js';
+import { RateLimiter } from '../../../Support/RateLimiter.js';
+
+export class RateLimited {
+  constructor(key, maxAttempts = 60, decaySeconds = 60) {
+    this.key = key;
+    this.maxAttempts = maxAttempts;
+    this.decaySeconds = decaySeconds;
+    this.limiter = null;
+  }
+
+  /**
+   * Process the job
+   */
+  async handle(job, next) {
+    const limiter = this.getLimiter();
+    const key = `queue_rate_limit:${this.key}`;
+
+    if (await limiter.tooManyAttempts(key, this.maxAttempts)) {
+      return await job.release(this.decaySeconds);
+    }
+
+    await limiter.hit(key, this.decaySeconds / 60);
+
+    return await next(job);
+  }
+
+  /**
+   * Use the given rate limiter instead of the default cache store
+   */
+  using(limiter) {
+    this.limiter = limiter;
+    return this;
+  }
+
+  /**
+   * Get the rate limiter instance
+   */
+  getLimiter() {
+    if (!this.limiter) {
+      this.limiter = new RateLimiter(Cache.store());
+    }
+
+    return this.limiter;
+  }
+}
+
+export default RateLimited;
@@ -0,0 +1,70 @@
+/**
+ * Without Overlapping Job Middleware
+ * Prevents two jobs with the same key from running at the same time
+ */
+
+import Cache from '../../../Support/Facades/Cache.js';
+
+export class WithoutOverlapping {
+  constructor(key = '', releaseAfter = 0, expiresAfter = 300) {
+    this.key = key;
+    this.releaseAfter = releaseAfter;
+    this.expiresAfter = expiresAfter;
+    this.cache = null;
+  }
+
+  /**
+   * Process the job
+   */
+  async handle(job, next) {
+    const cache = this.getCache();
+    const lockKey = this.getLockKey(job);
+
+    if (!await cache.add(lockKey, true, this.expiresAfter)) {
+      // dontRelease() drops the overlapping job instead of retrying it
+      return this.releaseAfter === null ? await job.delete() : await job.release(this.releaseAfter);
+    }
+
+    try {
+      return await next(job);
+    } finally {
+      await cache.forget(lockKey);
+    }
+  }
+
+  /**
+   * Delete overlapping jobs instead of releasing them
+   */
+  dontRelease() {
+    this.releaseAfter = null;
+    return this;
+  }
+
+  /**
+   * Use the given cache repository instead of the default store
+   */
+  using(cache) {
+    this.cache = cache;
+    return this;
+  }
+
+  /**
+   * Get the lock key for the given job
+   */
+  getLockKey(job) {
+    return `queue_overlap:${job.constructor.name}:${this.key}`;
+  }
+
+  /**
+   * Get the cache repository
+   */
+  getCache() {
+    if (!this.cache) {
+      this.cache = Cache.store();
+    }
+
+    return this.cache;
+  }
+}
+
+export default WithoutOverlapping;
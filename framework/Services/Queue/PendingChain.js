@@ -0,0 +1,50 @@
+/**
+ * Pending Chain
+ * Runs jobs one after another: each job is pushed only when the previous one succeeds
+ */
+
+import { PendingDispatch } from './PendingDispatch.js';
+
+export class PendingChain {
+  constructor(jobs = []) {
+    this.jobs = jobs;
+    this.connection = null;
+    this.queue = null;
+  }
+
+  /**
+   * Set the connection for every job in the chain that does not name its own
+   */
+  onConnection(connection) {
+    this.connection = connection;
+    return this;
+  }
+
+  /**
+   * Set the queue for every job in the chain that does not name its own
+   */
+  onQueue(queue) {
+    this.queue = queue;
+    return this;
+  }
+
+  /**
+   * Push the first job, carrying the rest of the chain with it
+   */
+  async dispatch() {
+    if (this.jobs.length === 0) {
+      return null;
+    }
+
+    for (const job of this.jobs) {
+      job.connection = job.connection || this.connection;
+      job.queue = job.queue || this.queue;
+    }
+
+    const [first, ...rest] = this.jobs;
+
+    return await new PendingDispatch(first.chain(rest));
+  }
+}
+
+export default PendingChain;
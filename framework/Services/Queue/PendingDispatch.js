@@ -0,0 +1,92 @@
+/**
+ * Pending Dispatch
+ * Fluent job dispatch that pushes the job once the fluent calls are made
+ *
+ * The job is pushed in a microtask, after the synchronous onQueue() /
+ * onConnection() / delay() calls, so `Job.dispatch(x)` queues the job
+ * whether or not it is awaited. Awaiting resolves with the job's id.
+ */
+
+import Queue from '../../Support/Facades/Queue.js';
+
+export class PendingDispatch {
+  constructor(job) {
+    this.job = job;
+    this.promise = null;
+    this.awaited = false;
+
+    queueMicrotask(() => {
+      this.dispatch().catch((error) => {
+        // Awaiting callers receive the error themselves
+        if (!this.awaited) {
+          console.error(`Failed to dispatch job [${job.constructor.name}]: ${error.message}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Set the desired queue for the job
+   */
+  onQueue(queue) {
+    this.job.queue = queue;
+    return this;
+  }
+
+  /**
+   * Set the desired connection for the job
+   */
+  onConnection(connection) {
+    this.job.connection = connection;
+    return this;
+  }
+
+  /**
+   * Set the number of seconds to wait before the job is available
+   */
+  delay(delay) {
+    this.job.delay = delay;
+    return this;
+  }
+
+  /**
+   * Push the job onto its connection (only once)
+   */
+  dispatch() {
+    if (!this.promise) {
+      this.promise = this.push();
+    }
+
+    return this.promise;
+  }
+
+  /**
+   * Push the job, or push it later when it has a delay
+   */
+  async push() {
+    const connection = Queue.connection(this.job.connection || null);
+    const queue = this.job.queue || null;
+
+    return this.job.delay
+      ? await connection.later(this.job.delay, this.job, {}, queue)
+      : await connection.push(this.job, {}, queue);
+  }
+
+  /**
+   * Wait for the job to be pushed
+   */
+  then(onFulfilled, onRejected) {
+    this.awaited = true;
+    return this.dispatch().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Wait for the job to be pushed and handle rejection
+   */
+  catch(onRejected) {
+    this.awaited = true;
+    return this.dispatch().catch(onRejected);
+  }
+}
+
+export default PendingDispatch;
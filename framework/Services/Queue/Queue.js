@@ -24,6 +24,16 @@ export class Queue {
     throw new Error('Method push() must be implemented');
   }
 
+  /**
+   * Push a raw payload onto the queue
+   * @param {string|Object} payload
+   * @param {string} queue
+   * @returns {Promise<any>}
+   */
+  async pushRaw(payload, queue = null) {
+    throw new Error('Method pushRaw() must be implemented');
+  }
+
   /**
    * Push a new job onto the queue after a delay
    * @param {number} delay
@@ -6,12 +6,20 @@
 import { DatabaseQueue } from './Connectors/DatabaseQueue.js';
 import { RedisQueue } from './Connectors/RedisQueue.js';
 import { SyncQueue } from './Connectors/SyncQueue.js';
+import { Job } from './Job.js';
+import { CallQueuedHandler } from './CallQueuedHandler.js';
+import { DatabaseBatchRepository } from './Batching/DatabaseBatchRepository.js';
+import { RedisBatchRepository } from './Batching/RedisBatchRepository.js';
+import { MemoryBatchRepository } from './Batching/MemoryBatchRepository.js';
 
 export class QueueManager {
   constructor(app) {
     this.app = app;
     this.connections = {};
     this.connectors = {};
+    this.jobs = {};
+    this.models = {};
+    this.batchRepositories = {};
   }
 
   /**
@@ -124,6 +132,102 @@ export class QueueManager {
     return this;
   }
 
+  /**
+   * Register the handler that runs jobs pushed under the given name
+   */
+  registerJob(name, handler) {
+    if (typeof name === 'function' && handler === undefined) {
+      handler = name;
+      name = name.name;
+    }
+
+    this.jobs[name] = handler;
+
+    if (handler.prototype instanceof Job) {
+      Job.registry.set(name, handler);
+    }
+
+    return this;
+  }
+
+  /**
+   * Resolve the handler for a queued job name
+   */
+  resolveJob(name) {
+    const handler = this.jobs[name];
+
+    if (!handler) {
+      throw new Error(`Queue job [${name}] is not registered.`);
+    }
+
+    if (handler.prototype instanceof Job) {
+      return new CallQueuedHandler(handler, this);
+    }
+
+    if (typeof handler === 'function' && typeof handler.prototype?.handle === 'function') {
+      return new handler();
+    }
+
+    if (typeof handler === 'function') {
+      return { handle: handler };
+    }
+
+    if (typeof handler === 'object' && typeof handler.handle === 'function') {
+      return handler;
+    }
+
+    throw new Error(`Queue job [${name}] must be a function or have a handle method.`);
+  }
+
+  /**
+   * Get the batch repository for a connection
+   *
+   * Database connections store batches in a table, Redis connections in
+   * hashes and anything else (e.g. sync) in memory.
+   */
+  batches(name = null) {
+    name = name || this.getDefaultDriver();
+
+    if (!this.batchRepositories[name]) {
+      const config = this.getConfig(name) || {};
+      const batching = this.app.config('queue.batching', {}) || {};
+
+      if (config.driver === 'database') {
+        this.batchRepositories[name] = new DatabaseBatchRepository(
+          this.app.make('db'),
+          batching.table || 'job_batches'
+        );
+      } else if (config.driver === 'redis') {
+        this.batchRepositories[name] = new RedisBatchRepository(
+          this.app.make('redis').connection(config.connection || 'default'),
+          batching.prefix || 'batches'
+        );
+      } else {
+        this.batchRepositories[name] = new MemoryBatchRepository();
+      }
+    }
+
+    return this.batchRepositories[name];
+  }
+
+  /**
+   * Find a batch by id on the given connection
+   */
+  async findBatch(id, connection = null) {
+    return await this.batches(connection).find(id);
+  }
+
+  /**
+   * Register models so serialized job properties can be re-fetched
+   */
+  registerModel(...models) {
+    for (const model of models.flat()) {
+      this.models[model.name] = model;
+    }
+
+    return this;
+  }
+
   /**
    * Capitalize first letter
    */
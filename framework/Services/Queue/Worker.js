@@ -0,0 +1,303 @@
+/**
+ * Queue Worker
+ * Laravel-inspired long-running queue worker with retries and backoff
+ */
+
+export class Worker {
+  constructor(manager, events = null, failer = null) {
+    this.manager = manager;
+    this.events = events;
+    this.failer = failer;
+    this.shouldQuit = false;
+    this.paused = false;
+    this.jobsProcessed = 0;
+  }
+
+  /**
+   * Listen to the given queue in a loop
+   */
+  async daemon(connectionName, queue = null, options = {}) {
+    options = this.normalizeOptions(options);
+
+    const startedAt = Date.now();
+    this.shouldQuit = false;
+    this.jobsProcessed = 0;
+
+    while (!this.shouldQuit) {
+      if (this.paused) {
+        await this.sleep(options.sleep);
+        continue;
+      }
+
+      const job = await this.getNextJob(this.manager.connection(connectionName), queue);
+
+      if (job) {
+        await this.process(connectionName, job, options);
+        this.jobsProcessed++;
+      } else if (options.stopWhenEmpty) {
+        break;
+      } else {
+        await this.sleep(options.sleep);
+      }
+
+      if (this.shouldStop(options, startedAt)) {
+        break;
+      }
+    }
+
+    return this.jobsProcessed;
+  }
+
+  /**
+   * Process the next job on the queue
+   */
+  async runNextJob(connectionName, queue = null, options = {}) {
+    options = this.normalizeOptions(options);
+
+    const job = await this.getNextJob(this.manager.connection(connectionName), queue);
+
+    if (!job) {
+      return false;
+    }
+
+    await this.process(connectionName, job, options);
+
+    return true;
+  }
+
+  /**
+   * Get the next job from one of the given (comma separated) queues
+   */
+  async getNextJob(connection, queue = null) {
+    const queues = queue ? String(queue).split(',') : [null];
+
+    for (const name of queues) {
+      const job = await connection.pop(name ? name.trim() : null);
+
+      if (job) {
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Process the given job
+   */
+  async process(connectionName, job, options = {}) {
+    options = this.normalizeOptions(options);
+
+    // A job that already exceeded its attempts was reserved by a worker
+    // that died or timed out, so it is failed without running it again.
+    if (this.hasExceededMaxAttempts(job, options, true)) {
+      return await this.failJob(connectionName, job, this.maxAttemptsExceededError(job));
+    }
+
+    await this.raise('JobProcessing', connectionName, job);
+
+    try {
+      const handler = this.manager.resolveJob(job.payload.job);
+
+      await this.runWithTimeout(
+        () => handler.handle(job.payload.data, job),
+        this.getTimeout(job, options)
+      );
+
+      // Job middleware may already have released or deleted the job
+      if (!job.released && !job.deleted) {
+        await job.delete();
+      }
+
+      await this.raise('JobProcessed', connectionName, job);
+    } catch (error) {
+      await this.handleJobException(connectionName, job, options, error);
+    }
+  }
+
+  /**
+   * Handle an exception thrown while running a job
+   */
+  async handleJobException(connectionName, job, options, error) {
+    await this.raise('JobExceptionOccurred', connectionName, job, error);
+
+    if (this.hasExceededMaxAttempts(job, options)) {
+      return await this.failJob(connectionName, job, error);
+    }
+
+    await job.release(this.calculateBackoff(job, options));
+    await this.raise('JobReleased', connectionName, job, error);
+  }
+
+  /**
+   * Delete the job, store it as failed and notify the handler
+   */
+  async failJob(connectionName, job, error) {
+    await job.delete();
+
+    if (this.failer) {
+      await this.failer.log(connectionName, job.queue, job.payload, error);
+    }
+
+    try {
+      const handler = this.manager.resolveJob(job.payload.job);
+
+      if (typeof handler.failed === 'function') {
+        await handler.failed(job.payload.data, error, job);
+      }
+    } catch (failedError) {
+      await this.raise('JobExceptionOccurred', connectionName, job, failedError);
+    }
+
+    await this.raise('JobFailed', connectionName, job, error);
+  }
+
+  /**
+   * Determine if the job has used all of its attempts
+   */
+  hasExceededMaxAttempts(job, options, beforeRun = false) {
+    const maxTries = job.payload.maxTries ?? options.tries;
+
+    if (!maxTries) {
+      return false;
+    }
+
+    return beforeRun ? job.attempts > maxTries : job.attempts >= maxTries;
+  }
+
+  /**
+   * Calculate the number of seconds to wait before retrying the job
+   *
+   * An array backoff is read per attempt; a number grows exponentially.
+   */
+  calculateBackoff(job, options) {
+    const backoff = job.payload.backoff ?? options.backoff;
+    const attempt = Math.max(job.attempts, 1);
+
+    if (Array.isArray(backoff)) {
+      return backoff[Math.min(attempt, backoff.length) - 1] ?? 0;
+    }
+
+    const delay = Number(backoff || 0) * Math.pow(2, attempt - 1);
+
+    return options.maxBackoff ? Math.min(delay, options.maxBackoff) : delay;
+  }
+
+  /**
+   * Get the timeout in seconds for the given job
+   */
+  getTimeout(job, options) {
+    return job.payload.timeout ?? options.timeout;
+  }
+
+  /**
+   * Run the callback, rejecting when it takes longer than the timeout
+   */
+  async runWithTimeout(callback, timeout) {
+    if (!timeout) {
+      return await callback();
+    }
+
+    let timer;
+
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Job has timed out after ${timeout} seconds.`));
+      }, timeout * 1000);
+    });
+
+    try {
+      return await Promise.race([callback(), timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Create the error used for jobs that were attempted too many times
+   */
+  maxAttemptsExceededError(job) {
+    return new Error(`Job [${job.payload.job}] has been attempted too many times or run too long.`);
+  }
+
+  /**
+   * Determine if the daemon should stop after the current iteration
+   */
+  shouldStop(options, startedAt) {
+    if (options.maxJobs && this.jobsProcessed >= options.maxJobs) {
+      return true;
+    }
+
+    if (options.maxTime && (Date.now() - startedAt) >= options.maxTime * 1000) {
+      return true;
+    }
+
+    // Opt-in: the heap of a booted app alone can pass a small limit
+    if (options.memory && process.memoryUsage().heapUsed / 1024 / 1024 >= options.memory) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Fill in the default worker options
+   */
+  normalizeOptions(options = {}) {
+    return {
+      sleep: 3,
+      tries: 1,
+      backoff: 0,
+      maxBackoff: null,
+      timeout: 60,
+      maxJobs: 0,
+      maxTime: 0,
+      memory: 0,
+      stopWhenEmpty: false,
+      ...Object.fromEntries(
+        Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+      )
+    };
+  }
+
+  /**
+   * Dispatch a worker event if an event dispatcher is available
+   */
+  async raise(event, connectionName, job, error = null) {
+    if (!this.events) {
+      return;
+    }
+
+    await this.events.dispatch(event, [{ connectionName, job, error }]);
+  }
+
+  /**
+   * Sleep for the given number of seconds
+   */
+  sleep(seconds) {
+    return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  }
+
+  /**
+   * Ask the worker to stop after the current job
+   */
+  stop() {
+    this.shouldQuit = true;
+  }
+
+  /**
+   * Pause the worker
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resume a paused worker
+   */
+  resume() {
+    this.paused = false;
+  }
+}
+
+export default Worker;
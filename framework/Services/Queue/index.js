@@ -4,3 +4,18 @@ export { Connector } from './Connector.js';
 export { DatabaseQueue } from './Connectors/DatabaseQueue.js';
 export { RedisQueue } from './Connectors/RedisQueue.js';
 export { SyncQueue } from './Connectors/SyncQueue.js';
+export { Worker } from './Worker.js';
+export { DatabaseFailedJobProvider } from './Failed/DatabaseFailedJobProvider.js';
+export { NullFailedJobProvider } from './Failed/NullFailedJobProvider.js';
+export { Job } from './Job.js';
+export { PendingDispatch } from './PendingDispatch.js';
+export { CallQueuedHandler } from './CallQueuedHandler.js';
+export { RateLimited } from './Middleware/RateLimited.js';
+export { WithoutOverlapping } from './Middleware/WithoutOverlapping.js';
+export { Bus } from './Bus.js';
+export { PendingChain } from './PendingChain.js';
+export { Batch } from './Batching/Batch.js';
+export { PendingBatch } from './Batching/PendingBatch.js';
+export { DatabaseBatchRepository } from './Batching/DatabaseBatchRepository.js';
+export { RedisBatchRepository } from './Batching/RedisBatchRepository.js';
+export { MemoryBatchRepository } from './Batching/MemoryBatchRepository.js';
@@ -0,0 +1,46 @@
+/**
+ * Encrypted Session Store
+ * Session store encrypting the data before it reaches the handler
+ */
+
+import { Store } from './Store.js';
+
+export class EncryptedStore extends Store {
+  /**
+   * @param {string} name - Session cookie name
+   * @param {SessionHandler} handler
+   * @param {Encrypter} encrypter
+   * @param {string|null} id - Session id sent by the client
+   */
+  constructor(name, handler, encrypter, id = null) {
+    super(name, handler, id);
+    this.encrypter = encrypter;
+  }
+
+  /**
+   * Decrypt the data read from the handler
+   */
+  prepareForUnserialize(data) {
+    try {
+      return this.encrypter.decryptString(data);
+    } catch (error) {
+      return '{}';
+    }
+  }
+
+  /**
+   * Encrypt the data written to the handler
+   */
+  prepareForStorage(data) {
+    return this.encrypter.encryptString(data);
+  }
+
+  /**
+   * Get the encrypter instance
+   */
+  getEncrypter() {
+    return this.encrypter;
+  }
+}
+
+export default EncryptedStore;
@@ -0,0 +1,65 @@
+/**
+ * Array Session Handler
+ * In-memory sessions for tests and single-process development
+ */
+
+import { SessionHandler } from './SessionHandler.js';
+
+export class ArraySessionHandler extends SessionHandler {
+  /**
+   * @param {number} minutes - Session lifetime
+   */
+  constructor(minutes = 120) {
+    super();
+    this.minutes = minutes;
+    this.storage = new Map();
+  }
+
+  /**
+   * Read the session data
+   */
+  async read(id) {
+    const session = this.storage.get(id);
+
+    if (!session || session.time < Date.now() - this.minutes * 60 * 1000) {
+      return '';
+    }
+
+    return session.data;
+  }
+
+  /**
+   * Write the session data
+   */
+  async write(id, data) {
+    this.storage.set(id, { data, time: Date.now() });
+    return true;
+  }
+
+  /**
+   * Destroy a session
+   */
+  async destroy(id) {
+    this.storage.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove the sessions idle for longer than the given lifetime
+   */
+  async gc(lifetime) {
+    const expiration = Date.now() - lifetime * 1000;
+    let removed = 0;
+
+    for (const [id, session] of this.storage) {
+      if (session.time <= expiration) {
+        this.storage.delete(id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+export default ArraySessionHandler;
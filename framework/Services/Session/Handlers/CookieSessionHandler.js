@@ -0,0 +1,70 @@
+/**
+ * Cookie Session Handler
+ * Stores the session data in an encrypted cookie named by the session id
+ *
+ * Cookies hold about 4KB, so keep cookie sessions small.
+ */
+
+import { SessionHandler } from './SessionHandler.js';
+
+export class CookieSessionHandler extends SessionHandler {
+  /**
+   * @param {Encrypter} encrypter
+   * @param {number} minutes - Session lifetime
+   * @param {Function} context - Returns { request, response } of the current request
+   * @param {Object} cookie - Cookie options (path, domain, secure, httpOnly, sameSite)
+   */
+  constructor(encrypter, minutes = 120, context = () => null, cookie = {}) {
+    super();
+    this.encrypter = encrypter;
+    this.minutes = minutes;
+    this.context = context;
+    this.cookie = cookie;
+  }
+
+  /**
+   * Read the session data from the request cookie
+   */
+  async read(id) {
+    const value = this.context()?.request?.cookies?.[id];
+
+    if (!value) {
+      return '';
+    }
+
+    try {
+      const { data, expires } = this.encrypter.decrypt(value);
+      return expires > Date.now() ? data : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Write the session data to the response cookie
+   */
+  async write(id, data) {
+    const value = this.encrypter.encrypt({ data, expires: Date.now() + this.minutes * 60 * 1000 });
+
+    this.context()?.response?.cookie(id, value, { ...this.cookie, maxAge: this.minutes * 60 * 1000 });
+
+    return true;
+  }
+
+  /**
+   * Expire the session cookie
+   */
+  async destroy(id) {
+    this.context()?.response?.clearCookie(id, { path: this.cookie.path, domain: this.cookie.domain });
+    return true;
+  }
+
+  /**
+   * Expired cookies are removed by the browser
+   */
+  async gc(lifetime) {
+    return 0;
+  }
+}
+
+export default CookieSessionHandler;
@@ -0,0 +1,99 @@
+/**
+ * Database Session Handler
+ * Stores sessions in a table created by the session:table migration
+ *
+ * Besides the data, each row records the user id, IP address and user agent
+ * of the request that last wrote it, so an app can list and end the sessions
+ * of a user.
+ */
+
+import { SessionHandler } from './SessionHandler.js';
+
+export class DatabaseSessionHandler extends SessionHandler {
+  /**
+   * @param {Connection} database
+   * @param {string} table
+   * @param {number} minutes - Session lifetime
+   * @param {Function|null} context - Returns { request } of the current request
+   */
+  constructor(database, table = 'sessions', minutes = 120, context = null) {
+    super();
+    this.database = database;
+    this.table = table;
+    this.minutes = minutes;
+    this.context = context;
+  }
+
+  /**
+   * Read the session data, unless it was not written within the lifetime
+   */
+  async read(id) {
+    const session = await this.getQuery().where('id', id).first();
+
+    if (!session || Number(session.last_activity) < this.currentTime() - this.minutes * 60) {
+      return '';
+    }
+
+    return session.payload || '';
+  }
+
+  /**
+   * Write the session data
+   */
+  async write(id, data) {
+    const values = { payload: data, last_activity: this.currentTime(), ...this.requestInformation() };
+
+    const updated = await this.getQuery().where('id', id).update(values);
+
+    if (!updated) {
+      await this.getQuery().insert({ id, ...values });
+    }
+
+    return true;
+  }
+
+  /**
+   * Destroy a session
+   */
+  async destroy(id) {
+    await this.getQuery().where('id', id).delete();
+    return true;
+  }
+
+  /**
+   * Remove the sessions not written within the lifetime
+   */
+  async gc(lifetime) {
+    return await this.getQuery().where('last_activity', '<=', this.currentTime() - lifetime).delete();
+  }
+
+  /**
+   * Get the user id, IP address and user agent of the current request
+   */
+  requestInformation() {
+    const request = this.context?.()?.request;
+    const user = request?.user;
+
+    return {
+      user_id: user ? String(user.getAuthIdentifier?.() ?? user.id) : null,
+      ip_address: request?.ip ?? null,
+      user_agent: request?.headers?.['user-agent']?.slice(0, 500) ?? null,
+    };
+  }
+
+  /**
+   * Get a query builder for the sessions table
+   */
+  getQuery() {
+    return this.database.table(this.table);
+  }
+
+  /**
+   * Get the current UNIX timestamp
+   */
+  currentTime() {
+    return Math.floor(Date.now() / 1000);
+  }
+}
+
+export default DatabaseSessionHandler;
@@ -0,0 +1,106 @@
+/**
+ * File Session Handler
+ * Stores each session in a file named by its id
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SessionHandler } from './SessionHandler.js';
+
+export class FileSessionHandler extends SessionHandler {
+  /**
+   * @param {string} directory - Directory holding the session files
+   * @param {number} minutes - Session lifetime
+   */
+  constructor(directory, minutes = 120) {
+    super();
+    this.path = directory;
+    this.minutes = minutes;
+    this.ensureSessionDirectory();
+  }
+
+  /**
+   * Read the session data, unless the file was not written within the lifetime
+   */
+  async read(id) {
+    const file = this.getFilePath(id);
+
+    try {
+      const stats = await fs.promises.stat(file);
+
+      if (stats.mtimeMs < Date.now() - this.minutes * 60 * 1000) {
+        return '';
+      }
+
+      return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Write the session data
+   */
+  async write(id, data) {
+    await fs.promises.writeFile(this.getFilePath(id), data, 'utf8');
+    return true;
+  }
+
+  /**
+   * Destroy a session
+   */
+  async destroy(id) {
+    try {
+      await fs.promises.unlink(this.getFilePath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove the session files not written within the lifetime
+   */
+  async gc(lifetime) {
+    const expiration = Date.now() - lifetime * 1000;
+    let removed = 0;
+
+    for (const file of await fs.promises.readdir(this.path)) {
+      const filePath = path.join(this.path, file);
+
+      try {
+        const stats = await fs.promises.stat(filePath);
+
+        if (stats.isFile() && stats.mtimeMs <= expiration) {
+          await fs.promises.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        // Removed by another process
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get the file of a session
+   */
+  getFilePath(id) {
+    return path.join(this.path, path.basename(id));
+  }
+
+  /**
+   * Ensure the session directory exists
+   */
+  ensureSessionDirectory() {
+    if (!fs.existsSync(this.path)) {
+      fs.mkdirSync(this.path, { recursive: true });
+    }
+  }
+}
+
+export default FileSessionHandler;
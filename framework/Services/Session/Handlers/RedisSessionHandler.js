@@ -0,0 +1,59 @@
+/**
+ * Redis Session Handler
+ * Stores sessions as Redis keys expiring after the session lifetime
+ */
+
+import { SessionHandler } from './SessionHandler.js';
+
+export class RedisSessionHandler extends SessionHandler {
+  /**
+   * @param {Redis} redis - Redis connection
+   * @param {number} minutes - Session lifetime
+   * @param {string} prefix - Key prefix
+   */
+  constructor(redis, minutes = 120, prefix = 'session:') {
+    super();
+    this.redis = redis;
+    this.minutes = minutes;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Read the session data
+   */
+  async read(id) {
+    return (await this.redis.get(this.prefix + id)) || '';
+  }
+
+  /**
+   * Write the session data, restarting its expiration
+   */
+  async write(id, data) {
+    await this.redis.setex(this.prefix + id, this.minutes * 60, data);
+    return true;
+  }
+
+  /**
+   * Destroy a session
+   */
+  async destroy(id) {
+    await this.redis.del(this.prefix + id);
+    return true;
+  }
+
+  /**
+   * Expired sessions are removed by Redis
+   */
+  async gc(lifetime) {
+    return 0;
+  }
+
+  /**
+   * Get the Redis connection
+   */
+  connection() {
+    return this.redis;
+  }
+}
+
+export default RedisSessionHandler;
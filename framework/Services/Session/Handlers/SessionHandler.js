@@ -0,0 +1,45 @@
+/**
+ * Session Handler Interface
+ * Laravel-inspired contract of the storage behind session stores
+ */
+
+export class SessionHandler {
+  /**
+   * Read the session data
+   * @param {string} id
+   * @returns {Promise<string>} The stored data, or '' when there is none
+   */
+  async read(id) {
+    throw new Error('Method read() must be implemented');
+  }
+
+  /**
+   * Write the session data
+   * @param {string} id
+   * @param {string} data
+   * @returns {Promise<boolean>}
+   */
+  async write(id, data) {
+    throw new Error('Method write() must be implemented');
+  }
+
+  /**
+   * Destroy a session
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async destroy(id) {
+    throw new Error('Method destroy() must be implemented');
+  }
+
+  /**
+   * Remove the sessions idle for longer than the given lifetime
+   * @param {number} lifetime - Seconds
+   * @returns {Promise<number>} Number of removed sessions
+   */
+  async gc(lifetime) {
+    throw new Error('Method gc() must be implemented');
+  }
+}
+
+export default SessionHandler;
@@ -1,17 +1,32 @@
 /**
  * Session Manager
  * Laravel-inspired session manager
+ *
+ * Drivers are session handlers shared by all requests; each request gets
+ * its own Store from build(). Session methods called on the manager use the
+ * store of the current request.
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import { Store } from './Store.js';
+import { EncryptedStore } from './EncryptedStore.js';
+import { StartSession } from './StartSession.js';
+import { ArraySessionHandler } from './Handlers/ArraySessionHandler.js';
+import { CookieSessionHandler } from './Handlers/CookieSessionHandler.js';
+import { DatabaseSessionHandler } from './Handlers/DatabaseSessionHandler.js';
+import { FileSessionHandler } from './Handlers/FileSessionHandler.js';
+import { RedisSessionHandler } from './Handlers/RedisSessionHandler.js';
+
 export class SessionManager {
   constructor(app) {
     this.app = app;
     this.drivers = {};
     this.customCreators = {};
+    this.context = new AsyncLocalStorage(); // { request, response, store } of the current request
   }
 
   /**
-   * Get a session driver instance
+   * Get a session handler instance
    */
   driver(name = null) {
     name = name || this.getDefaultDriver();
@@ -57,40 +72,96 @@ export class SessionManager {
    * Create cookie session driver
    */
   createCookieDriver(config) {
-    return {
-      type: 'cookie',
-      config
-    };
+    return new CookieSessionHandler(
+      this.app.make('encrypter'),
+      this.getLifetime(),
+      () => this.context.getStore(),
+      this.getCookieOptions()
+    );
   }
 
   /**
    * Create file session driver
    */
   createFileDriver(config) {
-    return {
-      type: 'file',
-      config
-    };
+    return new FileSessionHandler(config.path || 'storage/framework/sessions', this.getLifetime());
   }
 
   /**
    * Create database session driver
    */
   createDatabaseDriver(config) {
-    return {
-      type: 'database',
-      config
-    };
+    return new DatabaseSessionHandler(
+      this.app.make('db'),
+      config.table || 'sessions',
+      this.getLifetime(),
+      () => this.context.getStore()
+    );
   }
 
   /**
    * Create Redis session driver
    */
   createRedisDriver(config) {
-    return {
-      type: 'redis',
-      config
-    };
+    const redis = this.app.make('redis');
+    const connection = redis.connection(config.connection || 'default');
+
+    return new RedisSessionHandler(connection, this.getLifetime(), config.prefix || 'session:');
+  }
+
+  /**
+   * Create array session driver
+   */
+  createArrayDriver(config) {
+    return new ArraySessionHandler(this.getLifetime());
+  }
+
+  /**
+   * Build a session store for a request on the given driver
+   *
+   * @param {string|null} id - Session id sent by the client
+   * @param {string|null} name - Driver name
+   * @returns {Store}
+   */
+  build(id = null, name = null) {
+    const handler = this.driver(name);
+
+    if (this.getSessionConfig().encrypt) {
+      return new EncryptedStore(this.getCookieName(), handler, this.app.make('encrypter'), id);
+    }
+
+    return new Store(this.getCookieName(), handler, id);
+  }
+
+  /**
+   * Get the Express middleware starting the session of each request
+   */
+  middleware() {
+    return new StartSession(this).middleware();
+  }
+
+  /**
+   * Get the session store of the current request
+   *
+   * @returns {Store|null}
+   */
+  current() {
+    return this.context.getStore()?.store || null;
+  }
+
+  /**
+   * Get the session store of the current request or fail
+   *
+   * @returns {Store}
+   */
+  store() {
+    const store = this.current();
+
+    if (!store) {
+      throw new Error('Session store not set on request. Add the session middleware.');
+    }
+
+    return store;
   }
 
   /**
@@ -101,6 +172,42 @@ export class SessionManager {
     return sessionConfig.drivers?.[name] || null;
   }
 
+  /**
+   * Get the session configuration of all drivers
+   */
+  getSessionConfig() {
+    return this.app.config('session', {});
+  }
+
+  /**
+   * Get the session lifetime in minutes
+   */
+  getLifetime() {
+    return this.getSessionConfig().lifetime || 120;
+  }
+
+  /**
+   * Get the name of the session cookie
+   */
+  getCookieName() {
+    return this.getSessionConfig().cookie?.name || 'session';
+  }
+
+  /**
+   * Get the options of the session cookies
+   */
+  getCookieOptions() {
+    const cookie = this.getSessionConfig().cookie || {};
+
+    return {
+      path: cookie.path || '/',
+      domain: cookie.domain || undefined,
+      secure: cookie.secure === true || cookie.secure === 'true',
+      httpOnly: cookie.http_only !== false,
+      sameSite: cookie.same_site || 'lax',
+    };
+  }
+
   /**
    * Get the default session driver name
    */
@@ -123,6 +230,59 @@ export class SessionManager {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
+  // Proxy session methods to the store of the current request
+  get(key, defaultValue = null) {
+    return this.store().get(key, defaultValue);
+  }
+
+  put(key, value = null) {
+    return this.store().put(key, value);
+  }
+
+  has(key) {
+    return this.store().has(key);
+  }
+
+  all() {
+    return this.store().all();
+  }
+
+  pull(key, defaultValue = null) {
+    return this.store().pull(key, defaultValue);
+  }
+
+  forget(keys) {
+    return this.store().forget(keys);
+  }
+
+  flash(key, value = true) {
+    return this.store().flash(key, value);
+  }
+
+  reflash() {
+    return this.store().reflash();
+  }
+
+  keep(keys = null) {
+    return this.store().keep(keys);
+  }
+
+  async regenerate(destroy = false) {
+    return await this.store().regenerate(destroy);
+  }
+
+  async migrate(destroy = false) {
+    return await this.store().migrate(destroy);
+  }
+
+  async invalidate() {
+    return await this.store().invalidate();
+  }
+
+  getId() {
+    return this.store().getId();
+  }
+
   /**
    * Get Express session middleware configuration
    */
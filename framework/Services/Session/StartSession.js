@@ -0,0 +1,144 @@
+/**
+ * Start Session Middleware
+ * Loads the session of each request and persists it before the response ends
+ *
+ * The session is available as req.session and through the session manager
+ * (Session facade, SessionGuard) for the rest of the request.
+ *
+ * @example
+ * app.use(app.make('session').middleware());
+ *
+ * router.post('/cart', (req, res) => {
+ *   req.session.push('cart', req.body.productId);
+ *   req.session.flash('status', 'Added to your cart');
+ *   res.redirect('/cart');
+ * });
+ */
+
+export class StartSession {
+  /**
+   * @param {SessionManager} manager
+   */
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Handle the request
+   *
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {function} next - Next middleware
+   */
+  async handle(req, res, next) {
+    const context = { request: req, response: res, store: null };
+
+    try {
+      req.cookies = req.cookies || this.parseCookies(req.headers?.cookie);
+
+      const store = this.manager.build(req.cookies[this.manager.getCookieName()]);
+      context.store = store;
+
+      await this.manager.context.run(context, () => store.start());
+
+      req.session = store;
+      this.collectGarbage(store);
+      this.saveBeforeResponseEnds(context);
+    } catch (error) {
+      return next(error);
+    }
+
+    this.manager.context.run(context, next);
+  }
+
+  /**
+   * Save the session and add its cookie when the response ends
+   *
+   * Responses that flushed their headers early (streams) keep the session
+   * data, but can't send a new session cookie.
+   */
+  saveBeforeResponseEnds(context) {
+    const { response, store } = context;
+    const end = response.end;
+
+    response.end = (...args) => {
+      response.end = end;
+
+      this.manager.context.run(context, () => store.save())
+        .then(() => this.addCookieToResponse(response, store))
+        .catch(error => console.error(`Failed to save session: ${error.message}`))
+        .finally(() => end.apply(response, args));
+
+      return response;
+    };
+  }
+
+  /**
+   * Add the session id cookie to the response
+   */
+  addCookieToResponse(response, store) {
+    if (response.headersSent) {
+      return;
+    }
+
+    const config = this.manager.getSessionConfig();
+
+    response.cookie(store.getName(), store.getId(), {
+      ...this.manager.getCookieOptions(),
+      maxAge: config.expire_on_close ? undefined : (config.lifetime || 120) * 60 * 1000,
+    });
+  }
+
+  /**
+   * Remove expired sessions on some requests (config session.lottery)
+   */
+  collectGarbage(store) {
+    const [chances, outOf] = this.manager.getSessionConfig().lottery || [2, 100];
+
+    if (Math.random() * outOf < chances) {
+      const lifetime = (this.manager.getSessionConfig().lifetime || 120) * 60;
+
+      store.getHandler().gc(lifetime)
+        .catch(error => console.error(`Failed to collect expired sessions: ${error.message}`));
+    }
+  }
+
+  /**
+   * Parse the Cookie header when no cookie middleware did
+   */
+  parseCookies(header = '') {
+    const cookies = {};
+
+    for (const pair of header.split(';')) {
+      const index = pair.indexOf('=');
+
+      if (index > 0) {
+        const name = pair.slice(0, index).trim();
+        let value = pair.slice(index + 1).trim();
+
+        if (value.startsWith('"') && value.endsWith('"')) {
+          value = value.slice(1, -1);
+        }
+
+        try {
+          cookies[name] ??= decodeURIComponent(value);
+        } catch (error) {
+          cookies[name] ??= value;
+        }
+      }
+    }
+
+    return cookies;
+  }
+
+  /**
+   * Create middleware function
+   *
+   * @returns {function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => this.handle(req, res, next);
+  }
+}
+
+export default StartSession;
@@ -0,0 +1,328 @@
+/**
+ * Session Store
+ * Laravel-inspired session of a single request, persisted by a session handler
+ */
+
+import crypto from 'crypto';
+
+export class Store {
+  /**
+   * @param {string} name - Session cookie name
+   * @param {SessionHandler} handler
+   * @param {string|null} id - Session id sent by the client
+   */
+  constructor(name, handler, id = null) {
+    this.name = name;
+    this.handler = handler;
+    this.attributes = {};
+    this.started = false;
+    this.setId(id);
+  }
+
+  /**
+   * Start the session, reading the data from the handler
+   */
+  async start() {
+    await this.loadSession();
+    this.started = true;
+
+    return true;
+  }
+
+  /**
+   * Load the session data from the handler
+   */
+  async loadSession() {
+    this.attributes = { ...this.attributes, ...await this.readFromHandler() };
+  }
+
+  /**
+   * Read the session data from the handler
+   */
+  async readFromHandler() {
+    const data = await this.handler.read(this.getId());
+
+    if (!data) {
+      return {};
+    }
+
+    try {
+      const attributes = JSON.parse(this.prepareForUnserialize(data));
+      return attributes && typeof attributes === 'object' ? attributes : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Prepare the raw string data from the session for unserialization
+   */
+  prepareForUnserialize(data) {
+    return data;
+  }
+
+  /**
+   * Save the session data to the handler
+   */
+  async save() {
+    this.ageFlashData();
+
+    await this.handler.write(this.getId(), this.prepareForStorage(JSON.stringify(this.attributes)));
+
+    this.started = false;
+  }
+
+  /**
+   * Prepare the serialized session data for storage
+   */
+  prepareForStorage(data) {
+    return data;
+  }
+
+  /**
+   * Age the flash data for the session
+   */
+  ageFlashData() {
+    this.forget(this.get('_flash.old', []));
+    this.put('_flash.old', this.get('_flash.new', []));
+    this.put('_flash.new', []);
+  }
+
+  /**
+   * Get all of the session data
+   */
+  all() {
+    return { ...this.attributes };
+  }
+
+  /**
+   * Get a subset of the session data
+   */
+  only(keys) {
+    return Object.fromEntries(keys.filter(key => key in this.attributes).map(key => [key, this.attributes[key]]));
+  }
+
+  /**
+   * Check if a key exists in the session
+   */
+  exists(key) {
+    return [].concat(key).every(key => key in this.attributes);
+  }
+
+  /**
+   * Check if a key is present and not null
+   */
+  has(key) {
+    return [].concat(key).every(key => this.get(key) !== null);
+  }
+
+  /**
+   * Get an item from the session
+   */
+  get(key, defaultValue = null) {
+    if (key in this.attributes) {
+      return this.attributes[key];
+    }
+
+    return typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+  }
+
+  /**
+   * Get the value of a key and remove it from the session
+   */
+  pull(key, defaultValue = null) {
+    const value = this.get(key, defaultValue);
+    this.forget(key);
+
+    return value;
+  }
+
+  /**
+   * Put a key / value pair or an object of pairs in the session
+   */
+  put(key, value = null) {
+    const values = typeof key === 'object' ? key : { [key]: value };
+
+    Object.assign(this.attributes, values);
+  }
+
+  /**
+   * Push a value onto a session array
+   */
+  push(key, value) {
+    this.put(key, [...this.get(key, []), value]);
+  }
+
+  /**
+   * Increment the value of an item in the session
+   */
+  increment(key, amount = 1) {
+    const value = Number(this.get(key, 0)) + amount;
+    this.put(key, value);
+
+    return value;
+  }
+
+  /**
+   * Decrement the value of an item in the session
+   */
+  decrement(key, amount = 1) {
+    return this.increment(key, -amount);
+  }
+
+  /**
+   * Flash a key / value pair to the session for the next request
+   */
+  flash(key, value = true) {
+    this.put(key, value);
+    this.push('_flash.new', key);
+    this.removeFromOldFlashData([key]);
+  }
+
+  /**
+   * Flash a key / value pair to the session for the current request only
+   */
+  now(key, value) {
+    this.put(key, value);
+    this.push('_flash.old', key);
+  }
+
+  /**
+   * Keep all of the flash data for another request
+   */
+  reflash() {
+    this.mergeNewFlashes(this.get('_flash.old', []));
+    this.put('_flash.old', []);
+  }
+
+  /**
+   * Keep a subset of the flash data for another request
+   */
+  keep(keys = null) {
+    keys = keys === null ? this.get('_flash.old', []) : [].concat(keys);
+
+    this.mergeNewFlashes(keys);
+    this.removeFromOldFlashData(keys);
+  }
+
+  /**
+   * Merge keys into the new flash data
+   */
+  mergeNewFlashes(keys) {
+    this.put('_flash.new', [...new Set([...this.get('_flash.new', []), ...keys])]);
+  }
+
+  /**
+   * Remove keys from the old flash data
+   */
+  removeFromOldFlashData(keys) {
+    this.put('_flash.old', this.get('_flash.old', []).filter(key => !keys.includes(key)));
+  }
+
+  /**
+   * Remove one or many items from the session
+   */
+  forget(keys) {
+    for (const key of [].concat(keys)) {
+      delete this.attributes[key];
+    }
+  }
+
+  /**
+   * Remove an item from the session, returning its value
+   */
+  remove(key) {
+    return this.pull(key);
+  }
+
+  /**
+   * Remove all of the items from the session
+   */
+  flush() {
+    this.attributes = {};
+  }
+
+  /**
+   * Flush the session data and regenerate the id
+   */
+  async invalidate() {
+    this.flush();
+
+    return await this.migrate(true);
+  }
+
+  /**
+   * Generate a new session id
+   *
+   * @param {boolean} destroy - Destroy the data stored under the old id
+   */
+  async regenerate(destroy = false) {
+    return await this.migrate(destroy);
+  }
+
+  /**
+   * Generate a new session id, keeping the data
+   *
+   * @param {boolean} destroy - Destroy the data stored under the old id
+   */
+  async migrate(destroy = false) {
+    if (destroy) {
+      await this.handler.destroy(this.getId());
+    }
+
+    this.setId(this.generateSessionId());
+
+    return true;
+  }
+
+  /**
+   * Determine if the session has been started
+   */
+  isStarted() {
+    return this.started;
+  }
+
+  /**
+   * Get the name of the session
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Get the session id
+   */
+  getId() {
+    return this.id;
+  }
+
+  /**
+   * Set the session id, generating one when it is not valid
+   */
+  setId(id) {
+    this.id = this.isValidId(id) ? id : this.generateSessionId();
+  }
+
+  /**
+   * Determine if the session id is valid
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{40}$/.test(id);
+  }
+
+  /**
+   * Get a new, random session id
+   */
+  generateSessionId() {
+    return crypto.randomBytes(30).toString('base64url');
+  }
+
+  /**
+   * Get the session handler
+   */
+  getHandler() {
+    return this.handler;
+  }
+}
+
+export default Store;
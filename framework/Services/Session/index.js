@@ -1 +1,10 @@
 export { SessionManager } from './SessionManager.js';
+export { Store as SessionStore } from './Store.js';
+export { EncryptedStore } from './EncryptedStore.js';
+export { StartSession } from './StartSession.js';
+export { SessionHandler } from './Handlers/SessionHandler.js';
+export { ArraySessionHandler } from './Handlers/ArraySessionHandler.js';
+export { CookieSessionHandler } from './Handlers/CookieSessionHandler.js';
+export { DatabaseSessionHandler } from './Handlers/DatabaseSessionHandler.js';
+export { FileSessionHandler } from './Handlers/FileSessionHandler.js';
+export { RedisSessionHandler } from './Handlers/RedisSessionHandler.js';
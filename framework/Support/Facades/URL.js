@@ -0,0 +1,13 @@
+/**
+ * URL Facade
+ */
+
+import { Facade, createFacade } from './Facade.js';
+
+class URLFacade extends Facade {
+  static getFacadeAccessor() {
+    return 'url';
+  }
+}
+
+export default createFacade(URLFacade);
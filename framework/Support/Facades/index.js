@@ -36,6 +36,7 @@ export { default as Session } from './Session.js';
 export { default as SMS } from './SMS.js';
 export { default as Storage } from './Storage.js';
 export { default as Upload } from './Upload.js';
+export { default as URL } from './URL.js';
 export { default as Validator } from './Validator.js';
 
 export { Facade, createFacade } from './Facade.js';
@@ -1,11 +1,28 @@
 /**
  * Rate Limiter
  * Laravel-inspired rate limiting
+ *
+ * Attempts are counted in the cache store, so limits are shared by every
+ * process using the same store (Redis in production). Named limiters
+ * defined with for() are applied by the throttle:<name> middleware.
+ *
+ * @example
+ * RateLimiter.for('api', (req) => Limit.perMinute(60).by(req.user?.id || req.ip));
+ * RateLimiter.for('login', (req) => [
+ *   Limit.perMinute(5).by(req.body.email),
+ *   Limit.perHour(100).slidingWindow(),
+ * ]);
+ *
+ * router.post('/login', 'throttle:login', loginController);
  */
 
+import crypto from 'crypto';
+import { Limit } from './RateLimiting/Limit.js';
+
 export class RateLimiter {
   constructor(cache) {
     this.cache = cache;
+    this.limiters = new Map();
   }
 
   /**
@@ -24,6 +41,7 @@ export class RateLimiter {
 
     if (attempts === 1) {
       await this.cache.put(key, 1, decayMinutes * 60);
+      await this.cache.put(`${key}:timer`, Date.now() + decayMinutes * 60 * 1000, decayMinutes * 60);
     }
 
     return attempts;
@@ -94,38 +112,264 @@ export class RateLimiter {
   }
 
   /**
-   * Rate limit middleware helper
+   * Register a named limiter
+   *
+   * The callback receives the request and returns a Limit, a list of
+   * limits, or a key counted 60 times per minute. Returns the limiter's
+   * middleware.
+   *
+   * @param {string} name
+   * @param {function} callback - (req) => Limit|Limit[]|string
+   * @returns {function} Express middleware
    */
   for(name, callback) {
+    this.limiters.set(name, callback);
+    return this.middleware(name);
+  }
+
+  /**
+   * Get a named limiter callback
+   */
+  limiter(name) {
+    return this.limiters.get(name) || null;
+  }
+
+  /**
+   * Create the middleware of a named limiter, or of maxAttempts per decayMinutes
+   *
+   * @example
+   * rateLimiter.throttle('api');
+   * rateLimiter.throttle(60, 1);
+   */
+  throttle(name, decayMinutes = 1) {
+    if (/^\d+$/.test(String(name))) {
+      const limit = () => Limit.perMinutes(Number(decayMinutes), Number(name));
+      return this.middleware(`${name},${decayMinutes}`, limit);
+    }
+
+    return this.middleware(name);
+  }
+
+  /**
+   * Create the middleware applying a limiter's limits to each request
+   *
+   * @param {string} name - Named limiter
+   * @param {function|null} callback - Limits callback (default: the named limiter)
+   * @returns {function} Express middleware
+   */
+  middleware(name, callback = null) {
     return async (req, res, next) => {
-      const key = await callback(req);
-      const limiterKey = this.limiterKey(name, key);
-
-      const maxAttempts = 60;
-      const decayMinutes = 1;
-
-      if (await this.tooManyAttempts(limiterKey, maxAttempts)) {
-        const retryAfter = Math.ceil(await this.availableIn(limiterKey) / 1000);
-        
-        res.set('X-RateLimit-Limit', maxAttempts);
-        res.set('X-RateLimit-Remaining', 0);
-        res.set('Retry-After', retryAfter);
-
-        return res.status(429).json({
-          success: false,
-          message: 'Too many requests',
-          retry_after: retryAfter
-        });
+      try {
+        const resolve = callback || this.limiter(name);
+
+        if (!resolve) {
+          throw new Error(`Rate limiter [${name}] is not defined.`);
+        }
+
+        const limits = this.resolveLimits(await resolve(req), req);
+        let tightest = null;
+
+        for (const [index, limit] of limits.entries()) {
+          const suffix = limits.length > 1 ? `:${index}` : '';
+          const result = await this.attemptLimit(this.limiterKey(name, limit.key + suffix), limit);
+
+          if (!result.allowed) {
+            return this.buildExceededResponse(req, res, limit, result);
+          }
+
+          if (!tightest || result.remaining < tightest.remaining) {
+            tightest = result;
+          }
+        }
+
+        if (tightest) {
+          this.setHeaders(res, this.getHeaders(tightest));
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Normalize a limiter's result into limits with keys
+   */
+  resolveLimits(result, req) {
+    if (typeof result === 'string' || typeof result === 'number') {
+      result = Limit.perMinute(60).by(result);
+    }
+
+    return [].concat(result || [])
+      .filter(limit => limit instanceof Limit && !limit.isUnlimited())
+      .map(limit => (limit.key === '' ? limit.by(this.requestKey(req)) : limit));
+  }
+
+  /**
+   * Get the default key of a request: the user id, the API key or the IP address
+   */
+  requestKey(req) {
+    const id = req.user?.getAuthIdentifier?.() ?? req.user?.id;
+
+    if (id !== undefined && id !== null) {
+      return `user:${id}`;
+    }
+
+    const apiKey = req.headers?.['x-api-key'] || req.query?.api_token;
+
+    if (apiKey) {
+      return `api_key:${crypto.createHash('sha256').update(String(apiKey)).digest('hex')}`;
+    }
+
+    return `ip:${req.ip || req.socket?.remoteAddress}`;
+  }
+
+  /**
+   * Count an attempt against a limit with its algorithm
+   *
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number}>}
+   */
+  async attemptLimit(key, limit) {
+    switch (limit.algorithm) {
+      case 'sliding':
+        return await this.attemptSlidingWindow(key, limit);
+      case 'token':
+        return await this.attemptTokenBucket(key, limit);
+      case 'fixed':
+        return await this.attemptFixedWindow(key, limit);
+      default:
+        throw new Error(`Rate limit algorithm [${limit.algorithm}] is not supported.`);
+    }
+  }
+
+  /**
+   * Fixed window: count the attempts until the window's first hit expires
+   */
+  async attemptFixedWindow(key, limit) {
+    const { maxAttempts, decaySeconds } = limit;
+
+    if (await this.tooManyAttempts(key, maxAttempts)) {
+      const retryAfter = Math.max(1, Math.ceil(await this.availableIn(key) / 1000));
+      return { allowed: false, limit: maxAttempts, remaining: 0, reset: retryAfter, retryAfter };
+    }
+
+    const attempts = await this.hit(key, decaySeconds / 60);
+    const reset = Math.ceil(await this.availableIn(key) / 1000) || decaySeconds;
+
+    return { allowed: true, limit: maxAttempts, remaining: Math.max(0, maxAttempts - attempts), reset, retryAfter: 0 };
+  }
+
+  /**
+   * Sliding window: the current window's attempts plus the previous window's,
+   * weighted by how much of the previous window the sliding window still covers
+   */
+  async attemptSlidingWindow(key, limit) {
+    const { maxAttempts, decaySeconds } = limit;
+    const decay = decaySeconds * 1000;
+    const now = Date.now();
+    const window = Math.floor(now / decay);
+    const elapsed = now - window * decay;
+    const currentKey = `${key}:${window}`;
+
+    await this.cache.add(currentKey, 0, decaySeconds * 2);
+    const current = Number(await this.cache.increment(currentKey));
+    const previous = Number(await this.cache.get(`${key}:${window - 1}`)) || 0;
+    const count = previous * ((decay - elapsed) / decay) + current;
+    const reset = Math.ceil((decay - elapsed) / 1000);
+
+    if (count <= maxAttempts) {
+      return { allowed: true, limit: maxAttempts, remaining: Math.floor(maxAttempts - count), reset, retryAfter: 0 };
+    }
+
+    await this.cache.decrement(currentKey);
+
+    // Time until the weighted count leaves room for one more attempt
+    const counted = current - 1;
+    const wait = counted < maxAttempts
+      ? decay - elapsed - ((maxAttempts - counted - 1) * decay) / previous
+      : decay - elapsed + Math.max(0, decay * (1 - (maxAttempts - 1) / counted));
+    const retryAfter = Math.max(1, Math.ceil(wait / 1000));
+
+    return { allowed: false, limit: maxAttempts, remaining: 0, reset: retryAfter, retryAfter };
+  }
+
+  /**
+   * Token bucket: maxAttempts tokens refilled evenly over the decay time
+   *
+   * The bucket is read and written under a cache lock, so concurrent
+   * requests of every process take tokens one at a time.
+   */
+  async attemptTokenBucket(key, limit) {
+    const { maxAttempts, decaySeconds } = limit;
+    const rate = maxAttempts / (decaySeconds * 1000);
+
+    return await this.cache.lock(`${key}:lock`, 5).block(5, async () => {
+      const now = Date.now();
+      const bucket = await this.cache.get(key);
+      let tokens = bucket
+        ? Math.min(maxAttempts, bucket.tokens + (now - bucket.time) * rate)
+        : maxAttempts;
+      const allowed = tokens >= 1;
+
+      if (allowed) {
+        tokens -= 1;
       }
 
-      await this.hit(limiterKey, decayMinutes);
+      await this.cache.put(key, { tokens, time: now }, decaySeconds + 1);
+
+      const reset = Math.ceil((maxAttempts - tokens) / rate / 1000);
+      const retryAfter = allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / rate / 1000));
 
-      const remaining = await this.retriesLeft(limiterKey, maxAttempts);
-      res.set('X-RateLimit-Limit', maxAttempts);
-      res.set('X-RateLimit-Remaining', remaining);
+      return { allowed, limit: maxAttempts, remaining: Math.floor(tokens), reset, retryAfter };
+    });
+  }
 
-      next();
+  /**
+   * Get the rate limit headers of an attempt
+   */
+  getHeaders(result) {
+    const headers = {
+      'RateLimit-Limit': result.limit,
+      'RateLimit-Remaining': result.remaining,
+      'RateLimit-Reset': result.reset,
+      'X-RateLimit-Limit': result.limit,
+      'X-RateLimit-Remaining': result.remaining,
     };
+
+    if (!result.allowed) {
+      headers['Retry-After'] = result.retryAfter;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Set headers on the response
+   */
+  setHeaders(res, headers) {
+    for (const [name, value] of Object.entries(headers)) {
+      res.set(name, value);
+    }
+  }
+
+  /**
+   * Send the response of a request over its limit
+   */
+  buildExceededResponse(req, res, limit, result) {
+    const headers = this.getHeaders(result);
+
+    if (limit.responseCallback) {
+      return limit.responseCallback(req, res, headers);
+    }
+
+    this.setHeaders(res, headers);
+
+    return res.status(429).json({
+      success: false,
+      message: 'Too many requests',
+      retry_after: result.retryAfter
+    });
   }
 }
 
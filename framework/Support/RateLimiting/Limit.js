@@ -0,0 +1,116 @@
+/**
+ * Limit
+ * Laravel-inspired rate limit definition returned by named limiters
+ *
+ * @example
+ * RateLimiter.for('api', (req) => Limit.perMinute(60).by(req.user?.id || req.ip));
+ * RateLimiter.for('uploads', (req) => Limit.perMinute(10).tokenBucket());
+ */
+
+export class Limit {
+  /**
+   * @param {string} key - Key the attempts are counted under (default: user, API key or IP)
+   * @param {number} maxAttempts
+   * @param {number} decaySeconds
+   */
+  constructor(key = '', maxAttempts = 60, decaySeconds = 60) {
+    this.key = key;
+    this.maxAttempts = maxAttempts;
+    this.decaySeconds = decaySeconds;
+    this.algorithm = 'fixed';
+    this.responseCallback = null;
+  }
+
+  /**
+   * Allow a number of attempts per second(s)
+   */
+  static perSecond(maxAttempts, decaySeconds = 1) {
+    return new Limit('', maxAttempts, decaySeconds);
+  }
+
+  /**
+   * Allow a number of attempts per minute
+   */
+  static perMinute(maxAttempts, decayMinutes = 1) {
+    return new Limit('', maxAttempts, decayMinutes * 60);
+  }
+
+  /**
+   * Allow a number of attempts per the given minutes
+   */
+  static perMinutes(decayMinutes, maxAttempts) {
+    return new Limit('', maxAttempts, decayMinutes * 60);
+  }
+
+  /**
+   * Allow a number of attempts per hour
+   */
+  static perHour(maxAttempts, decayHours = 1) {
+    return new Limit('', maxAttempts, decayHours * 60 * 60);
+  }
+
+  /**
+   * Allow a number of attempts per day
+   */
+  static perDay(maxAttempts, decayDays = 1) {
+    return new Limit('', maxAttempts, decayDays * 24 * 60 * 60);
+  }
+
+  /**
+   * Do not limit the attempts
+   */
+  static none() {
+    return new Limit('', Infinity, 60);
+  }
+
+  /**
+   * Set the key the attempts are counted under
+   */
+  by(key) {
+    this.key = key === null || key === undefined ? '' : String(key);
+    return this;
+  }
+
+  /**
+   * Count the attempts of fixed windows (the default)
+   */
+  fixedWindow() {
+    this.algorithm = 'fixed';
+    return this;
+  }
+
+  /**
+   * Weigh the attempts of the previous window by how much of it still overlaps
+   */
+  slidingWindow() {
+    this.algorithm = 'sliding';
+    return this;
+  }
+
+  /**
+   * Allow bursts up to maxAttempts, refilled evenly over the decay time
+   */
+  tokenBucket() {
+    this.algorithm = 'token';
+    return this;
+  }
+
+  /**
+   * Set the callback sending the response when the limit is exceeded
+   *
+   * @param {function} callback - (req, res, headers) => response
+   */
+  response(callback) {
+    this.responseCallback = callback;
+    return this;
+  }
+
+  /**
+   * Determine if the limit does not restrict attempts
+   */
+  isUnlimited() {
+    return this.maxAttempts === Infinity;
+  }
+}
+
+export default Limit;
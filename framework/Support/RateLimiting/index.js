@@ -0,0 +1 @@
+export { Limit } from './Limit.js';
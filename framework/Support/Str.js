@@ -77,6 +77,37 @@ export class Str {
       .replace(/[^a-zA-Z0-9]+(.)/g, (_, chr) => chr.toUpperCase());
   }
 
+  /**
+   * Get the singular form of an English word
+   */
+  static singular(word) {
+    if (!word) return '';
+
+    const irregular = { people: 'person', men: 'man', women: 'woman', children: 'child', mice: 'mouse', geese: 'goose', teeth: 'tooth', feet: 'foot' };
+    const lower = word.toLowerCase();
+
+    if (irregular[lower]) {
+      return word.charAt(0) + irregular[lower].slice(1);
+    }
+
+    const rules = [
+      [/(ss|us|is)$/i, '$1'],
+      [/(alias|status|bus|campus|census|virus)es$/i, '$1'],
+      [/(analy|cri|diagno|parenthe|progno|synop|the)ses$/i, '$1sis'],
+      [/([^aeiou])ies$/i, '$1y'],
+      [/(ss|sh|ch|x|z)es$/i, '$1'],
+      [/([^s])s$/i, '$1'],
+    ];
+
+    for (const [pattern, replacement] of rules) {
+      if (pattern.test(word)) {
+        return word.replace(pattern, replacement);
+      }
+    }
+
+    return word;
+  }
+
   /**
    * Convert to snake_case
    */
@@ -1,5 +1,6 @@
 export { Pipeline } from './Pipeline.js';
 export { RateLimiter } from './RateLimiter.js';
+export { Limit } from './RateLimiting/index.js';
 export { Collection, collect } from './Collection.js';
 export { Str } from './Str.js';
 export { Arr } from './Arr.js';
@@ -44,6 +44,7 @@ export {
   SMS,
   Storage,
   Upload,
+  URL,
   Validator,
   Facade,
   createFacade
@@ -52,6 +53,8 @@ export {
 // Export Model and Database utilities
 export { default as Model } from './Database/Model.js';
 export { Relations } from './Database/Relations.js';
+export { Casts, CastsAttributes, EncryptedCast, EnumCast } from './Database/Casts/index.js';
+export { Factory, Sequence } from './Database/Factories/index.js';
 export { Observer, observe } from './Database/Observer.js';
 export { Scope, SoftDeletingScope, LocalScope } from './Database/Scope.js';
 
@@ -0,0 +1,214 @@
+/**
+ * Realtime channels
+ *
+ * Public, private and presence channels of an Echo client. Private and
+ * presence channels are authorized by the app before they are joined.
+ */
+
+export class Channel {
+  /**
+   * @param {string} name - Full channel name, e.g. "private-orders.42"
+   * @param {import('./Echo.js').Echo} echo
+   */
+  constructor(name, echo) {
+    this.name = name;
+    this.echo = echo;
+    this.listeners = {};
+    this.isSubscribed = false;
+    this.refs = 0;
+  }
+
+  /**
+   * Listen for an event on the channel
+   *
+   * @param {string} event - Event name, e.g. "OrderShipped"
+   * @param {Function} callback - Receives the event payload
+   */
+  listen(event, callback) {
+    (this.listeners[event] ||= []).push(callback);
+    return this;
+  }
+
+  /**
+   * Stop listening for an event, or remove one of its callbacks
+   */
+  stopListening(event, callback) {
+    this.listeners[event] = callback
+      ? (this.listeners[event] || []).filter((listener) => listener !== callback)
+      : [];
+    return this;
+  }
+
+  /**
+   * Call a callback once the server confirms the subscription
+   */
+  subscribed(callback) {
+    return this.listen('pusher:subscription_succeeded', () => callback());
+  }
+
+  /**
+   * Call a callback when the subscription is refused
+   */
+  error(callback) {
+    return this.listen('pusher:subscription_error', callback);
+  }
+
+  /**
+   * Send the subscription to the server
+   */
+  async subscribe() {
+    this.echo.connection.send('pusher:subscribe', { channel: this.name });
+  }
+
+  /**
+   * Leave the channel on the server
+   */
+  unsubscribe() {
+    this.isSubscribed = false;
+    this.echo.connection.send('pusher:unsubscribe', { channel: this.name });
+  }
+
+  /**
+   * Handle a message of the channel
+   */
+  handle(message) {
+    if (message.event === 'pusher_internal:subscription_succeeded') {
+      this.isSubscribed = true;
+      return this.emit('pusher:subscription_succeeded', message.data);
+    }
+
+    this.emit(message.event, message.data, message);
+  }
+
+  /**
+   * Call the listeners of an event
+   */
+  emit(event, ...args) {
+    for (const callback of this.listeners[event] || []) {
+      callback(...args);
+    }
+  }
+
+  /**
+   * Count a user of the channel, such as a mounted component
+   */
+  retain() {
+    return ++this.refs;
+  }
+
+  /**
+   * Release a user of the channel, returning how many remain
+   */
+  release() {
+    this.refs = Math.max(this.refs - 1, 0);
+    return this.refs;
+  }
+}
+
+export class PrivateChannel extends Channel {
+  /**
+   * Authorize the channel with the app, then subscribe
+   */
+  async subscribe() {
+    const socketId = this.echo.socketId();
+
+    try {
+      const auth = await this.echo.authorize(this.name, socketId);
+
+      // The connection dropped while authorizing; it subscribes again on reconnect
+      if (socketId !== this.echo.socketId()) {
+        return;
+      }
+
+      this.echo.connection.send('pusher:subscribe', { channel: this.name, ...auth });
+    } catch (error) {
+      this.emit('pusher:subscription_error', {
+        type: 'AuthError',
+        error: error.message,
+        status: error.status ?? error.response?.status ?? null,
+      });
+    }
+  }
+
+  /**
+   * Send a client event to the other subscribers
+   *
+   * @param {string} event - Event name, sent as "client-{event}"
+   * @param {Object} data
+   */
+  whisper(event, data) {
+    this.echo.connection.send(`client-${event}`, data, this.name);
+    return this;
+  }
+
+  /**
+   * Listen for a client event of the other subscribers
+   */
+  listenForWhisper(event, callback) {
+    return this.listen(`client-${event}`, callback);
+  }
+}
+
+export class PresenceChannel extends PrivateChannel {
+  constructor(name, echo) {
+    super(name, echo);
+    this.members = {};
+  }
+
+  /**
+   * Call a callback with the members once joined, and again after reconnecting
+   *
+   * @param {Function} callback - Receives an array of member infos
+   */
+  here(callback) {
+    return this.listen('presence:here', callback);
+  }
+
+  /**
+   * Call a callback with the info of each member that joins
+   */
+  joining(callback) {
+    return this.listen('presence:joining', callback);
+  }
+
+  /**
+   * Call a callback with the info of each member that leaves
+   */
+  leaving(callback) {
+    return this.listen('presence:leaving', callback);
+  }
+
+  /**
+   * Get the info of the current members
+   */
+  memberList() {
+    return Object.values(this.members);
+  }
+
+  /**
+   * Track members and turn the Pusher presence events into here, joining and leaving
+   */
+  handle(message) {
+    const { event, data } = message;
+
+    if (event === 'pusher_internal:subscription_succeeded') {
+      const { ids = [], hash = {} } = data?.presence || {};
+      this.members = Object.fromEntries(ids.map((id) => [id, hash[id] ?? { id }]));
+      super.handle(message);
+      return this.emit('presence:here', this.memberList());
+    }
+
+    if (event === 'pusher_internal:member_added') {
+      this.members[data.user_id] = data.user_info ?? { id: data.user_id };
+      return this.emit('presence:joining', this.members[data.user_id]);
+    }
+
+    if (event === 'pusher_internal:member_removed') {
+      const member = this.members[data.user_id];
+      delete this.members[data.user_id];
+      return member && this.emit('presence:leaving', member);
+    }
+
+    super.handle(message);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Pusher protocol connection
+ *
+ * Keeps a WebSocket to a Pusher-protocol server (the `vasuzex broadcast:serve`
+ * server or Pusher itself) open: answers and sends pings, and reconnects
+ * with exponential backoff when the socket drops.
+ */
+
+/**
+ * Close codes 4000-4099 mean the server refuses the client (unknown key,
+ * unsupported protocol): reconnecting would fail again.
+ */
+const isFatalCloseCode = (code) => code >= 4000 && code < 4100;
+
+/**
+ * Parse the data of a message, which Pusher sends as a JSON string
+ */
+const parseData = (data) => {
+  if (typeof data !== 'string') {
+    return data;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+export class Connection {
+  /**
+   * @param {Object} options
+   * @param {string} options.key - Application key
+   * @param {string} [options.wsHost] - Server host (default: the page's host)
+   * @param {number} [options.wsPort=6001] - Port for ws://
+   * @param {number} [options.wssPort=443] - Port for wss://
+   * @param {boolean} [options.forceTLS] - Use wss:// (default: when the page is served over https)
+   * @param {number} [options.activityTimeout=120] - Seconds of silence before pinging the server
+   * @param {number} [options.pongTimeout=30] - Seconds to wait for the pong before reconnecting
+   * @param {Object} [options.reconnect] - { initialDelay: 1000, maxDelay: 30000, multiplier: 2 }
+   * @param {Function} [options.WebSocket] - WebSocket implementation (default: the global one)
+   */
+  constructor(options) {
+    if (!options?.key) {
+      throw new Error('Realtime connection requires an application "key"');
+    }
+
+    this.options = {
+      wsPort: 6001,
+      wssPort: 443,
+      activityTimeout: 120,
+      pongTimeout: 30,
+      ...options,
+      reconnect: { initialDelay: 1000, maxDelay: 30000, multiplier: 2, ...options.reconnect },
+    };
+    this.state = 'initialized';
+    this.socketId = null;
+    this.socket = null;
+    this.attempts = 0;
+    this.listeners = {};
+    this.timers = {};
+    this.activityTimeout = this.options.activityTimeout;
+  }
+
+  /**
+   * Get the server URL
+   */
+  url() {
+    const { key, wsHost, wsPort, wssPort } = this.options;
+    const location = typeof window !== 'undefined' ? window.location : null;
+    const tls = this.options.forceTLS ?? location?.protocol === 'https:';
+    const host = wsHost || location?.hostname || 'localhost';
+
+    return `${tls ? 'wss' : 'ws'}://${host}:${tls ? wssPort : wsPort}/app/${key}?protocol=7&client=vasuzex-js`;
+  }
+
+  /**
+   * Open the socket
+   */
+  connect() {
+    if (this.socket || this.state === 'connecting') {
+      return this;
+    }
+
+    const WebSocketImpl = this.options.WebSocket || globalThis.WebSocket;
+
+    if (!WebSocketImpl) {
+      throw new Error('No WebSocket implementation available - pass the "WebSocket" option');
+    }
+
+    clearTimeout(this.timers.reconnect);
+    this.setState('connecting');
+
+    const socket = new WebSocketImpl(this.url());
+    this.socket = socket;
+
+    socket.onmessage = (event) => this.handleMessage(event.data);
+    socket.onclose = (event) => this.handleClose(socket, event.code);
+    socket.onerror = (error) => this.emit('error', error);
+
+    return this;
+  }
+
+  /**
+   * Close the socket without reconnecting
+   */
+  disconnect() {
+    this.clearTimers();
+    this.setState('disconnected');
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      this.socketId = null;
+      socket.close();
+    }
+  }
+
+  /**
+   * Send a Pusher protocol message, returning whether it was sent
+   */
+  send(event, data, channel) {
+    if (this.state !== 'connected') {
+      return false;
+    }
+
+    this.socket.send(JSON.stringify(channel ? { event, data, channel } : { event, data }));
+    return true;
+  }
+
+  /**
+   * Listen for a connection event
+   *
+   * Events: state_change ({ previous, current }), connected, message, error.
+   *
+   * @returns {Function} Removes the listener
+   */
+  on(event, callback) {
+    (this.listeners[event] ||= []).push(callback);
+
+    return () => {
+      this.listeners[event] = this.listeners[event].filter((listener) => listener !== callback);
+    };
+  }
+
+  /**
+   * Call the listeners of a connection event
+   */
+  emit(event, payload) {
+    for (const callback of this.listeners[event] || []) {
+      callback(payload);
+    }
+  }
+
+  /**
+   * Change the connection state
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    this.emit('state_change', { previous, current: state });
+  }
+
+  /**
+   * Handle a message from the server
+   */
+  handleMessage(raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+
+    message.data = parseData(message.data);
+    this.resetActivityTimer();
+
+    switch (message.event) {
+      case 'pusher:connection_established':
+        this.socketId = message.data.socket_id;
+        this.activityTimeout = Math.min(message.data.activity_timeout || Infinity, this.options.activityTimeout);
+        this.attempts = 0;
+        this.setState('connected');
+        this.resetActivityTimer();
+        this.emit('connected', this.socketId);
+        return;
+      case 'pusher:ping':
+        this.send('pusher:pong', {});
+        return;
+      case 'pusher:pong':
+        return;
+      case 'pusher:error':
+        this.emit('error', message.data);
+        return;
+      default:
+        this.emit('message', message);
+    }
+  }
+
+  /**
+   * Handle a closed socket, reconnecting unless the server refused the client
+   */
+  handleClose(socket, code) {
+    if (socket !== this.socket) {
+      return;
+    }
+
+    this.socket = null;
+    this.socketId = null;
+    this.clearTimers();
+
+    if (isFatalCloseCode(code)) {
+      this.setState('failed');
+      return;
+    }
+
+    this.setState('unavailable');
+    this.timers.reconnect = setTimeout(() => this.connect(), this.nextDelay());
+  }
+
+  /**
+   * Get the delay before the next reconnection attempt
+   */
+  nextDelay() {
+    const { initialDelay, maxDelay, multiplier } = this.options.reconnect;
+    const delay = Math.min(initialDelay * multiplier ** this.attempts, maxDelay);
+    this.attempts++;
+
+    return delay;
+  }
+
+  /**
+   * Ping the server after a silence, and reconnect when it does not answer
+   */
+  resetActivityTimer() {
+    clearTimeout(this.timers.activity);
+    clearTimeout(this.timers.pong);
+
+    if (this.state !== 'connected') {
+      return;
+    }
+
+    this.timers.activity = setTimeout(() => {
+      this.send('pusher:ping', {});
+      this.timers.pong = setTimeout(() => this.socket?.close(), this.options.pongTimeout * 1000);
+    }, this.activityTimeout * 1000);
+  }
+
+  /**
+   * Stop the ping and reconnection timers
+   */
+  clearTimers() {
+    for (const timer of Object.values(this.timers)) {
+      clearTimeout(timer);
+    }
+
+    this.timers = {};
+  }
+}
+
+export default Connection;
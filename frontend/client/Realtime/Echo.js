@@ -0,0 +1,184 @@
+/**
+ * Echo - realtime client
+ *
+ * Subscribes to the channels the app broadcasts on, over a Pusher-protocol
+ * server. Private and presence channels are authorized at the app's
+ * broadcasting auth endpoint, with the token of the API client created by
+ * createApiClient. Channels are joined again after a reconnection.
+ */
+
+import { getStorageItem } from '../Storage/LocalStorage.js';
+import { Connection } from './Connection.js';
+import { Channel, PrivateChannel, PresenceChannel } from './Channel.js';
+
+export class Echo {
+  /**
+   * @param {Object} options - Connection options (see Connection), and:
+   * @param {import('axios').AxiosInstance} [options.client] - API client posting auth requests
+   * @param {string} [options.authEndpoint='/broadcasting/auth'] - Channel authorization endpoint
+   * @param {string} [options.tokenKey] - Storage key of the auth token, when no client is given
+   * @param {Function} [options.authorizer] - Custom authorization: (channelName, socketId) => { auth, channel_data }
+   * @param {boolean} [options.autoConnect=true] - Connect immediately
+   */
+  constructor(options) {
+    this.options = { authEndpoint: '/broadcasting/auth', autoConnect: true, ...options };
+    this.channels = {};
+    this.connection = new Connection(this.options);
+
+    this.connection.on('connected', () => {
+      for (const channel of Object.values(this.channels)) {
+        channel.subscribe();
+      }
+    });
+    this.connection.on('state_change', ({ current }) => {
+      if (current !== 'connected') {
+        for (const channel of Object.values(this.channels)) {
+          channel.isSubscribed = false;
+        }
+      }
+    });
+    this.connection.on('message', (message) => this.channels[message.channel]?.handle(message));
+
+    // Let the app leave the sender out of the events its requests broadcast
+    this.options.client?.interceptors?.request.use((requestConfig) => {
+      const socketId = this.socketId();
+      if (socketId) {
+        requestConfig.headers['X-Socket-ID'] = socketId;
+      }
+      return requestConfig;
+    });
+
+    if (this.options.autoConnect) {
+      this.connect();
+    }
+  }
+
+  /**
+   * Open the connection
+   */
+  connect() {
+    this.connection.connect();
+    return this;
+  }
+
+  /**
+   * Close the connection
+   */
+  disconnect() {
+    this.connection.disconnect();
+  }
+
+  /**
+   * Get the socket id of the connection, or null while disconnected
+   */
+  socketId() {
+    return this.connection.socketId;
+  }
+
+  /**
+   * Get a public channel, subscribing to it
+   */
+  channel(name) {
+    return this.subscribe(name, Channel);
+  }
+
+  /**
+   * Get a private channel, e.g. private('orders.42') for "private-orders.42"
+   */
+  private(name) {
+    return this.subscribe(`private-${name}`, PrivateChannel);
+  }
+
+  /**
+   * Get a presence channel, e.g. join('chat.1') for "presence-chat.1"
+   */
+  join(name) {
+    return this.subscribe(`presence-${name}`, PresenceChannel);
+  }
+
+  /**
+   * Leave the public, private and presence channels of a name
+   */
+  leave(name) {
+    for (const fullName of [name, `private-${name}`, `presence-${name}`]) {
+      this.leaveChannel(fullName);
+    }
+  }
+
+  /**
+   * Leave a channel by its full name
+   */
+  leaveChannel(fullName) {
+    this.channels[fullName]?.unsubscribe();
+    delete this.channels[fullName];
+  }
+
+  /**
+   * Get a channel, creating and subscribing to it when it is new
+   */
+  subscribe(fullName, ChannelClass) {
+    if (!this.channels[fullName]) {
+      this.channels[fullName] = new ChannelClass(fullName, this);
+
+      if (this.connection.state === 'connected') {
+        this.channels[fullName].subscribe();
+      }
+    }
+
+    return this.channels[fullName];
+  }
+
+  /**
+   * Authorize a private or presence channel for a socket
+   *
+   * @returns {Promise<{auth: string, channel_data?: string}>}
+   */
+  async authorize(channelName, socketId) {
+    const { authorizer, client, authEndpoint, tokenKey } = this.options;
+    const body = { socket_id: socketId, channel_name: channelName };
+
+    if (authorizer) {
+      return authorizer(channelName, socketId);
+    }
+
+    if (client) {
+      const response = await client.post(authEndpoint, body);
+      return response.data;
+    }
+
+    const token = tokenKey ? getStorageItem(tokenKey) : null;
+    const response = await fetch(authEndpoint, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`Unable to authorize channel [${channelName}]`), { status: response.status });
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Create an Echo client
+ *
+ * @param {Object} options - See Echo
+ * @returns {Echo}
+ *
+ * @example
+ * const api = createApiClient({ baseURL: '/api', tokenKey: 'auth_token' });
+ * const echo = createEcho({ key: 'app-key', wsHost: 'ws.example.com', client: api, authEndpoint: '/broadcasting/auth' });
+ *
+ * echo.private('orders.42').listen('OrderShipped', (order) => console.log(order));
+ */
+export function createEcho(options) {
+  return new Echo(options);
+}
+
+export default Echo;
@@ -0,0 +1,8 @@
+/**
+ * Realtime channels over a Pusher-protocol server
+ * @module Realtime
+ */
+
+export { Echo, createEcho } from './Echo.js';
+export { Connection } from './Connection.js';
+export { Channel, PrivateChannel, PresenceChannel } from './Channel.js';
@@ -25,6 +25,9 @@ export {
 // Storage utilities
 export { storage } from './Storage/index.js';
 
+// Realtime channels
+export { Echo, createEcho, Channel, PrivateChannel, PresenceChannel } from './Realtime/index.js';
+
 // Alert utilities
 export { showSuccess, showError, showInfo, showWarning, showConfirm } from './Alerts/index.js';
 
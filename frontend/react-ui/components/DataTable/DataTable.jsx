@@ -11,6 +11,7 @@
  * - Action buttons (edit/view/delete/switch)
  * - Loading and empty states
  * - URL-based state persistence (page, sort, filters in query params)
+ * - Live updates from a realtime channel (within EchoProvider)
  * 
  * @module components/DataTable
  */
@@ -21,6 +22,7 @@ import { Filters } from "./Filters.jsx";
 import { TableHeader } from "./TableHeader.jsx";
 import { TableState } from "./TableState.jsx";
 import { Pagination } from "./Pagination.jsx";
+import { useListen } from "../../hooks/useListen.js";
 
 // Conditional import for React Router (optional dependency)
 let useSearchParamsHook = null;
@@ -58,6 +60,7 @@ try {
  * @param {number} props.initialLimit - Initial rows per page
  * @param {string} props.emptyText - Text to show when no data
  * @param {boolean} props.persistState - Enable URL state persistence (default: true)
+ * @param {Object} props.live - Refetch on realtime events: { channel, events, type } (requires EchoProvider)
  */
 
 // URL params that DataTable owns — all other params (e.g. trashed) are preserved as-is
@@ -85,6 +88,7 @@ export function DataTable(props) {
     onToggle,
     api, // API client instance passed as prop
     persistState = true, // Enable URL-based state persistence by default
+    live, // { channel: 'orders', events: ['OrderCreated', 'OrderUpdated'], type: 'private' }
   } = props;
 
   // Validate that api client is provided
@@ -360,6 +364,9 @@ export function DataTable(props) {
     }
   }, [refreshKey, fetchData]);
 
+  // Refetch the current page when the live channel broadcasts a change
+  useListen(live?.channel, live?.events, () => setRefreshKey((k) => k + 1), { type: live?.type });
+
   const handleSort = (field) => {
     if (sortBy === field) {
       setSortOrder((prev) => (prev === "asc" ? "desc" : "asc"));
@@ -1,3 +1,4 @@
+import { useState, useEffect } from 'react';
 import {
     FiPackage,
     FiCheckCircle,
@@ -9,6 +10,7 @@ import {
     FiShield,
     FiShoppingBag
 } from 'react-icons/fi';
+import { useListen } from '../../hooks/useListen.js';
 
 /**
  * Format date and time for display
@@ -28,12 +30,42 @@ const formatDateTime = (dateString) => {
     return date.toLocaleDateString('en-IN', options);
 };
 
+const EMPTY_HISTORY = [];
+
+/**
+ * Apply a realtime event to the status history
+ * The payload carries the whole history (statusHistory, or model.statusHistory
+ * for broadcast model events) or one new entry
+ */
+const applyLiveUpdate = (history, payload) => {
+    const replaced = payload?.statusHistory || payload?.model?.statusHistory;
+
+    if (Array.isArray(replaced)) {
+        return replaced;
+    }
+
+    return payload?.entry ? [...history, payload.entry] : history;
+};
+
 /**
  * OrderTimeline Component
  * Displays order status history in a vertical timeline format
  * Shows who made the change, when, and any notes
+ *
+ * Pass `live={{ channel: 'Order.42', events: ['OrderUpdated'] }}` to update
+ * the timeline from a realtime channel (requires EchoProvider).
  */
-export const OrderTimeline = ({ statusHistory = [], compact = false }) => {
+export const OrderTimeline = ({ statusHistory: initialHistory = EMPTY_HISTORY, compact = false, live }) => {
+    const [statusHistory, setStatusHistory] = useState(initialHistory);
+
+    useEffect(() => {
+        setStatusHistory(initialHistory);
+    }, [initialHistory]);
+
+    useListen(live?.channel, live?.events, (payload) => {
+        setStatusHistory((history) => (live.transform || applyLiveUpdate)(history || [], payload));
+    }, { type: live?.type });
+
     if (!statusHistory || statusHistory.length === 0) {
         return (
             <div className="text-sm text-gray-500 text-center py-4">
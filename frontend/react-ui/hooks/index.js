@@ -15,3 +15,7 @@ export { useFocusTrap } from './useFocusTrap.js';
 export { useAnnouncer } from './useAnnouncer.js';
 export { useKeyboardNavigation } from './useKeyboardNavigation.js';
 export { useListNavigation } from './useListNavigation.js';
+export { useEcho } from './useEcho.js';
+export { useChannel } from './useChannel.js';
+export { useListen } from './useListen.js';
+export { usePresence } from './usePresence.js';
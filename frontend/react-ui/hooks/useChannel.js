@@ -0,0 +1,62 @@
+/**
+ * useChannel Hook
+ *
+ * React hook for subscribing to a realtime channel while a component is mounted.
+ *
+ * @module hooks/useChannel
+ */
+
+import { useState, useEffect } from 'react';
+import { useEchoContext } from '../providers/EchoProvider.jsx';
+
+const SUBSCRIBE_METHODS = {
+  public: 'channel',
+  private: 'private',
+  presence: 'join',
+};
+
+/**
+ * Hook to subscribe to a channel
+ *
+ * The channel is left when the last component using it unmounts.
+ * Outside EchoProvider, or without a name, no channel is joined.
+ *
+ * @param {string|null} name - Channel name without prefix, e.g. 'orders.42'
+ * @param {Object} [options]
+ * @param {string} [options.type='private'] - 'public', 'private' or 'presence'
+ * @returns {Object|null} The channel once subscribed, or null
+ *
+ * @example
+ * function OrderChat({ orderId }) {
+ *   const channel = useChannel(`orders.${orderId}`);
+ *
+ *   return <button onClick={() => channel?.whisper('typing', {})}>Typing</button>;
+ * }
+ */
+export function useChannel(name, { type = 'private' } = {}) {
+  const echo = useEchoContext()?.echo;
+  const [channel, setChannel] = useState(null);
+
+  if (!SUBSCRIBE_METHODS[type]) {
+    throw new Error(`Unknown channel type "${type}" - use public, private or presence`);
+  }
+
+  useEffect(() => {
+    if (!echo || !name) {
+      setChannel(null);
+      return undefined;
+    }
+
+    const subscribed = echo[SUBSCRIBE_METHODS[type]](name);
+    subscribed.retain();
+    setChannel(subscribed);
+
+    return () => {
+      if (subscribed.release() === 0) {
+        echo.leaveChannel(subscribed.name);
+      }
+    };
+  }, [echo, name, type]);
+
+  return channel;
+}
@@ -0,0 +1,32 @@
+/**
+ * useEcho Hook
+ *
+ * React hook for accessing the realtime (Echo) client.
+ * Must be used within EchoProvider.
+ *
+ * @module hooks/useEcho
+ */
+
+import { useEchoContext } from '../providers/EchoProvider.jsx';
+
+/**
+ * Hook to access the Echo client
+ *
+ * @returns {Object} Echo instance from @vasuzex/client
+ *
+ * @example
+ * function NotifyButton() {
+ *   const echo = useEcho();
+ *
+ *   return <button onClick={() => echo.private('chat.1').whisper('typing', {})}>Ping</button>;
+ * }
+ */
+export function useEcho() {
+  const context = useEchoContext();
+
+  if (!context) {
+    throw new Error('useEcho must be used within EchoProvider');
+  }
+
+  return context.echo;
+}
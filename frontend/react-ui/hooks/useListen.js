@@ -0,0 +1,59 @@
+/**
+ * useListen Hook
+ *
+ * React hook for handling the events broadcast on a realtime channel.
+ *
+ * @module hooks/useListen
+ */
+
+import { useEffect, useRef } from 'react';
+import { useChannel } from './useChannel.js';
+
+/**
+ * Hook to listen for channel events
+ *
+ * The latest callback is called, so it may change between renders
+ * without subscribing again.
+ *
+ * @param {string|null} name - Channel name without prefix, e.g. 'orders.42'
+ * @param {string|string[]} events - Event name(s), e.g. 'OrderShipped'
+ * @param {Function} callback - Receives the event payload and name
+ * @param {Object} [options]
+ * @param {string} [options.type='private'] - 'public', 'private' or 'presence'
+ * @returns {Object|null} The channel once subscribed, or null
+ *
+ * @example
+ * function OrderStatus({ order }) {
+ *   const [status, setStatus] = useState(order.status);
+ *
+ *   useListen(`Order.${order.id}`, 'OrderUpdated', ({ model }) => setStatus(model.status));
+ *
+ *   return <span>{status}</span>;
+ * }
+ */
+export function useListen(name, events, callback, options = {}) {
+  const channel = useChannel(name, options);
+  const callbackRef = useRef(callback);
+  const eventNames = [].concat(events || []);
+  const eventsKey = eventNames.join(',');
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  useEffect(() => {
+    if (!channel) return undefined;
+
+    const handlers = eventNames.map((event) => {
+      const handler = (payload) => callbackRef.current?.(payload, event);
+      channel.listen(event, handler);
+      return [event, handler];
+    });
+
+    return () => {
+      handlers.forEach(([event, handler]) => channel.stopListening(event, handler));
+    };
+  }, [channel, eventsKey]);
+
+  return channel;
+}
@@ -0,0 +1,49 @@
+/**
+ * usePresence Hook
+ *
+ * React hook for joining a presence channel and tracking its members.
+ *
+ * @module hooks/usePresence
+ */
+
+import { useState, useEffect } from 'react';
+import { useChannel } from './useChannel.js';
+
+/**
+ * Hook to join a presence channel
+ *
+ * @param {string|null} name - Channel name without prefix, e.g. 'chat.1'
+ * @returns {{members: Array, channel: Object|null}} Member infos and the channel
+ *
+ * @example
+ * function WhoIsHere({ roomId }) {
+ *   const { members } = usePresence(`chat.${roomId}`);
+ *
+ *   return <ul>{members.map((member) => <li key={member.id}>{member.name}</li>)}</ul>;
+ * }
+ */
+export function usePresence(name) {
+  const channel = useChannel(name, { type: 'presence' });
+  const [members, setMembers] = useState([]);
+
+  useEffect(() => {
+    if (!channel) {
+      setMembers([]);
+      return undefined;
+    }
+
+    const update = () => setMembers(channel.memberList());
+    update();
+
+    channel.here(update).joining(update).leaving(update);
+
+    return () => {
+      channel
+        .stopListening('presence:here', update)
+        .stopListening('presence:joining', update)
+        .stopListening('presence:leaving', update);
+    };
+  }, [channel]);
+
+  return { members, channel };
+}
@@ -0,0 +1,73 @@
+/**
+ * EchoProvider
+ *
+ * Provider for the realtime (Echo) client.
+ *
+ * @module providers/EchoProvider
+ */
+
+import { createContext, useContext, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Echo } from '../../client/Realtime/index.js';
+import { useApiClientContext } from './ApiClientProvider.jsx';
+
+const EchoContext = createContext(null);
+
+/**
+ * Provider component for the realtime client
+ *
+ * Private and presence channels are authorized with the client of the
+ * surrounding ApiClientProvider, so they carry its auth token.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ * @param {Object} [props.options] - Echo options (key, wsHost, wsPort, forceTLS, authEndpoint, ...)
+ * @param {Object} [props.echo] - An Echo instance to use instead of creating one
+ *
+ * @example
+ * <ApiClientProvider baseURL="/api">
+ *   <EchoProvider options={{ key: 'app-key', wsHost: 'ws.example.com', wsPort: 6001 }}>
+ *     <App />
+ *   </EchoProvider>
+ * </ApiClientProvider>
+ */
+export function EchoProvider({ children, options = {}, echo: providedEcho = null }) {
+  const apiContext = useApiClientContext();
+  const [echo] = useState(() => providedEcho || new Echo({
+    client: apiContext?.client,
+    ...options,
+    autoConnect: false,
+  }));
+
+  // Connect while mounted (only the client created here)
+  useEffect(() => {
+    if (providedEcho) return undefined;
+
+    echo.connect();
+    return () => echo.disconnect();
+  }, [echo, providedEcho]);
+
+  return (
+    <EchoContext.Provider value={{ echo }}>
+      {children}
+    </EchoContext.Provider>
+  );
+}
+
+EchoProvider.propTypes = {
+  /** Child components */
+  children: PropTypes.node.isRequired,
+  /** Echo client options */
+  options: PropTypes.object,
+  /** Existing Echo instance */
+  echo: PropTypes.object,
+};
+
+/**
+ * Hook to access Echo context
+ *
+ * @returns {{echo: Object}|null} Context with the Echo instance
+ */
+export function useEchoContext() {
+  return useContext(EchoContext);
+}
@@ -9,3 +9,4 @@
 export { VasuzexProvider } from './VasuzexProvider.jsx';
 export { AppConfigProvider, useAppConfigContext } from './AppConfigProvider.jsx';
 export { ApiClientProvider, useApiClientContext } from './ApiClientProvider.jsx';
+export { EchoProvider, useEchoContext } from './EchoProvider.jsx';
@@ -0,0 +1,119 @@
+/**
+ * Tests for useChannel, useListen and usePresence hooks
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useChannel } from '../../hooks/useChannel.js';
+import { useListen } from '../../hooks/useListen.js';
+import { usePresence } from '../../hooks/usePresence.js';
+import { useEcho } from '../../hooks/useEcho.js';
+import { EchoProvider } from '../../providers/EchoProvider.jsx';
+import { Echo } from '../../../client/Realtime/index.js';
+
+const createEcho = () => {
+  const echo = new Echo({ key: 'app-key', autoConnect: false });
+  vi.spyOn(echo, 'leaveChannel');
+  return echo;
+};
+
+const createWrapper = (echo) => ({ children }) => (
+  <EchoProvider echo={echo}>{children}</EchoProvider>
+);
+
+describe('useEcho', () => {
+  it('should throw error when used outside EchoProvider', () => {
+    expect(() => {
+      renderHook(() => useEcho());
+    }).toThrow('useEcho must be used within EchoProvider');
+  });
+});
+
+describe('useChannel', () => {
+  it('should do nothing outside EchoProvider', () => {
+    const { result } = renderHook(() => useChannel('orders.1'));
+
+    expect(result.current).toBeNull();
+  });
+
+  it('should share a channel and leave it after the last unmount', () => {
+    const echo = createEcho();
+    const wrapper = createWrapper(echo);
+
+    const first = renderHook(() => useChannel('orders.1'), { wrapper });
+    const second = renderHook(() => useChannel('orders.1'), { wrapper });
+
+    expect(first.result.current.name).toBe('private-orders.1');
+    expect(second.result.current).toBe(first.result.current);
+
+    first.unmount();
+    expect(echo.leaveChannel).not.toHaveBeenCalled();
+
+    second.unmount();
+    expect(echo.leaveChannel).toHaveBeenCalledWith('private-orders.1');
+  });
+});
+
+describe('useListen', () => {
+  it('should call the latest callback with the event payload', () => {
+    const echo = createEcho();
+    const first = vi.fn();
+    const latest = vi.fn();
+
+    const { result, rerender } = renderHook(
+      ({ callback }) => useListen('dashboard', ['OrderCreated', 'OrderUpdated'], callback, { type: 'public' }),
+      { wrapper: createWrapper(echo), initialProps: { callback: first } }
+    );
+
+    rerender({ callback: latest });
+
+    act(() => {
+      result.current.handle({ event: 'OrderUpdated', data: { id: 3 } });
+    });
+
+    expect(first).not.toHaveBeenCalled();
+    expect(latest).toHaveBeenCalledWith({ id: 3 }, 'OrderUpdated');
+  });
+
+  it('should stop listening on unmount', () => {
+    const echo = createEcho();
+    const callback = vi.fn();
+    const channel = echo.channel('dashboard');
+    channel.retain();
+
+    const { unmount } = renderHook(() => useListen('dashboard', 'OrderCreated', callback, { type: 'public' }), {
+      wrapper: createWrapper(echo),
+    });
+
+    unmount();
+    channel.handle({ event: 'OrderCreated', data: {} });
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
+
+describe('usePresence', () => {
+  it('should track the members of a presence channel', () => {
+    const echo = createEcho();
+
+    const { result } = renderHook(() => usePresence('chat.1'), { wrapper: createWrapper(echo) });
+
+    act(() => {
+      result.current.channel.handle({
+        event: 'pusher_internal:subscription_succeeded',
+        data: { presence: { ids: ['1'], hash: { 1: { name: 'Asha' } } } },
+      });
+    });
+    expect(result.current.members).toEqual([{ name: 'Asha' }]);
+
+    act(() => {
+      result.current.channel.handle({ event: 'pusher_internal:member_added', data: { user_id: '2', user_info: { name: 'Ravi' } } });
+    });
+    expect(result.current.members).toEqual([{ name: 'Asha' }, { name: 'Ravi' }]);
+
+    act(() => {
+      result.current.channel.handle({ event: 'pusher_internal:member_removed', data: { user_id: '1' } });
+    });
+    expect(result.current.members).toEqual([{ name: 'Ravi' }]);
+  });
+});
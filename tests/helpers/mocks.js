@@ -176,6 +176,199 @@ export class MockStorageDriver {
   }
 }
 
+const operators = {
+  '=': (a, b) => a === b,
+  '>': (a, b) => a > b,
+  in: (a, b) => b.includes(a),
+};
+
+/**
+ * In-memory tables for relation tests
+ *
+ * Every get() records '<table>:<where columns>' in `queries`.
+ */
+export class MockDatabase {
+  constructor(tables = {}) {
+    this.tables = tables;
+    this.queries = [];
+  }
+
+  table(name, ModelClass = null) {
+    return new MockQuery(this, name, ModelClass);
+  }
+}
+
+export class MockQuery {
+  constructor(db, table, ModelClass = null) {
+    this.db = db;
+    this.table = table;
+    this.ModelClass = ModelClass;
+    this.wheres = [];
+  }
+
+  where(column, operator, value) {
+    this.wheres.push(value === undefined ? [column, '=', operator] : [column, operator, value]);
+    return this;
+  }
+
+  whereIn(column, values) {
+    this.wheres.push([column, 'in', values]);
+    return this;
+  }
+
+  rows() {
+    return this.db.tables[this.table].filter(row =>
+      this.wheres.every(([column, operator, value]) => operators[operator](row[column], value))
+    );
+  }
+
+  async get() {
+    this.db.queries.push(`${this.table}:${this.wheres.map(([column]) => column).join(',')}`);
+    return this.rows().map(row => (this.ModelClass ? new this.ModelClass(row, true) : { ...row }));
+  }
+
+  async first() {
+    return (await this.get())[0] || null;
+  }
+
+  async insert(records) {
+    this.db.tables[this.table].push(...records);
+  }
+}
+
+/**
+ * Model reading its table from MockModel.db
+ */
+export class MockModel {
+  static primaryKey = 'id';
+  static db = null;
+
+  static query() {
+    return MockModel.db.table(this.table, this);
+  }
+
+  constructor(attributes = {}, exists = false) {
+    this.attributes = attributes;
+    this.relations = {};
+    this.exists = exists;
+  }
+
+  getConnection() {
+    return MockModel.db;
+  }
+
+  getAttribute(key) {
+    return this.attributes[key];
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+  }
+
+  setRelation(name, value) {
+    this.relations[name] = value;
+    return this;
+  }
+
+  relationLoaded(name) {
+    return this.relations[name] !== undefined;
+  }
+}
+
+/**
+ * pg pool keeping the rows of models in in-memory tables
+ *
+ * Assign it to a guruorm connection so models run their real query builders:
+ * db.pool = db.client = db._readPool = memoryPool(tables);
+ *
+ * Like pgsql, comparing the integer "id" column with a non-numeric value
+ * throws a 22P02 error.
+ */
+export function memoryPool(tables) {
+  const where = (rows, clause = '', bindings) => {
+    const conditions = [...clause.matchAll(/"(\w+)" (=|>|in) (?:\$(\d+)|\(([$\d, ]+)\))/g)];
+
+    return rows.filter(row => conditions.every(([, column, operator, index, list]) => {
+      const values = operator === 'in'
+        ? list.split(', ').map(placeholder => bindings[placeholder.slice(1) - 1])
+        : [bindings[index - 1]];
+
+      const invalid = column === 'id' ? values.find(value => !/^\d+$/.test(value)) : undefined;
+
+      if (invalid !== undefined) {
+        throw Object.assign(new Error(`invalid input syntax for type bigint: "${invalid}"`), { code: '22P02' });
+      }
+
+      if (operator === 'in') {
+        return values.map(String).includes(String(row[column]));
+      }
+
+      return operator === '=' ? String(row[column]) === String(values[0]) : row[column] > values[0];
+    }));
+  };
+
+  return {
+    query: async (sql, bindings = []) => {
+      let match;
+
+      if ((match = sql.match(/^insert into "(\w+)" \((.+)\) values \(.+\) returning "id"$/))) {
+        const rows = tables[match[1]];
+        const row = { id: rows.length + 1 };
+        match[2].split(', ').forEach((column, index) => { row[column.slice(1, -1)] = bindings[index]; });
+        rows.push(row);
+        return { rows: [{ id: row.id }], rowCount: 1 };
+      }
+
+      if ((match = sql.match(/^update "(\w+)" set (.+) where (.+)$/))) {
+        const assignments = [...match[2].matchAll(/"(\w+)" = \$(\d+)/g)];
+        const rows = where(tables[match[1]], match[3], bindings);
+        rows.forEach(row => assignments.forEach(([, column, index]) => { row[column] = bindings[index - 1]; }));
+        return { rows: [], rowCount: rows.length };
+      }
+
+      if ((match = sql.match(/^delete from "(\w+)" where (.+)$/))) {
+        const rows = where(tables[match[1]], match[2], bindings);
+        tables[match[1]] = tables[match[1]].filter(row => !rows.includes(row));
+        return { rows: [], rowCount: rows.length };
+      }
+
+      if ((match = sql.match(/^select \* from "(\w+)"(?: where (.+?))?(?: order by "(\w+)" (asc|desc))?(?: limit (\d+))?$/))) {
+        const [, table, clause, column, direction, limit] = match;
+        const rows = where(tables[table], clause, bindings);
+
+        if (column) {
+          rows.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (direction === 'desc' ? -1 : 1));
+        }
+
+        return { rows: rows.slice(0, limit ? Number(limit) : undefined).map(row => ({ ...row })), rowCount: rows.length };
+      }
+
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+    end: async () => {},
+  };
+}
+
+/**
+ * pg pool answering every statement with the given callback
+ *
+ * respond(client, sql, bindings) returns the result or throws. The pool
+ * itself is the 'pool' client; connect() hands out 'client1', 'client2', ...
+ * and release(client) is called when one is released.
+ */
+export function callbackPool(respond, release = () => {}) {
+  let clients = 0;
+
+  return {
+    connect: async () => {
+      const id = `client${++clients}`;
+      return { query: async (sql, bindings) => respond(id, sql, bindings), release: () => release(id) };
+    },
+    query: async (sql, bindings) => respond('pool', sql, bindings),
+    end: async () => {},
+  };
+}
+
 export default {
   MockFile,
   MockRequest,
@@ -183,4 +376,9 @@ export default {
   MockApplication,
   MockSMSProvider,
   MockStorageDriver,
+  MockDatabase,
+  MockQuery,
+  MockModel,
+  memoryPool,
+  callbackPool,
 };
@@ -0,0 +1,166 @@
+/**
+ * Personal Access Token Tests
+ *
+ * Test Coverage:
+ * - createToken() storing hashed tokens with abilities and expiry
+ * - TokenGuard authenticating '<id>|<secret>' tokens, with last-used tracking
+ * - rejecting unknown, malformed, expired and other models' tokens
+ * - revoking one or all tokens
+ * - abilities / ability middleware
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PostgresConnection } from 'guruorm';
+import Model from '../../../framework/Database/Model.js';
+import { HasApiTokens, PersonalAccessToken, NewAccessToken } from '../../../framework/Auth/Tokens/index.js';
+import { TokenGuard } from '../../../framework/Auth/Guards/TokenGuard.js';
+import { abilities, ability } from '../../../framework/Http/Middleware/CheckAbilities.js';
+import { memoryPool } from '../../helpers/mocks.js';
+
+let tables;
+
+class User extends HasApiTokens(Model) {
+  static table = 'users';
+  static guarded = [];
+}
+
+class Admin extends HasApiTokens(Model) {
+  static table = 'admins';
+  static guarded = [];
+}
+
+/**
+ * Send a request with a bearer token through the guard and a middleware
+ */
+async function request(guard, token, middleware = null) {
+  const req = { query: {}, body: {}, headers: { authorization: `Bearer ${token}` } };
+  let status = 200;
+
+  guard.setRequest(req);
+  req.user = await guard.user();
+
+  if (middleware) {
+    await middleware(req, {}, (error) => { status = error ? error.statusCode : 200; });
+  }
+
+  return { user: req.user, status };
+}
+
+describe('Personal access tokens', () => {
+  let user;
+  let guard;
+
+  beforeEach(async () => {
+    tables = { users: [], admins: [], personal_access_tokens: [] };
+
+    const db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = memoryPool(tables);
+
+    Model.setConnectionResolver({ connection: () => db });
+
+    user = await User.create({ name: 'Taylor' });
+    guard = new TokenGuard({
+      retrieveById: (id) => User.find(id),
+      retrieveByCredentials: async () => null,
+    }).usePersonalAccessTokens(PersonalAccessToken);
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+  });
+
+  test('should create hashed tokens with abilities', async () => {
+    const expiresAt = new Date(Date.now() + 60_000);
+    const token = await user.createToken('cli', ['orders:read'], expiresAt);
+    const [id, secret] = token.plainTextToken.split('|');
+
+    expect(token).toBeInstanceOf(NewAccessToken);
+    expect(id).toBe('1');
+    expect(tables.personal_access_tokens[0]).toMatchObject({
+      tokenable_type: 'User',
+      tokenable_id: 1,
+      name: 'cli',
+      token: PersonalAccessToken.hashToken(secret),
+      abilities: '["orders:read"]',
+    });
+    expect(tables.personal_access_tokens[0].token).not.toContain(secret);
+    expect(token.accessToken.toJSON()).not.toHaveProperty('token');
+  });
+
+  test('should authenticate requests with a token and track its last use', async () => {
+    const { plainTextToken } = await user.createToken('phone', ['orders:read']);
+    const { user: authenticated } = await request(guard, plainTextToken);
+
+    expect(authenticated.getKey()).toBe(1);
+    expect(authenticated.currentAccessToken().getAttribute('name')).toBe('phone');
+    expect(authenticated.tokenCan('orders:read')).toBe(true);
+    expect(authenticated.tokenCan('orders:write')).toBe(false);
+    expect(tables.personal_access_tokens[0].last_used_at).toBeInstanceOf(Date);
+    expect(user.tokenCan('orders:read')).toBe(false);
+  });
+
+  test('should reject unknown and tampered tokens', async () => {
+    const { plainTextToken } = await user.createToken('phone');
+
+    expect((await request(guard, `${plainTextToken}x`)).user).toBeNull();
+    expect((await request(guard, '9|secret')).user).toBeNull();
+    expect((await request(guard, `2|${plainTextToken.split('|')[1]}`)).user).toBeNull();
+  });
+
+  test('should reject tokens with a malformed id', async () => {
+    const { plainTextToken } = await user.createToken('phone');
+    const secret = plainTextToken.split('|')[1];
+
+    expect(await PersonalAccessToken.findToken(`abc|${secret}`)).toBeNull();
+    expect(await PersonalAccessToken.findToken(`1.0|${secret}`)).toBeNull();
+    expect((await request(guard, 'abc|x')).user).toBeNull();
+  });
+
+  test('should reject expired tokens', async () => {
+    const expired = await user.createToken('old', ['*'], new Date(Date.now() - 1000));
+    const fresh = await user.createToken('new');
+
+    expect((await request(guard, expired.plainTextToken)).user).toBeNull();
+    expect((await request(guard, fresh.plainTextToken)).user).not.toBeNull();
+
+    tables.personal_access_tokens[1].created_at = new Date(Date.now() - 61 * 60 * 1000);
+    guard.usePersonalAccessTokens(PersonalAccessToken, 60);
+
+    expect((await request(guard, fresh.plainTextToken)).user).toBeNull();
+  });
+
+  test('should reject the tokens of other models with the same id', async () => {
+    const admin = await Admin.create({ name: 'Root' });
+    const { plainTextToken } = await admin.createToken('admin');
+
+    expect((await request(guard, plainTextToken)).user).toBeNull();
+  });
+
+  test('should revoke one or all tokens', async () => {
+    const phone = await user.createToken('phone');
+    const laptop = await user.createToken('laptop');
+    const other = await (await User.create({ name: 'Other' })).createToken('other');
+
+    expect(await user.revokeToken(phone.accessToken.getKey())).toBe(true);
+    expect(await user.revokeToken(other.accessToken.getKey())).toBe(false);
+    expect((await request(guard, phone.plainTextToken)).user).toBeNull();
+    expect((await request(guard, laptop.plainTextToken)).user).not.toBeNull();
+
+    await user.revokeAllTokens();
+
+    expect((await request(guard, laptop.plainTextToken)).user).toBeNull();
+    expect(tables.personal_access_tokens.map(token => token.name)).toEqual(['other']);
+  });
+
+  test('should check the abilities of the token', async () => {
+    const { plainTextToken } = await user.createToken('cli', ['orders:read']);
+    const { plainTextToken: admin } = await user.createToken('admin', ['*']);
+
+    expect((await request(guard, plainTextToken, abilities('orders:read'))).status).toBe(200);
+    expect((await request(guard, plainTextToken, abilities('orders:read', 'orders:write'))).status).toBe(403);
+    expect((await request(guard, plainTextToken, ability('orders:read', 'orders:write'))).status).toBe(200);
+    expect((await request(guard, admin, abilities('orders:read', 'orders:write'))).status).toBe(200);
+    expect((await request(guard, 'invalid', abilities('orders:read'))).status).toBe(401);
+  });
+});
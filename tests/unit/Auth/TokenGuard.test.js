@@ -34,7 +34,7 @@ describe('TokenGuard', () => {
       expect(guard.storageKey).toBe('api_token');
       expect(guard.hash).toBe(false);
       expect(guard.request).toBeNull();
-      expect(guard.user).toBeNull();
+      expect(guard.currentUser).toBeNull();
     });
 
     it('should initialize with custom parameters', () => {
@@ -47,8 +47,8 @@ describe('TokenGuard', () => {
   });
 
   describe('User Retrieval', () => {
-    it('should initialize with null user property', () => {
-      expect(guard.user).toBeNull();
+    it('should initialize with null current user', () => {
+      expect(guard.currentUser).toBeNull();
     });
 
     it('should have user method defined', () => {
@@ -337,7 +337,7 @@ describe('TokenGuard', () => {
       const user = { id: 1, name: 'John' };
       const result = guard.setUser(user);
 
-      expect(guard.user).toBe(user);
+      expect(guard.currentUser).toBe(user);
       expect(result).toBe(guard);
     });
 
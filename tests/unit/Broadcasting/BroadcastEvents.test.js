@@ -0,0 +1,204 @@
+/**
+ * Broadcast Event Tests
+ *
+ * Test Coverage:
+ * - events implementing broadcastOn() are broadcast on dispatch
+ * - broadcastAs(), broadcastWith(), broadcastWhen() and broadcastNow
+ * - BroadcastEvent jobs when a queue is registered
+ * - model events of models declaring broadcastsEvents
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventDispatcher } from '../../../framework/Services/Events/EventDispatcher.js';
+import { BroadcastManager } from '../../../framework/Broadcasting/BroadcastManager.js';
+import { BroadcastEvent } from '../../../framework/Broadcasting/BroadcastEvent.js';
+import { PrivateChannel } from '../../../framework/Broadcasting/Channels.js';
+import { Facade } from '../../../framework/Support/Facades/Facade.js';
+import { Model } from '../../../framework/Database/Model.js';
+import { DatabaseTransactionsManager } from '../../../framework/Database/DatabaseTransactionsManager.js';
+
+class OrderShipped {
+  constructor(order) {
+    this.order = order;
+    this.queue = 'broadcasts';
+  }
+
+  broadcastOn() {
+    return [new PrivateChannel(`orders.${this.order.id}`), 'dashboard'];
+  }
+}
+
+class OrderStatusChanged extends OrderShipped {
+  static broadcastNow = true;
+
+  broadcastAs() {
+    return 'order.status';
+  }
+
+  broadcastWith() {
+    return { id: this.order.id, status: this.order.status };
+  }
+
+  broadcastWhen() {
+    return this.order.status !== 'draft';
+  }
+}
+
+class Order extends Model {
+  static table = 'orders';
+  static guarded = [];
+  static broadcastsEvents = true;
+}
+
+class Invoice extends Model {
+  static table = 'invoices';
+  static guarded = [];
+  static broadcastsEvents = ['created'];
+
+  broadcastOn(event) {
+    return [`invoices.${this.getAttribute('customer_id')}`];
+  }
+
+  broadcastWith(event) {
+    return { id: this.getKey(), event };
+  }
+}
+
+describe('Broadcast events', () => {
+  let sent;
+  let pushed;
+  let bindings;
+  let events;
+
+  beforeEach(() => {
+    sent = [];
+    pushed = [];
+
+    const config = {
+      'broadcasting.default': 'fake',
+      'broadcasting.connections.fake': { driver: 'fake' },
+    };
+
+    bindings = {
+      config: { get: (key, value) => config[key] ?? value },
+    };
+
+    const app = {
+      has: key => key in bindings,
+      make: key => bindings[key],
+    };
+
+    bindings.broadcast = new BroadcastManager(app).extend('fake', () => ({
+      broadcast: async (channels, event, payload, socket) => sent.push({ channels, event, payload, socket }),
+    }));
+
+    events = new EventDispatcher().setBroadcasterResolver(() => bindings.broadcast);
+    Facade.setFacadeApplication(app);
+  });
+
+  afterEach(() => {
+    Facade.setFacadeApplication(null);
+    Facade.resolvedInstances = {};
+    Model.setEventDispatcher(null);
+  });
+
+  test('should broadcast events implementing broadcastOn() and call their listeners', async () => {
+    const handled = [];
+    events.listen(OrderShipped, event => handled.push(event.order.id));
+
+    await events.dispatch(new OrderShipped({ id: 7, total: 90 }));
+
+    expect(handled).toEqual([7]);
+    expect(sent).toEqual([{
+      channels: ['private-orders.7', 'dashboard'],
+      event: 'OrderShipped',
+      payload: { order: { id: 7, total: 90 } },
+      socket: null,
+    }]);
+  });
+
+  test('should use broadcastAs(), broadcastWith() and broadcastWhen()', async () => {
+    await events.dispatch(new OrderStatusChanged({ id: 3, status: 'draft' }));
+    await events.dispatch(new OrderStatusChanged({ id: 3, status: 'paid', secret: 'x' }));
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toMatchObject({ event: 'order.status', payload: { id: 3, status: 'paid' } });
+  });
+
+  test('should push a BroadcastEvent job when a queue is registered', async () => {
+    bindings.queue = {
+      connection: () => ({ push: async (job, data, queue) => pushed.push({ job, queue }) }),
+    };
+
+    const event = new OrderShipped({ id: 8 });
+    event.socket = '123.456';
+    await events.dispatch(event);
+
+    expect(sent).toHaveLength(0);
+    expect(pushed[0].queue).toBe('broadcasts');
+    expect(pushed[0].job).toBeInstanceOf(BroadcastEvent);
+
+    const job = await BroadcastEvent.unserialize(JSON.parse(JSON.stringify(pushed[0].job.serialize())));
+    await job.handle();
+
+    expect(sent).toEqual([{
+      channels: ['private-orders.8', 'dashboard'],
+      event: 'OrderShipped',
+      payload: { order: { id: 8 } },
+      socket: '123.456',
+    }]);
+  });
+
+  test('should broadcast events declaring broadcastNow without queueing', async () => {
+    bindings.queue = { connection: () => ({ push: async job => pushed.push(job) }) };
+
+    await events.dispatch(new OrderStatusChanged({ id: 4, status: 'paid' }));
+
+    expect(pushed).toHaveLength(0);
+    expect(sent).toHaveLength(1);
+  });
+
+  test('should broadcast the model events of models declaring broadcastsEvents', async () => {
+    Model.setEventDispatcher(events);
+
+    const order = new Order({ id: 42, status: 'paid' });
+    await order.fireModelEvent('created', false);
+    await order.fireModelEvent('updated', false);
+    await order.fireModelEvent('saved', false);
+
+    expect(sent.map(({ channels, event }) => [channels, event])).toEqual([
+      [['private-Order.42'], 'OrderCreated'],
+      [['private-Order.42'], 'OrderUpdated'],
+    ]);
+    expect(sent[0].payload).toEqual({ model: { id: 42, status: 'paid' } });
+  });
+
+  test('should let models choose their events, channels and payload', async () => {
+    Model.setEventDispatcher(events);
+
+    const invoice = new Invoice({ id: 5, customer_id: 9 });
+    await invoice.fireModelEvent('created', false);
+    await invoice.fireModelEvent('deleted', false);
+
+    expect(sent).toEqual([{ channels: ['invoices.9'], event: 'InvoiceCreated', payload: { id: 5, event: 'created' }, socket: null }]);
+  });
+
+  test('should broadcast model events after the transaction commits', async () => {
+    const connection = {
+      level: 0,
+      transactionLevel() { return this.level; },
+      async beginTransaction() { this.level++; },
+      async commit() { this.level--; },
+      async rollback() { this.level--; },
+    };
+    const transactions = new DatabaseTransactionsManager().watch(connection);
+    Model.setEventDispatcher(events.setTransactionManagerResolver(() => transactions));
+
+    await connection.beginTransaction();
+    await new Order({ id: 1 }).fireModelEvent('created', false);
+    expect(sent).toHaveLength(0);
+
+    await connection.commit();
+    expect(sent).toHaveLength(1);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Echo Client Tests
+ *
+ * Test Coverage:
+ * - connecting to the broadcast server and public channel events
+ * - private channel authorization with the createApiClient token
+ * - presence members, whispers and the X-Socket-ID header
+ * - reconnection with backoff and resubscription
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import WebSocket from 'faye-websocket';
+import { WebSocketBroadcaster } from '../../../framework/Broadcasting/Broadcasters/WebSocketBroadcaster.js';
+import { WebSocketServer } from '../../../framework/Broadcasting/Server/WebSocketServer.js';
+import { Echo } from '../../../frontend/client/Realtime/index.js';
+import { createApiClient } from '../../../frontend/client/Http/index.js';
+
+const config = { app_id: 'test-app', key: 'app-key', secret: 'app-secret', host: '127.0.0.1', port: 0 };
+const users = { 'token-1': { id: 1, name: 'Asha' }, 'token-2': { id: 2, name: 'Ravi' } };
+
+function makeBroadcaster(overrides = {}) {
+  return new WebSocketBroadcaster({ ...config, ...overrides })
+    .resolveAuthenticatedUserUsing(request => users[request.headers?.authorization?.replace('Bearer ', '')] || null)
+    .channel('orders.{orderId}', (user, orderId) => orderId === `${user.id}00`)
+    .channel('chat.{roomId}', user => ({ name: user.name }));
+}
+
+/**
+ * Wait until a condition holds
+ */
+async function until(condition, timeout = 2000) {
+  const started = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Echo client', () => {
+  let server;
+  let broadcaster;
+  let echos;
+  let storage;
+
+  beforeAll(() => {
+    storage = {};
+    globalThis.localStorage = {
+      getItem: key => storage[key] ?? null,
+      setItem: (key, value) => { storage[key] = String(value); },
+      removeItem: key => { delete storage[key]; },
+    };
+  });
+
+  afterAll(() => {
+    delete globalThis.localStorage;
+  });
+
+  beforeEach(async () => {
+    server = await new WebSocketServer(config, { broadcaster: makeBroadcaster(), logger: { error() {} } }).start();
+    broadcaster = makeBroadcaster({ port: server.address().port });
+    echos = [];
+  });
+
+  afterEach(async () => {
+    echos.forEach(echo => echo.disconnect());
+    await server.stop();
+  });
+
+  const baseURL = () => `http://127.0.0.1:${server.address().port}`;
+
+  const connect = async (options = {}) => {
+    const echo = new Echo({
+      key: config.key,
+      wsHost: '127.0.0.1',
+      wsPort: server.address().port,
+      forceTLS: false,
+      WebSocket: WebSocket.Client,
+      reconnect: { initialDelay: 20, maxDelay: 100 },
+      ...options,
+    });
+    echos.push(echo);
+
+    await until(() => echo.socketId());
+    return echo;
+  };
+
+  test('should receive the events of public channels', async () => {
+    const echo = await connect();
+    const received = [];
+    const channel = echo.channel('dashboard').listen('OrderShipped', data => received.push(data));
+
+    await until(() => channel.isSubscribed);
+    await broadcaster.broadcast(['dashboard'], 'OrderShipped', { id: 7 });
+
+    await until(() => received.length === 1);
+    expect(received).toEqual([{ id: 7 }]);
+  });
+
+  test('should authorize private channels with the API client token', async () => {
+    storage.auth_token = 'token-1';
+    const api = createApiClient({ baseURL: baseURL(), tokenKey: 'auth_token' });
+    const echo = await connect({ client: api });
+    const received = [];
+    const channel = echo.private('orders.100').listen('OrderUpdated', data => received.push(data));
+
+    await until(() => channel.isSubscribed);
+    await broadcaster.broadcast(['private-orders.100'], 'OrderUpdated', { status: 'paid' });
+
+    await until(() => received.length === 1);
+    expect(received).toEqual([{ status: 'paid' }]);
+  });
+
+  test('should add the socket id to API client requests', async () => {
+    const api = createApiClient({ baseURL: baseURL(), tokenKey: 'auth_token' });
+    const echo = await connect({ client: api });
+
+    const response = await api.get('/headers', {
+      adapter: async requestConfig => ({ data: { socketId: requestConfig.headers['X-Socket-ID'] }, status: 200, headers: {}, config: requestConfig }),
+    });
+
+    expect(response.data.socketId).toBe(echo.socketId());
+  });
+
+  test('should report refused private channels', async () => {
+    storage.auth_token = 'token-2';
+    const echo = await connect({ tokenKey: 'auth_token', authEndpoint: `${baseURL()}/broadcasting/auth` });
+    const errors = [];
+
+    echo.private('orders.100').error(error => errors.push(error));
+
+    await until(() => errors.length === 1);
+    expect(errors[0]).toMatchObject({ type: 'AuthError', status: 403 });
+    expect(echo.channels['private-orders.100'].isSubscribed).toBe(false);
+  });
+
+  test('should track presence members and relay whispers', async () => {
+    const join = async (token) => {
+      const echo = await connect({ authorizer: (channelName, socketId) => broadcaster.auth({
+        headers: { authorization: token },
+        body: { socket_id: socketId, channel_name: channelName },
+      }) });
+
+      return echo.join('chat.lobby');
+    };
+
+    const asha = await join('token-1');
+    const events = [];
+    asha.here(members => events.push(['here', members]))
+      .joining(member => events.push(['joining', member]))
+      .leaving(member => events.push(['leaving', member]))
+      .listenForWhisper('typing', data => events.push(['typing', data]));
+
+    await until(() => events.length === 1);
+
+    const ravi = await join('token-2');
+    await until(() => ravi.isSubscribed && events.length === 2);
+    expect(ravi.memberList()).toEqual([{ name: 'Asha' }, { name: 'Ravi' }]);
+
+    ravi.whisper('typing', { name: 'Ravi' });
+    await until(() => events.length === 3);
+
+    ravi.echo.leave('chat.lobby');
+    await until(() => events.length === 4);
+
+    expect(events).toEqual([
+      ['here', [{ name: 'Asha' }]],
+      ['joining', { name: 'Ravi' }],
+      ['typing', { name: 'Ravi' }],
+      ['leaving', { name: 'Ravi' }],
+    ]);
+  });
+
+  test('should reconnect and subscribe again after the connection drops', async () => {
+    const echo = await connect();
+    const states = [];
+    const received = [];
+    const channel = echo.channel('dashboard').listen('OrderShipped', data => received.push(data));
+    echo.connection.on('state_change', ({ current }) => states.push(current));
+
+    await until(() => channel.isSubscribed);
+    const firstSocketId = echo.socketId();
+
+    for (const connection of server.connections) {
+      connection.close(4200, 'Restarting');
+    }
+
+    await until(() => echo.socketId() && echo.socketId() !== firstSocketId && channel.isSubscribed);
+    await broadcaster.broadcast(['dashboard'], 'OrderShipped', { id: 9 });
+
+    await until(() => received.length === 1);
+    expect(states).toEqual(['unavailable', 'connecting', 'connected']);
+  });
+
+  test('should not reconnect when the server refuses the application key', async () => {
+    const echo = new Echo({
+      key: 'wrong-key',
+      wsHost: '127.0.0.1',
+      wsPort: server.address().port,
+      WebSocket: WebSocket.Client,
+      reconnect: { initialDelay: 20 },
+    });
+    echos.push(echo);
+    const errors = [];
+    echo.connection.on('error', error => errors.push(error));
+
+    await until(() => echo.connection.state === 'failed');
+    expect(errors[0]).toMatchObject({ code: 4001 });
+  });
+
+  test('should back off exponentially up to the maximum delay', () => {
+    const echo = new Echo({ key: 'app-key', autoConnect: false, reconnect: { initialDelay: 100, maxDelay: 500 } });
+
+    expect([1, 2, 3, 4].map(() => echo.connection.nextDelay())).toEqual([100, 200, 400, 500]);
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * WebSocket Broadcast Server Tests
+ *
+ * Test Coverage:
+ * - channel authorization callbacks and signed auth responses
+ * - Pusher protocol handshake, subscriptions and signature checks
+ * - events posted through the HTTP API by the websocket broadcaster
+ * - presence membership and client events
+ * - fan-out between two nodes through Redis
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import WebSocket from 'faye-websocket';
+import { WebSocketBroadcaster } from '../../../framework/Broadcasting/Broadcasters/WebSocketBroadcaster.js';
+import { WebSocketServer } from '../../../framework/Broadcasting/Server/WebSocketServer.js';
+import { PusherSignature } from '../../../framework/Broadcasting/PusherSignature.js';
+
+const config = { app_id: 'test-app', key: 'app-key', secret: 'app-secret', host: '127.0.0.1', port: 0 };
+const users = { 'token-1': { id: 1, name: 'Asha' }, 'token-2': { id: 2, name: 'Ravi' } };
+
+function makeBroadcaster(overrides = {}) {
+  return new WebSocketBroadcaster({ ...config, ...overrides })
+    .resolveAuthenticatedUserUsing(request => users[request.headers?.authorization] || null)
+    .channel('orders.{orderId}', (user, orderId) => orderId === `${user.id}00`)
+    .channel('chat.{roomId}', user => ({ name: user.name }));
+}
+
+/**
+ * Pusher client over faye-websocket that queues the messages it receives
+ */
+function connect(port, key = config.key) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket.Client(`ws://127.0.0.1:${port}/app/${key}?protocol=7`);
+    const client = { socket, messages: [], waiting: [], closed: null };
+
+    socket.on('message', ({ data }) => {
+      const message = JSON.parse(data);
+      const index = client.waiting.findIndex(({ events }) => events.includes(message.event));
+
+      if (index === -1) {
+        client.messages.push(message);
+      } else {
+        client.waiting.splice(index, 1)[0].resolve(message);
+      }
+
+      if (message.event === 'pusher:connection_established') {
+        client.id = JSON.parse(message.data).socket_id;
+        resolve(client);
+      }
+    });
+    socket.on('close', ({ code }) => {
+      client.closed = code;
+      resolve(client);
+    });
+    socket.on('error', reject);
+
+    client.send = (event, data, channel) => socket.send(JSON.stringify({ event, data, channel }));
+    client.next = (...events) => {
+      const index = client.messages.findIndex(message => events.includes(message.event));
+
+      if (index !== -1) {
+        return Promise.resolve(client.messages.splice(index, 1)[0]);
+      }
+
+      return new Promise(resolve => client.waiting.push({ events, resolve }));
+    };
+    client.close = () => new Promise(resolve => {
+      socket.on('close', resolve);
+      socket.close();
+    });
+  });
+}
+
+async function subscribe(client, channel, broadcaster, token) {
+  let auth = {};
+
+  if (token) {
+    auth = await broadcaster.auth({
+      headers: { authorization: token },
+      body: { socket_id: client.id, channel_name: channel },
+    });
+  }
+
+  client.send('pusher:subscribe', { channel, ...auth });
+
+  return await client.next('pusher_internal:subscription_succeeded', 'pusher:subscription_error');
+}
+
+/**
+ * In-memory Redis shared by the nodes: presence hashes and pattern pub/sub
+ */
+class FakeRedis extends EventEmitter {
+  constructor(bus = { hashes: new Map(), subscribers: new Set() }) {
+    super();
+    this.bus = bus;
+  }
+
+  duplicate() {
+    return new FakeRedis(this.bus);
+  }
+
+  async hset(key, field, value) {
+    if (!this.bus.hashes.has(key)) {
+      this.bus.hashes.set(key, {});
+    }
+
+    this.bus.hashes.get(key)[field] = value;
+  }
+
+  async hdel(key, field) {
+    delete this.bus.hashes.get(key)?.[field];
+  }
+
+  async hgetall(key) {
+    return { ...(this.bus.hashes.get(key) || {}) };
+  }
+
+  async psubscribe(pattern) {
+    this.pattern = pattern;
+    this.bus.subscribers.add(this);
+  }
+
+  async punsubscribe() {
+    this.bus.subscribers.delete(this);
+  }
+
+  async publish(channel, message) {
+    for (const subscriber of this.bus.subscribers) {
+      if (channel.startsWith(subscriber.pattern.slice(0, -1))) {
+        subscriber.emit('pmessage', subscriber.pattern, channel, message);
+      }
+    }
+  }
+}
+
+describe('Channel authorization', () => {
+  test('should match channel patterns and pass their parameters', async () => {
+    const broadcaster = makeBroadcaster();
+    const request = { headers: { authorization: 'token-1' }, body: { socket_id: '1.2', channel_name: 'private-orders.100' } };
+
+    const response = await broadcaster.auth(request);
+
+    expect(response).toEqual({
+      auth: PusherSignature.channelAuth('app-key', 'app-secret', '1.2', 'private-orders.100'),
+    });
+
+    request.body.channel_name = 'private-orders.200';
+    await expect(broadcaster.auth(request)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('should deny guests and unknown channels', async () => {
+    const broadcaster = makeBroadcaster();
+
+    await expect(broadcaster.auth({ headers: {}, body: { socket_id: '1.2', channel_name: 'private-orders.100' } }))
+      .rejects.toThrow('Unauthenticated request');
+    await expect(broadcaster.auth({ headers: { authorization: 'token-1' }, body: { socket_id: '1.2', channel_name: 'private-invoices.1' } }))
+      .rejects.toThrow('denied');
+    await expect(broadcaster.auth({ headers: {}, body: { channel_name: 'private-orders.100' } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should sign presence channel data with the member info', async () => {
+    const broadcaster = makeBroadcaster();
+
+    const response = await broadcaster.auth({
+      headers: { authorization: 'token-2' },
+      body: { socket_id: '3.4', channel_name: 'presence-chat.lobby' },
+    });
+
+    expect(JSON.parse(response.channel_data)).toEqual({ user_id: '2', user_info: { name: 'Ravi' } });
+    expect(response.auth).toBe(
+      PusherSignature.channelAuth('app-key', 'app-secret', '3.4', 'presence-chat.lobby', response.channel_data)
+    );
+  });
+});
+
+describe('WebSocket server', () => {
+  let server;
+  let broadcaster;
+  let clients;
+
+  beforeEach(async () => {
+    server = await new WebSocketServer(config, { broadcaster: makeBroadcaster(), logger: { error() {} } }).start();
+    broadcaster = makeBroadcaster({ port: server.address().port });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.filter(client => client.closed === null).map(client => client.close()));
+    await server.stop();
+  });
+
+  const open = async (key) => {
+    const client = await connect(server.address().port, key);
+    clients.push(client);
+    return client;
+  };
+
+  test('should refuse unknown application keys', async () => {
+    const client = await open('wrong-key');
+
+    expect(client.messages[0]).toMatchObject({ event: 'pusher:error', data: { code: 4001 } });
+    expect(client.closed).toBe(4001);
+  });
+
+  test('should deliver events posted by the broadcaster to subscribers', async () => {
+    const client = await open();
+
+    expect(await subscribe(client, 'news', broadcaster)).toMatchObject({ channel: 'news' });
+
+    await broadcaster.broadcast(['news'], 'ArticlePublished', { id: 7 });
+    const message = await client.next('ArticlePublished');
+
+    expect(message).toEqual({ event: 'ArticlePublished', channel: 'news', data: '{"id":7}' });
+  });
+
+  test('should reject private subscriptions without a valid signature', async () => {
+    const client = await open();
+
+    const failed = await subscribe(client, 'private-orders.100', broadcaster);
+    expect(failed).toMatchObject({ event: 'pusher:subscription_error', data: { status: 401 } });
+
+    const succeeded = await subscribe(client, 'private-orders.100', broadcaster, 'token-1');
+    expect(succeeded.event).toBe('pusher_internal:subscription_succeeded');
+  });
+
+  test('should answer pings', async () => {
+    const client = await open();
+
+    client.send('pusher:ping', {});
+
+    expect(await client.next('pusher:pong')).toBeDefined();
+  });
+
+  test('should track presence members and announce joins and leaves', async () => {
+    const asha = await open();
+    const ravi = await open();
+
+    await subscribe(asha, 'presence-chat.lobby', broadcaster, 'token-1');
+    const joined = await subscribe(ravi, 'presence-chat.lobby', broadcaster, 'token-2');
+
+    expect(JSON.parse(joined.data).presence).toEqual({
+      ids: ['1', '2'],
+      hash: { 1: { name: 'Asha' }, 2: { name: 'Ravi' } },
+      count: 2,
+    });
+
+    const added = await asha.next('pusher_internal:member_added');
+    expect(JSON.parse(added.data)).toEqual({ user_id: '2', user_info: { name: 'Ravi' } });
+
+    await ravi.close();
+
+    const removed = await asha.next('pusher_internal:member_removed');
+    expect(JSON.parse(removed.data)).toEqual({ user_id: '2' });
+  });
+
+  test('should relay client events to the other subscribers only', async () => {
+    const asha = await open();
+    const ravi = await open();
+    const guest = await open();
+
+    await subscribe(asha, 'presence-chat.lobby', broadcaster, 'token-1');
+    await subscribe(ravi, 'presence-chat.lobby', broadcaster, 'token-2');
+
+    asha.send('client-typing', { typing: true }, 'presence-chat.lobby');
+    const typing = await ravi.next('client-typing');
+
+    expect(typing).toMatchObject({ channel: 'presence-chat.lobby', data: '{"typing":true}', user_id: '1' });
+    expect(asha.messages.find(message => message.event === 'client-typing')).toBeUndefined();
+
+    await subscribe(guest, 'news', broadcaster);
+    guest.send('client-typing', {}, 'news');
+    expect((await guest.next('pusher:error')).data.message).toMatch('private and presence');
+  });
+
+  test('should serve the channel auth endpoint', async () => {
+    const url = `http://127.0.0.1:${server.address().port}/broadcasting/auth`;
+    const body = 'socket_id=1.2&channel_name=private-orders.100';
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    const allowed = await fetch(url, { method: 'POST', headers: { ...headers, Authorization: 'token-1' }, body });
+    const denied = await fetch(url, { method: 'POST', headers, body });
+
+    expect(await allowed.json()).toEqual({
+      auth: PusherSignature.channelAuth('app-key', 'app-secret', '1.2', 'private-orders.100'),
+    });
+    expect(denied.status).toBe(403);
+  });
+
+  test('should refuse unsigned HTTP API requests', async () => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/apps/test-app/events`, {
+      method: 'POST',
+      body: JSON.stringify({ name: 'Forged', channels: ['news'], data: '{}' }),
+    });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('Redis fan-out', () => {
+  test('should deliver events and presence across nodes', async () => {
+    const redis = new FakeRedis();
+    const options = { redis, logger: { error() {} } };
+    const nodes = [
+      await new WebSocketServer({ ...config, redis_prefix: 'broadcasting:' }, options).start(),
+      await new WebSocketServer({ ...config, redis_prefix: 'broadcasting:' }, options).start(),
+    ];
+    const broadcaster = new WebSocketBroadcaster(
+      { ...config, redis: 'default', redis_prefix: 'broadcasting:' },
+      { connection: () => redis }
+    ).resolveAuthenticatedUserUsing(request => users[request.headers.authorization]);
+    broadcaster.channel('chat.{roomId}', user => ({ name: user.name }));
+
+    const asha = await connect(nodes[0].address().port);
+    const ravi = await connect(nodes[1].address().port);
+
+    await subscribe(asha, 'presence-chat.lobby', broadcaster, 'token-1');
+    const joined = await subscribe(ravi, 'presence-chat.lobby', broadcaster, 'token-2');
+
+    expect(JSON.parse(joined.data).presence.ids).toEqual(['1', '2']);
+    expect(JSON.parse((await asha.next('pusher_internal:member_added')).data).user_id).toBe('2');
+
+    await broadcaster.broadcast(['presence-chat.lobby'], 'MessageSent', { text: 'hi' }, asha.id);
+
+    expect((await ravi.next('MessageSent')).data).toBe('{"text":"hi"}');
+    expect(asha.messages.find(message => message.event === 'MessageSent')).toBeUndefined();
+
+    await asha.close();
+    await ravi.close();
+    await Promise.all(nodes.map(node => node.stop()));
+
+    expect(redis.bus.hashes.get('broadcasting:presence:presence-chat.lobby')).toEqual({});
+  });
+});
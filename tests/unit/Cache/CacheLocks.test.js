@@ -0,0 +1,227 @@
+/**
+ * Cache Locks, Tags and Flexible Tests
+ *
+ * Test Coverage:
+ * - get() / block() / release() with owner tokens on every store
+ * - Redis compare-and-delete release
+ * - tagged caches and tag flushing
+ * - flexible() stale-while-revalidate refreshes
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Repository } from '../../../framework/Services/Cache/Repository.js';
+import { ArrayStore } from '../../../framework/Services/Cache/Stores/ArrayStore.js';
+import { MemoryStore } from '../../../framework/Services/Cache/Stores/MemoryStore.js';
+import { FileStore } from '../../../framework/Services/Cache/Stores/FileStore.js';
+import { RedisStore } from '../../../framework/Services/Cache/Stores/RedisStore.js';
+import { LockTimeoutException } from '../../../framework/Services/Cache/Locks/index.js';
+
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.eval = jest.fn(async (script, count, key, owner) => {
+      if (this.data.get(key) !== owner) {
+        return 0;
+      }
+
+      this.data.delete(key);
+      return 1;
+    });
+  }
+
+  async get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async set(key, value, ...options) {
+    if (options.includes('NX') && this.data.has(key)) {
+      return null;
+    }
+
+    this.data.set(key, value);
+    return 'OK';
+  }
+
+  async setex(key, seconds, value) {
+    this.data.set(key, value);
+  }
+
+  async del(...keys) {
+    keys.forEach(key => this.data.delete(key));
+  }
+}
+
+const directory = path.join(os.tmpdir(), `vasuzex-cache-locks-${process.pid}`);
+const stores = {
+  array: () => new ArrayStore(),
+  memory: () => new MemoryStore(),
+  file: () => new FileStore({ path: directory }),
+  redis: () => new RedisStore(new FakeRedis()),
+};
+
+describe.each(Object.keys(stores))('%s store locks', (driver) => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new Repository(stores[driver]());
+  });
+
+  afterEach(async () => {
+    cache.getStore().destroy?.();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should let only one owner acquire a lock', async () => {
+    const first = cache.lock('report', 10);
+    const second = cache.lock('report', 10);
+
+    expect(await first.get()).toBe(true);
+    expect(await second.get()).toBe(false);
+    expect(await second.release()).toBe(false);
+    expect(await first.release()).toBe(true);
+    expect(await second.get()).toBe(true);
+  });
+
+  test('should run a callback under the lock and release it', async () => {
+    const result = await cache.lock('report', 10).get(async () => 'done');
+
+    expect(result).toBe('done');
+    expect(await cache.lock('report', 10).get()).toBe(true);
+  });
+
+  test('should restore a lock from its owner token', async () => {
+    const lock = cache.lock('report', 10);
+    await lock.get();
+
+    const restored = cache.restoreLock('report', lock.owner());
+
+    expect(await restored.isOwnedByCurrentProcess()).toBe(true);
+    expect(await restored.release()).toBe(true);
+  });
+
+  test('should wait for a lock with block() and time out', async () => {
+    const holder = cache.lock('report', 10);
+    await holder.get();
+    setTimeout(() => holder.release(), 30);
+
+    const waited = await cache.lock('report', 10).betweenBlockedAttemptsSleepFor(10).block(1, async () => 'after');
+    expect(waited).toBe('after');
+
+    await holder.get();
+    await expect(cache.lock('report', 10).betweenBlockedAttemptsSleepFor(10).block(0.05))
+      .rejects.toThrow(LockTimeoutException);
+
+    await cache.lock('report').forceRelease();
+    expect(await cache.lock('report').get()).toBe(true);
+  });
+});
+
+describe('Redis locks', () => {
+  test('should release with one compare-and-delete script', async () => {
+    const redis = new FakeRedis();
+    const lock = new RedisStore(redis).lock('report', 5);
+
+    await lock.get();
+    await lock.release();
+
+    expect(redis.eval).toHaveBeenCalledWith(expect.stringContaining('redis.call("del"'), 1, 'cache:report', lock.owner());
+  });
+});
+
+describe('Tagged cache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new Repository(new ArrayStore());
+  });
+
+  test('should keep tagged items apart from untagged ones', async () => {
+    await cache.tags(['orders', 'user:5']).put('summary', 'tagged');
+    await cache.put('summary', 'plain');
+
+    expect(await cache.tags(['orders', 'user:5']).get('summary')).toBe('tagged');
+    expect(await cache.get('summary')).toBe('plain');
+  });
+
+  test('should flush every item stored under any flushed tag', async () => {
+    await cache.tags(['orders', 'user:5']).put('summary', 1);
+    await cache.tags('orders').put('totals', 2);
+    await cache.tags('user:6').put('summary', 3);
+
+    await cache.tags(['user:5']).flush();
+
+    expect(await cache.tags(['orders', 'user:5']).get('summary')).toBeNull();
+    expect(await cache.tags('orders').get('totals')).toBe(2);
+
+    await cache.tags('orders').flush();
+
+    expect(await cache.tags('orders').get('totals')).toBeNull();
+    expect(await cache.tags('user:6').get('summary')).toBe(3);
+  });
+
+  test('should support remember, many and increment on tags', async () => {
+    const tagged = cache.tags('stats');
+
+    expect(await tagged.remember('visits', 60, async () => 10)).toBe(10);
+    expect(await tagged.increment('visits', 5)).toBe(15);
+    expect(await tagged.many(['visits', 'missing'])).toEqual({ visits: 15, missing: null });
+  });
+});
+
+describe('Flexible cache', () => {
+  let cache;
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new Repository(new ArrayStore());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve fresh values without calling back', async () => {
+    const callback = jest.fn(async () => 'first');
+
+    expect(await cache.flexible('hot', [5, 60], callback)).toBe('first');
+    now += 4000;
+    expect(await cache.flexible('hot', [5, 60], callback)).toBe('first');
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('should serve stale values while refreshing once in the background', async () => {
+    let version = 0;
+    const callback = jest.fn(async () => `v${++version}`);
+
+    await cache.flexible('hot', [5, 60], callback);
+    now += 10_000;
+
+    const results = await Promise.all([
+      cache.remember('hot', [5, 60], callback),
+      cache.remember('hot', [5, 60], callback),
+      cache.remember('hot', [5, 60], callback),
+    ]);
+
+    expect(results).toEqual(['v1', 'v1', 'v1']);
+    await cache.refreshing.get('hot');
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(await cache.flexible('hot', [5, 60], callback)).toBe('v2');
+  });
+
+  test('should call back in the request once the value is past stale', async () => {
+    const callback = jest.fn(async () => 'value');
+
+    await cache.flexible('hot', [5, 60], callback);
+    now += 61_000;
+    await cache.flexible('hot', [5, 60], callback);
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(cache.refreshing.size).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Cron Expression Tests
+ * Tests for cron field parsing, matching and next run dates
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+
+describe('CronExpression', () => {
+  let CronExpression;
+
+  beforeEach(async () => {
+    ({ CronExpression } = await import('../../../framework/Console/CronExpression.js'));
+  });
+
+  const at = (iso) => new Date(iso);
+
+  it('matches steps, ranges and lists', () => {
+    const cron = new CronExpression('*/15 9-17 * * 1,3,5');
+
+    expect(cron.isDue(at('2026-10-19T09:45:00Z'), 'UTC')).toBe(true);
+    expect(cron.isDue(at('2026-10-19T09:50:00Z'), 'UTC')).toBe(false);
+    expect(cron.isDue(at('2026-10-20T09:45:00Z'), 'UTC')).toBe(false);
+  });
+
+  it('accepts month and day names', () => {
+    const cron = new CronExpression('0 0 1 JAN SUN-SAT');
+
+    expect(cron.isDue(at('2027-01-01T00:00:00Z'), 'UTC')).toBe(true);
+  });
+
+  it('treats 7 as Sunday', () => {
+    expect(new CronExpression('0 0 * * 7').isDue(at('2026-10-18T00:00:00Z'), 'UTC')).toBe(true);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    const cron = new CronExpression('0 0 13 * 5');
+
+    expect(cron.isDue(at('2026-10-13T00:00:00Z'), 'UTC')).toBe(true);
+    expect(cron.isDue(at('2026-10-16T00:00:00Z'), 'UTC')).toBe(true);
+    expect(cron.isDue(at('2026-10-14T00:00:00Z'), 'UTC')).toBe(false);
+  });
+
+  it('expands macros', () => {
+    expect(new CronExpression('@hourly').isDue(at('2026-10-19T03:00:00Z'), 'UTC')).toBe(true);
+  });
+
+  it('finds the next run date', () => {
+    expect(new CronExpression('30 2 * * *').nextRunDate(at('2026-10-19T02:30:00Z'), 'UTC').toISOString())
+      .toBe('2026-10-20T02:30:00.000Z');
+    expect(new CronExpression('0 0 29 2 *').nextRunDate(at('2026-10-19T00:00:00Z'), 'UTC').toISOString())
+      .toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('finds the next run date in a half-hour offset timezone', () => {
+    expect(new CronExpression('0 9 * * *').nextRunDate(at('2026-10-19T00:00:00Z'), 'Asia/Kolkata').toISOString())
+      .toBe('2026-10-19T03:30:00.000Z');
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => new CronExpression('* * *')).toThrow('Invalid cron expression [* * *].');
+    expect(() => new CronExpression('*/0 * * * *')).toThrow();
+    expect(() => new CronExpression('0 0 31 2 *').nextRunDate(at('2026-10-19T00:00:00Z'))).toThrow(/never matches/);
+  });
+});
@@ -9,6 +9,7 @@
  * - dueEvents() - getting due events
  * - run() - executing due events
  * - ScheduledEvent methods (cron, everyMinute, hourly, daily, etc.)
+ * - timezones, next run dates, hooks and cache locks
  */
 
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
@@ -171,6 +172,140 @@ describe('Schedule', () => {
     });
   });
 
+  describe('Timezones', () => {
+    it('evaluates the expression in the event timezone', () => {
+      const event = schedule.call(() => {}).dailyAt('09:30').timezone('Asia/Kolkata');
+
+      expect(event.isDue(new Date('2026-10-19T04:00:00Z'))).toBe(true);
+      expect(event.isDue(new Date('2026-10-19T09:30:00Z'))).toBe(false);
+    });
+
+    it('falls back to the schedule timezone', () => {
+      schedule = new Schedule({ timezone: 'America/New_York' });
+      const event = schedule.call(() => {}).daily();
+
+      expect(event.nextRunDate(new Date('2026-10-19T12:00:00Z')).toISOString())
+        .toBe('2026-10-20T04:00:00.000Z');
+    });
+
+    it('rejects invalid expressions', () => {
+      expect(() => schedule.command('test').cron('61 * * * *')).toThrow('Invalid cron expression [61 * * * *].');
+    });
+  });
+
+  describe('Hooks', () => {
+    it('runs before, after and success hooks around the event', async () => {
+      const calls = [];
+      const event = schedule.call(() => calls.push('run'))
+        .before(() => calls.push('before'))
+        .after(() => calls.push('after'))
+        .onSuccess(() => calls.push('success'))
+        .onFailure(() => calls.push('failure'));
+
+      await event.run();
+
+      expect(calls).toEqual(['before', 'run', 'after', 'success']);
+    });
+
+    it('passes the error to failure hooks and reports it on the schedule', async () => {
+      const onFailure = jest.fn();
+      const failed = jest.fn();
+      schedule.on('failed', failed);
+      schedule.call(() => { throw new Error('boom'); }).onFailure(onFailure);
+      const other = jest.fn();
+      schedule.call(other);
+
+      await schedule.run(new Date());
+
+      expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }), expect.anything());
+      expect(failed).toHaveBeenCalledTimes(1);
+      expect(other).toHaveBeenCalled();
+    });
+  });
+
+  describe('Locks', () => {
+    const cache = () => {
+      const items = new Map();
+      return {
+        add: jest.fn(async key => (items.has(key) ? false : (items.set(key, true), true))),
+        forget: jest.fn(async key => items.delete(key))
+      };
+    };
+
+    it('requires a name for callbacks', () => {
+      expect(() => schedule.call(() => {}).withoutOverlapping()).toThrow(/name is required/);
+    });
+
+    it('skips an event while a previous run holds the lock', async () => {
+      const store = cache();
+      schedule.useCache(store);
+      const task = jest.fn();
+      const event = schedule.call(task).name('report').withoutOverlapping();
+      await store.add(event.mutexName());
+
+      expect(await event.run()).toBe(false);
+      expect(task).not.toHaveBeenCalled();
+    });
+
+    it('releases the overlap lock after running', async () => {
+      const store = cache();
+      schedule.useCache(store);
+      const event = schedule.call(() => {}).name('report').withoutOverlapping();
+
+      await event.run();
+
+      expect(store.forget).toHaveBeenCalledWith(event.mutexName());
+    });
+
+    it('runs onOneServer events once per minute across schedules', async () => {
+      const store = cache();
+      const task = jest.fn();
+      const define = (target) => target.useCache(store).call(task).name('sync').onOneServer();
+      const other = new Schedule();
+      define(schedule);
+      define(other);
+      const minute = new Date('2026-10-19T10:00:05Z');
+
+      await schedule.run(minute);
+      await other.run(new Date('2026-10-19T10:00:40Z'));
+      await other.run(new Date('2026-10-19T10:01:00Z'));
+
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports onOneServer lock errors and runs the other events', async () => {
+      const failed = jest.fn();
+      const task = jest.fn();
+      const other = jest.fn();
+      schedule.on('failed', failed);
+      schedule.call(task).name('sync').onOneServer();
+      schedule.useCache({ add: jest.fn(async () => { throw new Error('Connection is closed.'); }) });
+      schedule.call(other);
+
+      await expect(schedule.run(new Date())).resolves.toBe(2);
+
+      expect(failed).toHaveBeenCalledWith(schedule.events[0], expect.objectContaining({ message: 'Connection is closed.' }));
+      expect(task).not.toHaveBeenCalled();
+      expect(other).toHaveBeenCalled();
+    });
+
+    it('reports a missing cache store for onOneServer events', async () => {
+      const failed = jest.fn();
+      schedule.on('failed', failed);
+      schedule.call(() => {}).name('sync').onOneServer();
+
+      await schedule.run(new Date());
+
+      expect(failed).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ message: expect.stringMatching(/cache store is required/) }));
+    });
+
+    it('throws when no cache store is configured', async () => {
+      const event = schedule.call(() => {}).name('report').withoutOverlapping();
+
+      await expect(event.run()).rejects.toThrow(/cache store is required/);
+    });
+  });
+
   describe('Multiple Events', () => {
     it('should handle multiple scheduled events', () => {
       schedule.command('backup');
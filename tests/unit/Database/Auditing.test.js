@@ -0,0 +1,196 @@
+/**
+ * Model Auditing Tests
+ *
+ * Test Coverage:
+ * - created, updated, deleted and restored audits with old and new values
+ * - redaction of hidden, encrypted and auditRedact attributes
+ * - acting user, IP address and user agent from the request context
+ * - model.audits() and restoreToAudit()
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PostgresConnection } from 'guruorm';
+import Model from '../../../framework/Database/Model.js';
+import { Audit, Auditor } from '../../../framework/Database/Auditing/index.js';
+import { Encrypter } from '../../../framework/Services/Encryption/Encrypter.js';
+import { memoryPool } from '../../helpers/mocks.js';
+
+let tables;
+
+class Order extends Model {
+  static table = 'orders';
+  static guarded = [];
+  static softDeletes = true;
+  static auditable = true;
+  static hidden = ['internal_notes'];
+  static auditExclude = ['views'];
+  static auditRedact = ['card_last4'];
+  static casts = { tax_id: 'encrypted' };
+}
+
+class Payout extends Model {
+  static table = 'payouts';
+  static guarded = [];
+  static auditable = ['updated'];
+}
+
+class User extends Model {
+  static table = 'users';
+}
+
+const audits = () => tables.audits.map(({ event, old_values, new_values }) =>
+  ({ event, old: JSON.parse(old_values), new: JSON.parse(new_values) })
+);
+
+describe('Model auditing', () => {
+  let auditor;
+
+  beforeEach(async () => {
+    tables = { orders: [], payouts: [], audits: [] };
+
+    const db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = memoryPool(tables);
+
+    Model.setConnectionResolver({ connection: () => db });
+    Model.encryptUsing(new Encrypter(Encrypter.generateKey()));
+
+    auditor = new Auditor();
+    Model.auditUsing(auditor);
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+    Model.encryptUsing(null);
+    Model.auditUsing(null);
+  });
+
+  test('should record created, updated and deleted changes without timestamps and excluded attributes', async () => {
+    const order = await Order.create({ status: 'pending', total: 100, views: 1 });
+
+    order.status = 'paid';
+    order.views = 2;
+    await order.save();
+
+    order.views = 3;
+    await order.save();
+
+    await order.delete();
+
+    const [created, updated, deleted] = audits();
+
+    expect(audits()).toHaveLength(3);
+    expect(created).toEqual({ event: 'created', old: {}, new: { status: 'pending', total: 100, id: 1 } });
+    expect(updated).toEqual({ event: 'updated', old: { status: 'pending' }, new: { status: 'paid' } });
+    expect(deleted.event).toBe('deleted');
+    expect(deleted.old).toMatchObject({ id: 1, status: 'paid', total: 100 });
+    expect(tables.audits[0]).toMatchObject({ auditable_type: 'Order', auditable_id: '1' });
+  });
+
+  test('should record a restore of a soft deleted model', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await order.delete();
+    tables.audits = [];
+
+    await order.restore();
+
+    expect(audits()).toEqual([{ event: 'restored', old: { deleted_at: expect.any(String) }, new: { deleted_at: null } }]);
+  });
+
+  test('should only audit the listed events', async () => {
+    const payout = await Payout.create({ amount: 500 });
+
+    payout.amount = 450;
+    await payout.save();
+
+    expect(audits()).toEqual([{ event: 'updated', old: { amount: 500 }, new: { amount: 450 } }]);
+  });
+
+  test('should redact hidden, encrypted and auditRedact attributes', async () => {
+    const order = await Order.create({ status: 'pending', internal_notes: 'VIP', card_last4: '4242', tax_id: 'GST-1' });
+
+    order.tax_id = 'GST-2';
+    order.internal_notes = null;
+    await order.save();
+
+    const [created, updated] = audits();
+
+    expect(created.new).toMatchObject({ internal_notes: '[redacted]', card_last4: '[redacted]', tax_id: '[redacted]' });
+    expect(updated).toEqual({
+      event: 'updated',
+      old: { tax_id: '[redacted]', internal_notes: '[redacted]' },
+      new: { tax_id: '[redacted]', internal_notes: null },
+    });
+  });
+
+  test('should record the user, IP address and user agent of the request', async () => {
+    const user = new User({});
+    user.forceFill({ id: 7 });
+    const request = { ip: '10.0.0.1', originalUrl: '/orders/1', headers: { 'user-agent': 'Jest' } };
+
+    await new Promise((resolve, reject) => {
+      auditor.middleware()(request, {}, () => {
+        request.user = user; // set by the authentication middleware
+        Order.create({ status: 'pending' }).then(resolve, reject);
+      });
+    });
+
+    expect(tables.audits[0]).toMatchObject({
+      user_type: 'User',
+      user_id: '7',
+      ip_address: '10.0.0.1',
+      user_agent: 'Jest',
+      url: '/orders/1',
+    });
+  });
+
+  test('should take the context of jobs and commands', async () => {
+    await auditor.withContext({ user: { id: 3 }, ip: '127.0.0.1' }, () => Order.create({ status: 'pending' }));
+    await Order.create({ status: 'pending' });
+
+    expect(tables.audits[0]).toMatchObject({ user_type: null, user_id: '3', ip_address: '127.0.0.1' });
+    expect(tables.audits[1]).toMatchObject({ user_id: null, ip_address: null });
+  });
+
+  test('should list the audits of a model, latest first', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await Order.create({ status: 'other' });
+
+    order.status = 'paid';
+    await order.save();
+
+    const history = await order.audits().get();
+
+    expect([...history].map(audit => audit.getAttribute('event'))).toEqual(['updated', 'created']);
+    expect(history[0]).toBeInstanceOf(Audit);
+    expect(history[0].getModified()).toEqual({ status: { old: 'pending', new: 'paid' } });
+  });
+
+  test('should restore a model to its state after an audit', async () => {
+    const order = await Order.create({ status: 'pending', total: 100, card_last4: '4242' });
+    const [{ id: createdAudit }] = tables.audits;
+
+    order.status = 'paid';
+    order.card_last4 = '1111';
+    await order.save();
+
+    order.total = 80;
+    await order.save();
+
+    await order.restoreToAudit(createdAudit);
+
+    expect(order.getAttribute('status')).toBe('pending');
+    expect(order.getAttribute('total')).toBe(100);
+    expect(order.getAttribute('card_last4')).toBe('1111');
+    expect(tables.orders[0]).toMatchObject({ status: 'pending', total: 100 });
+    expect(audits().at(-1)).toEqual({ event: 'updated', old: { status: 'paid', total: 80 }, new: { status: 'pending', total: 100 } });
+  });
+
+  test('should not restore audits of other models', async () => {
+    const order = await Order.create({ status: 'pending' });
+    const other = await Order.create({ status: 'pending' });
+
+    await expect(other.restoreToAudit(tables.audits[0].id)).rejects.toThrow('Audit [1] does not belong to Order [2].');
+    expect(order.getAttribute('status')).toBe('pending');
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Eager Loading Tests
+ *
+ * Test Coverage:
+ * - one query per relation and level for HasOne, HasMany, BelongsTo,
+ *   BelongsToMany and HasManyThrough
+ * - nested paths and constrained eager loads
+ * - load() / loadMissing() on collections
+ * - with() on real models and guruorm query builders
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PostgresConnection } from 'guruorm';
+import Model from '../../../framework/Database/Model.js';
+import { MockDatabase, MockModel, memoryPool } from '../../helpers/mocks.js';
+import { EagerLoader } from '../../../framework/Database/EagerLoader.js';
+import { ModelCollection } from '../../../framework/Database/Collection.js';
+import {
+  Relations,
+  HasOne,
+  HasMany,
+  BelongsTo,
+  BelongsToMany,
+  HasManyThrough,
+} from '../../../framework/Database/Relations.js';
+
+class Brand extends MockModel {
+  static table = 'brands';
+}
+
+class Product extends MockModel {
+  static table = 'products';
+
+  brand() {
+    return new BelongsTo(Brand.query(), this, 'brand_id', 'id');
+  }
+}
+
+class Item extends MockModel {
+  static table = 'items';
+
+  product() {
+    return new BelongsTo(Product.query(), this, 'product_id', 'id');
+  }
+}
+
+class Tag extends MockModel {
+  static table = 'tags';
+}
+
+class Payment extends MockModel {
+  static table = 'payments';
+}
+
+class Profile extends MockModel {
+  static table = 'profiles';
+}
+
+class Order extends MockModel {
+  static table = 'orders';
+
+  items() {
+    return new HasMany(Item.query(), this, 'order_id', 'id');
+  }
+
+  tags() {
+    return new BelongsToMany(Tag.query(), this, 'order_tag', 'order_id', 'tag_id', 'id', 'id');
+  }
+}
+
+class Customer extends MockModel {
+  static table = 'customers';
+
+  profile() {
+    return new HasOne(Profile.query(), this, 'customer_id', 'id');
+  }
+
+  orders() {
+    return new HasMany(Order.query(), this, 'customer_id', 'id');
+  }
+
+  payments() {
+    return new HasManyThrough(Payment.query(), this, Order, 'customer_id', 'order_id', 'id', 'id');
+  }
+}
+
+const ids = (models) => [...models].map(model => model.getAttribute('id'));
+
+describe('Eager loading', () => {
+  let db;
+  let orders;
+
+  // Tables queried, in order
+  const queries = () => db.queries.map(query => query.split(':')[0]);
+
+  beforeEach(() => {
+    db = MockModel.db = new MockDatabase({
+      orders: [{ id: 1, customer_id: 1 }, { id: 2, customer_id: 1 }, { id: 3, customer_id: 2 }],
+      items: [
+        { id: 10, order_id: 1, product_id: 100, qty: 1 },
+        { id: 11, order_id: 1, product_id: 101, qty: 3 },
+        { id: 12, order_id: 2, product_id: 100, qty: 2 },
+      ],
+      products: [{ id: 100, brand_id: 7 }, { id: 101, brand_id: 8 }],
+      brands: [{ id: 7, name: 'Acme' }, { id: 8, name: 'Globex' }],
+      tags: [{ id: 1 }, { id: 2 }],
+      order_tag: [{ order_id: 1, tag_id: 1 }, { order_id: 1, tag_id: 2 }, { order_id: 3, tag_id: 2 }],
+      payments: [{ id: 50, order_id: 1 }, { id: 51, order_id: 3 }, { id: 52, order_id: 2 }],
+      profiles: [{ id: 5, customer_id: 2 }],
+    });
+    orders = ModelCollection.from(db.tables.orders.map(row => new Order(row)));
+  });
+
+  test('should load nested relations with one query per level', async () => {
+    await EagerLoader.load(orders, 'items.product.brand');
+
+    expect(queries()).toEqual(['items', 'products', 'brands']);
+    expect(ids(orders[0].relations.items)).toEqual([10, 11]);
+    expect(orders[2].relations.items).toHaveLength(0);
+    expect(orders[1].relations.items[0].relations.product.relations.brand.getAttribute('name')).toBe('Acme');
+  });
+
+  test('should apply constraints to eager loads and nested eager loads', async () => {
+    await EagerLoader.load(orders, {
+      items: query => query.where('qty', '>', 1),
+      'items.product': query => query.where('brand_id', 8),
+    });
+
+    expect(ids(orders[0].relations.items)).toEqual([11]);
+    expect(ids(orders[1].relations.items)).toEqual([12]);
+    expect(orders[0].relations.items[0].relations.product.getAttribute('id')).toBe(101);
+    expect(orders[1].relations.items[0].relations.product).toBeNull();
+  });
+
+  test('should accept arrays mixing names and constraint objects', () => {
+    const tree = EagerLoader.parse(['items.product', { tags: query => query }]);
+
+    expect([...tree.keys()]).toEqual(['items', 'tags']);
+    expect([...tree.get('items').children.keys()]).toEqual(['product']);
+    expect(typeof tree.get('tags').constraints).toBe('function');
+  });
+
+  test('should match belongs-to-many relations through the pivot table', async () => {
+    await EagerLoader.load(orders, 'tags');
+
+    expect(queries()).toEqual(['order_tag', 'tags']);
+    expect(ids(orders[0].relations.tags)).toEqual([1, 2]);
+    expect(ids(orders[1].relations.tags)).toEqual([]);
+    expect(ids(orders[2].relations.tags)).toEqual([2]);
+  });
+
+  test('should match has-one and has-many-through relations', async () => {
+    const customers = [new Customer({ id: 1 }), new Customer({ id: 2 })];
+
+    await EagerLoader.load(customers, ['profile', 'payments']);
+
+    expect(queries()).toEqual(['profiles', 'orders', 'payments']);
+    expect(customers[0].relations.profile).toBeNull();
+    expect(customers[1].relations.profile.getAttribute('id')).toBe(5);
+    expect(ids(customers[0].relations.payments)).toEqual([50, 52]);
+    expect(ids(customers[1].relations.payments)).toEqual([51]);
+  });
+
+  test('should not query when no parent has a key', async () => {
+    const items = [new Item({ id: 1, product_id: null })];
+
+    await EagerLoader.load(items, 'product.brand');
+
+    expect(queries()).toEqual([]);
+    expect(items[0].relations.product).toBeNull();
+  });
+
+  test('should load relations onto collections and skip loaded ones with loadMissing()', async () => {
+    await orders.load('items');
+    orders[0].setRelation('tags', ModelCollection.from([]));
+
+    await orders.loadMissing(['items.product', 'tags']);
+
+    expect(queries()).toEqual(['items', 'products', 'order_tag', 'tags']);
+    expect(orders[0].relations.tags).toHaveLength(0);
+    expect(ids(orders[2].relations.tags)).toEqual([2]);
+  });
+
+  test('should throw for undefined relationships', async () => {
+    await expect(EagerLoader.load(orders, 'missing'))
+      .rejects.toThrow('Call to undefined relationship [missing] on model [Order].');
+  });
+});
+
+describe('Eager loading real models', () => {
+  class Brand extends Model {
+    static table = 'brands';
+  }
+
+  class Product extends Model {
+    static table = 'products';
+
+    brand() {
+      return Relations.belongsTo(this, Brand);
+    }
+  }
+
+  class Item extends Model {
+    static table = 'items';
+
+    product() {
+      return Relations.belongsTo(this, Product);
+    }
+  }
+
+  class Tag extends Model {
+    static table = 'tags';
+  }
+
+  class Order extends Model {
+    static table = 'orders';
+
+    items() {
+      return Relations.hasMany(this, Item);
+    }
+
+    tags() {
+      return Relations.belongsToMany(this, Tag);
+    }
+  }
+
+  beforeEach(async () => {
+    const db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = memoryPool({
+      orders: [{ id: 1 }, { id: 2 }],
+      items: [{ id: 10, order_id: 1, product_id: 100 }, { id: 11, order_id: 1, product_id: 101 }],
+      products: [{ id: 100, brand_id: 7 }, { id: 101, brand_id: 7 }],
+      brands: [{ id: 7, name: 'Acme' }],
+      tags: [{ id: 1 }, { id: 2 }],
+      order_tag: [{ order_id: 2, tag_id: 2 }],
+    });
+
+    Model.setConnectionResolver({ connection: () => db });
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+  });
+
+  test('should hydrate related models through the query builder', async () => {
+    const orders = await Order.with(['items.product.brand', 'tags']).get();
+    const [item] = orders[0].relations.items;
+
+    expect(item).toBeInstanceOf(Item);
+    expect(ids(orders[0].relations.items)).toEqual([10, 11]);
+    expect(orders[1].relations.items).toHaveLength(0);
+    expect(item.relations.product.relations.brand.getAttribute('name')).toBe('Acme');
+    expect(ids(orders[1].relations.tags)).toEqual([2]);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Model Factory Tests
+ *
+ * Test Coverage:
+ * - definition, states, sequences and count()
+ * - make() vs create()
+ * - for() / has() relationship builders
+ * - reproducible Faker data
+ * - Model.factory()
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { Factory, Sequence } from '../../../framework/Database/Factories/index.js';
+import { ModelCollection } from '../../../framework/Database/Collection.js';
+import { Model } from '../../../framework/Database/Model.js';
+import { Relations } from '../../../framework/Database/Relations.js';
+import { MockDatabase, MockModel } from '../../helpers/mocks.js';
+
+class FactoryModel extends MockModel {
+  getKey() {
+    return this.attributes.id;
+  }
+
+  async save() {
+    const rows = MockModel.db.tables[this.constructor.table];
+    this.attributes.id = rows.length + 1;
+    rows.push({ ...this.attributes });
+    this.exists = true;
+    return true;
+  }
+}
+
+class User extends FactoryModel {
+  static table = 'users';
+
+  posts() {
+    return Relations.hasMany(this, Post, 'user_id');
+  }
+
+  roles() {
+    return Relations.belongsToMany(this, Role, 'role_user', 'user_id', 'role_id');
+  }
+}
+
+class Post extends FactoryModel {
+  static table = 'posts';
+
+  user() {
+    return Relations.belongsTo(this, User, 'user_id');
+  }
+}
+
+class Role extends FactoryModel {
+  static table = 'roles';
+}
+
+class UserFactory extends Factory {
+  static model = User;
+
+  definition() {
+    return {
+      name: this.faker.person.fullName(),
+      email: this.faker.internet.email(),
+      role: 'member',
+    };
+  }
+
+  admin() {
+    return this.state({ role: 'admin' });
+  }
+}
+
+class PostFactory extends Factory {
+  static model = Post;
+
+  definition() {
+    return {
+      title: this.faker.lorem.sentence(),
+      slug: (attributes) => attributes.title.toLowerCase().replace(/\W+/g, '-'),
+    };
+  }
+}
+
+class RoleFactory extends Factory {
+  static model = Role;
+
+  definition() {
+    return { name: this.faker.word.noun() };
+  }
+}
+
+describe('Model factories', () => {
+  let db;
+
+  beforeEach(() => {
+    db = MockModel.db = new MockDatabase({ users: [], posts: [], roles: [], role_user: [] });
+    Factory.seed(1);
+  });
+
+  test('should make one model without saving it', async () => {
+    const user = await UserFactory.new().make({ name: 'Asha' });
+
+    expect(user).toBeInstanceOf(User);
+    expect(user.attributes).toMatchObject({ name: 'Asha', role: 'member' });
+    expect(user.attributes.email).toContain('@');
+    expect(db.tables.users).toHaveLength(0);
+  });
+
+  test('should create collections with count()', async () => {
+    const users = await UserFactory.times(3).admin().create();
+
+    expect(users).toBeInstanceOf(ModelCollection);
+    expect(users).toHaveLength(3);
+    expect(db.tables.users.map(row => row.role)).toEqual(['admin', 'admin', 'admin']);
+    expect(new Set(db.tables.users.map(row => row.email)).size).toBe(3);
+  });
+
+  test('should apply states in order, including functions and sequences', async () => {
+    const users = await UserFactory.times(4)
+      .state(attributes => ({ name: attributes.name.toUpperCase() }))
+      .state(new Sequence({ role: 'admin' }, { role: 'editor' }))
+      .sequence(sequence => ({ email: `user${sequence.index}@example.com` }))
+      .make();
+
+    expect(users.map(user => user.attributes.role)).toEqual(['admin', 'editor', 'admin', 'editor']);
+    expect(users.map(user => user.attributes.email)).toEqual([
+      'user0@example.com', 'user1@example.com', 'user2@example.com', 'user3@example.com',
+    ]);
+    expect(users[0].attributes.name).toBe(users[0].attributes.name.toUpperCase());
+  });
+
+  test('should not change a factory when deriving states', async () => {
+    const base = UserFactory.new();
+    base.admin();
+
+    expect((await base.raw()).role).toBe('member');
+  });
+
+  test('should resolve function attributes from the others', async () => {
+    const post = await PostFactory.new().raw({ title: 'Hello World' });
+
+    expect(post).toEqual({ title: 'Hello World', slug: 'hello-world' });
+  });
+
+  test('should create one shared parent with for()', async () => {
+    const posts = await PostFactory.times(2).for(UserFactory.new().admin()).create();
+
+    expect(db.tables.users).toHaveLength(1);
+    expect(posts.map(post => post.attributes.user_id)).toEqual([1, 1]);
+    expect(posts[0].relations.user.attributes.role).toBe('admin');
+  });
+
+  test('should use an existing parent with for()', async () => {
+    const user = await UserFactory.new().create();
+    const post = await PostFactory.new().for(user).make();
+
+    expect(post.attributes.user_id).toBe(user.getKey());
+    expect(db.tables.posts).toHaveLength(0);
+  });
+
+  test('should create has-many and belongs-to-many children with has()', async () => {
+    const user = await UserFactory.new()
+      .has(PostFactory.times(2))
+      .has(RoleFactory.times(2))
+      .create();
+
+    expect(db.tables.posts.map(row => row.user_id)).toEqual([1, 1]);
+    expect(user.relations.posts).toHaveLength(2);
+    expect(db.tables.role_user).toEqual([{ user_id: 1, role_id: 1 }, { user_id: 1, role_id: 2 }]);
+  });
+
+  test('should throw for undefined relationships', async () => {
+    await expect(PostFactory.new().has(RoleFactory.new()).create())
+      .rejects.toThrow('Call to undefined relationship [roles] on model [Post].');
+  });
+
+  test('should run afterMaking and afterCreating callbacks', async () => {
+    const calls = [];
+
+    await UserFactory.times(2)
+      .afterMaking(user => calls.push(`made:${user.exists}`))
+      .afterCreating(user => calls.push(`created:${user.getKey()}`))
+      .create();
+
+    expect(calls).toEqual(['made:false', 'created:1', 'made:false', 'created:2']);
+  });
+
+  test('should produce the same data for the same seed', async () => {
+    Factory.seed(42);
+    const first = await UserFactory.times(2).raw();
+
+    Factory.seed(42);
+    const second = await UserFactory.times(2).raw();
+
+    expect(second).toEqual(first);
+    expect(second[0]).not.toEqual(second[1]);
+  });
+
+  test('should build framework models through Model.factory()', async () => {
+    class Customer extends Model {
+      static casts = { credit: 'decimal:2' };
+
+      static newFactory() {
+        return CustomerFactory.new();
+      }
+    }
+
+    class CustomerFactory extends Factory {
+      static model = Customer;
+
+      definition() {
+        return { name: this.faker.company.name(), credit: 10 };
+      }
+    }
+
+    const customers = await Customer.factory(2, { credit: 5 }).make();
+
+    expect(customers).toHaveLength(2);
+    expect(customers[1]).toBeInstanceOf(Customer);
+    expect(customers[1].getAttribute('credit')).toBe('5.00');
+    expect(() => Model.factory()).toThrow('Model [Model] has no factory.');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Model Locking Tests
+ *
+ * Test Coverage:
+ * - optimistic locking with static versionColumn and StaleModelError
+ * - lockForUpdate() and sharedLock() queries inside transactions
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PostgresConnection } from 'guruorm';
+import Model from '../../../framework/Database/Model.js';
+import { DatabaseTransactionsManager } from '../../../framework/Database/DatabaseTransactionsManager.js';
+import { StaleModelError, ConflictError } from '../../../framework/Exceptions/index.js';
+import { callbackPool } from '../../helpers/mocks.js';
+
+let log;
+let affectedRows;
+
+/**
+ * pg pool logging queries; updates affect `affectedRows` rows
+ */
+function fakePool() {
+  return callbackPool(async (client, sql, bindings) => {
+    log.push({ client, sql, bindings });
+
+    if (sql.startsWith('insert')) {
+      return { rows: [{ id: 1 }], rowCount: 1 };
+    }
+
+    if (sql.startsWith('select')) {
+      return { rows: [{ id: 1, name: 'Mug', stock: 5, version: 3 }], rowCount: 1 };
+    }
+
+    return { rows: [], rowCount: affectedRows };
+  });
+}
+
+class Product extends Model {
+  static table = 'products';
+  static guarded = [];
+  static timestamps = false;
+  static versionColumn = 'version';
+}
+
+describe('Model locking', () => {
+  let db;
+
+  beforeEach(async () => {
+    log = [];
+    affectedRows = 1;
+    db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = fakePool();
+    new DatabaseTransactionsManager().watch(db);
+    Model.setConnectionResolver({ connection: () => db });
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+  });
+
+  describe('optimistic locking', () => {
+    test('should start new models at version 1', async () => {
+      const product = await Product.create({ name: 'Mug' });
+
+      expect(product.getAttribute('version')).toBe(1);
+      expect(log[0].sql).toBe('insert into "products" ("name", "version") values ($1, $2) returning "id"');
+    });
+
+    test('should update only the version that was read and increment it', async () => {
+      const product = await Product.find(1);
+
+      product.stock = 4;
+      await product.save();
+
+      expect(log[1]).toMatchObject({
+        sql: 'update "products" set "stock" = $1, "version" = $2 where "id" = $3 and "version" = $4',
+        bindings: [4, 4, 1, 3],
+      });
+      expect(product.getAttribute('version')).toBe(4);
+      expect(product.isDirty('version')).toBe(false);
+    });
+
+    test('should throw StaleModelError when the row was saved since it was read', async () => {
+      const product = await Product.find(1);
+      affectedRows = 0;
+
+      product.stock = 4;
+      const error = await product.save().catch(error => error);
+
+      expect(error).toBeInstanceOf(StaleModelError);
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error).toMatchObject({ statusCode: 409, code: 'STALE_MODEL', model: 'Product', id: 1 });
+      expect(product.getAttribute('version')).toBe(3);
+      expect(product.isDirty('stock')).toBe(true);
+    });
+
+    test('should not check versions of models without a versionColumn', async () => {
+      class Note extends Model {
+        static table = 'notes';
+        static timestamps = false;
+      }
+
+      const note = await Note.find(1);
+      affectedRows = 0;
+
+      note.setAttribute('name', 'Cup');
+      await note.save();
+
+      expect(log[1].sql).toBe('update "notes" set "name" = $1 where "id" = $2');
+    });
+  });
+
+  describe('pessimistic locks', () => {
+    test('should lock rows for update in the transaction', async () => {
+      await db.transaction(async () => {
+        const product = await Product.lockForUpdate().where('id', 1).first();
+        product.stock -= 2;
+        await product.save();
+      });
+
+      expect(log.map(({ client, sql }) => `${client}: ${sql}`)).toEqual([
+        'client1: BEGIN',
+        'client1: select * from "products" where "id" = $1 limit 1 for update',
+        'client1: update "products" set "stock" = $1, "version" = $2 where "id" = $3 and "version" = $4',
+        'client1: COMMIT',
+      ]);
+    });
+
+    test('should take shared locks', async () => {
+      await db.transaction(async () => {
+        await Product.sharedLock().where('id', 1).first();
+        await db.table('products').where('id', 1).sharedLock().get();
+      });
+
+      expect(log.filter(({ sql }) => sql.startsWith('select')).map(({ sql }) => sql)).toEqual([
+        'select * from "products" where "id" = $1 limit 1 for share',
+        'select * from "products" where "id" = $1 for share',
+      ]);
+    });
+  });
+});
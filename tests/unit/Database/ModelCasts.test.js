@@ -0,0 +1,211 @@
+/**
+ * Model Cast Tests
+ *
+ * Test Coverage:
+ * - custom cast classes with arguments
+ * - encrypted and encrypted:json casts
+ * - enum casts for plain objects and case classes
+ * - decimal casts
+ * - value objects spanning several columns
+ * - getDirty() comparing cast values
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { Model } from '../../../framework/Database/Model.js';
+import { Casts, CastsAttributes, EnumCast } from '../../../framework/Database/Casts/index.js';
+import { Encrypter } from '../../../framework/Services/Encryption/Encrypter.js';
+
+const OrderStatus = Object.freeze({ PENDING: 'pending', PAID: 'paid' });
+
+class Priority {
+  static LOW = new Priority(1);
+  static HIGH = new Priority(2);
+
+  constructor(value) {
+    this.value = value;
+  }
+
+  static tryFrom(value) {
+    return [Priority.LOW, Priority.HIGH].find(priority => priority.value === value) ?? null;
+  }
+
+  static from(value) {
+    return Priority.tryFrom(value);
+  }
+}
+
+class Money extends CastsAttributes {
+  constructor(currency = 'INR') {
+    super();
+    this.currency = currency;
+  }
+
+  get(model, key, value) {
+    return value === null || value === undefined ? value : { amount: value / 100, currency: this.currency };
+  }
+
+  set(model, key, value) {
+    return Math.round((value?.amount ?? value) * 100);
+  }
+}
+
+class Address {
+  constructor(line1, city, pincode) {
+    this.line1 = line1;
+    this.city = city;
+    this.pincode = pincode;
+  }
+}
+
+class AddressCast extends CastsAttributes {
+  get(model, key, value, attributes) {
+    return attributes.address_line1 === undefined
+      ? null
+      : new Address(attributes.address_line1, attributes.address_city, attributes.address_pincode);
+  }
+
+  set(model, key, value) {
+    return {
+      address_line1: value?.line1 ?? null,
+      address_city: value?.city ?? null,
+      address_pincode: value?.pincode ?? null,
+    };
+  }
+}
+
+class Order extends Model {
+  static tableName = 'orders';
+  static guarded = [];
+  static casts = {
+    total: 'money:USD',
+    discount: Money,
+    pan: 'encrypted',
+    kyc: 'encrypted:json',
+    status: 'enum:OrderStatus',
+    priority: new EnumCast(Priority),
+    rate: 'decimal:2',
+    address: AddressCast,
+    meta: 'json',
+    shipped_at: 'datetime',
+  };
+}
+
+const hydrate = (attributes) => Order.newFromBuilder(attributes);
+
+describe('Model casts', () => {
+  beforeAll(() => {
+    Casts.register('money', Money);
+    Casts.register('OrderStatus', OrderStatus);
+    Model.encryptUsing(new Encrypter(Encrypter.generateKey()));
+  });
+
+  afterAll(() => {
+    Casts.registered.clear();
+    Model.encryptUsing(null);
+  });
+
+  test('should apply custom cast classes with arguments from the cast string', () => {
+    const order = new Order({ total: { amount: 12.5 }, discount: 2 });
+
+    expect(order.attributes.total).toBe(1250);
+    expect(order.attributes.discount).toBe(200);
+    expect(order.getAttribute('total')).toEqual({ amount: 12.5, currency: 'USD' });
+    expect(order.getAttribute('discount')).toEqual({ amount: 2, currency: 'INR' });
+  });
+
+  test('should store encrypted values and decrypt them on read', () => {
+    const order = new Order({ pan: 'ABCDE1234F', kyc: { aadhaar: '1234', verified: true } });
+
+    expect(order.attributes.pan).not.toContain('ABCDE');
+    expect(order.getAttribute('pan')).toBe('ABCDE1234F');
+    expect(order.getAttribute('kyc')).toEqual({ aadhaar: '1234', verified: true });
+    expect(order.toArray().kyc).toEqual({ aadhaar: '1234', verified: true });
+  });
+
+  test('should require an encrypter for encrypted casts', () => {
+    const encrypter = Model.encrypter;
+    Model.encryptUsing(null);
+
+    try {
+      expect(() => new Order({ pan: 'x' })).toThrow('No encrypter is set for encrypted casts');
+    } finally {
+      Model.encryptUsing(encrypter);
+    }
+  });
+
+  test('should restrict enum casts to their cases', () => {
+    const order = new Order({ status: 'paid', priority: Priority.HIGH });
+
+    expect(order.attributes.priority).toBe(2);
+    expect(order.getAttribute('status')).toBe('paid');
+    expect(order.getAttribute('priority')).toBe(Priority.HIGH);
+    expect(order.toArray()).toMatchObject({ status: 'paid', priority: 2 });
+    expect(() => order.setAttribute('status', 'lost')).toThrow('Value [lost] is not a valid case of enum [enum].');
+    expect(() => order.setAttribute('priority', 3)).toThrow('Value [3] is not a valid case of enum [Priority].');
+    expect(() => new Order({ status: 'paid' }).castAttribute('status', 'refunded')).toThrow('not a valid case');
+  });
+
+  test('should throw for unregistered enums', () => {
+    class Ticket extends Model {
+      static casts = { state: 'enum:TicketState' };
+    }
+
+    expect(() => new Ticket().getAttribute('state')).toThrow('Enum [TicketState] is not registered.');
+  });
+
+  test('should format decimal casts', () => {
+    expect(hydrate({ rate: '7.5' }).getAttribute('rate')).toBe('7.50');
+    expect(hydrate({ rate: 3.14159 }).getAttribute('rate')).toBe('3.14');
+  });
+
+  test('should build value objects from several columns', () => {
+    const order = new Order({ address: new Address('12 MG Road', 'Pune', '411001') });
+
+    expect(order.attributes).toMatchObject({
+      address_line1: '12 MG Road',
+      address_city: 'Pune',
+      address_pincode: '411001',
+    });
+    expect(order.getAttribute('address')).toEqual(new Address('12 MG Road', 'Pune', '411001'));
+    expect(order.toArray().address).toEqual({ line1: '12 MG Road', city: 'Pune', pincode: '411001' });
+
+    order.syncOriginal();
+    order.setAttribute('address', new Address('12 MG Road', 'Mumbai', '400001'));
+
+    expect(order.getDirty()).toMatchObject({ address_city: 'Mumbai', address_pincode: '400001' });
+    expect(order.getDirty()).not.toHaveProperty('address_line1');
+  });
+
+  test('should compare cast values when computing dirty attributes', () => {
+    const order = hydrate({
+      rate: '10.50',
+      meta: '{"a": 1}',
+      shipped_at: new Date('2024-01-01T00:00:00Z'),
+      status: 'pending',
+    });
+    order.setAttribute('pan', 'ABCDE1234F');
+    order.syncOriginal();
+
+    order.setAttribute('rate', 10.5);
+    order.setAttribute('meta', { a: 1 });
+    order.setAttribute('shipped_at', '2024-01-01T00:00:00Z');
+    order.setAttribute('pan', 'ABCDE1234F');
+
+    expect(order.getDirty()).toEqual({});
+    expect(order.isDirty(['rate', 'pan'])).toBe(false);
+
+    order.setAttribute('status', 'paid');
+    order.setAttribute('rate', '10.51');
+
+    expect(Object.keys(order.getDirty())).toEqual(['rate', 'status']);
+  });
+
+  test('should read keys generated by the encrypter', () => {
+    const key = Encrypter.generateKey();
+    const encrypter = new Encrypter(key);
+
+    expect(key.startsWith('base64:')).toBe(true);
+    expect(encrypter.decrypt(encrypter.encrypt({ a: 1 }))).toEqual({ a: 1 });
+    expect(new Encrypter('k'.repeat(32)).decryptString(new Encrypter('k'.repeat(32)).encryptString('x'))).toBe('x');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Polymorphic Relationship Tests
+ *
+ * Test Coverage:
+ * - morph map type strings
+ * - morphOne / morphMany lazy and eager loading
+ * - morphTo eager loading grouped by type, nested below mixed types
+ * - morphToMany / morphedByMany pivot queries and attach()
+ * - eager loading real models through guruorm query builders
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PostgresConnection } from 'guruorm';
+import { EagerLoader } from '../../../framework/Database/EagerLoader.js';
+import { Relations, MorphTo } from '../../../framework/Database/Relations.js';
+import Model from '../../../framework/Database/Model.js';
+import { MockDatabase, MockModel, memoryPool } from '../../helpers/mocks.js';
+
+class User extends MockModel {
+  static table = 'users';
+}
+
+class Comment extends MockModel {
+  static table = 'comments';
+
+  commentable() {
+    return Relations.morphTo(this, 'commentable');
+  }
+}
+
+class Image extends MockModel {
+  static table = 'images';
+}
+
+class Tag extends MockModel {
+  static table = 'tags';
+
+  posts() {
+    return Relations.morphedByMany(this, Post, 'taggable');
+  }
+}
+
+class Post extends MockModel {
+  static table = 'posts';
+
+  author() {
+    return Relations.belongsTo(this, User, 'user_id');
+  }
+
+  comments() {
+    return Relations.morphMany(this, Comment, 'commentable');
+  }
+
+  image() {
+    return Relations.morphOne(this, Image, 'imageable');
+  }
+
+  tags() {
+    return Relations.morphToMany(this, Tag, 'taggable');
+  }
+}
+
+class Video extends MockModel {
+  static table = 'videos';
+
+  author() {
+    return Relations.belongsTo(this, User, 'user_id');
+  }
+
+  comments() {
+    return Relations.morphMany(this, Comment, 'commentable');
+  }
+}
+
+const ids = (models) => [...models].map(model => model.getAttribute('id'));
+
+describe('Polymorphic relationships', () => {
+  let db;
+
+  beforeEach(() => {
+    Relations.morphMap({ post: Post, video: Video }, false);
+
+    db = MockModel.db = new MockDatabase({
+      users: [{ id: 1 }, { id: 2 }],
+      posts: [{ id: 1, user_id: 1 }, { id: 2, user_id: 2 }],
+      videos: [{ id: 1, user_id: 2 }],
+      comments: [
+        { id: 10, commentable_type: 'post', commentable_id: 1 },
+        { id: 11, commentable_type: 'video', commentable_id: 1 },
+        { id: 12, commentable_type: 'post', commentable_id: 2 },
+        { id: 13, commentable_type: 'post', commentable_id: 1 },
+      ],
+      images: [{ id: 20, imageable_type: 'post', imageable_id: 2 }],
+      tags: [{ id: 1 }, { id: 2 }],
+      taggables: [
+        { tag_id: 1, taggable_type: 'post', taggable_id: 1 },
+        { tag_id: 2, taggable_type: 'video', taggable_id: 1 },
+        { tag_id: 2, taggable_type: 'post', taggable_id: 2 },
+      ],
+    });
+  });
+
+  test('should store morph map aliases instead of class names', () => {
+    expect(Relations.getMorphClass(Post)).toBe('post');
+    expect(Relations.getMorphClass(Tag)).toBe('Tag');
+    expect(Relations.getMorphedModel('video')).toBe(Video);
+    expect(() => Relations.getMorphedModel('Tag')).toThrow('No model is registered for morph type [Tag]');
+  });
+
+  test('should constrain morphMany by id and type', async () => {
+    const comments = await new Post({ id: 1 }, true).comments().getResults();
+
+    expect(ids(comments)).toEqual([10, 13]);
+  });
+
+  test('should eager load morphMany and morphOne', async () => {
+    const posts = [new Post({ id: 1 }, true), new Post({ id: 2 }, true)];
+
+    await EagerLoader.load(posts, ['comments', 'image']);
+
+    expect(ids(posts[0].relations.comments)).toEqual([10, 13]);
+    expect(ids(posts[1].relations.comments)).toEqual([12]);
+    expect(posts[0].relations.image).toBeNull();
+    expect(posts[1].relations.image.getAttribute('id')).toBe(20);
+  });
+
+  test('should resolve morphTo for one model', async () => {
+    const comment = new Comment(db.tables.comments[1], true);
+    const owner = await comment.commentable().getResults();
+
+    expect(owner).toBeInstanceOf(Video);
+    expect(owner.getAttribute('id')).toBe(1);
+  });
+
+  test('should eager load morphTo with one query per type and nest below it', async () => {
+    const comments = db.tables.comments.map(row => new Comment(row, true));
+
+    await EagerLoader.load(comments, 'commentable.author');
+
+    expect(db.queries).toEqual(['posts:id', 'videos:id', 'users:id', 'users:id']);
+    expect(comments[0].relations.commentable).toBeInstanceOf(Post);
+    expect(comments[1].relations.commentable).toBeInstanceOf(Video);
+    expect(comments[2].relations.commentable.relations.author.getAttribute('id')).toBe(2);
+    expect(comments[1].relations.commentable.relations.author.getAttribute('id')).toBe(2);
+  });
+
+  test('should associate a morph owner with its type string', () => {
+    const comment = new Comment({ id: 99 });
+
+    new MorphTo(comment, 'commentable_id', 'commentable_type').associate(new Video({ id: 4 }));
+
+    expect(comment.attributes).toEqual({ id: 99, commentable_id: 4, commentable_type: 'video' });
+  });
+
+  test('should eager load morphToMany and morphedByMany through the typed pivot', async () => {
+    const posts = [new Post({ id: 1 }, true), new Post({ id: 2 }, true)];
+    const tags = [new Tag({ id: 1 }, true), new Tag({ id: 2 }, true)];
+
+    await EagerLoader.load(posts, 'tags');
+    await EagerLoader.load(tags, 'posts');
+
+    expect(ids(posts[0].relations.tags)).toEqual([1]);
+    expect(ids(posts[1].relations.tags)).toEqual([2]);
+    expect(ids(tags[0].relations.posts)).toEqual([1]);
+    expect(ids(tags[1].relations.posts)).toEqual([2]);
+    expect(db.queries[0]).toBe('taggables:taggable_type,taggable_id');
+  });
+
+  test('should store the morph type when attaching', async () => {
+    await new Post({ id: 2 }, true).tags().attach(1);
+
+    expect(db.tables.taggables.at(-1)).toEqual({ taggable_id: 2, tag_id: 1, taggable_type: 'post' });
+  });
+});
+
+describe('Polymorphic relationships of real models', () => {
+  class Reply extends Model {
+    static table = 'replies';
+
+    replyable() {
+      return Relations.morphTo(this, 'replyable');
+    }
+  }
+
+  class Picture extends Model {
+    static table = 'pictures';
+  }
+
+  class Label extends Model {
+    static table = 'labels';
+
+    threads() {
+      return Relations.morphedByMany(this, Thread, 'labelable');
+    }
+  }
+
+  class Thread extends Model {
+    static table = 'threads';
+
+    replies() {
+      return Relations.morphMany(this, Reply, 'replyable');
+    }
+
+    cover() {
+      return Relations.morphOne(this, Picture, 'imageable');
+    }
+
+    labels() {
+      return Relations.morphToMany(this, Label, 'labelable');
+    }
+  }
+
+  beforeEach(async () => {
+    Relations.morphMap({ thread: Thread }, false);
+
+    const db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = memoryPool({
+      threads: [{ id: 1 }, { id: 2 }],
+      replies: [{ id: 10, replyable_type: 'thread', replyable_id: 1 }, { id: 11, replyable_type: 'thread', replyable_id: 2 }],
+      pictures: [{ id: 20, imageable_type: 'thread', imageable_id: 2 }],
+      labels: [{ id: 1 }],
+      labelables: [{ label_id: 1, labelable_type: 'thread', labelable_id: 2 }],
+    });
+
+    Model.setConnectionResolver({ connection: () => db });
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+  });
+
+  test('should eager load morphMany, morphOne and morphToMany', async () => {
+    const threads = await Thread.with(['replies', 'cover', 'labels']).get();
+
+    expect(threads[0].relations.replies[0]).toBeInstanceOf(Reply);
+    expect(ids(threads[0].relations.replies)).toEqual([10]);
+    expect(threads[0].relations.cover).toBeNull();
+    expect(threads[1].relations.cover).toBeInstanceOf(Picture);
+    expect(ids(threads[1].relations.labels)).toEqual([1]);
+  });
+
+  test('should eager load morphTo and morphedByMany', async () => {
+    const replies = await Reply.with('replyable').get();
+    const labels = await Label.with('threads').get();
+
+    expect(replies[1].relations.replyable).toBeInstanceOf(Thread);
+    expect(replies[1].relations.replyable.getAttribute('id')).toBe(2);
+    expect(ids(labels[0].relations.threads)).toEqual([2]);
+  });
+});
@@ -27,6 +27,8 @@ describe('QueryBuilder', () => {
       leftJoin: function(...args) { this._leftJoin = args; return this; },
       groupBy: function(...args) { this._groupBy = args; return this; },
       having: function(...args) { this._having = args; return this; },
+      lockForUpdate: function() { this._lock = 'update'; return this; },
+      sharedLock: function() { this._lock = 'share'; return this; },
       get: async function() { return [{ id: 1 }, { id: 2 }]; },
       first: async function() { return { id: 1 }; },
       count: async function() { return 10; },
@@ -241,6 +243,21 @@ describe('QueryBuilder', () => {
     });
   });
 
+  describe('Locking', () => {
+    test('lockForUpdate() locks the selected rows for update', () => {
+      const result = queryBuilder.where('id', 1).lockForUpdate();
+
+      expect(result).toBe(queryBuilder);
+      expect(queryBuilder.query._lock).toBe('update');
+    });
+
+    test('sharedLock() takes a shared lock', () => {
+      queryBuilder.sharedLock();
+
+      expect(queryBuilder.query._lock).toBe('share');
+    });
+  });
+
   describe('Retrieval Methods', () => {
     test('get() returns all results', async () => {
       const results = await queryBuilder.get();
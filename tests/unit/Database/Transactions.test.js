@@ -0,0 +1,340 @@
+/**
+ * Database Transactions Tests
+ *
+ * Test Coverage:
+ * - DB.transaction() commits, rolls back and routes the connection's queries
+ * - nested transactions as savepoints
+ * - retries on deadlocks and serialization failures
+ * - DB.afterCommit() callbacks
+ * - concurrent transactions on separate pooled clients
+ * - Model.transaction() and atomic BaseService.bulkCreate(), on watched and unwatched connections
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PostgresConnection } from 'guruorm';
+import Model from '../../../framework/Database/Model.js';
+import { BaseService } from '../../../framework/Foundation/BaseService.js';
+import { DatabaseTransactionsManager } from '../../../framework/Database/DatabaseTransactionsManager.js';
+import { causedByConcurrencyError } from '../../../framework/Database/DatabaseErrorHandler.js';
+import { callbackPool } from '../../helpers/mocks.js';
+
+/**
+ * pg pool that logs the queries of each client and fails the queued ones
+ */
+function fakePool(log, failures) {
+  return callbackPool(async (client, sql) => {
+    log.push([client, sql]);
+
+    const failure = failures.findIndex(([match]) => sql.includes(match));
+
+    if (failure !== -1) {
+      const [[, error]] = failures.splice(failure, 1);
+      throw error;
+    }
+
+    return { rows: [], rowCount: 1 };
+  }, client => log.push([client, 'release']));
+}
+
+function deadlock() {
+  return Object.assign(new Error('deadlock detected'), { code: '40P01' });
+}
+
+class Order extends Model {
+  static table = 'orders';
+  static timestamps = false;
+}
+
+describe('Database transactions', () => {
+  let db;
+  let log;
+  let failures;
+  let transactions;
+
+  beforeEach(async () => {
+    log = [];
+    failures = [];
+    db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = fakePool(log, failures);
+    transactions = new DatabaseTransactionsManager().watch(db);
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+  });
+
+  test('should commit the transaction and return the callback result', async () => {
+    const result = await db.transaction(async (trx) => {
+      await trx.table('orders').insert({ total: 10 });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(log).toEqual([
+      ['client1', 'BEGIN'],
+      ['client1', 'insert into "orders" ("total") values ($1)'],
+      ['client1', 'COMMIT'],
+      ['client1', 'release'],
+    ]);
+    expect(db.transactionLevel()).toBe(0);
+  });
+
+  test('should roll back and rethrow when the callback throws', async () => {
+    await expect(db.transaction(async () => {
+      await db.table('orders').insert({ total: 10 });
+      throw new Error('Out of stock');
+    })).rejects.toThrow('Out of stock');
+
+    expect(log.map(([, sql]) => sql)).toEqual(['BEGIN', 'insert into "orders" ("total") values ($1)', 'ROLLBACK', 'release']);
+  });
+
+  test('should run the connection queries of the callback in the transaction', async () => {
+    await db.transaction(async () => {
+      await db.table('orders').where('id', 1).update({ status: 'paid' });
+      await db.statement('select 1');
+      expect(db.transactionLevel()).toBe(1);
+    });
+    await db.table('orders').where('id', 1).delete();
+
+    expect(log).toEqual([
+      ['client1', 'BEGIN'],
+      ['client1', 'update "orders" set "status" = $1 where "id" = $2'],
+      ['client1', 'select 1'],
+      ['client1', 'COMMIT'],
+      ['client1', 'release'],
+      ['pool', 'delete from "orders" where "id" = $1'],
+    ]);
+  });
+
+  test('should run nested transactions in savepoints', async () => {
+    await db.transaction(async () => {
+      await db.transaction(async (trx) => {
+        await trx.statement('insert shipment');
+      });
+
+      await expect(db.transaction(async () => {
+        await db.statement('insert invoice');
+        throw new Error('Invalid invoice');
+      })).rejects.toThrow('Invalid invoice');
+    });
+
+    expect(log.map(([, sql]) => sql)).toEqual([
+      'BEGIN',
+      'SAVEPOINT sp2',
+      'insert shipment',
+      'SAVEPOINT sp2',
+      'insert invoice',
+      'ROLLBACK TO SAVEPOINT sp2',
+      'COMMIT',
+      'release',
+    ]);
+  });
+
+  test('should try again after a deadlock', async () => {
+    failures.push(['update stock', deadlock()]);
+    let attempts = 0;
+
+    const result = await db.transaction(async (trx) => {
+      attempts++;
+      await trx.statement('update stock');
+      return attempts;
+    }, { backoff: 0 });
+
+    expect(result).toBe(2);
+    expect(log.map(([client, sql]) => `${client}: ${sql}`)).toEqual([
+      'client1: BEGIN',
+      'client1: update stock',
+      'client1: ROLLBACK',
+      'client1: release',
+      'client2: BEGIN',
+      'client2: update stock',
+      'client2: COMMIT',
+      'client2: release',
+    ]);
+  });
+
+  test('should give up after the last attempt', async () => {
+    failures.push(['update stock', deadlock()], ['update stock', deadlock()]);
+
+    await expect(db.transaction(trx => trx.statement('update stock'), { attempts: 2, backoff: 0 }))
+      .rejects.toThrow('deadlock detected');
+    expect(log.filter(([, sql]) => sql === 'BEGIN')).toHaveLength(2);
+  });
+
+  test('should not try again after other errors', async () => {
+    failures.push(['insert', Object.assign(new Error('duplicate key'), { code: '23505' })]);
+
+    await expect(db.transaction(trx => trx.statement('insert order'), { backoff: 0 })).rejects.toThrow('duplicate key');
+    expect(log.filter(([, sql]) => sql === 'BEGIN')).toHaveLength(1);
+  });
+
+  test('should run afterCommit callbacks once the outermost transaction commits', async () => {
+    const events = [];
+
+    await db.transaction(async () => {
+      db.afterCommit(() => events.push('placed'));
+
+      await db.transaction(async () => {
+        db.afterCommit(() => events.push('invoiced'));
+      });
+
+      await db.transaction(async () => {
+        db.afterCommit(() => events.push('shipped'));
+        throw new Error('Carrier unavailable');
+      }).catch(() => {});
+
+      events.push('committing');
+    });
+
+    expect(events).toEqual(['committing', 'placed', 'invoiced']);
+  });
+
+  test('should discard afterCommit callbacks on rollback and run them at once outside a transaction', async () => {
+    const events = [];
+
+    await db.transaction(async () => {
+      db.afterCommit(() => events.push('placed'));
+      throw new Error('Payment declined');
+    }).catch(() => {});
+
+    await db.afterCommit(() => events.push('logged'));
+
+    expect(events).toEqual(['logged']);
+    expect(transactions.transactions).toEqual([]);
+  });
+
+  test('should keep concurrent transactions apart', async () => {
+    const events = [];
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+
+    const first = db.transaction(async () => {
+      await db.statement('update first');
+      db.afterCommit(() => events.push('first'));
+      await blocked;
+    });
+
+    const second = db.transaction(async () => {
+      await db.statement('update second');
+      db.afterCommit(() => events.push('second'));
+      throw new Error('Second failed');
+    });
+
+    await expect(second).rejects.toThrow('Second failed');
+    release();
+    await first;
+
+    expect(events).toEqual(['first']);
+    expect(log.filter(([, sql]) => sql.startsWith('update'))).toEqual([
+      ['client1', 'update first'],
+      ['client2', 'update second'],
+    ]);
+  });
+
+  test('should run model queries in Model.transaction()', async () => {
+    Model.setConnectionResolver({ connection: () => db });
+
+    await Order.transaction(async () => {
+      await Order.query().where('id', 1).update({ status: 'paid' });
+    });
+
+    expect(log.map(([client, sql]) => `${client}: ${sql}`)).toEqual([
+      'client1: BEGIN',
+      'client1: update "orders" set "status" = $1 where "id" = $2',
+      'client1: COMMIT',
+      'client1: release',
+    ]);
+  });
+
+  test('should create all records of BaseService.bulkCreate() or none', async () => {
+    Model.setConnectionResolver({ connection: () => db });
+
+    class OrderService extends BaseService {
+      async create(data) {
+        if (data.total < 0) {
+          throw new Error('Invalid total');
+        }
+
+        await Order.query().insert(data);
+      }
+    }
+
+    await expect(new OrderService(Order).bulkCreate([{ total: 10 }, { total: -1 }])).rejects.toThrow('Invalid total');
+    expect(log.map(([, sql]) => sql)).toEqual(['BEGIN', 'insert into "orders" ("total") values ($1)', 'ROLLBACK', 'release']);
+  });
+});
+
+describe('Model transactions on unwatched connections', () => {
+  let db;
+  let log;
+
+  beforeEach(async () => {
+    log = [];
+    db = new PostgresConnection({ database: 'test' });
+    await db.pool.end();
+    db.pool = db.client = db._readPool = fakePool(log, []);
+    Model.setConnectionResolver({ connection: () => db });
+  });
+
+  afterEach(() => {
+    Model.setConnectionResolver(null);
+    Model.transactionsUsing(null);
+  });
+
+  test('should commit Model.transaction() with options', async () => {
+    const result = await Order.transaction(async () => {
+      await Order.query().where('id', 1).update({ status: 'paid' });
+      return 'done';
+    }, { attempts: 2 });
+
+    expect(result).toBe('done');
+    expect(log.map(([, sql]) => sql)).toEqual(['BEGIN', 'update "orders" set "status" = $1 where "id" = $2', 'COMMIT', 'release']);
+  });
+
+  test('should run BaseService.bulkCreate() in a transaction', async () => {
+    class OrderService extends BaseService {
+      async create(data) {
+        if (data.total < 0) {
+          throw new Error('Invalid total');
+        }
+
+        await Order.query().insert(data);
+      }
+    }
+
+    const service = new OrderService(Order);
+
+    await service.bulkCreate([{ total: 10 }, { total: 20 }]);
+    await expect(service.bulkCreate([{ total: 30 }, { total: -1 }])).rejects.toThrow('Invalid total');
+
+    expect(log.map(([, sql]) => sql)).toEqual([
+      'BEGIN', 'insert into "orders" ("total") values ($1)', 'insert into "orders" ("total") values ($1)', 'COMMIT', 'release',
+      'BEGIN', 'insert into "orders" ("total") values ($1)', 'ROLLBACK', 'release',
+    ]);
+  });
+
+  test('should use the transactions manager of the application', async () => {
+    const transactions = new DatabaseTransactionsManager();
+    const committed = [];
+
+    Model.transactionsUsing(() => transactions);
+
+    await Order.transaction(async () => {
+      db.afterCommit(() => committed.push('order'));
+      expect(committed).toEqual([]);
+    });
+
+    expect(committed).toEqual(['order']);
+    expect(transactions.watched.has(db)).toBe(true);
+  });
+});
+
+describe('causedByConcurrencyError', () => {
+  test('should detect deadlocks and serialization failures through wrapped errors', () => {
+    expect(causedByConcurrencyError({ originalError: { code: '40001' } })).toBe(true);
+    expect(causedByConcurrencyError({ code: 'ER_LOCK_DEADLOCK' })).toBe(true);
+    expect(causedByConcurrencyError(new Error('SQLITE_BUSY: database is locked'))).toBe(true);
+    expect(causedByConcurrencyError(new Error('duplicate key value'))).toBe(false);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Encrypter Tests
+ *
+ * Test Coverage:
+ * - CBC and GCM encryption
+ * - decrypting values encrypted with previous keys
+ * - rejecting tampered and invalid payloads
+ * - KeyRotator re-encrypting table columns in batches
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { Encrypter } from '../../../framework/Services/Encryption/Encrypter.js';
+import { KeyRotator } from '../../../framework/Services/Encryption/KeyRotator.js';
+import { Container } from '../../../framework/Foundation/Container.js';
+import { EncryptionServiceProvider } from '../../../framework/Foundation/Providers/EncryptionServiceProvider.js';
+
+/**
+ * Table query builder keeping rows in memory
+ */
+class FakeDatabase {
+  constructor(rows = []) {
+    this.rows = rows;
+  }
+
+  table() {
+    const db = this;
+    const conditions = [];
+    let limit = Infinity;
+    let columns = null;
+
+    const query = {
+      select(...selected) {
+        columns = selected;
+        return query;
+      },
+      where(column, operator, value) {
+        conditions.push(value === undefined ? [column, '=', operator] : [column, operator, value]);
+        return query;
+      },
+      orderBy() {
+        return query;
+      },
+      limit(count) {
+        limit = count;
+        return query;
+      },
+      matching() {
+        return db.rows.filter(row => conditions.every(([column, operator, value]) =>
+          operator === '=' ? row[column] === value : row[column] > value
+        ));
+      },
+      get: async () => {
+        return query.matching().slice(0, limit)
+          .map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+      },
+      update: async (values) => query.matching().map(row => Object.assign(row, values)).length,
+    };
+
+    return query;
+  }
+}
+
+describe('Encrypter', () => {
+  test.each(['aes-128-cbc', 'aes-256-cbc', 'aes-128-gcm', 'aes-256-gcm'])('should encrypt and decrypt with %s', (cipher) => {
+    const encrypter = new Encrypter(Encrypter.generateKey(cipher), cipher);
+    const payload = encrypter.encrypt({ card: '4242' });
+
+    expect(encrypter.decrypt(payload)).toEqual({ card: '4242' });
+    expect(encrypter.decryptString(encrypter.encryptString('secret'))).toBe('secret');
+    expect(JSON.parse(Buffer.from(payload, 'base64').toString())).toEqual(cipher.endsWith('gcm')
+      ? { iv: expect.any(String), value: expect.any(String), mac: '', tag: expect.any(String) }
+      : { iv: expect.any(String), value: expect.any(String), mac: expect.any(String), tag: '' });
+  });
+
+  test('should reject keys of the wrong length', () => {
+    expect(() => new Encrypter(Encrypter.generateKey('aes-128-gcm'), 'aes-256-gcm')).toThrow('Unsupported cipher or incorrect key length.');
+    expect(() => new Encrypter(Encrypter.generateKey(), 'aes-256-gcm', ['short'])).toThrow('Previous keys must be 16 or 32 bytes long.');
+  });
+
+  test('should decrypt values encrypted with previous keys', () => {
+    const oldKey = Encrypter.generateKey();
+    const payload = new Encrypter(oldKey).encrypt('remembered');
+    const rotated = new Encrypter(Encrypter.generateKey(), 'aes-256-cbc', [Encrypter.generateKey(), oldKey]);
+
+    expect(rotated.decrypt(payload)).toBe('remembered');
+    expect(rotated.getAllKeys()).toHaveLength(3);
+    expect(() => new Encrypter(Encrypter.generateKey()).decrypt(payload)).toThrow('The MAC is invalid.');
+  });
+
+  test('should decrypt CBC values after switching to GCM', () => {
+    const key = Encrypter.generateKey();
+    const payload = new Encrypter(key, 'aes-256-cbc').encrypt('before');
+    const gcm = new Encrypter(key, 'aes-256-gcm');
+
+    expect(gcm.decrypt(payload)).toBe('before');
+    expect(new Encrypter(key, 'aes-256-cbc').decrypt(gcm.encrypt('after'))).toBe('after');
+  });
+
+  test('should reject tampered and invalid payloads', () => {
+    const encrypter = new Encrypter(Encrypter.generateKey(), 'aes-256-gcm');
+    const payload = JSON.parse(Buffer.from(encrypter.encrypt('secret'), 'base64').toString());
+    const tampered = Buffer.from(JSON.stringify({ ...payload, value: Buffer.from('other').toString('base64') })).toString('base64');
+
+    expect(() => encrypter.decrypt(tampered)).toThrow('Could not decrypt the data.');
+    expect(() => encrypter.decrypt('not-a-payload')).toThrow('The payload is invalid.');
+    expect(() => encrypter.decrypt(Buffer.from('{"iv":"a"}').toString('base64'))).toThrow('The payload is invalid.');
+  });
+
+  test('should reject GCM payloads with a truncated tag', () => {
+    const encrypter = new Encrypter(Encrypter.generateKey(), 'aes-256-gcm');
+    const payload = JSON.parse(Buffer.from(encrypter.encrypt('secret'), 'base64').toString());
+    const tag = Buffer.from(payload.tag, 'base64').subarray(0, 4).toString('base64');
+    const truncated = Buffer.from(JSON.stringify({ ...payload, tag })).toString('base64');
+
+    expect(() => encrypter.decrypt(truncated)).toThrow('The payload is invalid.');
+  });
+
+  test('should register the encrypter with the previous keys', async () => {
+    const config = { 'app.key': Encrypter.generateKey(), 'app.cipher': 'aes-256-gcm', 'app.previous_keys': [Encrypter.generateKey()] };
+    const container = new Container();
+    container.config = (key, fallback = null) => config[key] ?? fallback;
+
+    await new EncryptionServiceProvider(container).register();
+
+    expect(container.make('encrypter').getPreviousKeys()).toEqual(config['app.previous_keys']);
+    expect(container.make('Encrypter')).toBe(container.make('encrypter'));
+  });
+
+  describe('KeyRotator', () => {
+    let oldEncrypter;
+    let encrypter;
+    let db;
+
+    beforeEach(() => {
+      oldEncrypter = new Encrypter(Encrypter.generateKey());
+      encrypter = new Encrypter(Encrypter.generateKey(), 'aes-256-gcm', [oldEncrypter.getKey()]);
+      db = new FakeDatabase(Array.from({ length: 5 }, (_, index) => ({
+        id: index + 1,
+        name: `User ${index + 1}`,
+        secret: oldEncrypter.encryptString(`secret-${index + 1}`),
+        settings: index === 2 ? null : oldEncrypter.encrypt({ theme: 'dark' }),
+      })));
+    });
+
+    test('should re-encrypt the columns with the current key in batches', async () => {
+      const batches = [];
+      const result = await new KeyRotator(db, encrypter).rotate('users', ['secret', 'settings'], {
+        batch: 2,
+        onBatch: (progress) => batches.push(progress),
+      });
+      const current = new Encrypter(encrypter.getKey(), 'aes-256-gcm');
+
+      expect(result).toEqual({ rows: 5, updated: 5 });
+      expect(batches.map(({ last }) => last)).toEqual([2, 4, 5]);
+      expect(db.rows.map(row => current.decryptString(row.secret))).toEqual(
+        ['secret-1', 'secret-2', 'secret-3', 'secret-4', 'secret-5']
+      );
+      expect(current.decrypt(db.rows[0].settings)).toEqual({ theme: 'dark' });
+      expect(db.rows[2].settings).toBeNull();
+      expect(db.rows[0].name).toBe('User 1');
+    });
+
+    test('should skip values already encrypted with the current key', async () => {
+      const rotator = new KeyRotator(db, encrypter);
+
+      await rotator.rotate('users', ['secret'], { batch: 10 });
+      const rotated = db.rows.map(row => row.secret);
+
+      expect(await rotator.rotate('users', ['secret'], { batch: 10 })).toEqual({ rows: 5, updated: 0 });
+      expect(db.rows.map(row => row.secret)).toEqual(rotated);
+    });
+
+    test('should resume after the last re-encrypted row', async () => {
+      const result = await new KeyRotator(db, encrypter).rotate('users', ['secret'], { batch: 10, after: 3 });
+
+      expect(result).toEqual({ rows: 2, updated: 2 });
+      expect(() => new Encrypter(encrypter.getKey()).decryptString(db.rows[0].secret)).toThrow();
+      expect(new Encrypter(encrypter.getKey(), 'aes-256-gcm').decryptString(db.rows[4].secret)).toBe('secret-5');
+    });
+  });
+});
@@ -6,6 +6,7 @@ import {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  StaleModelError,
   TooManyRequestsError,
   InternalServerError,
   ServiceUnavailableError,
@@ -117,6 +118,23 @@ describe('ErrorTypes', () => {
     });
   });
 
+  describe('StaleModelError', () => {
+    it('should create conflict error for the stale model', () => {
+      const error = new StaleModelError('Order', 5);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.statusCode).toBe(409);
+      expect(error.code).toBe('STALE_MODEL');
+      expect(error.model).toBe('Order');
+      expect(error.id).toBe(5);
+    });
+
+    it('should accept custom message', () => {
+      const error = new StaleModelError('Order', 5, 'Order was updated');
+      expect(error.message).toBe('Order was updated');
+    });
+  });
+
   describe('TooManyRequestsError', () => {
     it('should create too many requests error with 429 status', () => {
       const error = new TooManyRequestsError();
@@ -6,6 +6,7 @@ import {
   AuthenticationError,
   InternalServerError,
   NotFoundError,
+  StaleModelError,
 } from '../../../framework/Exceptions/index.js';
 
 describe('ExceptionHandler', () => {
@@ -84,6 +85,18 @@ describe('ExceptionHandler', () => {
       expect(responseData.success).toBe(false);
       expect(responseData.statusCode).toBe(500);
     });
+
+    it('should respond to StaleModelError with 409 Conflict', () => {
+      const error = new StaleModelError('Product', 1);
+
+      handler.handle(error, mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+
+      const responseData = mockRes.json.mock.calls[0][0];
+      expect(responseData.code).toBe('STALE_MODEL');
+      expect(responseData.message).toBe('The model [Product] 1 was changed by another request. Reload it and try again.');
+    });
   });
 
   describe('report', () => {
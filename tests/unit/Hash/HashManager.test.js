@@ -0,0 +1,223 @@
+/**
+ * Hash Tests
+ *
+ * Test Coverage:
+ * - scrypt hashes and their options
+ * - Argon2 hash parameters, hashing and a missing argon2 package
+ * - HashManager checking hashes of every driver
+ * - needsRehash() after changing the driver or its options
+ * - SessionGuard rehashing passwords on login
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { HashManager } from '../../../framework/Services/Hash/HashManager.js';
+import { BcryptHasher } from '../../../framework/Services/Hash/BcryptHasher.js';
+import { ScryptHasher } from '../../../framework/Services/Hash/ScryptHasher.js';
+import { Argon2Hasher } from '../../../framework/Services/Hash/Argon2Hasher.js';
+import { ModelUserProvider } from '../../../framework/Auth/UserProviders/ModelUserProvider.js';
+import { SessionGuard } from '../../../framework/Auth/Guards/SessionGuard.js';
+import { Container } from '../../../framework/Foundation/Container.js';
+import { HashServiceProvider } from '../../../framework/Foundation/Providers/HashServiceProvider.js';
+
+// Argon2Hasher imports argon2 when first used; behave as if it is not installed
+jest.unstable_mockModule('argon2', () => {
+  throw new Error("Cannot find package 'argon2'");
+}, { virtual: true });
+
+// Stands in for the argon2 package, storing the value itself as the hash
+const fakeArgon2 = {
+  argon2id: 2,
+  hash: async (value, options) =>
+    `$argon2id$v=19$m=${options.memoryCost},t=${options.timeCost},p=${options.parallelism}$c2FsdA$${Buffer.from(value).toString('base64')}`,
+  verify: async (hash, value) => {
+    if (hash.endsWith('$invalid')) {
+      throw new Error('pchstr must contain a valid hash');
+    }
+    return hash.split('$').pop() === Buffer.from(value).toString('base64');
+  },
+};
+
+function makeManager(hashing = {}) {
+  const config = {
+    hashing: {
+      driver: 'scrypt',
+      bcrypt: { rounds: 4 },
+      scrypt: { cost: 1024 },
+      ...hashing,
+    },
+  };
+
+  return new HashManager({
+    config: (key, fallback = null) => key.split('.').reduce((value, segment) => value?.[segment], config) ?? fallback,
+  });
+}
+
+describe('Hash', () => {
+  describe('ScryptHasher', () => {
+    const hasher = new ScryptHasher({ cost: 1024 });
+
+    test('should make and check PHC scrypt hashes', async () => {
+      const hash = await hasher.make('secret');
+
+      expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+      expect(hash).not.toBe(await hasher.make('secret'));
+      expect(await hasher.check('secret', hash)).toBe(true);
+      expect(await hasher.check('wrong', hash)).toBe(false);
+      expect(await hasher.check('secret', 'not-a-hash')).toBe(false);
+    });
+
+    test('should need a rehash when the options change', async () => {
+      const hash = await hasher.make('secret');
+
+      expect(hasher.needsRehash(hash)).toBe(false);
+      expect(hasher.needsRehash(hash, { cost: 2048 })).toBe(true);
+      expect(await new ScryptHasher({ cost: 2048 }).check('secret', hash)).toBe(true);
+      expect(hasher.info(hash)).toEqual({
+        algo: 'scrypt',
+        algoName: 'scrypt',
+        options: { cost: 1024, block_size: 8, parallelization: 1 },
+      });
+    });
+  });
+
+  describe('Argon2Hasher', () => {
+    const hash = '$argon2id$v=19$m=65536,t=4,p=1$c2FsdHNhbHRzYWx0$aGFzaGhhc2hoYXNoaGFzaA';
+
+    test('should read the parameters of Argon2 hashes', () => {
+      const hasher = new Argon2Hasher();
+
+      expect(hasher.info(hash).options).toEqual({ memory: 65536, time: 4, threads: 1 });
+      expect(hasher.needsRehash(hash)).toBe(false);
+      expect(new Argon2Hasher({ memory: 19456, time: 2 }).needsRehash(hash)).toBe(true);
+      expect(hasher.needsRehash(hash.replace('argon2id', 'argon2i'))).toBe(true);
+    });
+
+    test('should not check hashes of other algorithms', async () => {
+      expect(await new Argon2Hasher().check('secret', '$2b$04$invalid')).toBe(false);
+    });
+
+    test('should hash and check values with the argon2 package', async () => {
+      const hasher = new Argon2Hasher({ memory: 19456, time: 2 });
+      hasher.argon2 = fakeArgon2;
+
+      const made = await hasher.make('secret');
+
+      expect(hasher.info(made).options).toEqual({ memory: 19456, time: 2, threads: 1 });
+      expect(await hasher.check('secret', made)).toBe(true);
+      expect(await hasher.check('wrong', made)).toBe(false);
+      expect(hasher.info(await hasher.make('secret', { memory: 65536 })).options.memory).toBe(65536);
+    });
+
+    test('should not check hashes the argon2 package cannot verify', async () => {
+      const hasher = new Argon2Hasher();
+      hasher.argon2 = fakeArgon2;
+
+      expect(await hasher.check('secret', '$argon2id$v=19$m=65536,t=4,p=1$invalid')).toBe(false);
+    });
+
+    test('should throw when the argon2 package is not installed', async () => {
+      await expect(new Argon2Hasher().make('secret')).rejects.toThrow('The argon2 package is not installed. Run: pnpm add argon2');
+      await expect(new Argon2Hasher().check('secret', hash)).rejects.toThrow('The argon2 package is not installed');
+    });
+  });
+
+  describe('HashManager', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = makeManager();
+    });
+
+    test('should create the configured drivers', () => {
+      expect(manager.driver()).toBeInstanceOf(ScryptHasher);
+      expect(manager.driver('bcrypt')).toBeInstanceOf(BcryptHasher);
+      expect(manager.driver('argon2id')).toBeInstanceOf(Argon2Hasher);
+      expect(makeManager({ argon: { memory: 19456 } }).driver('argon2id').memory).toBe(19456);
+    });
+
+    test('should detect the driver of a hash from its prefix', async () => {
+      expect(manager.driverForHash(await manager.driver('bcrypt').make('secret'))).toBe('bcrypt');
+      expect(manager.driverForHash(await manager.make('secret'))).toBe('scrypt');
+      expect(manager.driverForHash('$argon2id$v=19$m=65536,t=4,p=1$c2FsdA$aGFzaA')).toBe('argon2id');
+      expect(manager.driverForHash('plain')).toBeNull();
+    });
+
+    test('should check hashes made by other drivers', async () => {
+      const bcryptHash = await manager.driver('bcrypt').make('secret');
+
+      expect(await manager.check('secret', bcryptHash)).toBe(true);
+      expect(await manager.check('wrong', bcryptHash)).toBe(false);
+      expect(await manager.check('secret', await manager.make('secret'))).toBe(true);
+    });
+
+    test('should need a rehash for hashes of other drivers or options', async () => {
+      expect(manager.needsRehash(await manager.driver('bcrypt').make('secret'))).toBe(true);
+      expect(manager.needsRehash(await manager.make('secret'))).toBe(false);
+      expect(manager.needsRehash(await manager.make('secret', { cost: 2048 }))).toBe(true);
+    });
+
+    test('should be registered in the container', async () => {
+      const container = new Container();
+      await new HashServiceProvider(container).register();
+
+      expect(container.make('hash')).toBeInstanceOf(HashManager);
+      expect(container.make('HashManager')).toBe(container.make('hash'));
+    });
+  });
+
+  describe('rehash on login', () => {
+    let manager;
+    let user;
+    let guard;
+
+    class UserProvider extends ModelUserProvider {
+      async retrieveByCredentials(credentials) {
+        return credentials.email === user.email ? user : null;
+      }
+    }
+
+    const session = {
+      data: {},
+      put(key, value) { this.data[key] = value; },
+      get(key) { return this.data[key]; },
+      forget(key) { delete this.data[key]; },
+      migrate() {},
+    };
+
+    beforeEach(async () => {
+      manager = makeManager();
+      user = {
+        email: 'john@example.com',
+        password: await manager.driver('bcrypt').make('secret'),
+        saves: 0,
+        getAuthIdentifier: () => 1,
+        save: async () => { user.saves++; },
+      };
+      guard = new SessionGuard('web', new UserProvider(manager, 'User'), session);
+    });
+
+    test('should upgrade the password hash after a successful login', async () => {
+      expect(await guard.attempt({ email: 'john@example.com', password: 'secret' })).toBe(true);
+
+      expect(manager.driverForHash(user.password)).toBe('scrypt');
+      expect(await manager.check('secret', user.password)).toBe(true);
+      expect(user.saves).toBe(1);
+
+      await guard.attempt({ email: 'john@example.com', password: 'secret' });
+
+      expect(user.saves).toBe(1);
+    });
+
+    test('should not rehash after failed logins or when disabled', async () => {
+      const hash = user.password;
+
+      expect(await guard.attempt({ email: 'john@example.com', password: 'wrong' })).toBe(false);
+
+      guard.setRehashOnLogin(false);
+
+      expect(await guard.attempt({ email: 'john@example.com', password: 'secret' })).toBe(true);
+      expect(user.password).toBe(hash);
+      expect(user.saves).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Job Chain and Batch Tests
+ * Runs chains and batches inline on the sync connection
+ */
+
+import { describe, expect, it, beforeEach, jest } from '@jest/globals';
+
+describe('Job chains and batches', () => {
+  let Job;
+  let Bus;
+  let Facade;
+  let QueueManager;
+  let RedisBatchRepository;
+  let manager;
+  let log;
+
+  beforeEach(async () => {
+    ({ Job } = await import('../../../framework/Services/Queue/Job.js'));
+    ({ Bus } = await import('../../../framework/Services/Queue/Bus.js'));
+    ({ Facade } = await import('../../../framework/Support/Facades/Facade.js'));
+    ({ QueueManager } = await import('../../../framework/Services/Queue/QueueManager.js'));
+    ({ RedisBatchRepository } = await import('../../../framework/Services/Queue/Batching/RedisBatchRepository.js'));
+
+    const config = {
+      'queue.default': 'sync',
+      queue: { connections: { sync: { driver: 'sync' } } }
+    };
+
+    const app = {
+      config: (key, defaultValue = null) => config[key] ?? defaultValue,
+      make: () => manager
+    };
+
+    manager = new QueueManager(app);
+    Facade.clearResolvedInstances();
+    Facade.setFacadeApplication(app);
+    log = [];
+  });
+
+  const step = (name, fail = false) => {
+    class Step extends Job {
+      constructor(label) {
+        super();
+        this.label = label;
+      }
+      async handle() {
+        if (fail) {
+          throw new Error(`${this.label} failed`);
+        }
+        log.push(this.label);
+      }
+    }
+    Object.defineProperty(Step, 'name', { value: name });
+    return Step;
+  };
+
+  describe('chains', () => {
+    it('runs each job after the previous one succeeds', async () => {
+      const A = step('ChainA');
+      const B = step('ChainB');
+
+      await Bus.chain([new A('a'), new B('b'), new A('c')]).dispatch();
+
+      expect(log).toEqual(['a', 'b', 'c']);
+    });
+
+    it('stops the chain when a job fails', async () => {
+      const A = step('StopA');
+      const Broken = step('StopBroken', true);
+
+      await expect(Bus.chain([new A('a'), new Broken('b'), new A('c')]).dispatch())
+        .rejects.toThrow('b failed');
+
+      expect(log).toEqual(['a']);
+    });
+
+    it('serializes the remaining chain into the first job', () => {
+      const A = step('SerializeA');
+      const job = new A('first').chain([new A('second')]);
+
+      expect(job.serialize().chained).toEqual([
+        { job: 'SerializeA', data: { label: 'second' } }
+      ]);
+    });
+  });
+
+  describe('batches', () => {
+    it('tracks progress and runs then/finally callbacks', async () => {
+      const Image = step('BatchImage');
+      const then = jest.fn();
+      const done = jest.fn();
+
+      const batch = await Bus.batch([new Image(1), new Image(2), new Image(3)])
+        .name('thumbnails')
+        .then(then)
+        .finally(done)
+        .dispatch();
+
+      const fresh = await batch.fresh();
+
+      expect(log).toEqual([1, 2, 3]);
+      expect(fresh.name).toBe('thumbnails');
+      expect(fresh.totalJobs).toBe(3);
+      expect(fresh.pendingJobs).toBe(0);
+      expect(fresh.progress()).toBe(100);
+      expect(fresh.finished()).toBe(true);
+      expect(then).toHaveBeenCalledTimes(1);
+      expect(done).toHaveBeenCalledTimes(1);
+    });
+
+    it('cancels the batch on the first failure', async () => {
+      const Image = step('CancelImage');
+      const Broken = step('CancelBroken', true);
+      const caught = jest.fn();
+      const then = jest.fn();
+
+      const pending = Bus.batch([new Broken('x'), new Image('y')]).catch(caught).then(then);
+
+      await expect(pending.dispatch()).rejects.toThrow('x failed');
+
+      expect(caught).toHaveBeenCalledWith(expect.objectContaining({ cancelledAt: expect.any(Date) }), expect.any(Error));
+      expect(then).not.toHaveBeenCalled();
+    });
+
+    it('skips jobs of a cancelled batch but counts them as processed', async () => {
+      const Image = step('SkipImage');
+      const batch = await Bus.batch([]).dispatch();
+
+      await batch.cancel();
+      await batch.add([new Image('late')]);
+
+      const fresh = await batch.fresh();
+
+      expect(log).toEqual([]);
+      expect(fresh.processedJobs()).toBe(1);
+    });
+
+    it('keeps running with allowFailures()', async () => {
+      const Image = step('AllowImage');
+      const Broken = step('AllowBroken', true);
+      const done = jest.fn();
+      let batchId;
+
+      const pending = Bus.batch([new Image('y'), new Broken('x')])
+        .allowFailures()
+        .finally(batch => {
+          batchId = batch.id;
+          done();
+        });
+
+      await expect(pending.dispatch()).rejects.toThrow('x failed');
+
+      const batch = await Bus.findBatch(batchId);
+
+      expect(log).toEqual(['y']);
+      expect(done).toHaveBeenCalledTimes(1);
+      expect(batch.failedJobs).toBe(1);
+      expect(batch.pendingJobs).toBe(1);
+      expect(batch.cancelled()).toBe(false);
+      expect(batch.finished()).toBe(false);
+    });
+
+    it('dispatches Job callbacks', async () => {
+      const Image = step('CallbackImage');
+      const Notify = step('CallbackNotify');
+
+      await Bus.batch([new Image(1)]).then(new Notify('notified')).dispatch();
+
+      expect(log).toEqual([1, 'notified']);
+    });
+
+    it('exposes the batch to its jobs', async () => {
+      const seen = [];
+      class Inspect extends Job {
+        async handle() {
+          seen.push((await this.batch()).name);
+        }
+      }
+
+      await Bus.batch([new Inspect()]).name('inspect').dispatch();
+
+      expect(seen).toEqual(['inspect']);
+    });
+  });
+
+  describe('RedisBatchRepository', () => {
+    it('keeps counters in a hash', async () => {
+      const redis = {
+        hset: jest.fn(),
+        hincrby: jest.fn(async (key, field, amount) => (field === 'pending_jobs' ? 4 : 1)),
+        hget: jest.fn(async () => '2'),
+        srem: jest.fn(),
+        sadd: jest.fn()
+      };
+      const repository = new RedisBatchRepository(redis);
+
+      const counts = await repository.decrementPendingJobs('abc', 'job-1');
+
+      expect(redis.hincrby).toHaveBeenCalledWith('batches:abc', 'pending_jobs', -1);
+      expect(counts).toEqual({ pendingJobs: 4, failedJobs: 2 });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Job Tests
+ * Tests for Job dispatching, model serialization and job middleware
+ */
+
+import { describe, expect, it, beforeEach, jest } from '@jest/globals';
+
+describe('Job', () => {
+  let Job;
+  let Model;
+  let Facade;
+  let QueueManager;
+  let WithoutOverlapping;
+  let RateLimited;
+  let connection;
+  let manager;
+
+  beforeEach(async () => {
+    ({ Job } = await import('../../../framework/Services/Queue/Job.js'));
+    ({ Model } = await import('../../../framework/Database/Model.js'));
+    ({ Facade } = await import('../../../framework/Support/Facades/Facade.js'));
+    ({ QueueManager } = await import('../../../framework/Services/Queue/QueueManager.js'));
+    ({ WithoutOverlapping } = await import('../../../framework/Services/Queue/Middleware/WithoutOverlapping.js'));
+    ({ RateLimited } = await import('../../../framework/Services/Queue/Middleware/RateLimited.js'));
+
+    connection = {
+      push: jest.fn(async () => 1),
+      later: jest.fn(async () => 2)
+    };
+    manager = { connection: jest.fn(() => connection) };
+
+    Facade.clearResolvedInstances();
+    Facade.setFacadeApplication({ make: () => manager });
+  });
+
+  const makeUser = (User, id) => {
+    const user = new User();
+    user.forceFill({ id, name: 'Asha' });
+    return user;
+  };
+
+  describe('dispatch()', () => {
+    it('pushes the job onto its queue and connection when awaited', async () => {
+      class SendInvoice extends Job {
+        constructor(invoiceId) {
+          super();
+          this.invoiceId = invoiceId;
+          this.queue = 'billing';
+        }
+      }
+
+      const id = await SendInvoice.dispatch(7).onConnection('redis');
+
+      expect(id).toBe(1);
+      expect(manager.connection).toHaveBeenCalledWith('redis');
+      expect(connection.push).toHaveBeenCalledWith(expect.any(SendInvoice), {}, 'billing');
+    });
+
+    it('uses later() for delayed dispatches', async () => {
+      class Reminder extends Job {}
+
+      await Reminder.dispatchAfter(30);
+
+      expect(connection.later).toHaveBeenCalledWith(30, expect.any(Reminder), {}, null);
+    });
+
+    it('dispatches only once', async () => {
+      class Reminder extends Job {}
+      const pending = Reminder.dispatch();
+
+      await pending;
+      await pending;
+
+      expect(connection.push).toHaveBeenCalledTimes(1);
+    });
+
+    it('pushes the job when it is not awaited', async () => {
+      class Reminder extends Job {}
+
+      Reminder.dispatch().onQueue('reminders').onConnection('redis');
+      Reminder.dispatchAfter(30);
+
+      expect(connection.push).not.toHaveBeenCalled();
+      await Promise.resolve();
+
+      expect(manager.connection).toHaveBeenCalledWith('redis');
+      expect(connection.push).toHaveBeenCalledWith(expect.any(Reminder), {}, 'reminders');
+      expect(connection.later).toHaveBeenCalledWith(30, expect.any(Reminder), {}, null);
+    });
+
+    it('reports failures of jobs that are not awaited', async () => {
+      class Reminder extends Job {}
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      connection.push.mockRejectedValue(new Error('Connection refused'));
+
+      Reminder.dispatch();
+      await new Promise(resolve => setImmediate(resolve));
+      await expect(Reminder.dispatch()).rejects.toThrow('Connection refused');
+
+      expect(error).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalledWith('Failed to dispatch job [Reminder]: Connection refused');
+      error.mockRestore();
+    });
+  });
+
+  describe('dispatchSync()', () => {
+    it('runs the job inline through its middleware', async () => {
+      const calls = [];
+      class Report extends Job {
+        constructor(name) {
+          super();
+          this.name = name;
+        }
+        middleware() {
+          return [{ handle: async (job, next) => { calls.push('middleware'); return next(job); } }];
+        }
+        async handle() {
+          calls.push(this.name);
+          return 'done';
+        }
+      }
+
+      const result = await Report.dispatchSync('daily');
+
+      expect(result).toBe('done');
+      expect(calls).toEqual(['middleware', 'daily']);
+    });
+
+    it('calls failed() and rethrows when the job throws', async () => {
+      const failed = jest.fn();
+      class Broken extends Job {
+        async handle() {
+          throw new Error('broken');
+        }
+        async failed(error) {
+          failed(error.message);
+        }
+      }
+
+      await expect(Broken.dispatchSync()).rejects.toThrow('broken');
+      expect(failed).toHaveBeenCalledWith('broken');
+    });
+  });
+
+  describe('serialization', () => {
+    it('stores models by primary key', () => {
+      class User extends Model {}
+      class Welcome extends Job {
+        constructor(user) {
+          super();
+          this.user = user;
+          this.tries = 3;
+        }
+      }
+
+      const job = new Welcome(makeUser(User, 5));
+      job.setJob({ attempts: 1 });
+
+      expect(job.serialize()).toEqual({
+        user: { __model: 'User', key: 5 },
+        tries: 3
+      });
+    });
+
+    it('re-fetches models when unserializing', async () => {
+      class User extends Model {}
+      User.findOrFail = jest.fn(async (id) => makeUser(User, id));
+      class Welcome extends Job {}
+
+      const job = await Welcome.unserialize(
+        { users: [{ __model: 'User', key: 1 }, { __model: 'User', key: 2 }], note: 'hi' },
+        { User }
+      );
+
+      expect(job).toBeInstanceOf(Welcome);
+      expect(job.users.map(user => user.getKey())).toEqual([1, 2]);
+      expect(job.note).toBe('hi');
+    });
+
+    it('throws for unregistered models', async () => {
+      class Welcome extends Job {}
+
+      await expect(Welcome.unserialize({ user: { __model: 'Ghost', key: 1 } }))
+        .rejects.toThrow('Model [Ghost] is not registered with the queue.');
+    });
+  });
+
+  describe('worker integration', () => {
+    it('resolves Job classes into a handler that rebuilds the instance', async () => {
+      const handled = [];
+      class Ping extends Job {
+        async handle() {
+          handled.push([this.target, this.attempts()]);
+        }
+      }
+
+      const queueManager = new QueueManager({});
+      queueManager.registerJob(Ping);
+      const handler = queueManager.resolveJob('Ping');
+
+      await handler.handle({ target: 'api' }, { attempts: 2 });
+
+      expect(handled).toEqual([['api', 2]]);
+    });
+  });
+
+  describe('middleware', () => {
+    const cache = () => {
+      const items = new Map();
+      return {
+        add: jest.fn(async (key, value) => (items.has(key) ? false : (items.set(key, value), true))),
+        forget: jest.fn(async key => items.delete(key)),
+        get: jest.fn(async key => items.get(key) ?? null),
+        put: jest.fn(async (key, value) => items.set(key, value)),
+        increment: jest.fn(async key => {
+          items.set(key, (items.get(key) || 0) + 1);
+          return items.get(key);
+        })
+      };
+    };
+
+    it('WithoutOverlapping releases the job while another holds the lock', async () => {
+      const store = cache();
+      const middleware = new WithoutOverlapping('order-1', 10).using(store);
+      const job = { release: jest.fn(), constructor: { name: 'Ship' } };
+      await store.add('queue_overlap:Ship:order-1', true);
+
+      await middleware.handle(job, jest.fn());
+
+      expect(job.release).toHaveBeenCalledWith(10);
+    });
+
+    it('WithoutOverlapping runs the job and frees the lock', async () => {
+      const store = cache();
+      const middleware = new WithoutOverlapping('order-1').using(store);
+      const next = jest.fn(async () => 'ok');
+
+      const result = await middleware.handle({ constructor: { name: 'Ship' } }, next);
+
+      expect(result).toBe('ok');
+      expect(store.forget).toHaveBeenCalledWith('queue_overlap:Ship:order-1');
+    });
+
+    it('RateLimited releases jobs over the limit', async () => {
+      const { RateLimiter } = await import('../../../framework/Support/RateLimiter.js');
+      const middleware = new RateLimited('emails', 1, 30).using(new RateLimiter(cache()));
+      const next = jest.fn();
+      const job = { release: jest.fn() };
+
+      await middleware.handle(job, next);
+      await middleware.handle(job, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(job.release).toHaveBeenCalledWith(30);
+    });
+  });
+});
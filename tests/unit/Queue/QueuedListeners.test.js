@@ -0,0 +1,240 @@
+/**
+ * Queued Event Listener Tests
+ *
+ * Test Coverage:
+ * - listener classes declaring shouldQueue are pushed, not run inline
+ * - CallQueuedListener serialization of event objects
+ * - after-commit events and listeners
+ * - listener discovery by listensTo and JSDoc type hints
+ */
+
+import { describe, test, expect, beforeEach, afterAll, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventDispatcher } from '../../../framework/Services/Events/EventDispatcher.js';
+import { CallQueuedListener } from '../../../framework/Services/Events/CallQueuedListener.js';
+import { DatabaseTransactionsManager } from '../../../framework/Database/DatabaseTransactionsManager.js';
+
+let handled;
+
+class OrderPlaced {
+  constructor(order) {
+    this.order = order;
+  }
+
+  total() {
+    return this.order.total;
+  }
+}
+
+class CommittedOrder extends OrderPlaced {
+  static afterCommit = true;
+}
+
+class RecordOrder {
+  handle(event) {
+    handled.push(`record:${event.total()}`);
+  }
+}
+
+class SendInvoice {
+  static shouldQueue = true;
+
+  constructor() {
+    this.queue = 'invoices';
+    this.tries = 3;
+    this.backoff = [5, 30];
+  }
+
+  handle(event) {
+    handled.push(`invoice:${event.total()}`);
+  }
+
+  failed(event, error) {
+    handled.push(`failed:${error.message}`);
+  }
+}
+
+class SyncCrm extends SendInvoice {
+  constructor() {
+    super();
+    this.afterCommit = true;
+    this.delay = 10;
+  }
+}
+
+function fakeConnection() {
+  return {
+    level: 0,
+    transactionLevel() {
+      return this.level;
+    },
+    async beginTransaction() {
+      this.level++;
+    },
+    async commit() {
+      this.level--;
+    },
+    async rollback() {
+      this.level--;
+    },
+    async transaction(callback) {
+      await this.beginTransaction();
+      try {
+        const result = await callback();
+        await this.commit();
+        return result;
+      } catch (error) {
+        await this.rollback();
+        throw error;
+      }
+    },
+  };
+}
+
+describe('Queued event listeners', () => {
+  let events;
+  let pushed;
+  let transactions;
+  let db;
+
+  beforeEach(() => {
+    handled = [];
+    pushed = [];
+    db = fakeConnection();
+    transactions = new DatabaseTransactionsManager().watch(db);
+
+    const connection = {
+      push: jest.fn(async (job, data, queue) => pushed.push({ job, queue })),
+      later: jest.fn(async (delay, job, data, queue) => pushed.push({ job, queue, delay })),
+    };
+
+    events = new EventDispatcher()
+      .setQueueResolver(() => ({ connection: () => connection }))
+      .setTransactionManagerResolver(() => transactions);
+  });
+
+  test('should run listener classes inline with the event object', async () => {
+    events.listen(OrderPlaced, RecordOrder);
+
+    await events.dispatch(new OrderPlaced({ total: 50 }));
+
+    expect(handled).toEqual(['record:50']);
+  });
+
+  test('should push listeners declaring shouldQueue onto their queue', async () => {
+    events.listen(OrderPlaced, RecordOrder);
+    events.listen(OrderPlaced, SendInvoice);
+
+    await events.dispatch(new OrderPlaced({ total: 80 }));
+
+    expect(handled).toEqual(['record:80']);
+    expect(pushed).toHaveLength(1);
+    expect(pushed[0].queue).toBe('invoices');
+    expect(pushed[0].job).toBeInstanceOf(CallQueuedListener);
+    expect(pushed[0].job).toMatchObject({ class: 'SendInvoice', tries: 3, backoff: [5, 30] });
+  });
+
+  test('should rebuild the event object on the worker', async () => {
+    events.listen(OrderPlaced, SendInvoice);
+    await events.dispatch(new OrderPlaced({ total: 120 }));
+
+    const payload = JSON.parse(JSON.stringify(pushed[0].job.serialize()));
+    expect(payload.arguments).toEqual([{ __event: 'OrderPlaced', data: { order: { total: 120 } } }]);
+
+    const job = await CallQueuedListener.unserialize(payload);
+    await job.handle();
+    await job.failed(new Error('SMTP down'));
+
+    expect(job.arguments[0]).toBeInstanceOf(OrderPlaced);
+    expect(handled).toEqual(['invoice:120', 'failed:SMTP down']);
+  });
+
+  test('should fire after-commit events only when the transaction commits', async () => {
+    events.listen(CommittedOrder, RecordOrder);
+
+    await db.transaction(async () => {
+      await events.dispatch(new CommittedOrder({ total: 10 }));
+      expect(handled).toEqual([]);
+    });
+
+    await expect(db.transaction(async () => {
+      await events.dispatch(new CommittedOrder({ total: 20 }));
+      throw new Error('rolled back');
+    })).rejects.toThrow('rolled back');
+
+    await events.dispatch(new CommittedOrder({ total: 30 }));
+
+    expect(handled).toEqual(['record:10', 'record:30']);
+  });
+
+  test('should wait for the outermost transaction of nested ones', async () => {
+    events.listen(CommittedOrder, RecordOrder);
+
+    await db.transaction(async () => {
+      await db.transaction(async () => {
+        await events.dispatch(new CommittedOrder({ total: 5 }));
+      });
+      expect(handled).toEqual([]);
+    });
+
+    expect(handled).toEqual(['record:5']);
+  });
+
+  test('should push afterCommit listeners once the transaction commits', async () => {
+    events.listen(OrderPlaced, SyncCrm);
+
+    await db.transaction(async () => {
+      await events.dispatch(new OrderPlaced({ total: 1 }));
+      expect(pushed).toHaveLength(0);
+    });
+
+    expect(pushed).toHaveLength(1);
+    expect(pushed[0]).toMatchObject({ queue: 'invoices', delay: 10 });
+  });
+});
+
+describe('Event discovery', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vasuzex-events-'));
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should discover listeners by listensTo and JSDoc type hints', async () => {
+    fs.mkdirSync(path.join(directory, 'Events'));
+    fs.mkdirSync(path.join(directory, 'Listeners', 'Billing'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'package.json'), '{"type":"module"}');
+    fs.writeFileSync(path.join(directory, 'Events', 'UserRegistered.js'), 'export class UserRegistered {}\n');
+    fs.writeFileSync(path.join(directory, 'Listeners', 'SendWelcomeEmail.js'), [
+      "import { UserRegistered } from '../Events/UserRegistered.js';",
+      '',
+      'export class SendWelcomeEmail {',
+      '  static shouldQueue = true;',
+      '',
+      '  /**',
+      '   * @param {UserRegistered|TeamJoined} event',
+      '   */',
+      '  async handle(event) {}',
+      '}',
+    ].join('\n'));
+    fs.writeFileSync(path.join(directory, 'Listeners', 'Billing', 'SyncCustomer.js'), [
+      'export default class SyncCustomer {',
+      "  static listensTo = ['user.updated', 'user.deleted'];",
+      '  handle() {}',
+      '}',
+    ].join('\n'));
+    fs.writeFileSync(path.join(directory, 'Listeners', 'helpers.js'), 'export const format = value => value;\n');
+
+    const events = new EventDispatcher();
+    await events.discover(path.join(directory, 'Listeners'));
+    const raw = events.getRawListeners();
+
+    expect(Object.keys(raw).sort()).toEqual(['TeamJoined', 'UserRegistered', 'user.deleted', 'user.updated']);
+    expect(raw.UserRegistered[0].name).toBe('SendWelcomeEmail');
+    expect(raw['user.updated'][0].name).toBe('SyncCustomer');
+    expect(CallQueuedListener.events.get('UserRegistered').name).toBe('UserRegistered');
+    expect(CallQueuedListener.listeners.has('SendWelcomeEmail')).toBe(true);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Queue Worker Tests
+ * Tests for job processing, retries, backoff and failed job logging
+ */
+
+import { describe, expect, it, beforeEach, jest } from '@jest/globals';
+
+describe('Queue Worker', () => {
+  let Worker;
+  let QueueManager;
+  let manager;
+  let connection;
+  let failer;
+  let events;
+  let worker;
+
+  const makeJob = (payload, attempts = 1) => ({
+    id: 1,
+    queue: 'default',
+    attempts,
+    payload: { job: 'SendEmail', data: { to: 'a@b.c' }, maxTries: null, backoff: null, timeout: null, ...payload },
+    delete: jest.fn(async () => {}),
+    release: jest.fn(async () => {})
+  });
+
+  beforeEach(async () => {
+    ({ Worker } = await import('../../../framework/Services/Queue/Worker.js'));
+    ({ QueueManager } = await import('../../../framework/Services/Queue/QueueManager.js'));
+
+    connection = { pop: jest.fn(async () => null) };
+    manager = new QueueManager({});
+    manager.connection = jest.fn(() => connection);
+
+    failer = { log: jest.fn(async () => 'uuid') };
+    events = { dispatch: jest.fn(async () => null) };
+    worker = new Worker(manager, events, failer);
+  });
+
+  describe('process()', () => {
+    it('runs the handler and deletes the job', async () => {
+      const handle = jest.fn(async () => {});
+      manager.registerJob('SendEmail', handle);
+      const job = makeJob();
+
+      await worker.process('database', job);
+
+      expect(handle).toHaveBeenCalledWith({ to: 'a@b.c' }, job);
+      expect(job.delete).toHaveBeenCalled();
+      expect(events.dispatch).toHaveBeenCalledWith('JobProcessed', [expect.objectContaining({ job })]);
+    });
+
+    it('resolves class handlers', async () => {
+      const handled = [];
+      class SendEmail {
+        async handle(data) {
+          handled.push(data.to);
+        }
+      }
+      manager.registerJob(SendEmail);
+
+      await worker.process('database', makeJob());
+
+      expect(handled).toEqual(['a@b.c']);
+    });
+
+    it('releases a failing job with backoff while attempts remain', async () => {
+      manager.registerJob('SendEmail', async () => {
+        throw new Error('SMTP down');
+      });
+      const job = makeJob({}, 2);
+
+      await worker.process('database', job, { tries: 3, backoff: 10 });
+
+      expect(job.release).toHaveBeenCalledWith(20);
+      expect(job.delete).not.toHaveBeenCalled();
+      expect(failer.log).not.toHaveBeenCalled();
+    });
+
+    it('logs the job as failed once max attempts are reached', async () => {
+      const failed = jest.fn();
+      manager.registerJob('SendEmail', {
+        handle: async () => {
+          throw new Error('SMTP down');
+        },
+        failed
+      });
+      const job = makeJob({}, 3);
+
+      await worker.process('database', job, { tries: 3 });
+
+      expect(job.delete).toHaveBeenCalled();
+      expect(failer.log).toHaveBeenCalledWith('database', 'default', job.payload, expect.any(Error));
+      expect(failed).toHaveBeenCalledWith({ to: 'a@b.c' }, expect.any(Error), job);
+      expect(events.dispatch).toHaveBeenCalledWith('JobFailed', expect.any(Array));
+    });
+
+    it('prefers the maxTries stored in the payload', async () => {
+      manager.registerJob('SendEmail', async () => {
+        throw new Error('boom');
+      });
+      const job = makeJob({ maxTries: 5 }, 3);
+
+      await worker.process('database', job, { tries: 3 });
+
+      expect(job.release).toHaveBeenCalled();
+      expect(failer.log).not.toHaveBeenCalled();
+    });
+
+    it('fails jobs reserved more times than allowed without running them', async () => {
+      const handle = jest.fn();
+      manager.registerJob('SendEmail', handle);
+      const job = makeJob({}, 4);
+
+      await worker.process('database', job, { tries: 3 });
+
+      expect(handle).not.toHaveBeenCalled();
+      expect(failer.log).toHaveBeenCalled();
+    });
+
+    it('fails jobs that run longer than their timeout', async () => {
+      manager.registerJob('SendEmail', () => new Promise(resolve => setTimeout(resolve, 200)));
+      const job = makeJob({ timeout: 0.01 }, 1);
+
+      await worker.process('database', job, { tries: 1 });
+
+      expect(failer.log.mock.calls[0][3].message).toMatch(/timed out/);
+    });
+
+    it('fails jobs without a registered handler', async () => {
+      const job = makeJob({ job: 'Unknown' }, 1);
+
+      await worker.process('database', job, { tries: 1 });
+
+      expect(failer.log.mock.calls[0][3].message).toBe('Queue job [Unknown] is not registered.');
+    });
+  });
+
+  describe('calculateBackoff()', () => {
+    it('grows exponentially from the base delay', () => {
+      expect(worker.calculateBackoff(makeJob({}, 1), { backoff: 5 })).toBe(5);
+      expect(worker.calculateBackoff(makeJob({}, 2), { backoff: 5 })).toBe(10);
+      expect(worker.calculateBackoff(makeJob({}, 4), { backoff: 5 })).toBe(40);
+    });
+
+    it('caps the delay at maxBackoff', () => {
+      expect(worker.calculateBackoff(makeJob({}, 10), { backoff: 5, maxBackoff: 60 })).toBe(60);
+    });
+
+    it('reads array backoff per attempt', () => {
+      const options = { backoff: [1, 30, 120] };
+
+      expect(worker.calculateBackoff(makeJob({}, 1), options)).toBe(1);
+      expect(worker.calculateBackoff(makeJob({}, 3), options)).toBe(120);
+      expect(worker.calculateBackoff(makeJob({}, 7), options)).toBe(120);
+    });
+  });
+
+  describe('daemon()', () => {
+    it('processes jobs until the queue is empty when stopWhenEmpty is set', async () => {
+      const handle = jest.fn();
+      manager.registerJob('SendEmail', handle);
+      connection.pop
+        .mockResolvedValueOnce(makeJob())
+        .mockResolvedValueOnce(makeJob())
+        .mockResolvedValue(null);
+
+      const processed = await worker.daemon('database', 'default', { stopWhenEmpty: true });
+
+      expect(processed).toBe(2);
+      expect(handle).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops after maxJobs', async () => {
+      manager.registerJob('SendEmail', jest.fn());
+      connection.pop.mockImplementation(async () => makeJob());
+
+      const processed = await worker.daemon('database', null, { maxJobs: 3 });
+
+      expect(processed).toBe(3);
+    });
+
+    it('only stops on memory when a limit is set', async () => {
+      manager.registerJob('SendEmail', jest.fn());
+      connection.pop.mockImplementation(async () => makeJob());
+      const memoryUsage = jest.spyOn(process, 'memoryUsage').mockReturnValue({ heapUsed: 512 * 1024 * 1024 });
+
+      try {
+        expect(await worker.daemon('database', null, { maxJobs: 3 })).toBe(3);
+
+        expect(await worker.daemon('database', null, { maxJobs: 3, memory: 256 })).toBe(1);
+      } finally {
+        memoryUsage.mockRestore();
+      }
+    });
+
+    it('checks queues in priority order', async () => {
+      manager.registerJob('SendEmail', jest.fn());
+
+      await worker.runNextJob('database', 'high, low');
+
+      expect(connection.pop).toHaveBeenNthCalledWith(1, 'high');
+      expect(connection.pop).toHaveBeenNthCalledWith(2, 'low');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Resource Route Tests
+ *
+ * Test Coverage:
+ * - resource() and apiResource() actions, paths and names
+ * - only/except, names and parameters options
+ * - singular parameter names
+ * - nested and shallow nested resources
+ * - dispatching to controller actions
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { Router } from '../../../framework/Routing/Router.js';
+import { RouteCollection } from '../../../framework/Routing/RouteCollection.js';
+
+class OrderController {
+  index = (req, res) => res.json({ action: 'index' });
+  create = (req, res) => res.json({ action: 'create' });
+  store = (req, res) => res.json({ action: 'store' });
+  show = (req, res) => res.json({ action: 'show', params: req.params });
+  edit = (req, res) => res.json({ action: 'edit' });
+  update = (req, res) => res.json({ action: 'update' });
+  destroy = (req, res) => res.json({ action: 'destroy' });
+}
+
+describe('Resource routes', () => {
+  let router;
+
+  const table = () => Router.routes.all().map(route => `${route.methods.join('|')} ${route.path()} ${route.name}`);
+
+  beforeEach(() => {
+    Router.routes = new RouteCollection();
+    Router.bindings = new Map();
+    router = new Router();
+  });
+
+  test('should register the seven resource routes with conventional names', () => {
+    const result = router.resource('orders', OrderController);
+
+    expect(result).toBe(router);
+    expect(table()).toEqual([
+      'get /orders orders.index',
+      'get /orders/create orders.create',
+      'post /orders orders.store',
+      'get /orders/:order orders.show',
+      'get /orders/:order/edit orders.edit',
+      'put|patch /orders/:order orders.update',
+      'delete /orders/:order orders.destroy',
+    ]);
+  });
+
+  test('should skip form routes for api resources', () => {
+    router.apiResource('orders', new OrderController());
+
+    expect(Router.routes.all().map(route => route.name)).toEqual([
+      'orders.index', 'orders.store', 'orders.show', 'orders.update', 'orders.destroy',
+    ]);
+  });
+
+  test('should apply only and except', () => {
+    router.apiResource('orders', OrderController, { only: ['index', 'show', 'destroy'], except: 'destroy' });
+
+    expect(Router.routes.all().map(route => route.name)).toEqual(['orders.index', 'orders.show']);
+  });
+
+  test('should support custom names and parameters', () => {
+    router.apiResource('categories', OrderController, {
+      only: ['show'],
+      names: { show: 'catalog.category' },
+      parameters: { categories: 'slug' },
+    });
+
+    expect(table()).toEqual(['get /categories/:slug catalog.category']);
+  });
+
+  test('should name parameters after the singular resource', () => {
+    const resources = ['statuses', 'buses', 'aliases', 'analyses', 'boxes', 'batches', 'wishes', 'addresses', 'categories', 'people'];
+
+    for (const name of resources) {
+      router.apiResource(name, OrderController, { only: ['show'] });
+    }
+
+    expect(Router.routes.all().map(route => route.path())).toEqual([
+      '/statuses/:status',
+      '/buses/:bus',
+      '/aliases/:alias',
+      '/analyses/:analysis',
+      '/boxes/:box',
+      '/batches/:batch',
+      '/wishes/:wish',
+      '/addresses/:address',
+      '/categories/:category',
+      '/people/:person',
+    ]);
+  });
+
+  test('should register nested resources', () => {
+    router.apiResource('users.orders', OrderController, { only: ['index', 'show'] });
+
+    expect(table()).toEqual([
+      'get /users/:user/orders users.orders.index',
+      'get /users/:user/orders/:order users.orders.show',
+    ]);
+  });
+
+  test('should register shallow nested resources', () => {
+    router.apiResource('users.orders', OrderController, { shallow: true });
+
+    expect(table()).toEqual([
+      'get /users/:user/orders users.orders.index',
+      'post /users/:user/orders users.orders.store',
+      'get /orders/:order orders.show',
+      'put|patch /orders/:order orders.update',
+      'delete /orders/:order orders.destroy',
+    ]);
+  });
+
+  test('should throw when the controller is missing an action', () => {
+    class PartialController {
+      index() {}
+    }
+
+    expect(() => router.apiResource('orders', PartialController))
+      .toThrow('Controller [PartialController] is missing the [store] action for resource [orders].');
+  });
+
+  test('should dispatch requests to controller actions', async () => {
+    router.group({ prefix: '/api', as: 'api.' }, (api) => {
+      api.resource('users.orders', OrderController);
+    });
+    const app = express();
+    app.use(router.getRouter());
+
+    const create = await request(app).get('/api/users/1/orders/create');
+    const show = await request(app).get('/api/users/1/orders/7');
+    const update = await request(app).patch('/api/users/1/orders/7');
+
+    expect(create.body.action).toBe('create');
+    expect(show.body).toEqual({ action: 'show', params: { user: '1', order: '7' } });
+    expect(update.body.action).toBe('update');
+    expect(Router.routes.getByName('api.users.orders.show').path()).toBe('/api/users/:user/orders/:order');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Route Cache Tests
+ *
+ * Test Coverage:
+ * - middleware aliases with parameters
+ * - 'Controller@action' handlers importing the controller on first request
+ * - compiling, writing and registering the route cache
+ * - closures and non-alias middleware refusing to cache
+ * - BaseApp loading cached routes instead of setupRoutes()
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Router } from '../../../framework/Routing/Router.js';
+import { RouteCollection } from '../../../framework/Routing/RouteCollection.js';
+import { RouteCache } from '../../../framework/Routing/RouteCache.js';
+import { BaseApp } from '../../../framework/Foundation/BaseApp.js';
+
+const tag = (value) => (req, res, next) => {
+  res.set('X-Tag', value);
+  next();
+};
+
+describe('RouteCache', () => {
+  let directory;
+  let cacheFile;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vasuzex-routes-'));
+    cacheFile = path.join(directory, 'bootstrap/cache/routes.json');
+
+    fs.writeFileSync(path.join(directory, 'package.json'), '{ "type": "module" }');
+
+    fs.writeFileSync(path.join(directory, 'OrderController.js'), `
+      export class OrderController {
+        constructor() { globalThis.orderControllerCount = (globalThis.orderControllerCount || 0) + 1; }
+        index = (req, res) => res.json({ action: 'index' });
+        show = (req, res) => res.json({ action: 'show', order: req.params.order });
+        store = (req, res) => res.status(201).json({ action: 'store' });
+        update = (req, res) => res.json({ action: 'update' });
+        destroy = (req, res) => res.status(204).end();
+      }
+    `);
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete globalThis.orderControllerCount;
+  });
+
+  beforeEach(() => {
+    Router.routes = new RouteCollection();
+    Router.bindings = new Map();
+    Router.middlewareAliases = new Map();
+    Router.controllers = new Map();
+    Router.controllersPath = directory;
+    globalThis.orderControllerCount = 0;
+
+    Router.aliasMiddleware('tag', tag);
+    Router.aliasMiddleware('auth', (req, res, next) => next());
+  });
+
+  function defineRoutes() {
+    const router = new Router();
+    router.use('auth');
+    router.get('/orders', 'tag:list', 'OrderController@index').name('orders.index');
+    router.group({ prefix: '/admin', middleware: ['tag:admin'], as: 'admin.' }, admin => {
+      admin.apiResource('orders', 'OrderController', { only: ['show', 'destroy'] });
+    });
+    return router;
+  }
+
+  test('should import controllers on the first request only', async () => {
+    const app = express();
+    app.use('/api', defineRoutes().getRouter());
+
+    expect(globalThis.orderControllerCount).toBe(0);
+
+    const response = await request(app).get('/api/orders');
+    await request(app).get('/api/admin/orders/5');
+
+    expect(response.body).toEqual({ action: 'index' });
+    expect(response.headers['x-tag']).toBe('list');
+    expect(globalThis.orderControllerCount).toBe(1);
+  });
+
+  test('should throw for unknown middleware aliases', () => {
+    expect(() => new Router().get('/x', 'missing', 'OrderController@index'))
+      .toThrow('Middleware [missing] is not defined.');
+  });
+
+  test('should compile routes with full paths, names and middleware', () => {
+    const router = defineRoutes();
+    router.mount('/api');
+
+    expect(RouteCache.compile()).toEqual([
+      { methods: ['get'], path: '/api/orders', name: 'orders.index', middleware: ['auth', 'tag:list'], action: 'OrderController@index', withTrashed: false },
+      { methods: ['get'], path: '/api/admin/orders/:order', name: 'admin.orders.show', middleware: ['auth', 'tag:admin'], action: 'OrderController@show', withTrashed: false },
+      { methods: ['delete'], path: '/api/admin/orders/:order', name: 'admin.orders.destroy', middleware: ['auth', 'tag:admin'], action: 'OrderController@destroy', withTrashed: false },
+    ]);
+  });
+
+  test('should refuse to cache closures and middleware functions', () => {
+    const router = new Router();
+    router.get('/closure', (req, res) => res.end());
+
+    expect(() => RouteCache.compile()).toThrow('Unable to cache route [GET /closure]');
+
+    Router.routes = new RouteCollection();
+    router.get('/guarded', function guard(req, res, next) { next(); }, 'OrderController@index');
+
+    expect(() => RouteCache.compile()).toThrow('middleware [guard] is not an alias');
+  });
+
+  test('should register routes from the cache file', async () => {
+    const router = defineRoutes();
+    router.mount('/api');
+    RouteCache.write(cacheFile, RouteCache.compile());
+
+    Router.routes = new RouteCollection();
+    const app = express();
+    app.use(RouteCache.register(RouteCache.read(cacheFile)).getRouter());
+
+    const response = await request(app).get('/api/admin/orders/7');
+
+    expect(response.body).toEqual({ action: 'show', order: '7' });
+    expect(response.headers['x-tag']).toBe('admin');
+    expect(Router.routes.getByName('admin.orders.show').path()).toBe('/api/admin/orders/:order');
+    expect(RouteCache.clear(cacheFile)).toBe(true);
+    expect(RouteCache.clear(cacheFile)).toBe(false);
+  });
+
+  test('should load cached routes in BaseApp instead of setupRoutes()', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const router = defineRoutes();
+    router.mount('/api');
+    RouteCache.write(cacheFile, RouteCache.compile());
+
+    const app = new BaseApp({ routeCachePath: cacheFile });
+    app.setupRoutes = jest.fn();
+
+    const response = await request(app.build()).delete('/api/admin/orders/3');
+
+    expect(app.setupRoutes).not.toHaveBeenCalled();
+    expect(response.status).toBe(204);
+
+    RouteCache.clear(cacheFile);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Route Inspector Tests
+ *
+ * Test Coverage:
+ * - full paths through mounted routers and groups
+ * - route names, controller actions and handler names
+ * - middleware chains from mounted middleware, groups and routes
+ * - filtering by method, path and name
+ */
+
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+import express from 'express';
+import { Router } from '../../../framework/Routing/Router.js';
+import { RouteCollection } from '../../../framework/Routing/RouteCollection.js';
+import { RouteInspector } from '../../../framework/Routing/RouteInspector.js';
+
+function authenticate(req, res, next) { next(); }
+function throttle(req, res, next) { next(); }
+function listHealth(req, res) { res.send('ok'); }
+
+class OrderController {
+  index = (req, res) => res.json([]);
+  store = (req, res) => res.json({});
+  show = (req, res) => res.json({});
+  update = (req, res) => res.json({});
+  destroy = (req, res) => res.json({});
+}
+
+describe('RouteInspector', () => {
+  let app;
+
+  beforeAll(() => {
+    RouteInspector.instrument();
+  });
+
+  beforeEach(() => {
+    Router.routes = new RouteCollection();
+    Router.bindings = new Map();
+
+    const router = new Router();
+    router.get('/me', authenticate, function profile(req, res) { res.json({}); }).name('me');
+    router.group({ prefix: '/admin', middleware: [throttle], as: 'admin.' }, admin => {
+      admin.apiResource('orders', OrderController, { only: ['index', 'update'] });
+    });
+
+    const plain = express.Router();
+    plain.get('/health', listHealth);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', authenticate);
+    app.use('/api', router.getRouter());
+    app.use(plain);
+  });
+
+  test('should list full paths, methods and names', () => {
+    const routes = RouteInspector.routes(app);
+
+    expect(routes.map(route => [route.methods.join('|'), route.path, route.name])).toEqual([
+      ['GET', '/api/me', 'me'],
+      ['GET', '/api/admin/orders', 'admin.orders.index'],
+      ['PUT|PATCH', '/api/admin/orders/:order', 'admin.orders.update'],
+      ['GET', '/health', null],
+    ]);
+  });
+
+  test('should describe middleware chains and handlers', () => {
+    const [me, index, , health] = RouteInspector.routes(app);
+
+    expect(me.middleware).toEqual(['authenticate', 'authenticate']);
+    expect(me.handler).toBe('profile');
+    expect(index.middleware).toEqual(['authenticate', 'throttle']);
+    expect(index.handler).toBe('OrderController@index');
+    expect(health.middleware).toEqual([]);
+    expect(health.handler).toBe('listHealth');
+  });
+
+  test('should filter by method, path and name', () => {
+    const routes = RouteInspector.routes(app);
+
+    expect(RouteInspector.filter(routes, { method: 'patch' }).map(route => route.name))
+      .toEqual(['admin.orders.update']);
+    expect(RouteInspector.filter(routes, { path: '/admin' })).toHaveLength(2);
+    expect(RouteInspector.filter(routes, { name: 'orders.' })).toHaveLength(2);
+  });
+
+  test('should treat routes for all methods as ANY', () => {
+    const router = express.Router();
+    router.all('/webhook', function webhook(req, res) { res.end(); });
+
+    const [route] = RouteInspector.routes(router);
+
+    expect(route.methods).toEqual(['ANY']);
+    expect(RouteInspector.filter([route], { method: 'post' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Named Routes and Route Model Binding Tests
+ *
+ * Test Coverage:
+ * - name() and group name prefixes
+ * - URL generation through group prefixes and mount paths
+ * - parameters as objects, arrays, single values and models
+ * - implicit and explicit route model binding with 404s
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { Router } from '../../../framework/Routing/Router.js';
+import { RouteCollection } from '../../../framework/Routing/RouteCollection.js';
+import { UrlGenerator } from '../../../framework/Routing/UrlGenerator.js';
+import { ExceptionHandler } from '../../../framework/Exceptions/Handler.js';
+import { ModelNotFoundError } from '../../../framework/Exceptions/ErrorTypes.js';
+import { Model } from '../../../framework/Database/Model.js';
+
+describe('Named routes', () => {
+  let router;
+  let url;
+
+  beforeEach(() => {
+    Router.routes = new RouteCollection();
+    Router.bindings = new Map();
+    router = new Router();
+    url = new UrlGenerator(Router.routes, { baseUrl: 'https://shop.test/' });
+  });
+
+  test('should generate URLs for named routes', () => {
+    router.get('/orders/:order', jest.fn()).name('orders.show');
+
+    expect(url.route('orders.show', { order: 5 })).toBe('https://shop.test/orders/5');
+    expect(url.route('orders.show', 5, false)).toBe('/orders/5');
+    expect(url.route('orders.show', [7], false)).toBe('/orders/7');
+  });
+
+  test('should include group prefixes and name prefixes', () => {
+    router.group({ prefix: '/admin', as: 'admin.' }, (admin) => {
+      admin.group({ prefix: '/users/:user', as: 'users.' }, (users) => {
+        users.get('/orders', jest.fn()).name('orders');
+      });
+    });
+
+    expect(url.route('admin.users.orders', { user: 3 }, false)).toBe('/admin/users/3/orders');
+  });
+
+  test('should include the path a router is mounted at', () => {
+    const api = new Router();
+    api.get('/health', jest.fn()).name('health');
+    router.use('/api/v1', api.getRouter());
+
+    expect(url.route('health', {}, false)).toBe('/api/v1/health');
+  });
+
+  test('should append unused parameters as the query string', () => {
+    router.get('/orders', jest.fn()).name('orders.index');
+
+    expect(url.route('orders.index', { page: 2, status: 'open' }, false)).toBe('/orders?page=2&status=open');
+  });
+
+  test('should drop optional groups without their parameters', () => {
+    router.get('/reports{/:format}', jest.fn()).name('reports');
+
+    expect(url.route('reports', {}, false)).toBe('/reports');
+    expect(url.route('reports', { format: 'csv' }, false)).toBe('/reports/csv');
+  });
+
+  test('should use the route key of models', () => {
+    class Order extends Model {
+      static routeKeyName = 'number';
+    }
+    const order = new Order();
+    order.forceFill({ id: 1, number: 'A-100' });
+    router.get('/orders/:order', jest.fn()).name('orders.show');
+
+    expect(url.route('orders.show', order, false)).toBe('/orders/A-100');
+  });
+
+  test('should throw for unknown routes and missing parameters', () => {
+    router.get('/orders/:order', jest.fn()).name('orders.show');
+
+    expect(() => url.route('missing')).toThrow('Route [missing] not defined.');
+    expect(() => url.route('orders.show')).toThrow('Missing required parameter [order] for route [orders.show].');
+  });
+
+  test('should require a route before name()', () => {
+    expect(() => router.name('orphan')).toThrow('Register a route before calling name().');
+  });
+});
+
+describe('Route model binding', () => {
+  let router;
+  let app;
+  let Order;
+
+  beforeEach(() => {
+    Router.routes = new RouteCollection();
+    Router.bindings = new Map();
+    router = new Router();
+
+    Order = class Order extends Model {};
+    Order.findOrFail = jest.fn(async (id) => {
+      if (id !== '5') {
+        throw new ModelNotFoundError('Order', id);
+      }
+      const order = new Order();
+      order.forceFill({ id: 5 });
+      return order;
+    });
+
+    app = express();
+  });
+
+  const mount = () => {
+    app.use(router.getRouter());
+    app.use(new ExceptionHandler({ logger: { error: jest.fn() } }).middleware());
+  };
+
+  test('should resolve implicitly bound parameters through findOrFail', async () => {
+    Router.registerModel(Order);
+    router.get('/orders/:order', (req, res) => res.json({ id: req.params.order.getKey() }));
+    mount();
+
+    const response = await request(app).get('/orders/5');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ id: 5 });
+    expect(Order.findOrFail).toHaveBeenCalledWith('5');
+  });
+
+  test('should return a 404 through the exception handler when the model is missing', async () => {
+    router.model('order', Order);
+    router.get('/orders/:order', (req, res) => res.json({}));
+    mount();
+
+    const response = await request(app).get('/orders/9');
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('NOT_FOUND');
+  });
+
+  test('should query trashed models only on routes that allow them', async () => {
+    const first = jest.fn(async () => null);
+    Order.withTrashed = jest.fn(() => ({ where: () => ({ first }) }));
+    Router.registerModel(Order);
+    router.get('/orders/:order/restore', (req, res) => res.json({})).withTrashed();
+    mount();
+
+    const response = await request(app).get('/orders/9/restore');
+
+    expect(Order.withTrashed).toHaveBeenCalled();
+    expect(Order.findOrFail).not.toHaveBeenCalled();
+    expect(response.status).toBe(404);
+  });
+
+  test('should use custom resolvers', async () => {
+    router.bind('code', (value) => value.toUpperCase());
+    router.get('/coupons/:code', (req, res) => res.json({ code: req.params.code }));
+    mount();
+
+    const response = await request(app).get('/coupons/save10');
+
+    expect(response.body).toEqual({ code: 'SAVE10' });
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Session Tests
+ *
+ * Test Coverage:
+ * - Store data, flash data, keep() and reflash()
+ * - regenerate(), migrate() and invalidate()
+ * - StartSession middleware loading and persisting sessions
+ * - cookie and encrypted sessions
+ * - SessionManager calls using the session of the current request
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { SessionManager } from '../../../framework/Services/Session/SessionManager.js';
+import { Store } from '../../../framework/Services/Session/Store.js';
+import { EncryptedStore } from '../../../framework/Services/Session/EncryptedStore.js';
+import { ArraySessionHandler } from '../../../framework/Services/Session/Handlers/ArraySessionHandler.js';
+import { SessionGuard } from '../../../framework/Auth/Guards/SessionGuard.js';
+import { Encrypter } from '../../../framework/Services/Encryption/Encrypter.js';
+import { Container } from '../../../framework/Foundation/Container.js';
+import { SessionServiceProvider } from '../../../framework/Foundation/Providers/SessionServiceProvider.js';
+
+function makeApp(session = {}) {
+  const config = {
+    session: {
+      driver: 'array',
+      lifetime: 120,
+      lottery: [0, 100],
+      cookie: { name: 'app_session', http_only: true, same_site: 'lax' },
+      drivers: {
+        array: { driver: 'array' },
+        cookie: { driver: 'cookie' },
+      },
+      ...session,
+    },
+  };
+  const bindings = { encrypter: new Encrypter(Encrypter.generateKey()) };
+
+  return {
+    config: (key, fallback = null) => key.split('.').reduce((value, segment) => value?.[segment], config) ?? fallback,
+    make: (name) => bindings[name],
+  };
+}
+
+function sessionCookie(response, name = 'app_session') {
+  const cookie = (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+  return cookie?.split(';')[0];
+}
+
+describe('Session', () => {
+  describe('Store', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new Store('app_session', new ArraySessionHandler());
+      await store.start();
+    });
+
+    test('should put, get, pull and forget data', () => {
+      store.put('cart', [1]);
+      store.put({ locale: 'en', visits: 1 });
+      store.push('cart', 2);
+      store.increment('visits');
+
+      expect(store.get('cart')).toEqual([1, 2]);
+      expect(store.get('visits')).toBe(2);
+      expect(store.get('missing', 'default')).toBe('default');
+      expect(store.pull('locale')).toBe('en');
+      expect(store.has('locale')).toBe(false);
+
+      store.forget(['cart', 'visits']);
+
+      expect(store.all()).toEqual({});
+    });
+
+    test('should persist data under the session id', async () => {
+      store.put('user', 7);
+      await store.save();
+
+      const next = new Store('app_session', store.getHandler(), store.getId());
+      await next.start();
+
+      expect(next.get('user')).toBe(7);
+    });
+
+    test('should replace invalid session ids', () => {
+      const next = new Store('app_session', store.getHandler(), '../../etc/passwd');
+
+      expect(next.getId()).toMatch(/^[A-Za-z0-9_-]{40}$/);
+      expect(next.isValidId(store.getId())).toBe(true);
+    });
+
+    test('should keep flash data for the next request only', async () => {
+      store.flash('status', 'Saved');
+      store.now('notice', 'Now only');
+
+      expect(store.get('status')).toBe('Saved');
+      expect(store.get('notice')).toBe('Now only');
+
+      await store.save();
+      await store.start();
+
+      expect(store.get('status')).toBe('Saved');
+      expect(store.has('notice')).toBe(false);
+
+      await store.save();
+      await store.start();
+
+      expect(store.has('status')).toBe(false);
+    });
+
+    test('should keep flash data for another request with keep() and reflash()', async () => {
+      store.flash('status', 'Saved');
+      store.flash('error', 'Invalid');
+      await store.save();
+      await store.start();
+
+      store.keep('status');
+      await store.save();
+      await store.start();
+
+      expect(store.get('status')).toBe('Saved');
+      expect(store.has('error')).toBe(false);
+
+      store.reflash();
+      await store.save();
+      await store.start();
+
+      expect(store.get('status')).toBe('Saved');
+    });
+
+    test('should regenerate the id keeping the data', async () => {
+      store.put('user', 7);
+      await store.save();
+      const oldId = store.getId();
+
+      await store.regenerate();
+
+      expect(store.getId()).not.toBe(oldId);
+      expect(store.get('user')).toBe(7);
+      expect(await store.getHandler().read(oldId)).not.toBe('');
+    });
+
+    test('should destroy the old session when migrating or invalidating', async () => {
+      store.put('user', 7);
+      await store.save();
+      const oldId = store.getId();
+
+      await store.migrate(true);
+
+      expect(await store.getHandler().read(oldId)).toBe('');
+      expect(store.get('user')).toBe(7);
+
+      await store.invalidate();
+
+      expect(store.all()).toEqual({});
+    });
+
+    test('should encrypt the data of encrypted stores', async () => {
+      const encrypter = new Encrypter(Encrypter.generateKey());
+      const encrypted = new EncryptedStore('app_session', store.getHandler(), encrypter);
+
+      encrypted.put('secret', 'value');
+      await encrypted.save();
+
+      const raw = await store.getHandler().read(encrypted.getId());
+      expect(raw).not.toContain('value');
+      expect(JSON.parse(encrypter.decryptString(raw)).secret).toBe('value');
+    });
+  });
+
+  describe('StartSession middleware', () => {
+    let manager;
+    let app;
+
+    const build = (routes) => {
+      app = express();
+      app.use(express.json());
+      app.use(manager.middleware());
+      routes(app);
+      return app;
+    };
+
+    beforeEach(() => {
+      manager = new SessionManager(makeApp());
+    });
+
+    test('should load and persist the session between requests', async () => {
+      build(app => app.get('/visits', (req, res) => {
+        res.json({ visits: req.session.increment('visits') });
+      }));
+
+      const first = await request(app).get('/visits');
+      const cookie = sessionCookie(first);
+
+      expect(first.body.visits).toBe(1);
+      expect(cookie).toMatch(/^app_session=[A-Za-z0-9_-]{40}$/);
+      expect(first.headers['set-cookie'][0]).toContain('HttpOnly');
+
+      const second = await request(app).get('/visits').set('Cookie', cookie);
+
+      expect(second.body.visits).toBe(2);
+      expect(sessionCookie(second)).toBe(cookie);
+    });
+
+    test('should show flash data on the next request', async () => {
+      build(app => {
+        app.post('/orders', (req, res) => {
+          req.session.flash('status', 'Order placed');
+          res.redirect('/orders');
+        });
+        app.get('/orders', (req, res) => res.json({ status: req.session.get('status') }));
+      });
+
+      const cookie = sessionCookie(await request(app).post('/orders'));
+
+      expect((await request(app).get('/orders').set('Cookie', cookie)).body.status).toBe('Order placed');
+      expect((await request(app).get('/orders').set('Cookie', cookie)).body.status).toBeNull();
+    });
+
+    test('should send the new id after the session is regenerated', async () => {
+      build(app => app.post('/login', async (req, res) => {
+        await req.session.regenerate(true);
+        res.json({ id: req.session.getId() });
+      }));
+
+      const first = await request(app).post('/login');
+      const second = await request(app).post('/login').set('Cookie', sessionCookie(first));
+
+      expect(sessionCookie(second)).toBe(`app_session=${second.body.id}`);
+      expect(sessionCookie(second)).not.toBe(sessionCookie(first));
+    });
+
+    test('should use the session of the current request through the manager', async () => {
+      build(app => app.get('/locale/:locale', async (req, res) => {
+        await new Promise(resolve => setTimeout(resolve, Number(req.query.delay || 0)));
+        manager.put('locale', req.params.locale);
+        res.json({ locale: manager.get('locale'), same: manager.current() === req.session });
+      }));
+
+      const [slow, fast] = await Promise.all([
+        request(app).get('/locale/en?delay=20'),
+        request(app).get('/locale/fr'),
+      ]);
+
+      expect(slow.body).toEqual({ locale: 'en', same: true });
+      expect(fast.body).toEqual({ locale: 'fr', same: true });
+      expect(() => manager.get('locale')).toThrow('Session store not set on request.');
+    });
+
+    test('should keep the user of a SessionGuard login in the session', async () => {
+      const user = { getAuthIdentifier: () => 7 };
+      const guard = new SessionGuard('web', null, manager);
+
+      build(app => {
+        app.post('/login', async (req, res) => {
+          await guard.login(user);
+          res.json({ id: req.session.getId() });
+        });
+        app.get('/me', (req, res) => res.json({ id: req.session.get(guard.getName()) }));
+      });
+
+      const login = await request(app).post('/login');
+      const me = await request(app).get('/me').set('Cookie', sessionCookie(login));
+
+      expect(me.body.id).toBe(7);
+    });
+
+    test('should store cookie sessions in encrypted cookies', async () => {
+      manager = new SessionManager(makeApp({ driver: 'cookie' }));
+
+      build(app => app.get('/visits', (req, res) => {
+        res.json({ visits: req.session.increment('visits') });
+      }));
+
+      const first = await request(app).get('/visits');
+      const id = sessionCookie(first).split('=')[1];
+      const data = first.headers['set-cookie'].find(cookie => cookie.startsWith(`${id}=`)).split(';')[0];
+
+      expect(data).not.toContain('visits');
+
+      const second = await request(app).get('/visits').set('Cookie', [sessionCookie(first), data].join('; '));
+      const forged = await request(app).get('/visits').set('Cookie', [sessionCookie(first), `${id}=forged`].join('; '));
+
+      expect(second.body.visits).toBe(2);
+      expect(forged.body.visits).toBe(1);
+    });
+  });
+
+  test('should register the session manager in the container', async () => {
+    const container = new Container();
+    await new SessionServiceProvider(container).register();
+
+    expect(container.make('session')).toBeInstanceOf(SessionManager);
+    expect(container.make('SessionManager')).toBe(container.make('session'));
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Session Handler Tests
+ *
+ * Test Coverage:
+ * - read(), write(), destroy() and gc() of the file, database, Redis and array handlers
+ * - expiry after the session lifetime
+ * - SessionManager driver resolution
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionManager } from '../../../framework/Services/Session/SessionManager.js';
+import { ArraySessionHandler } from '../../../framework/Services/Session/Handlers/ArraySessionHandler.js';
+import { FileSessionHandler } from '../../../framework/Services/Session/Handlers/FileSessionHandler.js';
+import { DatabaseSessionHandler } from '../../../framework/Services/Session/Handlers/DatabaseSessionHandler.js';
+import { RedisSessionHandler } from '../../../framework/Services/Session/Handlers/RedisSessionHandler.js';
+
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.ttls = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async setex(key, seconds, value) {
+    this.data.set(key, value);
+    this.ttls.set(key, seconds);
+  }
+
+  async del(key) {
+    this.data.delete(key);
+  }
+}
+
+/**
+ * Table query builder keeping rows in memory
+ */
+class FakeDatabase {
+  constructor() {
+    this.rows = [];
+  }
+
+  table() {
+    const rows = this.rows;
+    const conditions = [];
+
+    const matching = () => rows.filter(row => conditions.every(([column, operator, value]) =>
+      operator === '=' ? row[column] === value : row[column] <= value
+    ));
+
+    const query = {
+      where(column, operator, value) {
+        conditions.push(value === undefined ? [column, '=', operator] : [column, operator, value]);
+        return query;
+      },
+      first: async () => matching()[0] || null,
+      insert: async (values) => rows.push({ ...values }),
+      update: async (values) => matching().map(row => Object.assign(row, values)).length,
+      delete: async () => {
+        const removed = matching();
+        removed.forEach(row => rows.splice(rows.indexOf(row), 1));
+        return removed.length;
+      },
+    };
+
+    return query;
+  }
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('Session handlers', () => {
+  describe('FileSessionHandler', () => {
+    let directory;
+    let handler;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+      handler = new FileSessionHandler(path.join(directory, 'sessions'), 120);
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should write, read and destroy session files', async () => {
+      await handler.write('abc', '{"user":7}');
+
+      expect(await handler.read('abc')).toBe('{"user":7}');
+      expect(await handler.read('missing')).toBe('');
+
+      await handler.destroy('abc');
+      await handler.destroy('abc');
+
+      expect(await handler.read('abc')).toBe('');
+    });
+
+    test('should not read or keep sessions idle for longer than the lifetime', async () => {
+      await handler.write('old', '{}');
+      await handler.write('new', '{}');
+      const threeHoursAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
+      fs.utimesSync(handler.getFilePath('old'), threeHoursAgo, threeHoursAgo);
+
+      expect(await handler.read('old')).toBe('');
+      expect(await handler.gc(120 * 60)).toBe(1);
+      expect(fs.readdirSync(handler.path)).toEqual(['new']);
+    });
+
+    test('should keep session files inside the session directory', () => {
+      expect(handler.getFilePath('../../secret')).toBe(path.join(handler.path, 'secret'));
+    });
+  });
+
+  describe('DatabaseSessionHandler', () => {
+    let database;
+    let handler;
+    let context;
+
+    beforeEach(() => {
+      database = new FakeDatabase();
+      context = null;
+      handler = new DatabaseSessionHandler(database, 'sessions', 120, () => context);
+    });
+
+    test('should insert, update, read and destroy session rows', async () => {
+      await handler.write('abc', '{"cart":[1]}');
+      await handler.write('abc', '{"cart":[1,2]}');
+
+      expect(database.rows).toEqual([{
+        id: 'abc',
+        payload: '{"cart":[1,2]}',
+        last_activity: expect.any(Number),
+        user_id: null,
+        ip_address: null,
+        user_agent: null,
+      }]);
+      expect(await handler.read('abc')).toBe('{"cart":[1,2]}');
+
+      await handler.destroy('abc');
+
+      expect(database.rows).toEqual([]);
+    });
+
+    test('should record the user, IP address and user agent of the request', async () => {
+      context = {
+        request: { ip: '10.0.0.1', headers: { 'user-agent': 'Jest' }, user: { getAuthIdentifier: () => 7 } },
+      };
+
+      await handler.write('abc', '{}');
+
+      expect(database.rows[0]).toMatchObject({ user_id: '7', ip_address: '10.0.0.1', user_agent: 'Jest' });
+    });
+
+    test('should expire and collect sessions idle for longer than the lifetime', async () => {
+      database.rows.push(
+        { id: 'old', payload: '{}', last_activity: now() - 3 * 60 * 60 },
+        { id: 'new', payload: '{}', last_activity: now() }
+      );
+
+      expect(await handler.read('old')).toBe('');
+      expect(await handler.gc(120 * 60)).toBe(1);
+      expect(database.rows.map(row => row.id)).toEqual(['new']);
+    });
+  });
+
+  describe('RedisSessionHandler', () => {
+    test('should store sessions as expiring keys', async () => {
+      const redis = new FakeRedis();
+      const handler = new RedisSessionHandler(redis, 120, 'app:session:');
+
+      await handler.write('abc', '{}');
+
+      expect(await handler.read('abc')).toBe('{}');
+      expect(redis.ttls.get('app:session:abc')).toBe(7200);
+
+      await handler.destroy('abc');
+
+      expect(await handler.read('abc')).toBe('');
+      expect(await handler.gc(7200)).toBe(0);
+    });
+  });
+
+  describe('ArraySessionHandler', () => {
+    test('should collect sessions idle for longer than the lifetime', async () => {
+      const handler = new ArraySessionHandler(120);
+
+      await handler.write('old', '{}');
+      await handler.write('new', '{}');
+      handler.storage.get('old').time -= 3 * 60 * 60 * 1000;
+
+      expect(await handler.read('old')).toBe('');
+      expect(await handler.gc(120 * 60)).toBe(1);
+      expect([...handler.storage.keys()]).toEqual(['new']);
+    });
+  });
+
+  describe('SessionManager drivers', () => {
+    const makeManager = (drivers, bindings = {}) => {
+      const config = { session: { driver: 'file', lifetime: 30, drivers } };
+
+      return new SessionManager({
+        config: (key, fallback = null) => key.split('.').reduce((value, segment) => value?.[segment], config) ?? fallback,
+        make: (name) => bindings[name],
+      });
+    };
+
+    test('should create the configured handlers', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+      const redis = new FakeRedis();
+      const manager = makeManager({
+        file: { driver: 'file', path: directory },
+        database: { driver: 'database', table: 'user_sessions' },
+        redis: { driver: 'redis', connection: 'session' },
+      }, {
+        db: new FakeDatabase(),
+        redis: { connection: (name) => (name === 'session' ? redis : null) },
+      });
+
+      try {
+        expect(manager.driver()).toBeInstanceOf(FileSessionHandler);
+        expect(manager.driver()).toBe(manager.driver('file'));
+        expect(manager.driver('file').minutes).toBe(30);
+        expect(manager.driver('database')).toMatchObject({ table: 'user_sessions', minutes: 30 });
+        expect(manager.driver('redis').connection()).toBe(redis);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('should create custom handlers registered with extend()', () => {
+      const manager = makeManager({ memory: { driver: 'memory' } });
+      const handler = new ArraySessionHandler();
+
+      manager.extend('memory', () => handler);
+
+      expect(manager.driver('memory')).toBe(handler);
+      expect(() => manager.driver('missing')).toThrow('Session driver [missing] is not defined.');
+    });
+  });
+});
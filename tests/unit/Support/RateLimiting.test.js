@@ -0,0 +1,222 @@
+/**
+ * Named Rate Limiter Tests
+ *
+ * Test Coverage:
+ * - named limiters returning Limit definitions
+ * - default keys by user id, API key and IP address
+ * - fixed window, sliding window and token bucket algorithms
+ * - RateLimit-* and Retry-After headers
+ * - the throttle:<name> and throttle:<max>,<minutes> middleware aliases
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { RateLimiter } from '../../../framework/Support/RateLimiter.js';
+import { Limit } from '../../../framework/Support/RateLimiting/index.js';
+import { Repository } from '../../../framework/Services/Cache/Repository.js';
+import { ArrayStore } from '../../../framework/Services/Cache/Stores/ArrayStore.js';
+import { Container } from '../../../framework/Foundation/Container.js';
+import { RateLimiterServiceProvider } from '../../../framework/Foundation/Providers/RateLimiterServiceProvider.js';
+import { Router } from '../../../framework/Routing/Router.js';
+
+const START = 6_000_000; // a multiple of every window used below
+
+/**
+ * Send a request through a middleware, returning its status and headers
+ */
+async function send(middleware, req = {}) {
+  const result = { status: 200, headers: {}, body: null, error: null };
+  const res = {
+    set: (name, value) => { result.headers[name] = value; },
+    status: (status) => { result.status = status; return res; },
+    json: (body) => { result.body = body; return res; },
+  };
+
+  await middleware({ ip: '10.0.0.1', headers: {}, query: {}, ...req }, res, (error) => {
+    result.error = error || null;
+  });
+
+  return result;
+}
+
+/**
+ * Send requests until one is limited, returning the number allowed
+ */
+async function allowedRequests(middleware, req = {}, max = 100) {
+  for (let count = 0; count < max; count++) {
+    if ((await send(middleware, req)).status === 429) {
+      return count;
+    }
+  }
+
+  return max;
+}
+
+describe('Named rate limiters', () => {
+  let limiter;
+  let now;
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    limiter = new RateLimiter(new Repository(new ArrayStore()));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should limit requests with a fixed window', async () => {
+    const middleware = limiter.for('login', (req) => Limit.perMinute(3).by(req.body.email));
+    const req = { body: { email: 'taylor@example.com' } };
+
+    expect(await allowedRequests(middleware, req)).toBe(3);
+    expect(await allowedRequests(middleware, { body: { email: 'other@example.com' } })).toBe(3);
+
+    now += 30_000;
+    const limited = await send(middleware, req);
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual({ success: false, message: 'Too many requests', retry_after: 30 });
+    expect(limited.headers).toMatchObject({ 'RateLimit-Limit': 3, 'RateLimit-Remaining': 0, 'Retry-After': 30 });
+
+    now += 30_001;
+    expect((await send(middleware, req)).status).toBe(200);
+  });
+
+  test('should set the rate limit headers on allowed requests', async () => {
+    const middleware = limiter.for('api', () => Limit.perMinute(10));
+
+    await send(middleware);
+    const { headers } = await send(middleware);
+
+    expect(headers).toEqual({
+      'RateLimit-Limit': 10,
+      'RateLimit-Remaining': 8,
+      'RateLimit-Reset': 60,
+      'X-RateLimit-Limit': 10,
+      'X-RateLimit-Remaining': 8,
+    });
+  });
+
+  test('should key requests by user id, API key or IP address', async () => {
+    expect(limiter.requestKey({ user: { getAuthIdentifier: () => 7 }, ip: '10.0.0.1' })).toBe('user:7');
+    expect(limiter.requestKey({ user: { id: 8 }, ip: '10.0.0.1' })).toBe('user:8');
+    expect(limiter.requestKey({ headers: { 'x-api-key': 'secret' }, ip: '10.0.0.1' })).toMatch(/^api_key:[a-f0-9]{64}$/);
+    expect(limiter.requestKey({ headers: {}, query: {}, ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+
+    const middleware = limiter.for('api', () => Limit.perMinute(2));
+
+    expect(await allowedRequests(middleware, { user: { id: 1 } })).toBe(2);
+    expect(await allowedRequests(middleware, { user: { id: 2 } })).toBe(2);
+    expect(await allowedRequests(middleware, { headers: { 'x-api-key': 'secret' } })).toBe(2);
+  });
+
+  test('should apply every limit of a limiter', async () => {
+    const middleware = limiter.for('uploads', () => [
+      Limit.perSecond(2),
+      Limit.perMinute(3),
+    ]);
+
+    expect(await allowedRequests(middleware)).toBe(2);
+
+    now += 1_001;
+    expect(await allowedRequests(middleware)).toBe(1);
+  });
+
+  test('should count limiters returning a key 60 times per minute', async () => {
+    const middleware = limiter.for('legacy', (req) => req.ip);
+
+    expect(await allowedRequests(middleware)).toBe(60);
+  });
+
+  test('should not limit unlimited requests', async () => {
+    const middleware = limiter.for('admin', (req) => (req.user?.admin ? Limit.none() : Limit.perMinute(1)));
+
+    expect(await allowedRequests(middleware, { user: { id: 1, admin: true } }, 5)).toBe(5);
+    expect(await allowedRequests(middleware, { user: { id: 2 } }, 5)).toBe(1);
+  });
+
+  test('should weigh the previous window with a sliding window', async () => {
+    const middleware = limiter.for('search', () => Limit.perMinute(10).slidingWindow());
+
+    expect(await allowedRequests(middleware)).toBe(10);
+
+    // Halfway through the next window, half of the previous window still counts
+    now += 90_000;
+    expect(await allowedRequests(middleware)).toBe(5);
+
+    const limited = await send(middleware);
+    expect(limited.headers['Retry-After']).toBe(6);
+
+    now += 6_000;
+    expect(await allowedRequests(middleware)).toBe(1);
+  });
+
+  test('should refill a token bucket evenly', async () => {
+    const middleware = limiter.for('exports', () => Limit.perSecond(5, 10).tokenBucket());
+
+    expect(await allowedRequests(middleware)).toBe(5);
+    expect((await send(middleware)).headers['Retry-After']).toBe(2);
+
+    now += 2_000;
+    expect(await allowedRequests(middleware)).toBe(1);
+
+    now += 60_000;
+    expect(await allowedRequests(middleware)).toBe(5);
+  });
+
+  test('should send the response of the limit callback', async () => {
+    const middleware = limiter.for('otp', () => Limit.perMinute(1).response((req, res, headers) => {
+      return res.status(429).json({ message: `Try again in ${headers['Retry-After']} seconds` });
+    }));
+
+    await send(middleware);
+
+    expect((await send(middleware)).body).toEqual({ message: 'Try again in 60 seconds' });
+  });
+
+  test('should pass an error for undefined limiters', async () => {
+    const { error } = await send(limiter.throttle('missing'));
+
+    expect(error.message).toBe('Rate limiter [missing] is not defined.');
+  });
+
+  describe('throttle middleware alias', () => {
+    let container;
+
+    beforeEach(async () => {
+      const cache = new Repository(new ArrayStore());
+
+      container = new Container();
+      container.config = () => null;
+      container.instance('cache', { store: () => cache });
+
+      const provider = new RateLimiterServiceProvider(container);
+      provider.register();
+      provider.boot();
+    });
+
+    afterEach(() => {
+      Router.middlewareAliases.delete('throttle');
+    });
+
+    test('should register the rate limiter', () => {
+      expect(container.make('RateLimiter')).toBe(container.make('rate-limiter'));
+      expect(container.make('rateLimiter')).toBe(container.make('rate-limiter'));
+    });
+
+    test('should apply named limiters defined after the routes', async () => {
+      const [middleware] = Router.resolveMiddleware('throttle:api');
+
+      container.make('rate-limiter').for('api', () => Limit.perMinute(2));
+
+      expect(await allowedRequests(middleware)).toBe(2);
+    });
+
+    test('should allow a number of attempts per minutes', async () => {
+      const [middleware] = Router.resolveMiddleware('throttle:3,1');
+
+      expect(await allowedRequests(middleware)).toBe(3);
+    });
+  });
+});